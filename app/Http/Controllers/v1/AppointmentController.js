@@ -0,0 +1,326 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Case = mongoose.model("Case");
+const User = mongoose.model("User");
+const Appointment = mongoose.model("Appointment");
+
+const json = require("../../../Traits/ApiResponser");
+const AuditLogService = require("../../../Services/AuditLogService");
+const CaseAccessService = require("../../../Services/CaseAccessService");
+const PermissionService = require("../../../Services/PermissionService");
+const AppointmentService = require("../../../Services/AppointmentService");
+const UserSettingsService = require("../../../Services/UserSettingsService");
+
+let o = {};
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ensureCaseAccess = async (caseId, userId, level) => {
+  if (!mongoose.Types.ObjectId.isValid(caseId)) {
+    throw buildHttpError("Invalid case ID", 400);
+  }
+
+  const caseData = await Case.findById(caseId);
+  if (!caseData) {
+    throw buildHttpError("Case not found", 404);
+  }
+
+  const user = await User.findById(userId);
+  if (!(await CaseAccessService.canAccess(user, caseData, level))) {
+    throw buildHttpError("You don't have access to this case", 403);
+  }
+
+  return { caseData, user };
+};
+
+const ensureAppointmentAccess = async (id, userId, level) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw buildHttpError("Invalid appointment ID", 400);
+  }
+
+  const appointment = await Appointment.findById(id);
+  if (!appointment) {
+    throw buildHttpError("Appointment not found", 404);
+  }
+
+  const { caseData, user } = await ensureCaseAccess(
+    appointment.case,
+    userId,
+    level,
+  );
+  return { appointment, caseData, user };
+};
+
+// Conflicts are returned with the error so the UI can show them
+const errorBody = (err, fallback) =>
+  err.conflicts
+    ? { message: err.message, code: err.code, conflicts: err.conflicts }
+    : err.message || err.toString() || fallback;
+
+o.createAppointment = async (req, res, next) => {
+  try {
+    const { caseId } = req.body;
+    if (!caseId) {
+      return json.errorResponse(res, "caseId is required", 400);
+    }
+
+    const { caseData, user } = await ensureCaseAccess(
+      caseId,
+      req.decoded._id,
+      "write",
+    );
+
+    const appointments = await AppointmentService.schedule(
+      caseData,
+      req.body,
+      user,
+    );
+
+    await AuditLogService.createLog({
+      user,
+      action: "APPOINTMENT_CREATE",
+      actionCategory: "SESSION",
+      resourceType: "Appointment",
+      resourceId: appointments[0]._id,
+      caseId: caseData._id,
+      details: {
+        practitioner: appointments[0].practitioner,
+        startAt: appointments[0].startAt,
+        occurrences: appointments.length,
+        series: appointments[0].series,
+        telehealth: appointments[0].telehealth,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message:
+          appointments.length > 1
+            ? `${appointments.length} appointments scheduled successfully`
+            : "Appointment scheduled successfully",
+        keyName: "appointments",
+        data: appointments,
+      },
+      201,
+    );
+  } catch (err) {
+    console.error("Failed to schedule appointment:", err);
+    return json.errorResponse(
+      res,
+      errorBody(err, "Failed to schedule appointment"),
+      err.statusCode || 500,
+    );
+  }
+};
+
+// A practitioner's upcoming sessions; staff who can read all sessions may
+// look at anyone's calendar
+o.getCalendar = async (req, res, next) => {
+  try {
+    const { _id: userId } = req.decoded;
+    const { practitionerId, status } = req.query;
+    const from = req.query.from || new Date();
+    const to =
+      req.query.to ||
+      new Date(new Date(from).getTime() + 14 * 24 * 60 * 60 * 1000);
+
+    const calendarOwner = practitionerId || userId;
+    if (calendarOwner.toString() !== userId.toString()) {
+      if (!mongoose.Types.ObjectId.isValid(calendarOwner)) {
+        return json.errorResponse(res, "Invalid practitioner ID", 400);
+      }
+      if (!PermissionService.hasPermission(req.user, "session:read_all")) {
+        return json.errorResponse(
+          res,
+          "You can only view your own calendar",
+          403,
+        );
+      }
+    }
+
+    const appointments = await AppointmentService.getCalendar({
+      practitionerId: calendarOwner,
+      from,
+      to,
+      status,
+    });
+
+    // Local times in the viewer's timezone, for display
+    const timezone = await UserSettingsService.getTimezone(userId);
+    const data = appointments.map((appointment) => ({
+      ...appointment,
+      startLocal: UserSettingsService.formatDateTime(
+        appointment.startAt,
+        timezone,
+      ),
+      endLocal: UserSettingsService.formatDateTime(appointment.endAt, timezone),
+    }));
+
+    return json.successResponse(
+      res,
+      {
+        message: "Calendar fetched successfully",
+        keyName: "appointments",
+        data,
+        stats: {
+          total: data.length,
+          scheduled: data.filter((a) => a.status === "Scheduled").length,
+          cancelled: data.filter((a) => a.status === "Cancelled").length,
+          noShow: data.filter((a) => a.status === "NoShow").length,
+          timezone,
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch calendar:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch calendar";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.getAppointmentsByCase = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+    const { upcoming } = req.query;
+    await ensureCaseAccess(caseId, req.decoded._id, "read");
+
+    const query = { case: caseId };
+    if (upcoming === "true") {
+      query.startAt = { $gte: new Date() };
+      query.status = "Scheduled";
+    }
+
+    const appointments = await Appointment.find(query)
+      .populate("practitioner", "name email")
+      .populate("session", "sessionNumber status")
+      .sort({ startAt: 1 });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Appointments fetched successfully",
+        keyName: "appointments",
+        data: appointments,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch appointments:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch appointments";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.updateAppointment = async (req, res, next) => {
+  try {
+    const { appointment, caseData, user } = await ensureAppointmentAccess(
+      req.params.id,
+      req.decoded._id,
+      "write",
+    );
+
+    const previous = {
+      startAt: appointment.startAt,
+      endAt: appointment.endAt,
+    };
+    await AppointmentService.reschedule(appointment, req.body);
+
+    await AuditLogService.createLog({
+      user,
+      action: "APPOINTMENT_UPDATE",
+      actionCategory: "SESSION",
+      resourceType: "Appointment",
+      resourceId: appointment._id,
+      caseId: caseData._id,
+      details: {
+        updatedFields: Object.keys(req.body),
+        previous,
+        startAt: appointment.startAt,
+        endAt: appointment.endAt,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Appointment updated successfully",
+        keyName: "appointment",
+        data: appointment,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update appointment:", err);
+    return json.errorResponse(
+      res,
+      errorBody(err, "Failed to update appointment"),
+      err.statusCode || 500,
+    );
+  }
+};
+
+// Cancel (optionally with the rest of the series) or record a no-show
+o.setAppointmentStatus = async (req, res, next) => {
+  try {
+    const { status, reason, scope } = req.body;
+    const { appointment, caseData, user } = await ensureAppointmentAccess(
+      req.params.id,
+      req.decoded._id,
+      "write",
+    );
+
+    const appointments = await AppointmentService.setStatus(appointment, {
+      status,
+      reason,
+      scope,
+      user,
+    });
+
+    await AuditLogService.createLog({
+      user,
+      action:
+        status === "NoShow" ? "APPOINTMENT_NO_SHOW" : "APPOINTMENT_CANCEL",
+      actionCategory: "SESSION",
+      resourceType: "Appointment",
+      resourceId: appointment._id,
+      caseId: caseData._id,
+      details: {
+        scope: scope || "this",
+        reason,
+        appointmentIds: appointments.map((a) => a._id),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message:
+          status === "NoShow"
+            ? "No-show recorded successfully"
+            : `${appointments.length} appointment(s) cancelled successfully`,
+        keyName: "appointments",
+        data: appointments,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update appointment status:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update appointment status";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+module.exports = o;
@@ -2,6 +2,7 @@
 
 const AuditLogService = require("../../../Services/AuditLogService");
 const json = require("../../../Traits/ApiResponser");
+const UserSettingsService = require("../../../Services/UserSettingsService");
 
 let o = {};
 
@@ -191,6 +192,7 @@ o.exportAuditLogs = async (req, res, next) => {
     // Fetch user for audit log
     const mongoose = require("mongoose");
     const user = await mongoose.model("User").findById(req.decoded._id);
+    const { timezone } = await UserSettingsService.getForUser(user);
 
     const timestamp = new Date().toISOString().split("T")[0];
     const filename = `audit-logs-${timestamp}.${selectedFormat}`;
@@ -199,6 +201,7 @@ o.exportAuditLogs = async (req, res, next) => {
       // Export as JSON
       const jsonData = {
         exportedAt: new Date().toISOString(),
+        timezone,
         totalRecords: logs.length,
         filters: {
           userId,
@@ -210,7 +213,13 @@ o.exportAuditLogs = async (req, res, next) => {
           startDate,
           endDate,
         },
-        auditLogs: logs,
+        auditLogs: logs.map((log) => ({
+          ...log,
+          timestampLocal: UserSettingsService.formatDateTime(
+            log.timestamp,
+            timezone,
+          ),
+        })),
       };
 
       res.setHeader("Content-Type", "application/json");
@@ -224,7 +233,7 @@ o.exportAuditLogs = async (req, res, next) => {
     if (selectedFormat === "csv") {
       // Export as CSV
       const headers = [
-        "Timestamp",
+        `Timestamp (${timezone})`,
         "User Name",
         "User Email",
         "User Role",
@@ -240,7 +249,7 @@ o.exportAuditLogs = async (req, res, next) => {
       ];
 
       const rows = logs.map((log) => [
-        new Date(log.timestamp).toISOString(),
+        UserSettingsService.formatDateTime(log.timestamp, timezone),
         log.user?.name || log.userEmail || "Unknown",
         log.userEmail || "-",
         log.user?.role || log.userRole || "-",
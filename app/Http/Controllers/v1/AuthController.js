@@ -1,14 +1,15 @@
 "user strict";
 
-let jwt = require("jsonwebtoken");
+let json = require("../../../Traits/ApiResponser");
+const TokenService = require("../../../Services/TokenService");
+const MfaService = require("../../../Services/MfaService");
+const PermissionService = require("../../../Services/PermissionService");
+const OrganisationService = require("../../../Services/OrganisationService");
+const TenantContext = require("../../../Services/TenantContext");
+const AuditLogService = require("../../../Services/AuditLogService");
 const mongoose = require("mongoose");
 const User = mongoose.model("User");
 
-let config = {};
-config.app = require("../../../../config/app");
-
-let json = require("../../../Traits/ApiResponser");
-
 /*
     |--------------------------------------------------------------------------
     | Authentication Controller
@@ -22,22 +23,79 @@ let json = require("../../../Traits/ApiResponser");
 
 let o = {};
 
-o.authenticate = (req, res, next) => {
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Requests under an impersonation token act as the user, are audited with
+// both identities and, for read-only tokens, may only read
+const applyImpersonation = async (req, impersonator, impersonation) => {
+  req.impersonation = {
+    impersonationId: impersonation._id,
+    adminId: impersonator._id,
+    adminEmail: impersonator.email,
+    impersonatedUserId: req.user._id,
+    impersonatedUserEmail: req.user.email,
+    readOnly: impersonation.readOnly,
+  };
+
+  const blocked =
+    impersonation.readOnly &&
+    !SAFE_METHODS.includes(req.method) &&
+    !req.allowWhileImpersonating;
+
+  // Logged in the impersonated user's organisation so its admins see it
+  await TenantContext.run(req.user.organisation, () =>
+    AuditLogService.createLog({
+      user: impersonator,
+      action: blocked ? "IMPERSONATION_BLOCKED" : "IMPERSONATION_REQUEST",
+      actionCategory: "IMPERSONATION",
+      resourceType: "User",
+      resourceId: req.user._id,
+      details: {
+        method: req.method,
+        path: req.originalUrl,
+      },
+      req,
+    }),
+  );
+
+  if (blocked) {
+    const error = new Error("Impersonation sessions are read-only");
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+// Continue the request inside the user's organisation so tenant-scoped
+// models only see that organisation's records
+const continueInOrganisation = async (req, user, next) => {
+  const organisationId = await OrganisationService.resolveOrganisationId(
+    user,
+    req,
+  );
+  req.organisationId = organisationId;
+  TenantContext.run(organisationId, next, req);
+};
+
+o.authenticate = async (req, res, next) => {
   let token = req.headers["x-access-token"];
 
   if (!token) {
     return json.errorResponse(res, "Token Not Found", 404);
   }
 
-  jwt.verify(token, config.app.key, function (err, decoded) {
-    if (err) {
-      //console.log(err);
-      return json.errorResponse(res, "Connection Unautherized!", 401);
-    }
+  try {
+    const { decoded, user, impersonator, impersonation } =
+      await TokenService.verifyAccessToken(token);
 
     req.decoded = decoded;
-    next();
-  });
+    req.user = user;
+    if (impersonation) {
+      await applyImpersonation(req, impersonator, impersonation);
+    }
+    await continueInOrganisation(req, user, next);
+  } catch (err) {
+    return json.errorResponse(res, err.message, err.statusCode || 401);
+  }
 };
 
 o.authenticateAdmin = async (req, res, next) => {
@@ -48,17 +106,11 @@ o.authenticateAdmin = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, config.app.key);
-
-    // Find the user by ID
-    const user = await User.findById(decoded._id);
-
-    if (!user) {
-      return json.errorResponse(res, "User Not Found", 404);
-    }
+    const { decoded, user, impersonator, impersonation } =
+      await TokenService.verifyAccessToken(token);
 
-    // Check if user is admin using isAdmin field
-    if (!user.role || user.role !== "admin") {
+    // Check the user holds the user:manage permission
+    if (!PermissionService.hasPermission(user, "user:manage")) {
       return json.errorResponse(
         res,
         "Unauthorized! Admin access required.",
@@ -68,11 +120,73 @@ o.authenticateAdmin = async (req, res, next) => {
 
     req.decoded = decoded;
     req.user = user; // Attach user object to request
-    next();
+    if (impersonation) {
+      await applyImpersonation(req, impersonator, impersonation);
+    }
+    await continueInOrganisation(req, user, next);
   } catch (err) {
     console.log("Admin Auth Error:", err);
-    return json.errorResponse(res, "Connection Unauthorized!", 401);
+    return json.errorResponse(
+      res,
+      err.statusCode ? err.message : "Connection Unauthorized!",
+      err.statusCode || 401
+    );
   }
 };
 
+// Accepts a normal access token, or the MFA setup token handed out at login
+// when an admin must enrol before being signed in
+o.authenticateMfaSetup = async (req, res, next) => {
+  const mfaToken = req.headers["x-mfa-token"];
+
+  if (!mfaToken) {
+    return o.authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = MfaService.verifyChallengeToken(mfaToken, "mfa_setup");
+    if (!decoded) {
+      return json.errorResponse(res, "MFA session expired, please log in again", 401);
+    }
+
+    const user = await User.findById(decoded._id);
+    if (!user || user.active === false) {
+      return json.errorResponse(res, "User Not Found", 404);
+    }
+
+    req.decoded = decoded;
+    req.user = user;
+    await continueInOrganisation(req, user, next);
+  } catch (err) {
+    return json.errorResponse(res, "Connection Unautherized!", 401);
+  }
+};
+
+// Runs before authenticate on routes a read-only impersonation token may
+// still call with a write method, e.g. logout
+o.allowWhileImpersonating = (req, res, next) => {
+  req.allowWhileImpersonating = true;
+  next();
+};
+
+// Must run after authenticate. Passes only when the user's role grants every
+// listed permission, e.g. requirePermission("audit:read")
+o.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(
+      (permission) => !PermissionService.hasPermission(req.user, permission),
+    );
+
+    if (missing.length) {
+      return json.errorResponse(
+        res,
+        `Unauthorized! Missing permission: ${missing.join(", ")}`,
+        403
+      );
+    }
+
+    next();
+  };
+};
+
 module.exports = o;
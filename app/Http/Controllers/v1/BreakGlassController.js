@@ -0,0 +1,320 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Case = mongoose.model("Case");
+const BreakGlassGrant = mongoose.model("BreakGlassGrant");
+
+const json = require("../../../Traits/ApiResponser");
+const AuditLogService = require("../../../Services/AuditLogService");
+const BreakGlassService = require("../../../Services/BreakGlassService");
+const CaseAccessService = require("../../../Services/CaseAccessService");
+const PermissionService = require("../../../Services/PermissionService");
+const {
+  BREAK_GLASS_DEFAULT_MINUTES,
+  BREAK_GLASS_MAX_MINUTES,
+  BREAK_GLASS_MIN_REASON_LENGTH,
+} = require("../../../../config/constants");
+
+let o = {};
+
+// Emergency read access to a case the user is not on
+o.requestAccess = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+    const { reason, durationMinutes = BREAK_GLASS_DEFAULT_MINUTES } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(caseId)) {
+      return json.errorResponse(res, "Invalid case ID", 400);
+    }
+    if (
+      typeof reason !== "string" ||
+      reason.trim().length < BREAK_GLASS_MIN_REASON_LENGTH
+    ) {
+      return json.errorResponse(
+        res,
+        `A reason of at least ${BREAK_GLASS_MIN_REASON_LENGTH} characters is required`,
+        400,
+      );
+    }
+    if (
+      !Number.isInteger(durationMinutes) ||
+      durationMinutes < 1 ||
+      durationMinutes > BREAK_GLASS_MAX_MINUTES
+    ) {
+      return json.errorResponse(
+        res,
+        `durationMinutes must be between 1 and ${BREAK_GLASS_MAX_MINUTES}`,
+        400,
+      );
+    }
+
+    const caseData = await Case.findById(caseId);
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    if (await CaseAccessService.hasStandingAccess(req.user, caseData, "read")) {
+      return json.errorResponse(
+        res,
+        "You already have access to this case",
+        400,
+      );
+    }
+
+    const activeGrant = await BreakGlassService.getActiveGrant(
+      req.user._id,
+      caseId,
+    );
+    if (activeGrant) {
+      return json.errorResponse(
+        res,
+        "You already have emergency access to this case",
+        409,
+      );
+    }
+
+    const grant = await BreakGlassService.createGrant({
+      user: req.user,
+      caseData,
+      reason: reason.trim(),
+      durationMinutes,
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Emergency access granted",
+        userMessage:
+          "You have temporary read access. The clinic's admins and the case lead have been notified.",
+        keyName: "grant",
+        data: grant,
+      },
+      201,
+    );
+  } catch (err) {
+    console.error("Failed to grant emergency access:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to grant emergency access";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// The current user's grants, newest first
+o.getMyGrants = async (req, res, next) => {
+  try {
+    const grants = await BreakGlassGrant.find({ user: req.user._id })
+      .populate("case", "displayName internalRef")
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    return json.successResponse(
+      res,
+      {
+        message: "Emergency access grants fetched successfully",
+        keyName: "grants",
+        data: grants,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch emergency access grants:", err);
+    const errorMessage =
+      err.message ||
+      err.toString() ||
+      "Failed to fetch emergency access grants";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Review queue: every grant in the organisation
+o.getGrants = async (req, res, next) => {
+  try {
+    const {
+      status,
+      reviewed,
+      caseId,
+      userId,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    if (
+      (caseId && !mongoose.Types.ObjectId.isValid(caseId)) ||
+      (userId && !mongoose.Types.ObjectId.isValid(userId))
+    ) {
+      return json.errorResponse(res, "Invalid ID", 400);
+    }
+
+    const filter = {};
+    const now = new Date();
+    if (status === "active") {
+      filter.expiresAt = { $gt: now };
+      filter.revokedAt = null;
+    } else if (status === "expired") {
+      filter.expiresAt = { $lte: now };
+      filter.revokedAt = null;
+    } else if (status === "revoked") {
+      filter.revokedAt = { $ne: null };
+    }
+    if (reviewed === "true") filter.reviewedAt = { $ne: null };
+    if (reviewed === "false") filter.reviewedAt = null;
+    if (caseId) filter.case = caseId;
+    if (userId) filter.user = userId;
+
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const [grants, total] = await Promise.all([
+      BreakGlassGrant.find(filter)
+        .populate("case", "displayName internalRef assignedTo")
+        .populate("user", "name email role")
+        .populate("revokedBy", "name email")
+        .populate("reviewedBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .lean(),
+      BreakGlassGrant.countDocuments(filter),
+    ]);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Emergency access grants fetched successfully",
+        keyName: "grants",
+        data: grants,
+        pagination: {
+          total,
+          page: pageNumber,
+          limit: limitNumber,
+          totalPages: Math.ceil(total / limitNumber),
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch emergency access grants:", err);
+    const errorMessage =
+      err.message ||
+      err.toString() ||
+      "Failed to fetch emergency access grants";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// The holder, the case lead or a user admin can end a grant early
+o.revokeGrant = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return json.errorResponse(res, "Invalid grant ID", 400);
+    }
+
+    const grant = await BreakGlassGrant.findById(id).populate(
+      "case",
+      "assignedTo",
+    );
+    if (!grant) {
+      return json.errorResponse(res, "Grant not found", 404);
+    }
+
+    const userId = req.user._id.toString();
+    const canRevoke =
+      grant.user.toString() === userId ||
+      grant.case?.assignedTo?.toString() === userId ||
+      PermissionService.hasPermission(req.user, "user:manage");
+    if (!canRevoke) {
+      return json.errorResponse(
+        res,
+        "You are not allowed to revoke this grant",
+        403,
+      );
+    }
+
+    if (grant.revokedAt || grant.expiresAt <= new Date()) {
+      return json.errorResponse(res, "Grant is no longer active", 400);
+    }
+
+    await BreakGlassService.revokeGrant(grant, req.user, req);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Emergency access revoked",
+        keyName: "grant",
+        data: grant,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to revoke emergency access:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to revoke emergency access";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Record the after-the-fact review of a grant
+o.reviewGrant = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return json.errorResponse(res, "Invalid grant ID", 400);
+    }
+
+    const grant = await BreakGlassGrant.findById(id);
+    if (!grant) {
+      return json.errorResponse(res, "Grant not found", 404);
+    }
+    if (grant.user.toString() === req.user._id.toString()) {
+      return json.errorResponse(
+        res,
+        "You cannot review your own emergency access",
+        403,
+      );
+    }
+
+    grant.reviewedAt = new Date();
+    grant.reviewedBy = req.user._id;
+    grant.reviewNotes = notes;
+    await grant.save();
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "BREAK_GLASS_REVIEW",
+      actionCategory: "BREAK_GLASS",
+      resourceType: "Case",
+      resourceId: grant.case,
+      caseId: grant.case,
+      details: {
+        grantId: grant._id,
+        grantedTo: grant.user,
+        accessCount: grant.accessCount,
+        notes,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Emergency access reviewed",
+        keyName: "grant",
+        data: grant,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to review emergency access:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to review emergency access";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+module.exports = o;
@@ -8,11 +8,29 @@ const File = mongoose.model("File");
 const TimelineSummary = mongoose.model("TimelineSummary");
 const Transcript = mongoose.model("Transcript");
 const Soap = mongoose.model("Soap");
+const CaseMember = mongoose.model("CaseMember");
+const ClientProfile = mongoose.model("ClientProfile");
+const TreatmentPlan = mongoose.model("TreatmentPlan");
+const Appointment = mongoose.model("Appointment");
 
 const json = require("../../../Traits/ApiResponser");
+const CaseAccessService = require("../../../Services/CaseAccessService");
+const PermissionService = require("../../../Services/PermissionService");
 const AuditLogService = require("../../../Services/AuditLogService");
+const UserSettingsService = require("../../../Services/UserSettingsService");
+const CaseStatusService = require("../../../Services/CaseStatusService");
+const CaseClosureService = require("../../../Services/CaseClosureService");
+const ClientProfileService = require("../../../Services/ClientProfileService");
 
-const VALID_STATUSES = ["Active", "Closed", "OnHold", "Unapporved"];
+const VALID_STATUSES = CaseStatusService.statuses;
+
+const CLOSED_CASE_MESSAGE =
+  "This case is closed and can no longer be changed. An admin can reopen it.";
+
+// Case owners manage members; staff who assign caseloads can too
+const canManageMembers = async (user, caseData) =>
+  PermissionService.hasPermission(user, "case:assign") ||
+  CaseAccessService.canAccess(user, caseData, "manage");
 
 // Generate the next internal reference like CASE-YYYY-XXX
 const generateInternalRef = async () => {
@@ -95,14 +113,14 @@ o.exportCase = async (req, res, next) => {
       return json.errorResponse(res, "Case not found", 404);
     }
 
+    // Emergency access is for viewing a case, not for taking a copy of it
     const user = await User.findById(userId);
-    const assignedId =
-      (caseData.assignedTo && caseData.assignedTo._id
-        ? caseData.assignedTo._id.toString()
-        : caseData.assignedTo?.toString?.()) || null;
-    const isAdmin = user?.role === "admin";
-    if (!isAdmin && assignedId !== userId.toString()) {
-      return json.errorResponse(res, "You don't have access to this case", 403);
+    if (!(await CaseAccessService.hasStandingAccess(user, caseData, "read"))) {
+      return json.errorResponse(
+        res,
+        "You don't have access to export this case",
+        403,
+      );
     }
 
     const sessionQuery = { case: caseId };
@@ -196,9 +214,25 @@ o.exportCase = async (req, res, next) => {
         .lean();
     }
 
+    // Dates stay ISO for machines; the *Local fields are for the reader
+    const { timezone, piiMaskingEnabled } =
+      await UserSettingsService.getForUser(user);
+
+    // Client PHI is masked if the export asks for it or the user masks PII
+    const maskPii = privacyList.includes("mask-pii") || piiMaskingEnabled;
+    const clientProfile = includeCaseInfo
+      ? await ClientProfileService.getForCase(caseId)
+      : null;
+    const exportedAt = new Date();
+
     const payload = {
       meta: {
-        exportedAt: new Date().toISOString(),
+        exportedAt: exportedAt.toISOString(),
+        exportedAtLocal: UserSettingsService.formatDateTime(
+          exportedAt,
+          timezone,
+        ),
+        timezone,
         format: selectedFormat,
         exportType,
         filters: {
@@ -207,6 +241,7 @@ o.exportCase = async (req, res, next) => {
           contentToInclude: includeList,
           sessionIds: selectedSessionIds,
           privacyOptions: privacyList,
+          piiMasked: maskPii,
         },
         counts: {
           sessions: includeSessions ? sessions.length : 0,
@@ -218,8 +253,21 @@ o.exportCase = async (req, res, next) => {
       },
     };
 
-    if (includeCaseInfo) payload.case = caseData.toObject();
-    if (includeSessions) payload.sessions = sessions;
+    if (includeCaseInfo) {
+      payload.case = caseData.toObject();
+      payload.clientProfile =
+        clientProfile &&
+        (maskPii ? ClientProfileService.mask(clientProfile) : clientProfile);
+    }
+    if (includeSessions) {
+      payload.sessions = sessions.map((session) => ({
+        ...session,
+        sessionDateLocal: UserSettingsService.formatDateTime(
+          session.sessionDate,
+          timezone,
+        ),
+      }));
+    }
     if (includeFiles) payload.files = files;
     if (includeSummaries) payload.timelineSummaries = summaries;
     if (includeTranscripts) payload.transcripts = transcripts;
@@ -239,6 +287,7 @@ o.exportCase = async (req, res, next) => {
       details: {
         exportFormat: "JSON",
         exportedAt: new Date(),
+        piiMasked: maskPii,
       },
       req,
     });
@@ -266,11 +315,12 @@ o.createCase = async (req, res, next) => {
       );
     }
 
-    // Validate status if provided
-    if (status && !VALID_STATUSES.includes(status)) {
+    // A new case starts out pending approval or active
+    const initialStatuses = CaseStatusService.initialStatuses;
+    if (status && !initialStatuses.includes(status)) {
       return json.errorResponse(
         res,
-        `Invalid status. Must be one of: ${VALID_STATUSES.join(", ")}`,
+        `Invalid status. A new case must be one of: ${initialStatuses.join(", ")}`,
         400,
       );
     }
@@ -294,9 +344,10 @@ o.createCase = async (req, res, next) => {
       status: status || "Active",
     });
 
+    const adminUser = await mongoose.model("User").findById(adminId);
+    CaseStatusService.recordInitial(newCase, adminUser);
     await newCase.save();
 
-    const adminUser = await mongoose.model("User").findById(adminId);
     await AuditLogService.createLog({
       user: adminUser,
       action: "CREATE",
@@ -356,9 +407,10 @@ o.createCaseSelf = async (req, res, next) => {
       status: "Active",
     });
 
+    const user = await mongoose.model("User").findById(userId);
+    CaseStatusService.recordInitial(newCase, user);
     await newCase.save();
 
-    const user = await mongoose.model("User").findById(userId);
     await AuditLogService.createLog({
       user,
       action: "CREATE",
@@ -435,11 +487,13 @@ o.getAllCases = async (req, res, next) => {
       active: await Case.countDocuments({ ...filter, status: "Active" }),
       closed: await Case.countDocuments({ ...filter, status: "Closed" }),
       onHold: await Case.countDocuments({ ...filter, status: "OnHold" }),
-      unapproved: await Case.countDocuments({
+      pendingApproval: await Case.countDocuments({
         ...filter,
-        status: "Unapporved",
+        status: "PendingApproval",
       }),
     };
+    // Former name of pendingApproval, for clients not yet updated
+    stats.unapproved = stats.pendingApproval;
 
     return json.successResponse(
       res,
@@ -465,8 +519,9 @@ o.getMyCases = async (req, res, next) => {
     const { _id: userId } = req.decoded;
     const { search, status, sortBy, page = 1, limit = 10 } = req.query;
 
-    // Build filter - always filter by assignedTo current user
-    const filter = { assignedTo: userId };
+    // Build filter - cases the current user leads or is a member of
+    const memberFilter = await CaseAccessService.buildMemberCaseFilter(userId);
+    const filter = { $and: [memberFilter] };
 
     // Add status filter if provided
     if (status) {
@@ -515,22 +570,24 @@ o.getMyCases = async (req, res, next) => {
     // Calculate stats for user's cases
     const stats = {
       active: await Case.countDocuments({
-        assignedTo: userId,
+        ...memberFilter,
         status: "Active",
       }),
       closed: await Case.countDocuments({
-        assignedTo: userId,
+        ...memberFilter,
         status: "Closed",
       }),
       onHold: await Case.countDocuments({
-        assignedTo: userId,
+        ...memberFilter,
         status: "OnHold",
       }),
-      unapproved: await Case.countDocuments({
-        assignedTo: userId,
-        status: "Unapporved",
+      pendingApproval: await Case.countDocuments({
+        ...memberFilter,
+        status: "PendingApproval",
       }),
     };
+    // Former name of pendingApproval, for clients not yet updated
+    stats.unapproved = stats.pendingApproval;
 
     return json.successResponse(
       res,
@@ -564,6 +621,11 @@ o.getCaseById = async (req, res, next) => {
       return json.errorResponse(res, "Case not found", 404);
     }
 
+    const user = await User.findById(req.decoded._id);
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
+      return json.errorResponse(res, "You don't have access to this case", 403);
+    }
+
     return json.successResponse(
       res,
       {
@@ -584,13 +646,23 @@ o.getCaseById = async (req, res, next) => {
 o.updateCase = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { displayName, assignedTo, tags, status } = req.body;
+    const { displayName, assignedTo, tags, status, reason } = req.body;
 
     const caseData = await Case.findById(id);
     if (!caseData) {
       return json.errorResponse(res, "Case not found", 404);
     }
 
+    const user = await mongoose.model("User").findById(req.decoded._id);
+
+    // Only the status of a closed case can change, and only to reopen it
+    if (
+      (displayName || assignedTo || tags) &&
+      (await CaseAccessService.isReadOnly(caseData))
+    ) {
+      return json.errorResponse(res, CLOSED_CASE_MESSAGE, 409);
+    }
+
     // If assignedTo is being updated, verify the user exists
     if (assignedTo && assignedTo !== caseData.assignedTo.toString()) {
       const assignedUser = await User.findById(assignedTo);
@@ -602,20 +674,17 @@ o.updateCase = async (req, res, next) => {
 
     if (displayName) caseData.displayName = displayName;
     if (tags) caseData.tags = tags;
-    if (status) {
-      if (!VALID_STATUSES.includes(status)) {
-        return json.errorResponse(
-          res,
-          `Invalid status. Must be one of: ${VALID_STATUSES.join(", ")}`,
-          400,
-        );
-      }
-      caseData.status = status;
+    // Status changes follow the case lifecycle rules and are recorded
+    if (status && status !== caseData.status) {
+      await CaseStatusService.transition(caseData, status, {
+        user,
+        reason,
+        req,
+      });
     }
 
     await caseData.save();
 
-    const user = await mongoose.model("User").findById(req.decoded._id);
     await AuditLogService.createLog({
       user,
       action: "UPDATE",
@@ -648,10 +717,185 @@ o.updateCase = async (req, res, next) => {
     console.error("Failed to update case:", err);
     const errorMessage =
       err.message || err.toString() || "Failed to update case";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// The case's status, how it got there and where the user can move it next
+o.getCaseStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const caseData = await Case.findById(id).populate(
+      "statusHistory.changedBy",
+      "name email",
+    );
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
+      return json.errorResponse(res, "You don't have access to this case", 403);
+    }
+
+    return json.successResponse(
+      res,
+      {
+        message: "Case status fetched successfully",
+        keyName: "status",
+        data: {
+          status: CaseStatusService.normalise(caseData.status),
+          statusChangedAt: caseData.statusChangedAt,
+          history: caseData.statusHistory,
+          allowedTransitions: await CaseStatusService.allowedTransitions(
+            user,
+            caseData,
+          ),
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch case status:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch case status";
     return json.errorResponse(res, errorMessage, 500);
   }
 };
 
+// Move a case through its lifecycle; who may do what is in config/caseStatuses.js
+o.changeCaseStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return json.errorResponse(res, "status is required", 400);
+    }
+
+    const caseData = await Case.findById(id);
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
+      return json.errorResponse(res, "You don't have access to this case", 403);
+    }
+
+    await CaseStatusService.transition(caseData, status, { user, reason, req });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Case status updated successfully",
+        userMessage: `The case is now ${caseData.status}`,
+        keyName: "case",
+        data: caseData,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update case status:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update case status";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// What would stop the case closing, or the closure record once it has
+o.getCaseClosure = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const caseData = await Case.findById(id)
+      .populate("closure.closedBy", "name email")
+      .populate("closure.dischargeSummary.notesIncluded", "session version");
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
+      return json.errorResponse(res, "You don't have access to this case", 403);
+    }
+
+    const isClosed = caseData.status === "Closed";
+    const blockers = isClosed
+      ? null
+      : await CaseClosureService.findBlockers(caseData);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Case closure fetched successfully",
+        keyName: "closure",
+        data: {
+          status: caseData.status,
+          canClose: !isClosed && blockers.total === 0,
+          blockers,
+          closure: isClosed ? caseData.closure : null,
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch case closure:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch case closure";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Close a case: approved notes only, discharge summary, then read-only
+o.closeCase = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const caseData = await Case.findById(id);
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
+      return json.errorResponse(res, "You don't have access to this case", 403);
+    }
+
+    await CaseClosureService.close(caseData, { user, reason, req });
+
+    await caseData.populate([
+      { path: "assignedTo", select: "-password" },
+      { path: "closure.closedBy", select: "name email" },
+    ]);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Case closed successfully",
+        userMessage: "The case has been closed and is now read-only",
+        keyName: "case",
+        data: caseData,
+      },
+      200,
+    );
+  } catch (err) {
+    if (err.code === "CASE_CLOSURE_BLOCKED") {
+      return json.errorResponse(
+        res,
+        { message: err.message, code: err.code, blockers: err.blockers },
+        409,
+      );
+    }
+    console.error("Failed to close case:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to close case";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
 o.deleteCase = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -678,6 +922,10 @@ o.deleteCase = async (req, res, next) => {
     });
 
     await Case.findByIdAndDelete(id);
+    await CaseMember.deleteMany({ case: id });
+    await ClientProfile.deleteMany({ case: id });
+    await TreatmentPlan.deleteMany({ case: id });
+    await Appointment.deleteMany({ case: id });
 
     return json.successResponse(
       res,
@@ -696,4 +944,283 @@ o.deleteCase = async (req, res, next) => {
   }
 };
 
+o.getCaseMembers = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+
+    const caseData = await Case.findById(caseId).populate(
+      "assignedTo",
+      "name email role",
+    );
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
+      return json.errorResponse(res, "You don't have access to this case", 403);
+    }
+
+    const members = await CaseMember.find({ case: caseId })
+      .populate("user", "name email role")
+      .populate("addedBy", "name email")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return json.successResponse(
+      res,
+      {
+        message: "Case members fetched successfully",
+        keyName: "members",
+        data: [
+          { user: caseData.assignedTo, role: "owner", lead: true },
+          ...members,
+        ],
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch case members:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch case members";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.addCaseMember = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+    const { userId, role = "contributor" } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return json.errorResponse(res, "A valid userId is required", 400);
+    }
+    if (!CaseAccessService.memberRoles.includes(role)) {
+      return json.errorResponse(
+        res,
+        `Invalid role. Must be one of: ${CaseAccessService.memberRoles.join(", ")}`,
+        400,
+      );
+    }
+
+    const caseData = await Case.findById(caseId);
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    if (await CaseAccessService.isReadOnly(caseData)) {
+      return json.errorResponse(res, CLOSED_CASE_MESSAGE, 409);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await canManageMembers(user, caseData))) {
+      return json.errorResponse(
+        res,
+        "Only the case owner can manage members",
+        403,
+      );
+    }
+
+    const memberUser = await User.findById(userId);
+    if (!memberUser || memberUser.active === false) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+    if (caseData.assignedTo.toString() === userId.toString()) {
+      return json.errorResponse(
+        res,
+        "This user is already the lead practitioner on the case",
+        409,
+      );
+    }
+
+    const existing = await CaseMember.findOne({ case: caseId, user: userId });
+    if (existing) {
+      return json.errorResponse(res, "User is already a case member", 409);
+    }
+
+    const member = new CaseMember({
+      case: caseId,
+      user: userId,
+      role,
+      addedBy: user._id,
+    });
+    await member.save();
+
+    await AuditLogService.createLog({
+      user,
+      action: "MEMBER_ADD",
+      actionCategory: "CASE",
+      resourceType: "CaseMember",
+      resourceId: member._id,
+      caseId,
+      details: {
+        memberEmail: memberUser.email,
+        role,
+      },
+      req,
+    });
+
+    await member.populate("user", "name email role");
+
+    return json.successResponse(
+      res,
+      {
+        message: "Case member added successfully",
+        keyName: "member",
+        data: member,
+      },
+      201,
+    );
+  } catch (err) {
+    console.error("Failed to add case member:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to add case member";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.updateCaseMember = async (req, res, next) => {
+  try {
+    const { caseId, userId } = req.params;
+    const { role } = req.body;
+
+    if (!CaseAccessService.memberRoles.includes(role)) {
+      return json.errorResponse(
+        res,
+        `Invalid role. Must be one of: ${CaseAccessService.memberRoles.join(", ")}`,
+        400,
+      );
+    }
+
+    const caseData = await Case.findById(caseId);
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    if (await CaseAccessService.isReadOnly(caseData)) {
+      return json.errorResponse(res, CLOSED_CASE_MESSAGE, 409);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await canManageMembers(user, caseData))) {
+      return json.errorResponse(
+        res,
+        "Only the case owner can manage members",
+        403,
+      );
+    }
+
+    const member = await CaseMember.findOne({ case: caseId, user: userId });
+    if (!member) {
+      return json.errorResponse(res, "Case member not found", 404);
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    await member.save();
+
+    await AuditLogService.createLog({
+      user,
+      action: "MEMBER_UPDATE",
+      actionCategory: "CASE",
+      resourceType: "CaseMember",
+      resourceId: member._id,
+      caseId,
+      details: {
+        memberUserId: userId,
+        previousRole,
+        newRole: role,
+      },
+      req,
+    });
+
+    await member.populate("user", "name email role");
+
+    return json.successResponse(
+      res,
+      {
+        message: "Case member updated successfully",
+        keyName: "member",
+        data: member,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update case member:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update case member";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.removeCaseMember = async (req, res, next) => {
+  try {
+    const { caseId, userId } = req.params;
+
+    if (
+      !mongoose.Types.ObjectId.isValid(caseId) ||
+      !mongoose.Types.ObjectId.isValid(userId)
+    ) {
+      return json.errorResponse(res, "Invalid ID", 400);
+    }
+
+    const caseData = await Case.findById(caseId);
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    if (await CaseAccessService.isReadOnly(caseData)) {
+      return json.errorResponse(res, CLOSED_CASE_MESSAGE, 409);
+    }
+
+    // Members may leave a case themselves
+    const user = await User.findById(req.decoded._id);
+    const isSelf = user._id.toString() === userId.toString();
+    if (!isSelf && !(await canManageMembers(user, caseData))) {
+      return json.errorResponse(
+        res,
+        "Only the case owner can manage members",
+        403,
+      );
+    }
+
+    const member = await CaseMember.findOneAndDelete({
+      case: caseId,
+      user: userId,
+    });
+    if (!member) {
+      return json.errorResponse(res, "Case member not found", 404);
+    }
+
+    await AuditLogService.createLog({
+      user,
+      action: "MEMBER_REMOVE",
+      actionCategory: "CASE",
+      resourceType: "CaseMember",
+      resourceId: member._id,
+      caseId,
+      details: {
+        memberUserId: userId,
+        role: member.role,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Case member removed successfully",
+        keyName: "data",
+        data: { caseId, userId },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to remove case member:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to remove case member";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
 module.exports = o;
@@ -6,6 +6,7 @@ const Case = mongoose.model("Case");
 const Session = mongoose.model("Session");
 
 const json = require("../../../Traits/ApiResponser");
+const CaseAccessService = require("../../../Services/CaseAccessService");
 
 let o = {};
 
@@ -17,6 +18,7 @@ o.createTimelineEntry = async (
   eventDate,
   performedBy,
   eventDescription = null,
+  organisationId = null,
 ) => {
   try {
     const timelineEntry = {
@@ -26,6 +28,8 @@ o.createTimelineEntry = async (
       performedBy,
       eventDescription,
     };
+    // Callers outside a tenant context name the case's organisation
+    if (organisationId) timelineEntry.organisation = organisationId;
 
     // Set the appropriate reference based on event type
     if (eventType === "session") {
@@ -66,10 +70,7 @@ o.getCaseTimeline = async (req, res, next) => {
     }
 
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -126,7 +127,12 @@ o.getCaseTimeline = async (req, res, next) => {
 
     // Filter by event type if provided
     if (eventType) {
-      const validTypes = ["session", "file_upload", "timeline_summary"];
+      const validTypes = [
+        "session",
+        "file_upload",
+        "timeline_summary",
+        "status_change",
+      ];
       const types = eventType.split(",").filter((t) => validTypes.includes(t));
       if (types.length > 0) {
         filter.eventType = { $in: types };
@@ -200,6 +206,8 @@ o.getCaseTimeline = async (req, res, next) => {
             .length,
           summaries: timeline.filter((t) => t.eventType === "timeline_summary")
             .length,
+          statusChanges: timeline.filter((t) => t.eventType === "status_change")
+            .length,
         },
       },
       200,
@@ -224,10 +232,7 @@ o.deleteTimelineEntry = async (req, res, next) => {
 
     // Check if user has access
     const user = await mongoose.model("User").findById(userId);
-    if (
-      timelineEntry.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, timelineEntry.case, "manage"))) {
       return json.errorResponse(
         res,
         "You don't have access to this timeline entry",
@@ -0,0 +1,112 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Case = mongoose.model("Case");
+const User = mongoose.model("User");
+
+const json = require("../../../Traits/ApiResponser");
+const AuditLogService = require("../../../Services/AuditLogService");
+const CaseAccessService = require("../../../Services/CaseAccessService");
+const ClientProfileService = require("../../../Services/ClientProfileService");
+
+let o = {};
+
+o.getClientProfile = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(caseId)) {
+      return json.errorResponse(res, "Invalid case ID", 400);
+    }
+
+    const caseData = await Case.findById(caseId);
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
+      return json.errorResponse(res, "You don't have access to this case", 403);
+    }
+
+    const profile = await ClientProfileService.getForCase(caseId);
+    if (profile) {
+      await profile.populate("updatedBy", "name email").execPopulate();
+    }
+
+    return json.successResponse(
+      res,
+      {
+        message: "Client profile fetched successfully",
+        keyName: "clientProfile",
+        data: {
+          profile,
+          // Which fields identify the client, for the UI to flag
+          phiFields: ClientProfileService.phiPaths,
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch client profile:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch client profile";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Create or update; only the fields sent are changed
+o.updateClientProfile = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(caseId)) {
+      return json.errorResponse(res, "Invalid case ID", 400);
+    }
+
+    const caseData = await Case.findById(caseId);
+    if (!caseData) {
+      return json.errorResponse(res, "Case not found", 404);
+    }
+
+    const user = await User.findById(req.decoded._id);
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
+      return json.errorResponse(res, "You don't have access to this case", 403);
+    }
+
+    const { profile, changedFields } = await ClientProfileService.upsert(
+      caseData,
+      req.body,
+      user,
+    );
+
+    // Field names only; the values are PHI
+    await AuditLogService.createLog({
+      user,
+      action: "CLIENT_PROFILE_UPDATE",
+      actionCategory: "CASE",
+      resourceType: "ClientProfile",
+      resourceId: profile._id,
+      caseId: caseData._id,
+      details: { changedFields },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Client profile saved successfully",
+        keyName: "profile",
+        data: profile,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to save client profile:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to save client profile";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+module.exports = o;
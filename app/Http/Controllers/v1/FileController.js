@@ -8,6 +8,7 @@ const s3Service = require("../../../Services/S3Service");
 const timelineCtrl = require("./CaseTimelineController");
 
 const json = require("../../../Traits/ApiResponser");
+const CaseAccessService = require("../../../Services/CaseAccessService");
 const AuditLogService = require("../../../Services/AuditLogService");
 
 let o = {};
@@ -35,10 +36,7 @@ o.uploadFile = async (req, res, next) => {
     }
 
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -53,6 +51,7 @@ o.uploadFile = async (req, res, next) => {
 
     // Create file record in database
     const newFile = new File({
+      organisation: caseData.organisation,
       case: caseId,
       fileName: file.originalname,
       fileUrl: uploadResult.url,
@@ -79,6 +78,7 @@ o.uploadFile = async (req, res, next) => {
         new Date(),
         userId,
         `File uploaded: ${file.originalname}`,
+        caseData.organisation,
       );
     } catch (timelineErr) {
       console.error("Failed to create timeline entry:", timelineErr);
@@ -119,7 +119,7 @@ o.uploadFile = async (req, res, next) => {
     console.error("Failed to upload file:", err);
     const errorMessage =
       err.message || err.toString() || "Failed to upload file";
-    return json.errorResponse(res, errorMessage, 500);
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
   }
 };
 
@@ -136,10 +136,7 @@ o.getFilesByCase = async (req, res, next) => {
     }
 
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -187,10 +184,7 @@ o.getFileById = async (req, res, next) => {
 
     // Check if user has access
     const user = await mongoose.model("User").findById(userId);
-    if (
-      file.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, file.case, "read"))) {
       return json.errorResponse(res, "You don't have access to this file", 403);
     }
 
@@ -227,10 +221,7 @@ o.getPresignedFileUrl = async (req, res, next) => {
 
     // Access check
     const user = await mongoose.model("User").findById(userId);
-    if (
-      file.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, file.case, "read"))) {
       return json.errorResponse(res, "You don't have access to this file", 403);
     }
 
@@ -291,10 +282,7 @@ o.deleteFile = async (req, res, next) => {
 
     // Check if user has access
     const user = await mongoose.model("User").findById(userId);
-    if (
-      file.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, file.case, "manage"))) {
       return json.errorResponse(res, "You don't have access to this file", 403);
     }
 
@@ -0,0 +1,465 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Organisation = mongoose.model("Organisation");
+const User = mongoose.model("User");
+const SsoConnection = mongoose.model("SsoConnection");
+
+const json = require("../../../Traits/ApiResponser");
+const AuditLogService = require("../../../Services/AuditLogService");
+const OrganisationService = require("../../../Services/OrganisationService");
+const SsoService = require("../../../Services/SsoService");
+const PasswordPolicyService = require("../../../Services/PasswordPolicyService");
+
+// Fields an admin may set on the SSO connection; clientSecret is write-only
+const SSO_FIELDS = [
+  "enabled",
+  "issuer",
+  "clientId",
+  "clientSecret",
+  "scopes",
+  "emailDomains",
+  "enforced",
+  "jitProvisioning",
+  "groupsClaim",
+  "roleMappings",
+  "defaultRole",
+];
+
+const presentSsoConnection = (connection) => {
+  if (!connection) return null;
+  const data = connection.toObject();
+  data.hasClientSecret = Boolean(data.clientSecret);
+  delete data.clientSecret;
+  return data;
+};
+
+let o = {};
+
+// Platform: list every organisation with its user count
+o.getAllOrganisations = async (req, res, next) => {
+  try {
+    const organisations = await Organisation.find().sort({ name: 1 }).lean();
+
+    // Naming the organisation in the filter bypasses the tenant scope
+    const data = await Promise.all(
+      organisations.map(async (organisation) => ({
+        ...organisation,
+        usersCount: await User.countDocuments({
+          organisation: organisation._id,
+        }),
+      })),
+    );
+
+    return json.successResponse(
+      res,
+      {
+        message: "Organisations fetched successfully",
+        keyName: "organisations",
+        data,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch organisations:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch organisations";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Platform: create an organisation, optionally with its first admin
+o.createOrganisation = async (req, res, next) => {
+  try {
+    const { name, slug, contactEmail, admin } = req.body;
+
+    if (!name) {
+      return json.errorResponse(res, "name is required", 400);
+    }
+
+    const organisationSlug = OrganisationService.slugify(slug || name);
+    if (!organisationSlug) {
+      return json.errorResponse(res, "A valid slug is required", 400);
+    }
+
+    const existing = await Organisation.findOne({ slug: organisationSlug });
+    if (existing) {
+      return json.errorResponse(
+        res,
+        "An organisation with this slug already exists",
+        409,
+      );
+    }
+
+    if (admin) {
+      if (!admin.name || !admin.email || !admin.password) {
+        return json.errorResponse(
+          res,
+          "admin.name, admin.email and admin.password are required",
+          400,
+        );
+      }
+      const existingUser = await User.findOne({
+        email: admin.email,
+      }).setOptions({ skipTenant: true });
+      if (existingUser) {
+        return json.errorResponse(
+          res,
+          "User with this email already exists",
+          400,
+        );
+      }
+
+      // The new organisation has no overrides yet, so its policy is the default
+      const passwordErrors = await PasswordPolicyService.check(admin.password, {
+        name: admin.name,
+        email: admin.email,
+      });
+      if (passwordErrors.length) {
+        return json.errorResponse(
+          res,
+          PasswordPolicyService.toError(passwordErrors),
+          400,
+        );
+      }
+    }
+
+    const organisation = new Organisation({
+      name,
+      slug: organisationSlug,
+      contactEmail,
+      createdBy: req.user._id,
+    });
+    await organisation.save();
+
+    let adminUser = null;
+    if (admin) {
+      adminUser = new User({
+        name: admin.name,
+        email: admin.email,
+        password: await PasswordPolicyService.hash(admin.password),
+        password_changed_at: new Date(),
+        role: "admin",
+        active: true,
+        organisation: organisation._id,
+      });
+      await adminUser.save();
+    }
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "ORGANISATION_CREATE",
+      actionCategory: "ADMIN",
+      resourceType: "Organisation",
+      resourceId: organisation._id,
+      details: {
+        name: organisation.name,
+        slug: organisation.slug,
+        adminEmail: adminUser ? adminUser.email : null,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Organisation created successfully",
+        keyName: "organisation",
+        data: {
+          ...organisation.toObject(),
+          admin: adminUser
+            ? { _id: adminUser._id, name: adminUser.name, email: adminUser.email }
+            : null,
+        },
+      },
+      201,
+    );
+  } catch (err) {
+    console.error("Failed to create organisation:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to create organisation";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Platform: rename, re-contact or disable an organisation
+o.updateOrganisation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, contactEmail, active } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return json.errorResponse(res, "Invalid organisation ID", 400);
+    }
+    if (active !== undefined && typeof active !== "boolean") {
+      return json.errorResponse(
+        res,
+        "Active parameter must be a boolean (true/false)",
+        400,
+      );
+    }
+
+    const organisation = await Organisation.findById(id);
+    if (!organisation) {
+      return json.errorResponse(res, "Organisation not found", 404);
+    }
+
+    if (
+      active === false &&
+      req.user.organisation &&
+      req.user.organisation.toString() === id
+    ) {
+      return json.errorResponse(
+        res,
+        "You cannot disable your own organisation",
+        400,
+      );
+    }
+
+    if (name) organisation.name = name;
+    if (contactEmail !== undefined) organisation.contactEmail = contactEmail;
+    if (active !== undefined) organisation.active = active;
+    await organisation.save();
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "ORGANISATION_UPDATE",
+      actionCategory: "ADMIN",
+      resourceType: "Organisation",
+      resourceId: organisation._id,
+      details: {
+        updatedFields: Object.keys(req.body),
+        active: organisation.active,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Organisation updated successfully",
+        keyName: "organisation",
+        data: organisation,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update organisation:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update organisation";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// The organisation the current request runs in
+o.getCurrentOrganisation = async (req, res, next) => {
+  try {
+    const organisation = req.organisationId
+      ? await Organisation.findById(req.organisationId)
+      : null;
+    if (!organisation) {
+      return json.errorResponse(res, "Organisation not found", 404);
+    }
+
+    return json.successResponse(
+      res,
+      {
+        message: "Organisation fetched successfully",
+        keyName: "organisation",
+        data: organisation,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch organisation:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch organisation";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Organisation admin: update their own organisation's details
+o.updateCurrentOrganisation = async (req, res, next) => {
+  try {
+    const { name, contactEmail } = req.body;
+
+    const organisation = req.organisationId
+      ? await Organisation.findById(req.organisationId)
+      : null;
+    if (!organisation) {
+      return json.errorResponse(res, "Organisation not found", 404);
+    }
+
+    if (name) organisation.name = name;
+    if (contactEmail !== undefined) organisation.contactEmail = contactEmail;
+    await organisation.save();
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "ORGANISATION_UPDATE",
+      actionCategory: "ADMIN",
+      resourceType: "Organisation",
+      resourceId: organisation._id,
+      details: {
+        updatedFields: Object.keys(req.body),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Organisation updated successfully",
+        keyName: "organisation",
+        data: organisation,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update organisation:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update organisation";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Organisation admin: the OpenID Connect identity provider, if any
+o.getSsoConnection = async (req, res, next) => {
+  try {
+    const connection = await SsoConnection.findOne({
+      organisation: req.organisationId,
+    }).select("+clientSecret");
+
+    return json.successResponse(
+      res,
+      {
+        message: "Single sign-on settings fetched successfully",
+        keyName: "sso",
+        data: {
+          connection: presentSsoConnection(connection),
+          redirectUri: SsoService.redirectUri,
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch single sign-on settings:", err);
+    const errorMessage =
+      err.message ||
+      err.toString() ||
+      "Failed to fetch single sign-on settings";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Organisation admin: create or update the identity provider
+o.updateSsoConnection = async (req, res, next) => {
+  try {
+    if (!req.organisationId) {
+      return json.errorResponse(res, "Organisation not found", 404);
+    }
+
+    const updates = {};
+    SSO_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (updates.emailDomains) {
+      updates.emailDomains = updates.emailDomains.map((domain) =>
+        String(domain).toLowerCase().trim(),
+      );
+    }
+    SsoService.validate(updates, req.user);
+
+    // A domain can only route to one organisation's provider
+    if (updates.emailDomains && updates.emailDomains.length) {
+      const clash = await SsoConnection.findOne({
+        organisation: { $ne: req.organisationId },
+        emailDomains: { $in: updates.emailDomains },
+      }).setOptions({ skipTenant: true });
+      if (clash) {
+        return json.errorResponse(
+          res,
+          "One of these email domains is already used by another organisation",
+          409,
+        );
+      }
+    }
+
+    let connection = await SsoConnection.findOne({
+      organisation: req.organisationId,
+    }).select("+clientSecret");
+    if (!connection) {
+      if (!updates.issuer || !updates.clientId) {
+        return json.errorResponse(res, "issuer and clientId are required", 400);
+      }
+      connection = new SsoConnection({ organisation: req.organisationId });
+    }
+
+    // Whoever points the connection at a provider vouches for its identities
+    if (
+      connection.isNew ||
+      (updates.issuer !== undefined && updates.issuer !== connection.issuer) ||
+      (updates.clientId !== undefined &&
+        updates.clientId !== connection.clientId)
+    ) {
+      connection.configuredBy = req.user._id;
+    }
+    connection.set(updates);
+    connection.updatedBy = req.user._id;
+
+    // Check the provider is reachable before anyone depends on it
+    if (connection.enabled) {
+      try {
+        await SsoService.getDiscovery(connection.issuer);
+      } catch (err) {
+        return json.errorResponse(
+          res,
+          `Could not load the identity provider configuration: ${err.message}`,
+          400,
+        );
+      }
+    }
+
+    await connection.save();
+
+    const changedFields = Object.keys(updates);
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "SSO_CONNECTION_UPDATE",
+      actionCategory: "ADMIN",
+      resourceType: "Organisation",
+      resourceId: req.organisationId,
+      details: {
+        updatedFields: changedFields,
+        ...Object.fromEntries(
+          changedFields
+            .filter((field) => field !== "clientSecret")
+            .map((field) => [field, updates[field]]),
+        ),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Single sign-on settings updated successfully",
+        keyName: "sso",
+        data: {
+          connection: presentSsoConnection(connection),
+          redirectUri: SsoService.redirectUri,
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update single sign-on settings:", err);
+    const errorMessage =
+      err.message ||
+      err.toString() ||
+      "Failed to update single sign-on settings";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+module.exports = o;
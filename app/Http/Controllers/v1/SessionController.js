@@ -10,7 +10,11 @@ const timelineCtrl = require("./CaseTimelineController");
 const s3Service = require("../../../Services/S3Service");
 
 const json = require("../../../Traits/ApiResponser");
+const CaseAccessService = require("../../../Services/CaseAccessService");
 const AuditLogService = require("../../../Services/AuditLogService");
+const UserSettingsService = require("../../../Services/UserSettingsService");
+const AppointmentService = require("../../../Services/AppointmentService");
+const BatchTranscriptionService = require("../../../Services/BatchTranscriptionService");
 
 let o = {};
 
@@ -18,13 +22,29 @@ o.createSession = async (req, res, next) => {
   try {
     const { _id: userId } = req.decoded;
     const {
-      caseId,
       sessionDate,
       language,
       piiMaskingEnabled,
       consentGiven,
       consentTimestamp,
+      appointmentId,
     } = req.body;
+    let { caseId } = req.body;
+
+    // A session started from an appointment takes the appointment's case
+    if (!caseId && appointmentId) {
+      if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+        return json.errorResponse(res, "Invalid appointment ID", 400);
+      }
+      const scheduled = await mongoose
+        .model("Appointment")
+        .findById(appointmentId)
+        .select("case");
+      if (!scheduled) {
+        return json.errorResponse(res, "Appointment not found", 404);
+      }
+      caseId = scheduled.case;
+    }
 
     // Validate required fields
     if (!caseId) {
@@ -39,10 +59,7 @@ o.createSession = async (req, res, next) => {
 
     // Check if user is assigned to this case or is admin
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -53,21 +70,53 @@ o.createSession = async (req, res, next) => {
 
     const sessionNumber = lastSession ? lastSession.sessionNumber + 1 : 1;
 
+    // Anything not chosen for this session comes from the practitioner's settings
+    const settings = await UserSettingsService.getForUser(user);
+    const sessionLanguage = language || settings.defaultLanguage;
+    const enabledLanguages = await UserSettingsService.getEnabledLanguages(user);
+    if (!enabledLanguages.includes(sessionLanguage)) {
+      return json.errorResponse(
+        res,
+        `language must be one of: ${enabledLanguages.join(", ")}`,
+        400,
+      );
+    }
+
+    // Claiming the appointment links it to the session about to be created
+    const sessionId = new mongoose.Types.ObjectId();
+    const appointment = appointmentId
+      ? await AppointmentService.claimForSession(
+          appointmentId,
+          caseId,
+          sessionId,
+          user,
+        )
+      : null;
+
     // Create the session
     const newSession = new Session({
+      _id: sessionId,
       case: caseId,
       sessionNumber,
-      sessionDate: sessionDate || new Date(),
-      language: language || "english",
+      sessionDate:
+        sessionDate || (appointment ? appointment.startAt : new Date()),
+      language: sessionLanguage,
       piiMaskingEnabled:
-        piiMaskingEnabled !== undefined ? piiMaskingEnabled : true,
+        piiMaskingEnabled !== undefined
+          ? piiMaskingEnabled
+          : settings.piiMaskingEnabled && sessionLanguage === "english",
       consentGiven: consentGiven || false,
       consentTimestamp: consentGiven ? consentTimestamp || new Date() : null,
       createdBy: userId,
       status: "Created",
     });
 
-    await newSession.save();
+    try {
+      await newSession.save();
+    } catch (saveErr) {
+      if (appointment) await AppointmentService.releaseClaim(appointment);
+      throw saveErr;
+    }
 
     // Update case session count
     caseData.sessionsCount = (caseData.sessionsCount || 0) + 1;
@@ -88,7 +137,9 @@ o.createSession = async (req, res, next) => {
         newSession._id,
         newSession.sessionDate,
         userId,
-        `Session ${sessionNumber} created`,
+        appointment
+          ? `Session ${sessionNumber} created from scheduled appointment`
+          : `Session ${sessionNumber} created`,
       );
     } catch (timelineErr) {
       console.error("Failed to create timeline entry:", timelineErr);
@@ -105,6 +156,7 @@ o.createSession = async (req, res, next) => {
       details: {
         sessionNumber: newSession.sessionNumber,
         sessionDate: newSession.sessionDate,
+        appointmentId: appointment ? appointment._id : undefined,
       },
       req,
     });
@@ -122,7 +174,7 @@ o.createSession = async (req, res, next) => {
     console.error("Failed to create session:", err);
     const errorMessage =
       err.message || err.toString() || "Failed to create session";
-    return json.errorResponse(res, errorMessage, 500);
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
   }
 };
 
@@ -149,10 +201,7 @@ o.updateSession = async (req, res, next) => {
     // Check if user has access to this session
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(
         res,
         "You don't have access to this session",
@@ -242,10 +291,7 @@ o.startRecording = async (req, res, next) => {
     // Check if user has access
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(
         res,
         "You don't have access to this session",
@@ -314,10 +360,7 @@ o.stopRecording = async (req, res, next) => {
     // Check if user has access
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(
         res,
         "You don't have access to this session",
@@ -325,11 +368,14 @@ o.stopRecording = async (req, res, next) => {
       );
     }
 
-    // Only update duration and file size - audioUrl and audioS3Key are set by uploadRecording
-    if (audioFileSizeBytes !== undefined)
-      session.audioFileSizeBytes = audioFileSizeBytes;
-    if (durationSeconds !== undefined)
-      session.durationSeconds = durationSeconds;
+    // Only update duration and file size - audioUrl and audioS3Key are set by uploadRecording.
+    // A server-side live recording already carries its own measurements.
+    if (session.recordingSource !== "live") {
+      if (audioFileSizeBytes !== undefined)
+        session.audioFileSizeBytes = audioFileSizeBytes;
+      if (durationSeconds !== undefined)
+        session.durationSeconds = durationSeconds;
+    }
     session.status = "Processing";
     await session.save();
 
@@ -393,10 +439,7 @@ o.getSessionsByCase = async (req, res, next) => {
     }
 
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -438,10 +481,10 @@ o.getRecentSessions = async (req, res, next) => {
     const { _id: userId } = req.decoded;
     const { limit = 5 } = req.query;
 
-    // Find cases assigned to this user
-    const cases = await Case.find({ assignedTo: userId }).select(
-      "_id displayName status",
-    );
+    // Find cases this user leads or is a member of
+    const cases = await Case.find(
+      await CaseAccessService.buildMemberCaseFilter(userId),
+    ).select("_id displayName status");
     const caseIds = cases.map((c) => c._id);
 
     if (!caseIds.length) {
@@ -498,9 +541,8 @@ o.getSessionById = async (req, res, next) => {
     const caseData = await Case.findById(session.case._id);
     const user = await mongoose.model("User").findById(userId);
     if (
-      caseData.assignedTo.toString() !== userId.toString() &&
       session.createdBy._id.toString() !== userId.toString() &&
-      user.role !== "admin"
+      !(await CaseAccessService.canAccess(user, caseData, "read"))
     ) {
       return json.errorResponse(
         res,
@@ -539,10 +581,7 @@ o.deleteSession = async (req, res, next) => {
     // Check if user has access
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "manage"))) {
       return json.errorResponse(
         res,
         "You don't have access to this session",
@@ -613,10 +652,7 @@ o.uploadRecording = async (req, res, next) => {
     // Check if user has access
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(
         res,
         "You don't have access to this session",
@@ -624,6 +660,20 @@ o.uploadRecording = async (req, res, next) => {
       );
     }
 
+    // The server recorded the audio it transcribed live; keep that copy
+    if (session.recordingSource === "live") {
+      return json.successResponse(
+        res,
+        {
+          message: "Session already has a recording from live transcription",
+          keyName: "session",
+          data: session,
+          audioUrl: session.audioUrl,
+        },
+        200,
+      );
+    }
+
     // Check if file was uploaded
     if (!req.file) {
       return json.errorResponse(res, "No audio file provided", 400);
@@ -649,7 +699,18 @@ o.uploadRecording = async (req, res, next) => {
       session.audioS3Key = s3Response.key;
       session.audioFileSizeBytes = audioFileSizeBytes || req.file.size;
       session.durationSeconds = durationSeconds || 0;
-      session.status = "Processing";
+      session.recordingSource = "upload";
+
+      // Live sessions already have a transcript; offline recordings are
+      // transcribed in the background if the provider can read them
+      const hasTranscript = await mongoose
+        .model("Transcript")
+        .exists({ session: session._id });
+      const transcriptionQueued =
+        !hasTranscript &&
+        (await BatchTranscriptionService.canTranscribe(session));
+      session.status =
+        hasTranscript || transcriptionQueued ? "Processing" : "Ready";
 
       console.log("[uploadRecording] before save:", {
         sessionId: session._id,
@@ -667,6 +728,10 @@ o.uploadRecording = async (req, res, next) => {
         audioS3Key: session.audioS3Key,
       });
 
+      if (transcriptionQueued) {
+        await BatchTranscriptionService.enqueue(session, user);
+      }
+
       await session.populate([
         { path: "case", select: "displayName status" },
         { path: "createdBy", select: "-password" },
@@ -685,6 +750,7 @@ o.uploadRecording = async (req, res, next) => {
           audioUrl: session.audioUrl,
           audioFileSizeBytes: session.audioFileSizeBytes,
           durationSeconds: session.durationSeconds,
+          transcriptionQueued,
         },
         req,
       });
@@ -693,6 +759,11 @@ o.uploadRecording = async (req, res, next) => {
         res,
         {
           message: "Recording uploaded successfully",
+          ...(!hasTranscript &&
+            !transcriptionQueued && {
+              userMessage:
+                "The recording was saved, but it is in a format that cannot be transcribed",
+            }),
           keyName: "session",
           data: session,
           audioUrl: s3Response.url,
@@ -704,7 +775,7 @@ o.uploadRecording = async (req, res, next) => {
       return json.errorResponse(
         res,
         `Failed to upload recording: ${s3Error.message}`,
-        500,
+        s3Error.statusCode || 500,
       );
     }
   } catch (err) {
@@ -715,6 +786,79 @@ o.uploadRecording = async (req, res, next) => {
   }
 };
 
+// Queue the uploaded recording for transcription again, e.g. after an
+// error; replaceExisting is needed to overwrite a transcript
+o.transcribeRecording = async (req, res, next) => {
+  try {
+    const { _id: userId } = req.decoded;
+    const { id } = req.params;
+    const { replaceExisting } = req.body;
+
+    const session = await Session.findById(id);
+    if (!session) {
+      return json.errorResponse(res, "Session not found", 404);
+    }
+
+    const caseData = await Case.findById(session.case);
+    const user = await mongoose.model("User").findById(userId);
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
+      return json.errorResponse(
+        res,
+        "You don't have access to this session",
+        403,
+      );
+    }
+
+    const transcript = await mongoose
+      .model("Transcript")
+      .findOne({ session: session._id })
+      .select("status");
+    if (transcript && transcript.status === "Approved") {
+      return json.errorResponse(
+        res,
+        "The session's transcript has been approved and cannot be replaced",
+        409,
+      );
+    }
+    if (transcript && replaceExisting !== true) {
+      return json.errorResponse(
+        res,
+        "The session already has a transcript. Send replaceExisting: true to replace it.",
+        409,
+      );
+    }
+
+    await BatchTranscriptionService.enqueue(session, user);
+
+    await AuditLogService.createLog({
+      user,
+      action: "QUEUE_TRANSCRIPTION",
+      actionCategory: "SESSION",
+      resourceType: "Session",
+      resourceId: session._id,
+      caseId: session.case,
+      sessionId: session._id,
+      details: { replaceExisting: !!transcript },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Recording queued for transcription",
+        keyName: "session",
+        data: session,
+      },
+      202,
+    );
+  } catch (err) {
+    console.error("Failed to queue transcription:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to queue transcription";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
 // Get a fresh presigned URL for the session's audio file
 o.getPresignedAudioUrl = async (req, res, next) => {
   try {
@@ -734,10 +878,7 @@ o.getPresignedAudioUrl = async (req, res, next) => {
 
     // Access check: assigned practitioner or admin can fetch URL
     const user = await mongoose.model("User").findById(userId);
-    if (
-      session.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, session.case, "read"))) {
       console.warn(
         `[getPresignedAudioUrl] Access denied for user ${userId} to session ${id}`,
       );
@@ -7,9 +7,13 @@ const Case = mongoose.model("Case");
 const Transcript = mongoose.model("Transcript");
 
 const json = require("../../../Traits/ApiResponser");
+const CaseAccessService = require("../../../Services/CaseAccessService");
 const bedrockService = require("../../../Services/BedrockService");
 const DataRetentionService = require("../../../Services/DataRetentionService");
 const AuditLogService = require("../../../Services/AuditLogService");
+const UserSettingsService = require("../../../Services/UserSettingsService");
+const ClientProfileService = require("../../../Services/ClientProfileService");
+const TreatmentPlanService = require("../../../Services/TreatmentPlanService");
 
 let o = {};
 
@@ -19,7 +23,7 @@ const buildHttpError = (message, statusCode) => {
   return error;
 };
 
-const ensureSessionAccess = async (sessionId, userId) => {
+const ensureSessionAccess = async (sessionId, userId, level = "write") => {
   const session = await Session.findById(sessionId).populate("case");
   if (!session) {
     throw buildHttpError("Session not found", 404);
@@ -28,17 +32,11 @@ const ensureSessionAccess = async (sessionId, userId) => {
   const caseData = session.case;
   const user = await mongoose.model("User").findById(userId);
 
-  if (
-    caseData.assignedTo.toString() !== userId.toString() &&
-    user.role !== "admin"
-  ) {
-    throw buildHttpError(
-      "Access denied. You are not assigned to this case.",
-      403,
-    );
+  if (!(await CaseAccessService.canAccess(user, caseData, level))) {
+    throw buildHttpError("Access denied. You are not a member of this case.", 403);
   }
 
-  return { session, caseData };
+  return { session, caseData, user };
 };
 
 const createSoapNoteRecord = async ({
@@ -51,6 +49,7 @@ const createSoapNoteRecord = async ({
   aiModelVersion,
   piiMasked,
   maskingMetadata,
+  goalProgress,
 }) => {
   const lastSoapNote = await Soap.findOne({ session: session._id })
     .sort({ version: -1 })
@@ -68,6 +67,7 @@ const createSoapNoteRecord = async ({
     aiModelVersion,
     piiMasked: piiMasked !== undefined ? piiMasked : false,
     maskingMetadata,
+    goalProgress: goalProgress || [],
     status: "Draft",
   });
 
@@ -101,6 +101,7 @@ o.createSoapNote = async (req, res, next) => {
       aiModelVersion,
       piiMasked,
       maskingMetadata,
+      goalProgress,
     } = req.body;
 
     if (!sessionId || !framework || !content || !contentText) {
@@ -123,6 +124,10 @@ o.createSoapNote = async (req, res, next) => {
       aiModelVersion,
       piiMasked,
       maskingMetadata,
+      goalProgress: await TreatmentPlanService.validateGoalProgress(
+        caseData._id,
+        goalProgress || [],
+      ),
     });
 
     const user = await mongoose.model("User").findById(userId);
@@ -166,18 +171,27 @@ o.generateSoapNoteFromTranscript = async (req, res, next) => {
       sessionId,
       transcriptId,
       transcriptText,
-      framework = "SOAP",
       temperature,
       maxTokens,
       piiMasked,
       maskingMetadata,
+      goalProgress,
     } = req.body;
 
     if (!sessionId) {
       return json.errorResponse(res, "sessionId is required", 400);
     }
 
-    const { session, caseData } = await ensureSessionAccess(sessionId, userId);
+    const { session, caseData, user } = await ensureSessionAccess(
+      sessionId,
+      userId,
+    );
+    const settings = await UserSettingsService.getForUser(user);
+    const framework = req.body.framework || settings.noteFramework;
+    const validGoalProgress = await TreatmentPlanService.validateGoalProgress(
+      caseData._id,
+      goalProgress || [],
+    );
 
     let resolvedTranscript = transcriptText;
 
@@ -219,6 +233,9 @@ o.generateSoapNoteFromTranscript = async (req, res, next) => {
       caseName: caseData?.displayName || "Unknown Case",
       sessionDate: session.sessionDate,
       language: session.language || "english",
+      timezone: settings.timezone,
+      clientContext: await ClientProfileService.getPromptContext(caseData._id),
+      treatmentGoals: await TreatmentPlanService.getGoalsContext(caseData._id),
     });
 
     const soapNote = await createSoapNoteRecord({
@@ -232,9 +249,9 @@ o.generateSoapNoteFromTranscript = async (req, res, next) => {
       piiMasked:
         piiMasked !== undefined ? piiMasked : session.piiMaskingEnabled,
       maskingMetadata,
+      goalProgress: validGoalProgress,
     });
 
-    const user = await mongoose.model("User").findById(userId);
     await AuditLogService.createLog({
       user,
       action: "GENERATE",
@@ -277,8 +294,14 @@ o.updateSoapNote = async (req, res, next) => {
   try {
     const { _id: userId } = req.decoded;
     const { id } = req.params;
-    const { content, contentText, piiMasked, maskingMetadata, status } =
-      req.body;
+    const {
+      content,
+      contentText,
+      piiMasked,
+      maskingMetadata,
+      status,
+      goalProgress,
+    } = req.body;
 
     const soapNote = await Soap.findById(id).populate({
       path: "session",
@@ -289,6 +312,14 @@ o.updateSoapNote = async (req, res, next) => {
       return json.errorResponse(res, "SOAP note not found", 404);
     }
 
+    if (soapNote.locked) {
+      return json.errorResponse(
+        res,
+        "This SOAP note is locked because the case is closed",
+        400,
+      );
+    }
+
     // Check if note is locked (approved)
     if (soapNote.status === "Approved") {
       return json.errorResponse(
@@ -302,10 +333,7 @@ o.updateSoapNote = async (req, res, next) => {
     const caseData = soapNote.session.case;
     const user = await mongoose.model("User").findById(userId);
 
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(
         res,
         "Access denied. You are not assigned to this case.",
@@ -318,6 +346,12 @@ o.updateSoapNote = async (req, res, next) => {
     if (contentText) soapNote.contentText = contentText;
     if (piiMasked !== undefined) soapNote.piiMasked = piiMasked;
     if (maskingMetadata) soapNote.maskingMetadata = maskingMetadata;
+    if (goalProgress !== undefined) {
+      soapNote.goalProgress = await TreatmentPlanService.validateGoalProgress(
+        caseData._id,
+        goalProgress,
+      );
+    }
     if (status && ["Draft", "Reviewed"].includes(status)) {
       soapNote.status = status;
     }
@@ -388,10 +422,7 @@ o.approveSoapNote = async (req, res, next) => {
     const caseData = soapNote.session.case;
     const user = await mongoose.model("User").findById(userId);
 
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(
         res,
         "Access denied. You are not assigned to this case.",
@@ -478,10 +509,7 @@ o.getSoapNotesBySession = async (req, res, next) => {
     const caseData = session.case;
     const user = await mongoose.model("User").findById(userId);
 
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
       return json.errorResponse(
         res,
         "Access denied. You are not assigned to this case.",
@@ -550,10 +578,7 @@ o.getSoapNoteById = async (req, res, next) => {
     const caseData = soapNote.session.case;
     const user = await mongoose.model("User").findById(userId);
 
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
       return json.errorResponse(
         res,
         "Access denied. You are not assigned to this case.",
@@ -592,6 +617,14 @@ o.deleteSoapNote = async (req, res, next) => {
       return json.errorResponse(res, "SOAP note not found", 404);
     }
 
+    if (soapNote.locked) {
+      return json.errorResponse(
+        res,
+        "This SOAP note is locked because the case is closed",
+        400,
+      );
+    }
+
     // Check if note is approved
     if (soapNote.status === "Approved") {
       return json.errorResponse(
@@ -605,10 +638,7 @@ o.deleteSoapNote = async (req, res, next) => {
     const caseData = soapNote.session.case;
     const user = await mongoose.model("User").findById(userId);
 
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "manage"))) {
       return json.errorResponse(
         res,
         "Access denied. You are not assigned to this case.",
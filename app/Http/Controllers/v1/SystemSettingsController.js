@@ -0,0 +1,153 @@
+"use strict";
+
+const json = require("../../../Traits/ApiResponser");
+const AuditLogService = require("../../../Services/AuditLogService");
+const SystemSettingsService = require("../../../Services/SystemSettingsService");
+
+let o = {};
+
+// Every known setting for the current organisation, with defaults and bounds
+o.getSettings = async (req, res, next) => {
+  try {
+    const settings = await SystemSettingsService.list(req.organisationId);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Settings fetched successfully",
+        keyName: "settings",
+        data: settings,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch settings:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch settings";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.updateSetting = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    const { value } = req.body;
+
+    if (!SystemSettingsService.isKnownKey(key)) {
+      return json.errorResponse(res, `Unknown setting: ${key}`, 404);
+    }
+    if (value === undefined) {
+      return json.errorResponse(res, "value is required", 400);
+    }
+
+    const result = await SystemSettingsService.set(
+      key,
+      value,
+      req.user,
+      req.organisationId,
+    );
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "SETTING_UPDATE",
+      actionCategory: "ADMIN",
+      resourceType: "SystemSettings",
+      details: result,
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Setting updated successfully",
+        userMessage: "The setting has been saved",
+        keyName: "setting",
+        data: result,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update setting:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update setting";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// Drop the organisation's override so the default applies again
+o.resetSetting = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+
+    if (!SystemSettingsService.isKnownKey(key)) {
+      return json.errorResponse(res, `Unknown setting: ${key}`, 404);
+    }
+
+    const result = await SystemSettingsService.reset(
+      key,
+      req.user,
+      req.organisationId,
+    );
+    if (!result) {
+      return json.errorResponse(res, "Setting is already at its default", 400);
+    }
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "SETTING_RESET",
+      actionCategory: "ADMIN",
+      resourceType: "SystemSettings",
+      details: result,
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Setting reset successfully",
+        userMessage: "The setting has been reset to its default",
+        keyName: "setting",
+        data: result,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to reset setting:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to reset setting";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.getSettingsHistory = async (req, res, next) => {
+  try {
+    const { settingKey, page = 1, limit = 50 } = req.query;
+
+    const result = await SystemSettingsService.getHistory(
+      {
+        settingKey,
+        page: parseInt(page),
+        limit: parseInt(limit),
+      },
+      req.organisationId,
+    );
+
+    return json.successResponse(
+      res,
+      {
+        message: "Settings history fetched successfully",
+        keyName: "history",
+        data: result.history,
+        pagination: result.pagination,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch settings history:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch settings history";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+module.exports = o;
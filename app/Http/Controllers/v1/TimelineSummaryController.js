@@ -9,7 +9,11 @@ const caseTimelineCtrl = require("./CaseTimelineController");
 const bedrockService = require("../../../Services/BedrockService");
 
 const json = require("../../../Traits/ApiResponser");
+const CaseAccessService = require("../../../Services/CaseAccessService");
 const AuditLogService = require("../../../Services/AuditLogService");
+const UserSettingsService = require("../../../Services/UserSettingsService");
+const ClientProfileService = require("../../../Services/ClientProfileService");
+const TreatmentPlanService = require("../../../Services/TreatmentPlanService");
 
 let o = {};
 
@@ -49,10 +53,7 @@ o.createTimelineSummary = async (req, res, next) => {
     }
 
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -168,10 +169,7 @@ o.getTimelineSummariesByCase = async (req, res, next) => {
     }
 
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -225,10 +223,7 @@ o.getTimelineSummaryById = async (req, res, next) => {
 
     // Check if user has access
     const user = await mongoose.model("User").findById(userId);
-    if (
-      summary.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, summary.case, "read"))) {
       return json.errorResponse(
         res,
         "You don't have access to this timeline summary",
@@ -276,10 +271,7 @@ o.updateTimelineSummary = async (req, res, next) => {
 
     // Check if user has access
     const user = await mongoose.model("User").findById(userId);
-    if (
-      summary.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, summary.case, "write"))) {
       return json.errorResponse(
         res,
         "You don't have access to this timeline summary",
@@ -343,10 +335,7 @@ o.approveTimelineSummary = async (req, res, next) => {
 
     // Check if user has access
     const user = await mongoose.model("User").findById(userId);
-    if (
-      summary.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, summary.case, "write"))) {
       return json.errorResponse(
         res,
         "You don't have access to this timeline summary",
@@ -419,10 +408,7 @@ o.deleteTimelineSummary = async (req, res, next) => {
 
     // Check if user has access
     const user = await mongoose.model("User").findById(userId);
-    if (
-      summary.case.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, summary.case, "manage"))) {
       return json.errorResponse(
         res,
         "You don't have access to this timeline summary",
@@ -476,10 +462,7 @@ o.getCaseDataForSummary = async (req, res, next) => {
     }
 
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "read"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -612,10 +595,7 @@ o.generateTimelineSummaryWithAI = async (req, res, next) => {
     }
 
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(res, "You don't have access to this case", 403);
     }
 
@@ -701,6 +681,12 @@ o.generateTimelineSummaryWithAI = async (req, res, next) => {
       .sort({ version: -1 })
       .limit(1);
 
+    // Goal progress recorded in the period's notes
+    const goalProgress = await TreatmentPlanService.getProgressHistory(caseId, {
+      from: periodStart,
+      to: periodEnd,
+    });
+
     // Call Bedrock to generate summary
     console.log("[TimelineSummary AI] Generating summary with AWS Bedrock...");
     const aiGenerated = await bedrockService.generateTimelineSummary({
@@ -711,6 +697,9 @@ o.generateTimelineSummaryWithAI = async (req, res, next) => {
       existingSummaries,
       periodStart,
       periodEnd,
+      timezone: await UserSettingsService.getTimezone(req.decoded._id),
+      clientContext: await ClientProfileService.getPromptContext(caseId),
+      goalProgress: TreatmentPlanService.toProgressContext(goalProgress),
     });
 
     // Get the next version number for this case
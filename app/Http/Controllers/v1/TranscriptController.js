@@ -6,6 +6,7 @@ const Session = mongoose.model("Session");
 const Case = mongoose.model("Case");
 
 const json = require("../../../Traits/ApiResponser");
+const CaseAccessService = require("../../../Services/CaseAccessService");
 
 let o = {};
 
@@ -41,10 +42,7 @@ o.createTranscript = async (req, res, next) => {
     // Check if user has access to this session
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(
         res,
         "You don't have access to this session",
@@ -144,9 +142,8 @@ o.getTranscriptBySession = async (req, res, next) => {
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
     if (
-      caseData.assignedTo.toString() !== userId.toString() &&
       session.createdBy.toString() !== userId.toString() &&
-      user.role !== "admin"
+      !(await CaseAccessService.canAccess(user, caseData, "read"))
     ) {
       return json.errorResponse(
         res,
@@ -206,9 +203,8 @@ o.getTranscriptById = async (req, res, next) => {
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
     if (
-      caseData.assignedTo.toString() !== userId.toString() &&
       session.createdBy.toString() !== userId.toString() &&
-      user.role !== "admin"
+      !(await CaseAccessService.canAccess(user, caseData, "read"))
     ) {
       return json.errorResponse(
         res,
@@ -249,10 +245,7 @@ o.updateTranscript = async (req, res, next) => {
     const session = await Session.findById(transcript.session);
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "write"))) {
       return json.errorResponse(
         res,
         "You don't have access to this transcript",
@@ -333,10 +326,7 @@ o.deleteTranscript = async (req, res, next) => {
     const session = await Session.findById(transcript.session);
     const caseData = await Case.findById(session.case);
     const user = await mongoose.model("User").findById(userId);
-    if (
-      caseData.assignedTo.toString() !== userId.toString() &&
-      user.role !== "admin"
-    ) {
+    if (!(await CaseAccessService.canAccess(user, caseData, "manage"))) {
       return json.errorResponse(
         res,
         "You don't have access to this transcript",
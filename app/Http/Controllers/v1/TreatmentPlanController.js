@@ -0,0 +1,242 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Case = mongoose.model("Case");
+const User = mongoose.model("User");
+
+const json = require("../../../Traits/ApiResponser");
+const AuditLogService = require("../../../Services/AuditLogService");
+const CaseAccessService = require("../../../Services/CaseAccessService");
+const TreatmentPlanService = require("../../../Services/TreatmentPlanService");
+
+let o = {};
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ensureCaseAccess = async (caseId, userId, level) => {
+  if (!mongoose.Types.ObjectId.isValid(caseId)) {
+    throw buildHttpError("Invalid case ID", 400);
+  }
+
+  const caseData = await Case.findById(caseId);
+  if (!caseData) {
+    throw buildHttpError("Case not found", 404);
+  }
+
+  const user = await User.findById(userId);
+  if (!(await CaseAccessService.canAccess(user, caseData, level))) {
+    throw buildHttpError("You don't have access to this case", 403);
+  }
+
+  return { caseData, user };
+};
+
+o.getTreatmentPlan = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+    await ensureCaseAccess(caseId, req.decoded._id, "read");
+
+    const plan = await TreatmentPlanService.getForCase(caseId);
+    if (plan) {
+      await plan
+        .populate([
+          { path: "updatedBy", select: "name email" },
+          { path: "goals.createdBy", select: "name email" },
+        ])
+        .execPopulate();
+    }
+
+    return json.successResponse(
+      res,
+      {
+        message: "Treatment plan fetched successfully",
+        keyName: "treatmentPlan",
+        data: plan,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch treatment plan:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch treatment plan";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.updateTreatmentPlan = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+    const { summary, reviewDate } = req.body;
+    const { caseData, user } = await ensureCaseAccess(
+      caseId,
+      req.decoded._id,
+      "write",
+    );
+
+    const plan = await TreatmentPlanService.savePlan(
+      caseData,
+      { summary, reviewDate },
+      user,
+    );
+
+    await AuditLogService.createLog({
+      user,
+      action: "TREATMENT_PLAN_UPDATE",
+      actionCategory: "CASE",
+      resourceType: "TreatmentPlan",
+      resourceId: plan._id,
+      caseId: caseData._id,
+      details: { updatedFields: Object.keys(req.body) },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Treatment plan saved successfully",
+        keyName: "treatmentPlan",
+        data: plan,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to save treatment plan:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to save treatment plan";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.addGoal = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+    const { caseData, user } = await ensureCaseAccess(
+      caseId,
+      req.decoded._id,
+      "write",
+    );
+
+    const { plan, goal } = await TreatmentPlanService.addGoal(
+      caseData,
+      req.body,
+      user,
+    );
+
+    await AuditLogService.createLog({
+      user,
+      action: "TREATMENT_GOAL_CREATE",
+      actionCategory: "CASE",
+      resourceType: "TreatmentPlan",
+      resourceId: plan._id,
+      caseId: caseData._id,
+      details: { goalId: goal._id, title: goal.title },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Goal added successfully",
+        keyName: "goal",
+        data: goal,
+      },
+      201,
+    );
+  } catch (err) {
+    console.error("Failed to add goal:", err);
+    const errorMessage = err.message || err.toString() || "Failed to add goal";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// Goals are achieved or discontinued through status, never deleted
+o.updateGoal = async (req, res, next) => {
+  try {
+    const { caseId, goalId } = req.params;
+    const { caseData, user } = await ensureCaseAccess(
+      caseId,
+      req.decoded._id,
+      "write",
+    );
+
+    const { plan, goal, changedFields } =
+      await TreatmentPlanService.updateGoal(caseData, goalId, req.body, user);
+
+    await AuditLogService.createLog({
+      user,
+      action: "TREATMENT_GOAL_UPDATE",
+      actionCategory: "CASE",
+      resourceType: "TreatmentPlan",
+      resourceId: plan._id,
+      caseId: caseData._id,
+      details: { goalId: goal._id, changedFields, status: goal.status },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Goal updated successfully",
+        keyName: "goal",
+        data: goal,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update goal:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update goal";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// Each goal's progress, session by session, from the notes
+o.getGoalProgress = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+    const { startDate, endDate } = req.query;
+    await ensureCaseAccess(caseId, req.decoded._id, "read");
+
+    for (const [name, value] of [
+      ["startDate", startDate],
+      ["endDate", endDate],
+    ]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return json.errorResponse(res, `Invalid ${name}`, 400);
+      }
+    }
+
+    const goals = await TreatmentPlanService.getProgressHistory(caseId, {
+      from: startDate,
+      to: endDate,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Goal progress fetched successfully",
+        keyName: "goals",
+        data: goals || [],
+        stats: {
+          total: (goals || []).length,
+          active: (goals || []).filter((goal) => goal.status === "Active")
+            .length,
+          achieved: (goals || []).filter((goal) => goal.status === "Achieved")
+            .length,
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch goal progress:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch goal progress";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+module.exports = o;
@@ -2,9 +2,9 @@
 
 const mongoose = require("mongoose");
 const User = mongoose.model("User");
+const LoginSession = mongoose.model("LoginSession");
 const { imageUpload } = require("./UploadController");
 
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const ejs = require("ejs");
 const path = require("path");
@@ -13,42 +13,195 @@ const crypto = require("crypto");
 let config = {};
 config.app = require("../../../../config/app");
 config.services = require("../../../../config/services");
-const { JWT_EXPIRES_IN } = require("../../../../config/constants");
 
 const json = require("../../../Traits/ApiResponser");
 const mailer = require("../../../Traits/SendEmail");
 const AuditLogService = require("../../../Services/AuditLogService");
+const TokenService = require("../../../Services/TokenService");
+const MfaService = require("../../../Services/MfaService");
+const LoginThrottleService = require("../../../Services/LoginThrottleService");
+const PermissionService = require("../../../Services/PermissionService");
+const OrganisationService = require("../../../Services/OrganisationService");
+const UserSettingsService = require("../../../Services/UserSettingsService");
+const UserRosterService = require("../../../Services/UserRosterService");
+const OnboardingService = require("../../../Services/OnboardingService");
+const SsoService = require("../../../Services/SsoService");
+const LoginSessionService = require("../../../Services/LoginSessionService");
+const PasswordPolicyService = require("../../../Services/PasswordPolicyService");
+const {
+  OTP_EXPIRES_IN_MINUTES,
+  MAX_OTP_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  PASSWORD_RESET_WINDOW_MINUTES,
+  ONBOARDING_RESEND_COOLDOWN_SECONDS,
+} = require("../../../../config/constants");
+
+// Checked as UserRosterService checks imported addresses
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Issue tokens, record the LOGIN audit entry and send the login payload
+const respondWithLogin = async (req, res, user, details = {}) => {
+  const tokens = await TokenService.issueTokens(user, req, {
+    method: details.method || "password",
+  });
+  const userObject = user.toObject();
+  delete userObject.password;
+  delete userObject.mfaSecret;
+  delete userObject.mfaPendingSecret;
+  delete userObject.mfaRecoveryCodes;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lockoutCount;
+  const userData = {
+    ...userObject,
+    permissions: PermissionService.getPermissions(user),
+    ...tokens,
+    ...details.extra,
+  };
+
+  await AuditLogService.createLog({
+    user,
+    action: "LOGIN",
+    actionCategory: "AUTH",
+    resourceType: "User",
+    resourceId: user._id,
+    details: {
+      email: user.email,
+      role: user.role,
+      method: details.method || "password",
+      mfa: details.mfaMethod || null,
+      loginAt: new Date(),
+    },
+    req,
+  });
 
-const createToken = (user) => {
-  return jwt.sign(
+  return json.successResponse(
+    res,
     {
-      _id: user._id,
-      email: user.email,
-      name: user.name,
+      message: "Login successful",
+      userMessage: "Welcome back!",
+      keyName: "userData",
+      data: userData,
     },
-    config.app.key,
-    { expiresIn: JWT_EXPIRES_IN },
+    200,
   );
 };
 
+// Account checks, then the MFA step or tokens. Shared by password and SSO
+// sign-in so both issue sessions the same way.
+const completeLogin = async (req, res, user, details = {}) => {
+  if (user.active === false) {
+    return json.errorResponse(res, "Your account has been disabled", 403);
+  }
+  if (!user.emailVerified) {
+    return json.errorResponse(
+      res,
+      "Please verify your email address before signing in",
+      403,
+    );
+  }
+  if (user.approvalStatus === "pending") {
+    return json.errorResponse(
+      res,
+      "Your registration is awaiting approval",
+      403,
+    );
+  }
+  if (user.approvalStatus === "rejected") {
+    return json.errorResponse(res, "Your registration was not approved", 403);
+  }
+  if (!details.method && (await PasswordPolicyService.isExpired(user))) {
+    return json.errorResponse(
+      res,
+      {
+        message: "Your password has expired. Please choose a new one.",
+        code: "PASSWORD_EXPIRED",
+        passwordChangeToken: MfaService.createChallengeToken(
+          user,
+          "password_change",
+        ),
+      },
+      403,
+    );
+  }
+
+  if (!user.mfaEnabled) {
+    await LoginThrottleService.resetAccount(user);
+  }
+
+  if (await MfaService.isMfaRequiredFor(user)) {
+    const setupRequired = !user.mfaEnabled;
+    return json.successResponse(
+      res,
+      {
+        message: setupRequired
+          ? "Multi-factor enrolment required"
+          : "Verification code required",
+        keyName: "userData",
+        data: {
+          mfaRequired: true,
+          mfaSetupRequired: setupRequired,
+          mfaToken: MfaService.createChallengeToken(
+            user,
+            setupRequired ? "mfa_setup" : "mfa",
+          ),
+        },
+      },
+      200,
+    );
+  }
+
+  return respondWithLogin(req, res, user, details);
+};
+
 let o = {};
 
+// Public self-registration. The account gets the default role, must verify
+// its email, and waits for an admin to approve it (and pick its role).
 o.register = async (req, res, next) => {
   try {
-    console.log("Registering user with data:", req.body);
-    const { name, email, password, role } = req.body;
-    const hashedPassword = bcrypt.hashSync(password, 5);
-    const existingUser = await User.findOne({ email: email });
+    const { name, email, password } = req.body;
+
+    if (!name || !email || !password) {
+      return json.errorResponse(
+        res,
+        "Name, email and password are required",
+        400,
+      );
+    }
+
+    const existingUser = await User.findOne({ email: email }).setOptions({
+      skipTenant: true,
+    });
     if (existingUser) {
       return json.errorResponse(res, "User already exists", 409);
     }
+    const organisation = await OrganisationService.getDefaultOrganisation();
+
+    const passwordErrors = await PasswordPolicyService.check(password, {
+      name,
+      email,
+      organisation: organisation._id,
+    });
+    if (passwordErrors.length) {
+      return json.errorResponse(
+        res,
+        PasswordPolicyService.toError(passwordErrors),
+        400,
+      );
+    }
+
     const user = new User({
       name: name,
       email: email,
-      password: hashedPassword,
-      role: role,
+      password: await PasswordPolicyService.hash(password),
+      organisation: organisation._id,
+      emailVerified: false,
+      approvalStatus: "pending",
     });
     await user.save();
+
+    await OnboardingService.sendVerification(user);
+
     await AuditLogService.createLog({
       user: user,
       action: "REGISTER",
@@ -58,6 +211,7 @@ o.register = async (req, res, next) => {
       details: {
         email: user.email,
         role: user.role,
+        approvalStatus: user.approvalStatus,
       },
       req,
     });
@@ -65,8 +219,10 @@ o.register = async (req, res, next) => {
       res,
       {
         message: "User registered successfully",
+        userMessage:
+          "Check your email to verify your address. You can sign in once an administrator approves your registration.",
         keyName: "data",
-        data: { userId: user._id },
+        data: { userId: user._id, approvalStatus: user.approvalStatus },
       },
       201,
     );
@@ -80,165 +236,230 @@ o.register = async (req, res, next) => {
 o.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
+    await LoginThrottleService.assertIpAllowed(req, "login");
+
     const user = await User.findOne({ email: email });
     if (!user) {
+      await LoginThrottleService.recordIpAttempt(req, "login");
       return json.errorResponse(res, "Invalid Credentials", 404);
     }
+    LoginThrottleService.assertAccountUnlocked(user);
+
+    if (await SsoService.isRequiredFor(user)) {
+      return json.errorResponse(
+        res,
+        "Your organisation signs in with single sign-on",
+        403,
+      );
+    }
+
     const isMatch = await bcrypt.compareSync(password, user.password);
     if (!isMatch) {
+      await LoginThrottleService.recordIpAttempt(req, "login");
+      const locked = await LoginThrottleService.recordAccountFailure(
+        user,
+        req,
+        "login",
+      );
+      if (locked) {
+        return json.errorResponse(
+          res,
+          "Account temporarily locked due to too many failed attempts. Please try again later.",
+          423,
+        );
+      }
       return json.errorResponse(res, "Invalid credentials", 401);
     }
-    const token = createToken(user);
-    const userObject = user.toObject();
-    delete userObject.password;
-    const userData = { ...userObject, token };
 
-    await AuditLogService.createLog({
-      user,
-      action: "LOGIN",
-      actionCategory: "AUTH",
-      resourceType: "User",
-      resourceId: user._id,
-      details: {
-        email: user.email,
-        role: user.role,
-        loginAt: new Date(),
-      },
-      req,
-    });
+    // Upgrade hashes made at an older bcrypt cost while we have the password
+    if (PasswordPolicyService.needsRehash(user.password)) {
+      user.password = await PasswordPolicyService.hash(password);
+      await user.save();
+    }
 
-    return json.successResponse(
-      res,
-      {
-        message: "Login successful",
-        userMessage: "Welcome back!",
-        keyName: "userData",
-        data: userData,
-      },
-      200,
-    );
+    return completeLogin(req, res, user);
   } catch (err) {
     console.error("Failed to login:", err);
     const errorMessage = err.message || err.toString() || "Failed to login";
-    return json.errorResponse(res, errorMessage, 500);
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
   }
 };
 
-o.getUser = async (req, res, next) => {
+// Start an OpenID Connect sign-in for an email address or organisation slug
+o.ssoStart = async (req, res, next) => {
   try {
-    const { _id } = req.decoded;
-    const user = await User.findById(_id).select("-password");
-    if (!user) {
-      return json.errorResponse(res, "User not found", 404);
+    const { email, organisation } = req.body;
+
+    if (!email && !organisation) {
+      return json.errorResponse(res, "email or organisation is required", 400);
+    }
+
+    const connection = await SsoService.findConnection({ email, organisation });
+    if (!connection) {
+      return json.errorResponse(
+        res,
+        "Single sign-on is not set up for this account",
+        404,
+      );
     }
+
+    const authorizationUrl = await SsoService.createAuthorizationUrl(
+      connection,
+    );
+
     return json.successResponse(
       res,
       {
-        message: "User fetched successfully",
-        keyName: "userData",
-        data: user,
+        message: "Single sign-on started",
+        keyName: "data",
+        data: { authorizationUrl },
       },
       200,
     );
   } catch (err) {
-    console.error("Failed to get user:", err);
-    const errorMessage = err.message || err.toString() || "Failed to get user";
-    return json.errorResponse(res, errorMessage, 500);
+    console.error("Failed to start single sign-on:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to start single sign-on";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
   }
 };
 
-o.forgetPassword = async (req, res, next) => {
+// Finish an OpenID Connect sign-in with the code the identity provider sent
+// back, then issue tokens exactly as a password login would
+o.ssoCallback = async (req, res, next) => {
   try {
-    const { email } = req.body;
-    const user = await User.findOne({ email: email });
-    if (!user) {
-      return json.errorResponse(res, "User not found", 404);
+    const { code, state } = req.body;
+    await LoginThrottleService.assertIpAllowed(req, "sso");
+
+    let result;
+    try {
+      const { connection, claims } = await SsoService.exchangeCode({
+        code,
+        state,
+      });
+      result = await SsoService.resolveUser(connection, claims);
+    } catch (err) {
+      await LoginThrottleService.recordIpAttempt(req, "sso");
+      throw err;
+    }
+    const { user, created, roleChanged } = result;
+
+    if (created) {
+      await AuditLogService.createLog({
+        user,
+        action: "SSO_PROVISION",
+        actionCategory: "AUTH",
+        resourceType: "User",
+        resourceId: user._id,
+        details: {
+          email: user.email,
+          role: user.role,
+          issuer: user.ssoIssuer,
+        },
+        req,
+      });
+    }
+    if (roleChanged) {
+      await AuditLogService.createLog({
+        user,
+        action: "SSO_ROLE_SYNC",
+        actionCategory: "AUTH",
+        resourceType: "User",
+        resourceId: user._id,
+        details: {
+          email: user.email,
+          ...roleChanged,
+        },
+        req,
+      });
     }
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    user.otp = Math.floor(100000 + Math.random() * 900000).toString();
 
-    await user.save();
+    return completeLogin(req, res, user, { method: "sso" });
+  } catch (err) {
+    console.error("Failed to complete single sign-on:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to complete single sign-on";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
 
-    const html = await ejs.renderFile(
-      path.join(
-        __dirname,
-        "../../../../resources/views/emails/forgot-password-email.ejs",
-      ),
-      { resetPasswordCode: user.otp, baseURL: config.app.url },
+o.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const { user, tokens } = await TokenService.rotateRefreshToken(
+      refreshToken,
+      req,
     );
 
-    mailer.send(user.email, "Forget Password?", html);
-
     return json.successResponse(
       res,
       {
-        message: "Otp Sent to your email.",
+        message: "Token refreshed successfully",
         keyName: "data",
-        data: { email: user.email },
+        data: { userId: user._id, ...tokens },
       },
       200,
     );
   } catch (err) {
-    console.error("Forget Password Error:", err);
-    const errorMessage = err.message || err.toString() || "Failed to send OTP";
-    return json.errorResponse(res, errorMessage, 500);
+    console.error("Failed to refresh token:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to refresh token";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
   }
 };
 
-o.verifyOtp = async (req, res, next) => {
+o.logout = async (req, res, next) => {
   try {
-    const { email, otp } = req.body;
-    const user = await User.findOne({ email: email, otp: otp });
-    if (!user) {
-      return json.errorResponse(res, "Invalid Otp", 404);
-    }
-    const isExpired = user.resetPasswordExpires <= new Date();
-    if (isExpired) {
-      return json.errorResponse(res, "The code has been expired!", 410);
+    const { sid } = req.decoded;
+    if (req.impersonation) {
+      await TokenService.endImpersonation(sid, "logout");
+    } else {
+      await TokenService.revokeFamily(sid, "logout");
     }
 
-    user.otp = null;
-    await user.save();
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "LOGOUT",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: req.user._id,
+      details: {
+        email: req.user.email,
+        sessionId: sid,
+        logoutAt: new Date(),
+      },
+      req,
+    });
 
     return json.successResponse(
       res,
       {
-        message: "Otp Verified Successfully.",
+        message: "Logged out successfully",
         keyName: "data",
-        data: { verified: true },
+        data: { success: true },
       },
       200,
     );
   } catch (err) {
-    console.error("Otp Verification Error:", err);
-    const errorMessage =
-      err.message || err.toString() || "Otp Verification Failed";
+    console.error("Failed to logout:", err);
+    const errorMessage = err.message || err.toString() || "Failed to logout";
     return json.errorResponse(res, errorMessage, 500);
   }
 };
 
-o.resetPassword = async (req, res, next) => {
+o.logoutAll = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email: email });
-    if (!user) {
-      return json.errorResponse(res, "User not found", 404);
-    }
-    user.password = bcrypt.hashSync(password, 5);
-    user.password_changed_at = new Date();
-    await user.save();
+    await TokenService.revokeAllForUser(req.user._id, "logout_all");
 
     await AuditLogService.createLog({
-      user,
-      action: "RESET_PASSWORD",
+      user: req.user,
+      action: "LOGOUT_ALL",
       actionCategory: "AUTH",
       resourceType: "User",
-      resourceId: user._id,
+      resourceId: req.user._id,
       details: {
-        email: user.email,
-        resetAt: new Date(),
+        email: req.user.email,
+        logoutAt: new Date(),
       },
       req,
     });
@@ -246,285 +467,2066 @@ o.resetPassword = async (req, res, next) => {
     return json.successResponse(
       res,
       {
-        message: "Password reset successfully.",
+        message: "Logged out from all devices successfully",
         keyName: "data",
         data: { success: true },
       },
       200,
     );
   } catch (err) {
-    console.error("Reset Password Error:", err);
+    console.error("Failed to logout from all devices:", err);
     const errorMessage =
-      err.message || err.toString() || "Reset Password Failed";
+      err.message || err.toString() || "Failed to logout from all devices";
     return json.errorResponse(res, errorMessage, 500);
   }
 };
 
-o.getAllUsers = async (req, res, next) => {
+// Signed-in devices for the current user; `current` marks this one
+o.getMySessions = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search = "", active, role } = req.query;
+    const sessions = await LoginSessionService.listActive(req.user._id);
 
-    // Build filter
-    const filter = {};
+    return json.successResponse(
+      res,
+      {
+        message: "Sessions fetched successfully",
+        keyName: "sessions",
+        data: sessions.map(({ family, ...session }) => ({
+          ...session,
+          current: family === req.decoded.sid,
+        })),
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch sessions:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch sessions";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
 
-    // Search filter - search in name and email
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-      ];
-    }
+// Sign one of the current user's devices out
+o.revokeMySession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
 
-    // Role filter
-    if (role) {
-      filter.role = role;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return json.errorResponse(res, "Invalid session ID", 400);
     }
 
-    // Active filter
-    if (active !== undefined) {
-      filter.active = active === "true" || active === true;
+    const session = await LoginSession.findOne({
+      _id: sessionId,
+      user: req.user._id,
+      revokedAt: null,
+    });
+    if (!session) {
+      return json.errorResponse(res, "Session not found", 404);
     }
 
-    // Calculate pagination
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 10;
-    const skip = (pageNum - 1) * limitNum;
-
-    // Get total count
-    const total = await User.countDocuments(filter);
-
-    // Get paginated users
-    const users = await User.find(filter)
-      .select("-password -otp")
-      .sort({ createdAt: -1 })
-      .limit(limitNum)
-      .skip(skip);
+    await TokenService.revokeFamily(session.family, "user_revoked");
 
-    // Calculate pagination metadata
-    const totalPages = Math.ceil(total / limitNum);
-    const hasNextPage = pageNum < totalPages;
-    const hasPrevPage = pageNum > 1;
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "SESSION_REVOKE",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: req.user._id,
+      details: {
+        loginSessionId: session._id,
+        device: session.device,
+        ipAddress: session.lastIpAddress,
+        current: session.family === req.decoded.sid,
+      },
+      req,
+    });
 
     return json.successResponse(
       res,
       {
-        message: "All users fetched successfully",
-        keyName: "users",
-        data: users,
-        pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total,
-          totalPages,
-          hasNextPage,
-          hasPrevPage,
-        },
-        stats: {
-          total,
-          active: await User.countDocuments({ ...filter, active: true }),
-          inactive: await User.countDocuments({ ...filter, active: false }),
-        },
+        message: "Session revoked successfully",
+        keyName: "data",
+        data: { success: true },
       },
       200,
     );
   } catch (err) {
-    console.error("Failed to fetch users:", err);
+    console.error("Failed to revoke session:", err);
     const errorMessage =
-      err.message || err.toString() || "Failed to fetch users";
+      err.message || err.toString() || "Failed to revoke session";
     return json.errorResponse(res, errorMessage, 500);
   }
 };
 
-o.getPractitionerUsers = async (req, res, next) => {
+// Admin: a user's signed-in devices
+o.getUserSessions = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search = "", active } = req.query;
+    const { id } = req.params;
 
-    // Build filter with role = practitioner
-    const filter = { role: "practitioner" };
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return json.errorResponse(res, "Invalid user ID", 400);
+    }
 
-    // Search filter - search in name and email
-    if (search) {
-      filter.$or = [
+    const user = await User.findById(id).select("name email role").lean();
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+
+    const sessions = await LoginSessionService.listActive(user._id);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Sessions fetched successfully",
+        keyName: "sessions",
+        data: sessions.map(({ family, ...session }) => session),
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch sessions:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch sessions";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Admin: sign one of a user's devices out
+o.revokeUserSession = async (req, res, next) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(sessionId)
+    ) {
+      return json.errorResponse(res, "Invalid ID", 400);
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+    if (!PermissionService.canGrantRole(req.user, user.role)) {
+      return json.errorResponse(
+        res,
+        "You cannot manage a user with more access than your own",
+        403,
+      );
+    }
+
+    const session = await LoginSession.findOne({
+      _id: sessionId,
+      user: user._id,
+      revokedAt: null,
+    });
+    if (!session) {
+      return json.errorResponse(res, "Session not found", 404);
+    }
+
+    await TokenService.revokeFamily(
+      session.family,
+      "admin_revoked",
+      req.user._id,
+    );
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "SESSION_REVOKE",
+      actionCategory: "ADMIN",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        targetUserEmail: user.email,
+        loginSessionId: session._id,
+        device: session.device,
+        ipAddress: session.lastIpAddress,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Session revoked successfully",
+        keyName: "data",
+        data: { success: true },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to revoke session:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to revoke session";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Second login step: exchange the MFA challenge token and a TOTP or recovery code for tokens
+o.verifyMfaLogin = async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const challenge = MfaService.verifyChallengeToken(mfaToken, "mfa");
+    if (!challenge) {
+      return json.errorResponse(res, "MFA session expired, please log in again", 401);
+    }
+
+    const user = await User.findById(challenge._id).select(
+      "+mfaSecret +mfaRecoveryCodes",
+    );
+    if (!user || user.active === false || !user.mfaEnabled) {
+      return json.errorResponse(res, "Invalid MFA session", 401);
+    }
+    LoginThrottleService.assertAccountUnlocked(user);
+
+    const method = await MfaService.verifySecondFactor(user, {
+      code,
+      recoveryCode,
+    });
+    if (!method) {
+      await AuditLogService.createLog({
+        user,
+        action: "MFA_VERIFY_FAILED",
+        actionCategory: "AUTH",
+        resourceType: "User",
+        resourceId: user._id,
+        details: {
+          email: user.email,
+          method: recoveryCode ? "recovery_code" : "totp",
+          failedAt: new Date(),
+        },
+        req,
+      });
+      const locked = await LoginThrottleService.recordAccountFailure(
+        user,
+        req,
+        "mfa",
+      );
+      if (locked) {
+        return json.errorResponse(
+          res,
+          "Account temporarily locked due to too many failed attempts. Please try again later.",
+          423,
+        );
+      }
+      return json.errorResponse(res, "Invalid verification code", 401);
+    }
+
+    await LoginThrottleService.resetAccount(user);
+
+    await AuditLogService.createLog({
+      user,
+      action: "MFA_VERIFY",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        method,
+        recoveryCodesRemaining: user.mfaRecoveryCodes.length,
+        verifiedAt: new Date(),
+      },
+      req,
+    });
+
+    return respondWithLogin(req, res, user, { mfaMethod: method });
+  } catch (err) {
+    console.error("MFA Verification Error:", err);
+    const errorMessage =
+      err.message || err.toString() || "MFA Verification Failed";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.setupMfa = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.mfaEnabled) {
+      return json.errorResponse(res, "MFA is already enabled", 400);
+    }
+
+    const secret = MfaService.generateSecret();
+    user.mfaPendingSecret = MfaService.encryptSecret(secret);
+    await user.save();
+
+    await AuditLogService.createLog({
+      user,
+      action: "MFA_SETUP",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        startedAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Scan the QR code with your authenticator app",
+        keyName: "data",
+        data: {
+          secret,
+          otpauthUrl: MfaService.buildOtpAuthUrl(secret, user.email),
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to start MFA setup:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to start MFA setup";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.activateMfa = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+mfaPendingSecret");
+    if (!user.mfaPendingSecret) {
+      return json.errorResponse(res, "Start MFA setup first", 400);
+    }
+
+    const pendingSecret = MfaService.decryptSecret(user.mfaPendingSecret);
+    const step = MfaService.totpStep(pendingSecret, code);
+    if (step === null) {
+      return json.errorResponse(res, "Invalid verification code", 400);
+    }
+
+    const { codes, hashes } = MfaService.generateRecoveryCodes();
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = undefined;
+    user.mfaRecoveryCodes = hashes;
+    user.mfaEnabled = true;
+    user.mfaEnrolledAt = new Date();
+    // The enrolment code counts as used
+    user.mfaLastTotpStep = step;
+    await user.save();
+
+    await AuditLogService.createLog({
+      user,
+      action: "MFA_ENABLE",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        enrolledAt: user.mfaEnrolledAt,
+      },
+      req,
+    });
+
+    // Forced enrolment during login finishes by signing the user in
+    if (req.decoded.purpose === "mfa_setup") {
+      return respondWithLogin(req, res, user, {
+        mfaMethod: "totp",
+        extra: { recoveryCodes: codes },
+      });
+    }
+
+    return json.successResponse(
+      res,
+      {
+        message: "MFA enabled successfully",
+        userMessage: "Store these recovery codes somewhere safe",
+        keyName: "data",
+        data: { recoveryCodes: codes },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to activate MFA:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to activate MFA";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.disableMfa = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+mfaSecret +mfaRecoveryCodes",
+    );
+    if (!user.mfaEnabled) {
+      return json.errorResponse(res, "MFA is not enabled", 400);
+    }
+
+    if (
+      MfaService.isAdminAccount(user) &&
+      (await MfaService.isAdminMfaRequired(user.organisation))
+    ) {
+      return json.errorResponse(
+        res,
+        "MFA is required for admin accounts and cannot be disabled",
+        403,
+      );
+    }
+
+    if (!password || !bcrypt.compareSync(password, user.password)) {
+      return json.errorResponse(res, "Current password is incorrect", 401);
+    }
+    if (!(await MfaService.consumeTotp(user, code))) {
+      return json.errorResponse(res, "Invalid verification code", 401);
+    }
+
+    user.mfaEnabled = false;
+    user.mfaSecret = undefined;
+    user.mfaRecoveryCodes = [];
+    user.mfaEnrolledAt = undefined;
+    await user.save();
+
+    await AuditLogService.createLog({
+      user,
+      action: "MFA_DISABLE",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        disabledAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "MFA disabled successfully",
+        keyName: "data",
+        data: { success: true },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to disable MFA:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to disable MFA";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+mfaSecret");
+    if (!user.mfaEnabled) {
+      return json.errorResponse(res, "MFA is not enabled", 400);
+    }
+    if (!(await MfaService.consumeTotp(user, code))) {
+      return json.errorResponse(res, "Invalid verification code", 401);
+    }
+
+    const { codes, hashes } = MfaService.generateRecoveryCodes();
+    user.mfaRecoveryCodes = hashes;
+    await user.save();
+
+    await AuditLogService.createLog({
+      user,
+      action: "MFA_RECOVERY_CODES_REGENERATE",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        regeneratedAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Recovery codes regenerated",
+        userMessage: "Your previous recovery codes no longer work",
+        keyName: "data",
+        data: { recoveryCodes: codes },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to regenerate recovery codes:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to regenerate recovery codes";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Admin: Get whether MFA is mandatory for admin accounts
+o.getMfaPolicy = async (req, res, next) => {
+  try {
+    const requireAdminMfa = await MfaService.isAdminMfaRequired(
+      req.organisationId,
+    );
+    const adminsWithoutMfa = await User.countDocuments({
+      role: { $in: PermissionService.rolesWith("user:manage") },
+      mfaEnabled: { $ne: true },
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "MFA policy fetched successfully",
+        keyName: "data",
+        data: { requireAdminMfa, adminsWithoutMfa },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch MFA policy:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch MFA policy";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Admin: Require (or stop requiring) MFA for every admin account
+o.updateMfaPolicy = async (req, res, next) => {
+  try {
+    const { requireAdminMfa } = req.body;
+
+    if (typeof requireAdminMfa !== "boolean") {
+      return json.errorResponse(
+        res,
+        "requireAdminMfa must be a boolean (true/false)",
+        400,
+      );
+    }
+
+    const previousValue = await MfaService.isAdminMfaRequired(
+      req.organisationId,
+    );
+    await MfaService.setAdminMfaRequired(
+      requireAdminMfa,
+      req.user._id,
+      req.organisationId,
+    );
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "MFA_POLICY_UPDATE",
+      actionCategory: "ADMIN",
+      resourceType: "SystemSettings",
+      details: {
+        setting: "requireAdminMfa",
+        previousValue,
+        newValue: requireAdminMfa,
+        changedAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "MFA policy updated successfully",
+        keyName: "data",
+        data: { requireAdminMfa },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update MFA policy:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update MFA policy";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.getUser = async (req, res, next) => {
+  try {
+    const { _id } = req.decoded;
+    const user = await User.findById(_id).select("-password");
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+    return json.successResponse(
+      res,
+      {
+        message: "User fetched successfully",
+        keyName: "userData",
+        data: {
+          ...user.toObject(),
+          permissions: PermissionService.getPermissions(user),
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to get user:", err);
+    const errorMessage = err.message || err.toString() || "Failed to get user";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.forgetPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    if (typeof email !== "string" || !email) {
+      return json.errorResponse(res, "email is required", 400);
+    }
+    await LoginThrottleService.assertIpAllowed(req, "otp");
+    await LoginThrottleService.recordIpAttempt(req, "otp");
+
+    const user = await User.findOne({ email: email });
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+
+    const cooldownEndsAt = user.otpIssuedAt
+      ? new Date(user.otpIssuedAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000)
+      : null;
+    if (cooldownEndsAt && cooldownEndsAt > new Date()) {
+      return json.errorResponse(
+        res,
+        "Please wait before requesting another code",
+        429,
+      );
+    }
+
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const now = new Date();
+
+    user.otp = LoginThrottleService.hashOtp(otp);
+    user.otpIssuedAt = now;
+    user.otpExpiresAt = new Date(now.getTime() + OTP_EXPIRES_IN_MINUTES * 60 * 1000);
+    user.otpAttempts = 0;
+    user.passwordResetAllowedUntil = undefined;
+    user.passwordResetTokenHash = undefined;
+
+    await user.save();
+
+    const html = await ejs.renderFile(
+      path.join(
+        __dirname,
+        "../../../../resources/views/emails/forgot-password-email.ejs",
+      ),
+      { resetPasswordCode: otp, baseURL: config.app.url },
+    );
+
+    mailer.send(user.email, "Forget Password?", html);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Otp Sent to your email.",
+        keyName: "data",
+        data: { email: user.email },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Forget Password Error:", err);
+    const errorMessage = err.message || err.toString() || "Failed to send OTP";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.verifyOtp = async (req, res, next) => {
+  try {
+    const { email, otp } = req.body;
+    if (typeof email !== "string" || !email) {
+      return json.errorResponse(res, "email is required", 400);
+    }
+    await LoginThrottleService.assertIpAllowed(req, "otp");
+
+    const user = await User.findOne({ email: email }).select("+otp");
+    if (!user || !user.otp) {
+      await LoginThrottleService.recordIpAttempt(req, "otp");
+      return json.errorResponse(res, "Invalid Otp", 404);
+    }
+    const isExpired = !user.otpExpiresAt || user.otpExpiresAt <= new Date();
+    if (isExpired) {
+      return json.errorResponse(res, "The code has been expired!", 410);
+    }
+    if (user.otpAttempts >= MAX_OTP_ATTEMPTS) {
+      return json.errorResponse(
+        res,
+        "Too many invalid attempts, please request a new code",
+        429,
+      );
+    }
+
+    if (!LoginThrottleService.verifyOtp(otp, user.otp)) {
+      await LoginThrottleService.recordIpAttempt(req, "otp");
+      // Counted in the database so parallel guesses cannot share an attempt
+      const counted = await User.findOneAndUpdate(
+        { _id: user._id, otpAttempts: { $lt: MAX_OTP_ATTEMPTS } },
+        { $inc: { otpAttempts: 1 } },
+        { new: true },
+      );
+      if (!counted) {
+        return json.errorResponse(
+          res,
+          "Too many invalid attempts, please request a new code",
+          429,
+        );
+      }
+      if (counted.otpAttempts >= MAX_OTP_ATTEMPTS) {
+        // Burn the code so it cannot be guessed further
+        await User.updateOne({ _id: user._id }, { $set: { otp: null } });
+        await AuditLogService.createLog({
+          user,
+          action: "OTP_LOCKED",
+          actionCategory: "AUTH",
+          resourceType: "User",
+          resourceId: user._id,
+          details: {
+            email: user.email,
+            attempts: counted.otpAttempts,
+          },
+          req,
+        });
+      }
+      return json.errorResponse(res, "Invalid Otp", 404);
+    }
+
+    // The code is exchanged for a single-use reset token, kept only as a hash.
+    // It is used up only while it is still the current, unburnt one.
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    const verified = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        otp: user.otp,
+        otpAttempts: { $lt: MAX_OTP_ATTEMPTS },
+      },
+      {
+        $set: {
+          otp: null,
+          otpAttempts: 0,
+          passwordResetTokenHash: TokenService.hashToken(resetToken),
+          passwordResetAllowedUntil: new Date(
+            Date.now() + PASSWORD_RESET_WINDOW_MINUTES * 60 * 1000,
+          ),
+        },
+        $unset: { otpExpiresAt: 1 },
+      },
+    );
+    if (!verified) {
+      return json.errorResponse(res, "Invalid Otp", 404);
+    }
+
+    return json.successResponse(
+      res,
+      {
+        message: "Otp Verified Successfully.",
+        keyName: "data",
+        data: { verified: true, resetToken },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Otp Verification Error:", err);
+    const errorMessage =
+      err.message || err.toString() || "Otp Verification Failed";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.resetPassword = async (req, res, next) => {
+  try {
+    const { email, resetToken, password } = req.body;
+    if (typeof email !== "string" || !email) {
+      return json.errorResponse(res, "email is required", 400);
+    }
+    if (typeof resetToken !== "string" || !resetToken) {
+      return json.errorResponse(
+        res,
+        "Please verify the code sent to your email first",
+        403,
+      );
+    }
+    const user = await User.findOne({ email: email });
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+    const passwordErrors = await PasswordPolicyService.check(password, user);
+    if (passwordErrors.length) {
+      return json.errorResponse(
+        res,
+        PasswordPolicyService.toError(passwordErrors),
+        400,
+      );
+    }
+
+    // Only one request can spend the token; a rejected password above keeps it
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        passwordResetTokenHash: TokenService.hashToken(resetToken),
+        passwordResetAllowedUntil: { $gt: new Date() },
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetAllowedUntil: 1 } },
+    );
+    if (!claimed) {
+      return json.errorResponse(
+        res,
+        "Please verify the code sent to your email first",
+        403,
+      );
+    }
+
+    await PasswordPolicyService.applyPassword(user, password);
+    user.passwordResetAllowedUntil = undefined;
+    // The emailed code proved the address; a pending invite link is moot
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.onboardingTokenId = undefined;
+    }
+    await user.save();
+    // Whoever knew the old password is signed out
+    await TokenService.revokeAllForUser(user._id, "password_reset");
+
+    await AuditLogService.createLog({
+      user,
+      action: "RESET_PASSWORD",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        resetAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Password reset successfully.",
+        keyName: "data",
+        data: { success: true },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Reset Password Error:", err);
+    const errorMessage =
+      err.message || err.toString() || "Reset Password Failed";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.getAllUsers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, search = "", active, role } = req.query;
+
+    // Build filter
+    const filter = {};
+
+    // Search filter - search in name and email
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: "i" } },
+        { email: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    // Role filter
+    if (role) {
+      filter.role = role;
+    }
+
+    // Active filter
+    if (active !== undefined) {
+      filter.active = active === "true" || active === true;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 10;
+    const skip = (pageNum - 1) * limitNum;
+
+    // Get total count
+    const total = await User.countDocuments(filter);
+
+    // Get paginated users
+    const users = await User.find(filter)
+      .select("-password -otp")
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip);
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(total / limitNum);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+
+    return json.successResponse(
+      res,
+      {
+        message: "All users fetched successfully",
+        keyName: "users",
+        data: users,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages,
+          hasNextPage,
+          hasPrevPage,
+        },
+        stats: {
+          total,
+          active: await User.countDocuments({ ...filter, active: true }),
+          inactive: await User.countDocuments({ ...filter, active: false }),
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch users:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch users";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.getPractitionerUsers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, search = "", active } = req.query;
+
+    // Build filter with role = practitioner
+    const filter = { role: "practitioner" };
+
+    // Search filter - search in name and email
+    if (search) {
+      filter.$or = [
         { name: { $regex: search, $options: "i" } },
         { email: { $regex: search, $options: "i" } },
       ];
     }
 
-    // Active filter
-    if (active !== undefined) {
-      filter.active = active === "true" || active === true;
+    // Active filter
+    if (active !== undefined) {
+      filter.active = active === "true" || active === true;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 10;
+    const skip = (pageNum - 1) * limitNum;
+
+    // Get total count
+    const total = await User.countDocuments(filter);
+
+    // Get paginated users
+    const users = await User.find(filter)
+      .select("-password -otp")
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip);
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(total / limitNum);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+
+    return json.successResponse(
+      res,
+      {
+        message: "Practitioner users fetched successfully",
+        keyName: "practitioners",
+        data: users,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages,
+          hasNextPage,
+          hasPrevPage,
+        },
+        stats: {
+          total,
+          active: await User.countDocuments({ ...filter, active: true }),
+          inactive: await User.countDocuments({ ...filter, active: false }),
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch practitioner users:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch practitioner users";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.updateProfile = async (req, res, next) => {
+  try {
+    const { _id } = req.decoded;
+    const { name, piiMasking, language } = req.body;
+
+    const user = await User.findById(_id);
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+
+    // Validation: if piiMasking is enabled, only English is allowed
+    if (piiMasking === true && language && language !== "english") {
+      return json.errorResponse(
+        res,
+        "PII Masking can only be enabled with English language",
+        400,
+      );
+    }
+
+    const updatedFields = [];
+
+    // Update fields if provided
+    if (name !== undefined && name.trim() !== "") {
+      user.name = name.trim();
+      updatedFields.push("name");
+    }
+    if (piiMasking !== undefined) {
+      user.piiMasking = piiMasking;
+      updatedFields.push("piiMasking");
+    }
+    if (language !== undefined) {
+      user.language = language;
+      updatedFields.push("language");
+      // Auto-disable PII masking if language is not English
+      if (language !== "english") {
+        user.piiMasking = false;
+      }
+    }
+
+    await user.save();
+
+    // Keep the session defaults in settings in step with the profile
+    if (piiMasking !== undefined || language !== undefined) {
+      await UserSettingsService.updateForUser(user, {
+        defaultLanguage: user.language,
+        piiMaskingEnabled:
+          user.language === "english" ? user.piiMasking : false,
+      });
+    }
+
+    const updatedUser = await User.findById(_id).select("-password");
+
+    await AuditLogService.createLog({
+      user,
+      action: "UPDATE_PROFILE",
+      actionCategory: "USER",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        updatedFields,
+        updatedAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Profile updated successfully",
+        userMessage: "Your profile has been updated",
+        keyName: "user",
+        data: updatedUser,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update profile:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update profile";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.getSettings = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.decoded._id);
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+
+    const settings = await UserSettingsService.getForUser(user);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Settings fetched successfully",
+        keyName: "settings",
+        data: settings,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch settings:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch settings";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.updateSettings = async (req, res, next) => {
+  try {
+    const { defaultLanguage, piiMaskingEnabled, noteFramework, timezone } =
+      req.body;
+
+    const user = await User.findById(req.decoded._id);
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+
+    const settings = await UserSettingsService.updateForUser(user, {
+      defaultLanguage,
+      piiMaskingEnabled,
+      noteFramework,
+      timezone,
+    });
+
+    // The profile carries the same language / masking choice
+    user.language = settings.defaultLanguage;
+    user.piiMasking = settings.piiMaskingEnabled;
+    await user.save();
+
+    await AuditLogService.createLog({
+      user,
+      action: "SETTINGS_UPDATE",
+      actionCategory: "USER",
+      resourceType: "UserSettings",
+      resourceId: settings._id,
+      details: {
+        updatedFields: Object.keys(req.body),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Settings updated successfully",
+        userMessage: "Your settings have been updated",
+        keyName: "settings",
+        data: settings,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update settings:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update settings";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+o.updatePassword = async (req, res, next) => {
+  try {
+    const { _id } = req.decoded;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return json.errorResponse(
+        res,
+        "Current password and new password are required",
+        400,
+      );
+    }
+
+    const user = await User.findById(_id);
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+
+    // Verify current password
+    const isPasswordValid = bcrypt.compareSync(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return json.errorResponse(res, "Current password is incorrect", 401);
+    }
+
+    const passwordErrors = await PasswordPolicyService.check(newPassword, user);
+    if (passwordErrors.length) {
+      return json.errorResponse(
+        res,
+        PasswordPolicyService.toError(passwordErrors),
+        400,
+      );
+    }
+
+    await PasswordPolicyService.applyPassword(user, newPassword);
+    await user.save();
+
+    // Other logins end; this one carries on with a new token pair
+    await TokenService.revokeAllForUser(user._id, "password_changed");
+    const tokens = await TokenService.issueTokens(
+      await User.findById(user._id),
+      req,
+      { method: "password" },
+    );
+
+    await AuditLogService.createLog({
+      user,
+      action: "UPDATE_PASSWORD",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        changedAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Password updated successfully",
+        keyName: "data",
+        data: tokens,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to update password:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to update password";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Change a password that has passed the organisation's maximum age, using
+// the token the login attempt returned. The user then signs in again.
+o.changeExpiredPassword = async (req, res, next) => {
+  try {
+    const { passwordChangeToken, newPassword } = req.body;
+
+    const decoded = MfaService.verifyChallengeToken(
+      passwordChangeToken,
+      "password_change",
+    );
+    if (!decoded) {
+      return json.errorResponse(
+        res,
+        "Password change session expired, please sign in again",
+        401,
+      );
+    }
+
+    const user = await User.findById(decoded._id).setOptions({
+      skipTenant: true,
+    });
+    if (!user || user.active === false) {
+      return json.errorResponse(res, "User account is not active", 401);
+    }
+
+    const passwordErrors = await PasswordPolicyService.check(newPassword, user);
+    if (passwordErrors.length) {
+      return json.errorResponse(
+        res,
+        PasswordPolicyService.toError(passwordErrors),
+        400,
+      );
+    }
+
+    await PasswordPolicyService.applyPassword(user, newPassword);
+    await user.save();
+    await TokenService.revokeAllForUser(user._id, "password_changed");
+
+    await AuditLogService.createLog({
+      user,
+      action: "UPDATE_PASSWORD",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        reason: "expired",
+        changedAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Password updated successfully",
+        userMessage: "Your password has been changed. Please sign in again.",
+        keyName: "data",
+        data: null,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to change expired password:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to change expired password";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Public: the password rules for new accounts, so forms can show them
+o.getPasswordPolicy = async (req, res, next) => {
+  try {
+    const organisation = req.query.organisation
+      ? await mongoose
+          .model("Organisation")
+          .findOne({ slug: String(req.query.organisation).toLowerCase() })
+          .lean()
+      : await OrganisationService.getDefaultOrganisation();
+
+    const policy = await PasswordPolicyService.getPolicy(
+      organisation && organisation._id,
+    );
+
+    return json.successResponse(
+      res,
+      {
+        message: "Password policy fetched successfully",
+        keyName: "policy",
+        data: policy,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch password policy:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch password policy";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Admin: Create a user and email them an invitation link to set their
+// own password
+o.createUserByAdmin = async (req, res, next) => {
+  try {
+    const { name, email, role, organisationId } = req.body;
+
+    // Validation
+    if (!name || !email || !role) {
+      return json.errorResponse(res, "Name, email, and role are required", 400);
+    }
+
+    // Validate role
+    if (!PermissionService.isValidRole(role)) {
+      return json.errorResponse(
+        res,
+        `Role must be one of: ${PermissionService.roles.join(", ")}`,
+        400,
+      );
+    }
+
+    if (!PermissionService.canGrantRole(req.user, role)) {
+      return json.errorResponse(
+        res,
+        "You cannot grant a role with more access than your own",
+        403,
+      );
+    }
+
+    // Platform staff may create users directly in another organisation
+    let organisation = req.organisationId;
+    if (organisationId) {
+      if (!PermissionService.hasPermission(req.user, "organisation:manage")) {
+        return json.errorResponse(
+          res,
+          "You cannot create users in another organisation",
+          403,
+        );
+      }
+      organisation = organisationId;
+    }
+
+    // Emails are unique across every organisation
+    const existingUser = await User.findOne({ email: email }).setOptions({
+      skipTenant: true,
+    });
+    if (existingUser) {
+      return json.errorResponse(
+        res,
+        "User with this email already exists",
+        400,
+      );
+    }
+
+    // Create new user; the password is set when the invitation is accepted
+    const user = new User({
+      name: name,
+      email: email,
+      password: OnboardingService.unusablePassword(),
+      role: role,
+      active: true,
+      organisation,
+      emailVerified: false,
+      invitedBy: req.user._id,
+      invitedAt: new Date(),
+    });
+
+    await user.save();
+
+    const { expiresAt } = await OnboardingService.sendInvitation(
+      user,
+      req.user,
+    );
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "USER_INVITE",
+      actionCategory: "ADMIN",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        role: user.role,
+        organisation: user.organisation,
+        invitationExpiresAt: expiresAt,
+      },
+      req,
+    });
+
+    const userObject = user.toObject();
+    delete userObject.password;
+    delete userObject.onboardingTokenId;
+
+    return json.successResponse(
+      res,
+      {
+        message: "User created successfully by admin",
+        userMessage: `An invitation has been emailed to ${user.email}`,
+        keyName: "user",
+        data: userObject,
+      },
+      201,
+    );
+  } catch (err) {
+    console.error("Failed to create user by admin:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to create user";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Admin: Send a fresh invitation link; earlier links stop working
+o.resendInvitation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return json.errorResponse(res, "Invalid user ID", 400);
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+    if (user.emailVerified) {
+      return json.errorResponse(
+        res,
+        "This user has already accepted their invitation",
+        400,
+      );
+    }
+    if (!PermissionService.canGrantRole(req.user, user.role)) {
+      return json.errorResponse(
+        res,
+        "You cannot manage a user with more access than your own",
+        403,
+      );
+    }
+
+    user.invitedBy = req.user._id;
+    user.invitedAt = new Date();
+    await user.save();
+
+    const { expiresAt } = await OnboardingService.sendInvitation(
+      user,
+      req.user,
+    );
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "USER_INVITE_RESEND",
+      actionCategory: "ADMIN",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        invitationExpiresAt: expiresAt,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Invitation resent successfully",
+        keyName: "data",
+        data: { email: user.email, expiresAt },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to resend invitation:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to resend invitation";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Public: Who an invitation link is for, so the page can greet them
+o.getInvitation = async (req, res, next) => {
+  try {
+    const user = await OnboardingService.verifyLink(
+      req.query.token,
+      "invitation",
+    );
+
+    return json.successResponse(
+      res,
+      {
+        message: "Invitation is valid",
+        keyName: "data",
+        data: { name: user.name, email: user.email },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to check invitation:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to check invitation";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// Public: Accept an invitation by choosing a password
+o.acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    await LoginThrottleService.assertIpAllowed(req, "invitation");
+
+    if (!password || typeof password !== "string") {
+      return json.errorResponse(res, "Password is required", 400);
     }
 
-    // Calculate pagination
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 10;
-    const skip = (pageNum - 1) * limitNum;
+    let user;
+    try {
+      user = await OnboardingService.verifyLink(token, "invitation");
+    } catch (err) {
+      await LoginThrottleService.recordIpAttempt(req, "invitation");
+      throw err;
+    }
 
-    // Get total count
-    const total = await User.countDocuments(filter);
+    const passwordErrors = await PasswordPolicyService.check(password, user);
+    if (passwordErrors.length) {
+      return json.errorResponse(
+        res,
+        PasswordPolicyService.toError(passwordErrors),
+        400,
+      );
+    }
 
-    // Get paginated users
-    const users = await User.find(filter)
-      .select("-password -otp")
-      .sort({ createdAt: -1 })
-      .limit(limitNum)
-      .skip(skip);
+    await OnboardingService.acceptInvitation(user, password);
 
-    // Calculate pagination metadata
-    const totalPages = Math.ceil(total / limitNum);
-    const hasNextPage = pageNum < totalPages;
-    const hasPrevPage = pageNum > 1;
+    await AuditLogService.createLog({
+      user,
+      action: "INVITATION_ACCEPT",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        invitedBy: user.invitedBy,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Invitation accepted successfully",
+        userMessage: "Your password is set. You can now sign in.",
+        keyName: "data",
+        data: { email: user.email },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to accept invitation:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to accept invitation";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// Public: Confirm a self-registered email address
+o.verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    await LoginThrottleService.assertIpAllowed(req, "verify-email");
+
+    let user;
+    try {
+      user = await OnboardingService.verifyEmail(token);
+    } catch (err) {
+      await LoginThrottleService.recordIpAttempt(req, "verify-email");
+      throw err;
+    }
+
+    await AuditLogService.createLog({
+      user,
+      action: "EMAIL_VERIFIED",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Email verified successfully",
+        userMessage:
+          user.approvalStatus === "pending"
+            ? "Thanks. You can sign in once an administrator approves your registration."
+            : "Thanks. You can now sign in.",
+        keyName: "data",
+        data: { email: user.email, approvalStatus: user.approvalStatus },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to verify email:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to verify email";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// Public: Send another verification (or invitation) link. The response is
+// the same whether or not the address is known.
+o.resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    await LoginThrottleService.assertIpAllowed(req, "verify-email");
+    await LoginThrottleService.recordIpAttempt(req, "verify-email");
+
+    const user =
+      typeof email === "string" && email
+        ? await User.findOne({ email: email.trim().toLowerCase() }).setOptions({
+            skipTenant: true,
+          })
+        : null;
+
+    // At most one email per account per cooldown, claimed in the database so
+    // parallel requests cannot each send one
+    const now = new Date();
+    const claimed =
+      user && !user.emailVerified && user.active !== false
+        ? await User.findOneAndUpdate(
+            {
+              _id: user._id,
+              onboardingLinkSentAt: {
+                $not: {
+                  $gt: new Date(
+                    now.getTime() - ONBOARDING_RESEND_COOLDOWN_SECONDS * 1000,
+                  ),
+                },
+              },
+            },
+            { $set: { onboardingLinkSentAt: now } },
+          ).setOptions({ skipTenant: true })
+        : null;
+
+    // Anyone can ask, so the link already sent stays valid until it expires
+    if (claimed) {
+      if (user.invitedBy) {
+        const invitedBy = await User.findById(user.invitedBy).setOptions({
+          skipTenant: true,
+        });
+        await OnboardingService.sendInvitation(user, invitedBy || user, {
+          keepCurrent: true,
+        });
+      } else {
+        await OnboardingService.sendVerification(user, { keepCurrent: true });
+      }
+    }
+
+    return json.successResponse(
+      res,
+      {
+        message: "Verification email sent",
+        userMessage:
+          "If that address has an unverified account, a new link is on its way.",
+        keyName: "data",
+        data: { email },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to resend verification:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to resend verification";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
+  }
+};
+
+// Admin: Self-registrations by approval status (pending by default)
+o.getRegistrations = async (req, res, next) => {
+  try {
+    const { status = "pending", page = 1, limit = 50 } = req.query;
+
+    if (!["pending", "approved", "rejected"].includes(status)) {
+      return json.errorResponse(
+        res,
+        "status must be one of: pending, approved, rejected",
+        400,
+      );
+    }
+
+    const filter = { approvalStatus: status, invitedBy: null };
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select("name email role emailVerified approvalStatus approvedAt createdAt")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    return json.successResponse(
+      res,
+      {
+        message: "Registrations fetched successfully",
+        keyName: "users",
+        data: users,
+        pagination: {
+          total,
+          page: pageNumber,
+          limit: limitNumber,
+          totalPages: Math.ceil(total / limitNumber),
+        },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch registrations:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch registrations";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Admin: Approve or reject a self-registration; approving sets the role
+o.reviewRegistration = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { decision, role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return json.errorResponse(res, "Invalid user ID", 400);
+    }
+    if (!["approve", "reject"].includes(decision)) {
+      return json.errorResponse(
+        res,
+        "decision must be approve or reject",
+        400,
+      );
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+    if (user.approvalStatus !== "pending") {
+      return json.errorResponse(
+        res,
+        "This registration has already been reviewed",
+        400,
+      );
+    }
+
+    if (decision === "approve") {
+      const nextRole = role || user.role;
+      if (!PermissionService.isValidRole(nextRole)) {
+        return json.errorResponse(
+          res,
+          `Role must be one of: ${PermissionService.roles.join(", ")}`,
+          400,
+        );
+      }
+      if (!PermissionService.canGrantRole(req.user, nextRole)) {
+        return json.errorResponse(
+          res,
+          "You cannot grant a role with more access than your own",
+          403,
+        );
+      }
+      user.role = nextRole;
+      user.approvalStatus = "approved";
+    } else {
+      user.approvalStatus = "rejected";
+      user.active = false;
+    }
+    user.approvedBy = req.user._id;
+    user.approvedAt = new Date();
+    await user.save();
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action:
+        decision === "approve" ? "REGISTRATION_APPROVE" : "REGISTRATION_REJECT",
+      actionCategory: "ADMIN",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+      },
+      req,
+    });
+
+    const userObject = user.toObject();
+    delete userObject.password;
+
+    return json.successResponse(
+      res,
+      {
+        message:
+          decision === "approve"
+            ? "Registration approved"
+            : "Registration rejected",
+        keyName: "user",
+        data: userObject,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to review registration:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to review registration";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+// Admin: Create or update users in bulk from a CSV/XLSX roster. With
+// dryRun the per-row report is returned without changing anything.
+o.importUsers = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return json.errorResponse(res, "A roster file is required", 400);
+    }
+
+    const format = UserRosterService.formatFromFileName(req.file.originalname);
+    if (!format) {
+      return json.errorResponse(
+        res,
+        `Roster must be one of: ${UserRosterService.formats.join(", ")}`,
+        400,
+      );
+    }
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(
+      (value) => value === true || value === "true",
+    );
+
+    const rows = UserRosterService.parse(req.file.buffer, format);
+    let report = await UserRosterService.plan(
+      rows,
+      req.user,
+      req.organisationId,
+    );
+
+    if (!dryRun) {
+      report = await UserRosterService.apply(
+        report,
+        req.organisationId,
+        req.user,
+      );
+
+      for (const entry of report.filter((row) => row.action === "create")) {
+        try {
+          const user = await User.findById(entry.userId);
+          await OnboardingService.sendInvitation(user, req.user);
+        } catch (err) {
+          // The account exists; the admin can resend the invitation
+          console.error(`Failed to send invitation to ${entry.email}:`, err);
+        }
+      }
+    }
+
+    const summary = UserRosterService.summarise(report);
+
+    if (!dryRun) {
+      await AuditLogService.createLog({
+        user: req.user,
+        action: "USER_IMPORT",
+        actionCategory: "ADMIN",
+        resourceType: "User",
+        details: {
+          fileName: req.file.originalname,
+          format,
+          summary,
+          created: report
+            .filter((row) => row.action === "create")
+            .map((row) => row.email),
+          updated: report
+            .filter((row) => row.action === "update")
+            .map((row) => ({ email: row.email, changes: row.changes })),
+        },
+        req,
+      });
+    }
 
     return json.successResponse(
       res,
       {
-        message: "Practitioner users fetched successfully",
-        keyName: "practitioners",
-        data: users,
-        pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total,
-          totalPages,
-          hasNextPage,
-          hasPrevPage,
-        },
-        stats: {
-          total,
-          active: await User.countDocuments({ ...filter, active: true }),
-          inactive: await User.countDocuments({ ...filter, active: false }),
+        message: dryRun
+          ? "Roster validated successfully"
+          : "Roster imported successfully",
+        keyName: "import",
+        data: {
+          dryRun,
+          summary,
+          rows: report.map(({ values, ...row }) => row),
         },
       },
-      200,
+      dryRun ? 200 : 201,
     );
   } catch (err) {
-    console.error("Failed to fetch practitioner users:", err);
+    console.error("Failed to import users:", err);
     const errorMessage =
-      err.message || err.toString() || "Failed to fetch practitioner users";
-    return json.errorResponse(res, errorMessage, 500);
+      err.message || err.toString() || "Failed to import users";
+    return json.errorResponse(res, errorMessage, err.statusCode || 500);
   }
 };
 
-o.updateProfile = async (req, res, next) => {
+// Admin: Download the organisation's users as a roster that can be
+// edited and imported again
+o.exportUsers = async (req, res, next) => {
   try {
-    const { _id } = req.decoded;
-    const { name, piiMasking, language } = req.body;
+    const { format = "csv" } = req.query;
 
-    const user = await User.findById(_id);
-    if (!user) {
-      return json.errorResponse(res, "User not found", 404);
-    }
-
-    // Validation: if piiMasking is enabled, only English is allowed
-    if (piiMasking === true && language && language !== "english") {
+    if (!UserRosterService.formats.includes(format)) {
       return json.errorResponse(
         res,
-        "PII Masking can only be enabled with English language",
+        `format must be one of: ${UserRosterService.formats.join(", ")}`,
         400,
       );
     }
 
-    const updatedFields = [];
-
-    // Update fields if provided
-    if (name !== undefined && name.trim() !== "") {
-      user.name = name.trim();
-      updatedFields.push("name");
-    }
-    if (piiMasking !== undefined) {
-      user.piiMasking = piiMasking;
-      updatedFields.push("piiMasking");
-    }
-    if (language !== undefined) {
-      user.language = language;
-      updatedFields.push("language");
-      // Auto-disable PII masking if language is not English
-      if (language !== "english") {
-        user.piiMasking = false;
-      }
-    }
-
-    await user.save();
+    const users = await User.find({})
+      .select("name email role language piiMasking")
+      .sort({ name: 1 })
+      .lean();
 
-    const updatedUser = await User.findById(_id).select("-password");
+    const buffer = UserRosterService.build(users, format);
 
     await AuditLogService.createLog({
-      user,
-      action: "UPDATE_PROFILE",
-      actionCategory: "USER",
+      user: req.user,
+      action: "USER_EXPORT",
+      actionCategory: "ADMIN",
       resourceType: "User",
-      resourceId: user._id,
       details: {
-        updatedFields,
-        updatedAt: new Date(),
+        format,
+        count: users.length,
       },
       req,
     });
 
-    return json.successResponse(
-      res,
-      {
-        message: "Profile updated successfully",
-        userMessage: "Your profile has been updated",
-        keyName: "user",
-        data: updatedUser,
-      },
-      200,
+    const fileName = `users-${new Date().toISOString().split("T")[0]}.${format}`;
+    res.setHeader(
+      "Content-Type",
+      format === "csv"
+        ? "text/csv"
+        : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
     );
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    return res.send(buffer);
   } catch (err) {
-    console.error("Failed to update profile:", err);
+    console.error("Failed to export users:", err);
     const errorMessage =
-      err.message || err.toString() || "Failed to update profile";
+      err.message || err.toString() || "Failed to export users";
     return json.errorResponse(res, errorMessage, 500);
   }
 };
 
-o.updatePassword = async (req, res, next) => {
+// Admin: "view as" another user with a short-lived impersonation token
+o.impersonateUser = async (req, res, next) => {
   try {
-    const { _id } = req.decoded;
-    const { currentPassword, newPassword } = req.body;
+    const { id } = req.params;
+    const { reason, readOnly = true } = req.body;
 
-    if (!currentPassword || !newPassword) {
+    if (req.impersonation) {
       return json.errorResponse(
         res,
-        "Current password and new password are required",
-        400,
+        "You cannot start an impersonation while impersonating",
+        403,
       );
     }
-
-    if (newPassword.length < 6) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return json.errorResponse(res, "Invalid user ID", 400);
+    }
+    if (!reason || !reason.trim()) {
+      return json.errorResponse(res, "A reason is required", 400);
+    }
+    if (typeof readOnly !== "boolean") {
       return json.errorResponse(
         res,
-        "New password must be at least 6 characters long",
+        "readOnly must be a boolean (true/false)",
         400,
       );
     }
+    if (id === req.user._id.toString()) {
+      return json.errorResponse(res, "You cannot impersonate yourself", 400);
+    }
 
-    const user = await User.findById(_id);
+    const user = await User.findById(id).select("-password");
     if (!user) {
       return json.errorResponse(res, "User not found", 404);
     }
-
-    // Verify current password
-    const isPasswordValid = bcrypt.compareSync(currentPassword, user.password);
-    if (!isPasswordValid) {
-      return json.errorResponse(res, "Current password is incorrect", 401);
+    if (user.active === false) {
+      return json.errorResponse(res, "User account is not active", 400);
+    }
+    // Impersonating must not reach beyond the admin's own access
+    if (!PermissionService.canGrantRole(req.user, user.role)) {
+      return json.errorResponse(
+        res,
+        "You cannot impersonate a user with more access than your own",
+        403,
+      );
     }
 
-    // Hash and update new password
-    user.password = bcrypt.hashSync(newPassword, 5);
-    user.password_changed_at = new Date();
-    await user.save();
+    const { token, expiresAt, impersonation } =
+      await TokenService.issueImpersonationToken(
+        req.user,
+        user,
+        { reason: reason.trim(), readOnly },
+        req,
+      );
 
     await AuditLogService.createLog({
-      user,
-      action: "UPDATE_PASSWORD",
-      actionCategory: "AUTH",
+      user: req.user,
+      action: "IMPERSONATION_START",
+      actionCategory: "IMPERSONATION",
       resourceType: "User",
       resourceId: user._id,
       details: {
-        email: user.email,
-        changedAt: new Date(),
+        impersonationId: impersonation._id,
+        adminId: req.user._id,
+        adminEmail: req.user.email,
+        impersonatedUserId: user._id,
+        impersonatedUserEmail: user.email,
+        reason: impersonation.reason,
+        readOnly,
+        expiresAt,
       },
       req,
     });
@@ -532,96 +2534,76 @@ o.updatePassword = async (req, res, next) => {
     return json.successResponse(
       res,
       {
-        message: "Password updated successfully",
-        keyName: "data",
-        data: null,
+        message: "Impersonation started",
+        keyName: "impersonation",
+        data: {
+          token,
+          expiresAt,
+          readOnly,
+          impersonationId: impersonation._id,
+          user,
+          permissions: PermissionService.getPermissions(user),
+        },
       },
-      200,
+      201,
     );
   } catch (err) {
-    console.error("Failed to update password:", err);
+    console.error("Failed to start impersonation:", err);
     const errorMessage =
-      err.message || err.toString() || "Failed to update password";
+      err.message || err.toString() || "Failed to start impersonation";
     return json.errorResponse(res, errorMessage, 500);
   }
 };
 
-// Admin: Create user with credentials
-o.createUserByAdmin = async (req, res, next) => {
+// Admin: end an impersonation before it expires
+o.endImpersonation = async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
-
-    // Validation
-    if (!name || !email || !password || !role) {
-      return json.errorResponse(
-        res,
-        "Name, email, password, and role are required",
-        400,
-      );
-    }
+    const { impersonationId } = req.params;
 
-    // Validate role
-    if (!["admin", "practitioner"].includes(role)) {
-      return json.errorResponse(
-        res,
-        "Role must be either 'admin' or 'practitioner'",
-        400,
-      );
+    if (!mongoose.Types.ObjectId.isValid(impersonationId)) {
+      return json.errorResponse(res, "Invalid impersonation ID", 400);
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email: email });
-    if (existingUser) {
+    const impersonation = await TokenService.endImpersonation(
+      impersonationId,
+      "ended_by_admin",
+    );
+    if (!impersonation) {
       return json.errorResponse(
         res,
-        "User with this email already exists",
-        400,
+        "Impersonation not found or already ended",
+        404,
       );
     }
 
-    // Hash password
-    const hashedPassword = bcrypt.hashSync(password, 5);
-
-    // Create new user
-    const user = new User({
-      name: name,
-      email: email,
-      password: hashedPassword,
-      role: role,
-      active: true,
-    });
-
-    await user.save();
-
     await AuditLogService.createLog({
-      user: user,
-      action: "REGISTER",
-      actionCategory: "AUTH",
+      user: req.user,
+      action: "IMPERSONATION_END",
+      actionCategory: "IMPERSONATION",
       resourceType: "User",
-      resourceId: user._id,
+      resourceId: impersonation.user,
       details: {
-        email: user.email,
-        role: user.role,
+        impersonationId: impersonation._id,
+        adminId: impersonation.admin,
+        impersonatedUserId: impersonation.user,
+        endedBy: req.user._id,
       },
       req,
     });
 
-    const userObject = user.toObject();
-    delete userObject.password;
-
     return json.successResponse(
       res,
       {
-        message: "User created successfully by admin",
-        keyName: "user",
-        data: userObject,
+        message: "Impersonation ended",
+        keyName: "impersonation",
+        data: impersonation,
       },
-      201,
+      200,
     );
   } catch (err) {
-    console.error("Failed to create user by admin:", err);
+    console.error("Failed to end impersonation:", err);
     const errorMessage =
-      err.message || err.toString() || "Failed to create user";
+      err.message || err.toString() || "Failed to end impersonation";
     return json.errorResponse(res, errorMessage, 500);
   }
 };
@@ -630,7 +2612,7 @@ o.createUserByAdmin = async (req, res, next) => {
 o.updateUserCredentials = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, resetMfa } = req.body;
 
     // Validate ID
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -642,15 +2624,32 @@ o.updateUserCredentials = async (req, res, next) => {
     if (!user) {
       return json.errorResponse(res, "User not found", 404);
     }
+    if (!PermissionService.canGrantRole(req.user, user.role)) {
+      return json.errorResponse(
+        res,
+        "You cannot modify a user with more access than your own",
+        403,
+      );
+    }
 
     // Update name if provided
     if (name) {
       user.name = name;
     }
 
-    // Update email if provided and not already taken
-    if (email && email !== user.email) {
-      const existingUser = await User.findOne({ email: email });
+    // Update email if provided and not already taken. The new address has
+    // to be verified before it can be signed in with.
+    const wasVerified = user.emailVerified;
+    const newEmail =
+      typeof email === "string" ? email.trim().toLowerCase() : email;
+    const emailChanged = !!newEmail && newEmail !== user.email;
+    if (emailChanged) {
+      if (typeof newEmail !== "string" || !EMAIL_PATTERN.test(newEmail)) {
+        return json.errorResponse(res, "Email is not valid", 400);
+      }
+      const existingUser = await User.findOne({ email: newEmail }).setOptions({
+        skipTenant: true,
+      });
       if (existingUser) {
         return json.errorResponse(
           res,
@@ -658,29 +2657,75 @@ o.updateUserCredentials = async (req, res, next) => {
           400,
         );
       }
-      user.email = email;
+      user.email = newEmail;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
     }
 
     // Update password if provided
     if (password) {
-      user.password = bcrypt.hashSync(password, 5);
-      user.password_changed_at = new Date();
+      const passwordErrors = await PasswordPolicyService.check(password, user);
+      if (passwordErrors.length) {
+        return json.errorResponse(
+          res,
+          PasswordPolicyService.toError(passwordErrors),
+          400,
+        );
+      }
+      await PasswordPolicyService.applyPassword(user, password);
     }
 
     // Update role if provided and valid
     if (role) {
-      if (!["admin", "practitioner"].includes(role)) {
+      if (!PermissionService.isValidRole(role)) {
         return json.errorResponse(
           res,
-          "Role must be either 'admin' or 'practitioner'",
+          `Role must be one of: ${PermissionService.roles.join(", ")}`,
           400,
         );
       }
+      if (!PermissionService.canGrantRole(req.user, role)) {
+        return json.errorResponse(
+          res,
+          "You cannot grant a role with more access than your own",
+          403,
+        );
+      }
       user.role = role;
     }
 
+    // Clear MFA enrolment (lost device); the user re-enrols on next login if required
+    const mfaWasEnabled = user.mfaEnabled;
+    if (resetMfa === true) {
+      user.mfaEnabled = false;
+      user.mfaSecret = undefined;
+      user.mfaPendingSecret = undefined;
+      user.mfaRecoveryCodes = [];
+      user.mfaEnrolledAt = undefined;
+    }
+
     await user.save();
 
+    // An invitee who has not accepted yet is invited again at the new address
+    if (emailChanged) {
+      if (!wasVerified && user.invitedAt) {
+        await OnboardingService.sendInvitation(user, req.user);
+      } else {
+        await OnboardingService.sendVerification(user);
+      }
+    }
+
+    // Whoever knew the old password is signed out
+    if (password) {
+      await TokenService.revokeAllForUser(
+        user._id,
+        "password_reset",
+        req.user._id,
+      );
+    } else if (resetMfa === true) {
+      await TokenService.revokeAllForUser(user._id, "mfa_reset");
+    }
+
     const userObject = user.toObject();
     delete userObject.password;
 
@@ -701,10 +2746,29 @@ o.updateUserCredentials = async (req, res, next) => {
       req,
     });
 
+    if (resetMfa === true) {
+      await AuditLogService.createLog({
+        user: adminUser,
+        action: "MFA_RESET",
+        actionCategory: "ADMIN",
+        resourceType: "User",
+        resourceId: user._id,
+        details: {
+          targetUserEmail: user.email,
+          mfaWasEnabled,
+          resetAt: new Date(),
+        },
+        req,
+      });
+    }
+
     return json.successResponse(
       res,
       {
         message: "User credentials updated successfully",
+        userMessage: emailChanged
+          ? "A link to verify the new email address has been sent to it"
+          : undefined,
         keyName: "user",
         data: userObject,
       },
@@ -744,6 +2808,14 @@ o.toggleUserStatus = async (req, res, next) => {
       return json.errorResponse(res, "User not found", 404);
     }
 
+    if (!PermissionService.canGrantRole(req.user, user.role)) {
+      return json.errorResponse(
+        res,
+        "You cannot modify a user with more access than your own",
+        403,
+      );
+    }
+
     // Prevent admin from disabling themselves
     if (user._id.toString() === req.decoded._id.toString() && !active) {
       return json.errorResponse(
@@ -759,6 +2831,15 @@ o.toggleUserStatus = async (req, res, next) => {
     user.active = active;
     await user.save();
 
+    // Deactivation takes effect now: tokens, refresh tokens and sockets
+    if (!active && previousStatus !== false) {
+      await TokenService.revokeAllForUser(
+        user._id,
+        "deactivated",
+        req.user._id,
+      );
+    }
+
     // Get the admin user who made this change
     const adminUser = await User.findById(req.decoded._id);
 
@@ -800,4 +2881,102 @@ o.toggleUserStatus = async (req, res, next) => {
   }
 };
 
+o.getRoles = async (req, res, next) => {
+  try {
+    return json.successResponse(
+      res,
+      {
+        message: "Roles fetched successfully",
+        keyName: "roles",
+        data: PermissionService.listRoles(),
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch roles:", err);
+    const errorMessage = err.message || err.toString() || "Failed to fetch roles";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.getLockedAccounts = async (req, res, next) => {
+  try {
+    const users = await User.find({ lockedUntil: { $gt: new Date() } })
+      .select("name email role active lockedUntil lockoutCount")
+      .sort({ lockedUntil: -1 })
+      .lean();
+
+    return json.successResponse(
+      res,
+      {
+        message: "Locked accounts fetched successfully",
+        keyName: "users",
+        data: users,
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to fetch locked accounts:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to fetch locked accounts";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
+o.unlockAccount = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return json.errorResponse(res, "Invalid user ID", 400);
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return json.errorResponse(res, "User not found", 404);
+    }
+
+    if (!PermissionService.canGrantRole(req.user, user.role)) {
+      return json.errorResponse(
+        res,
+        "You cannot modify a user with more access than your own",
+        403,
+      );
+    }
+
+    const previousLockedUntil = user.lockedUntil;
+    await LoginThrottleService.unlockAccount(user);
+
+    await AuditLogService.createLog({
+      user: req.user,
+      action: "ACCOUNT_UNLOCKED",
+      actionCategory: "AUTH",
+      resourceType: "User",
+      resourceId: user._id,
+      details: {
+        targetUserEmail: user.email,
+        previousLockedUntil,
+        actionBy: req.user.name,
+        unlockedAt: new Date(),
+      },
+      req,
+    });
+
+    return json.successResponse(
+      res,
+      {
+        message: "Account unlocked successfully",
+        keyName: "user",
+        data: { _id: user._id, email: user.email, lockedUntil: null },
+      },
+      200,
+    );
+  } catch (err) {
+    console.error("Failed to unlock account:", err);
+    const errorMessage =
+      err.message || err.toString() || "Failed to unlock account";
+    return json.errorResponse(res, errorMessage, 500);
+  }
+};
+
 module.exports = o;
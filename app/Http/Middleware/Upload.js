@@ -0,0 +1,46 @@
+"use strict";
+
+const multer = require("multer");
+const json = require("../../Traits/ApiResponser");
+const SystemSettingsService = require("../../Services/SystemSettingsService");
+const s3Service = require("../../Services/S3Service");
+const TenantContext = require("../../Services/TenantContext");
+
+/**
+ * Multipart upload middleware. Upload limits are organisation settings, so
+ * multer is configured per request, after authenticate has set the tenant
+ * context. Multer's stream callbacks lose that context, so it is entered
+ * again for the file filter and for the handlers that follow.
+ */
+module.exports.single = (field) => async (req, res, next) => {
+  try {
+    const maxUploadSizeBytes =
+      await SystemSettingsService.get("maxUploadSizeBytes");
+
+    multer({
+      storage: multer.memoryStorage({}),
+      limits: { fileSize: maxUploadSizeBytes },
+      fileFilter: (req, file, cb) => {
+        TenantContext.run(
+          req.organisationId,
+          () => s3Service.assertUploadAllowed(0, file.mimetype),
+          req,
+        )
+          .then(() => cb(null, true))
+          .catch(cb);
+      },
+    }).single(field)(req, res, (err) => {
+      if (!err) return TenantContext.run(req.organisationId, next, req);
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return json.errorResponse(
+          res,
+          `File exceeds the maximum upload size of ${maxUploadSizeBytes} bytes`,
+          413,
+        );
+      }
+      return json.errorResponse(res, err.message, err.statusCode || 400);
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
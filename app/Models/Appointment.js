@@ -0,0 +1,58 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// A scheduled session. When recording starts the appointment is converted
+// into a real Session (see AppointmentService.claimForSession) and marked
+// Completed. Occurrences of a recurring appointment share a series ID.
+const appointmentSchema = new mongoose.Schema(
+  {
+    case: { type: mongoose.Schema.Types.ObjectId, ref: "Case", required: true },
+    practitioner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    startAt: { type: Date, required: true },
+    endAt: { type: Date, required: true },
+
+    location: { type: String },
+    telehealth: { type: Boolean, default: false },
+    telehealthUrl: { type: String },
+    notes: { type: String },
+
+    status: {
+      type: String,
+      enum: ["Scheduled", "Completed", "Cancelled", "NoShow"],
+      default: "Scheduled",
+    },
+    statusChangedAt: { type: Date },
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancellationReason: { type: String },
+
+    series: { type: mongoose.Schema.Types.ObjectId },
+    seriesIndex: { type: Number },
+    recurrence: {
+      frequency: { type: String, enum: ["weekly"] },
+      interval: { type: Number },
+    },
+
+    session: { type: mongoose.Schema.Types.ObjectId, ref: "Session" },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+appointmentSchema.index({ practitioner: 1, startAt: 1 });
+appointmentSchema.index({ case: 1, startAt: 1 });
+appointmentSchema.index({ series: 1, seriesIndex: 1 });
+
+appointmentSchema.plugin(belongsToOrganisation);
+
+mongoose.model("Appointment", appointmentSchema);
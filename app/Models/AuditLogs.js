@@ -1,5 +1,6 @@
 "use strict";
 const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
 
 const auditLogSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -24,4 +25,6 @@ const auditLogSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now },
 });
 
+auditLogSchema.plugin(belongsToOrganisation);
+
 mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,25 @@
+"use strict";
+const mongoose = require("mongoose");
+
+const authThrottleSchema = new mongoose.Schema(
+  {
+    // e.g. "login:ip:203.0.113.7"
+    key: { type: String, required: true, unique: true },
+    scope: { type: String, required: true },
+    identifier: { type: String, required: true },
+
+    count: { type: Number, default: 0 },
+    windowStartedAt: { type: Date, default: Date.now },
+
+    lockedUntil: { type: Date },
+    lockouts: { type: Number, default: 0 },
+
+    // Document is dropped by MongoDB once the window and any lock have passed
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true },
+);
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+mongoose.model("AuthThrottle", authThrottleSchema);
@@ -0,0 +1,40 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// Time-boxed emergency read access to a case the user is not a member of
+const breakGlassGrantSchema = new mongoose.Schema(
+  {
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Case",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    // Reads made under the grant (each is also in the audit log)
+    accessCount: { type: Number, default: 0 },
+    lastAccessedAt: { type: Date },
+
+    // After-the-fact review by someone with audit access
+    reviewedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewNotes: { type: String },
+  },
+  { timestamps: true }
+);
+
+breakGlassGrantSchema.index({ user: 1, case: 1, expiresAt: -1 });
+
+breakGlassGrantSchema.plugin(belongsToOrganisation);
+
+mongoose.model("BreakGlassGrant", breakGlassGrantSchema);
@@ -1,15 +1,42 @@
 "use strict";
 const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+const { statuses } = require("../../config/caseStatuses");
 
 const caseSchema = new mongoose.Schema(
   {
     displayName: { type: String, required: true },
-    internalRef: { type: String, required: true, unique: true },
+    internalRef: { type: String, required: true },
     status: {
       type: String,
-      enum: ["Active", "Closed", "OnHold", "Unapporved"],
+      enum: statuses,
       default: "Active",
     },
+    statusChangedAt: { type: Date },
+    // Every status change, oldest first (see CaseStatusService)
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String },
+        to: { type: String, required: true },
+        reason: { type: String },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // The most recent closure (see CaseClosureService)
+    closure: {
+      reason: { type: String },
+      closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      closedAt: { type: Date },
+      dischargeSummary: {
+        summaryText: { type: String },
+        summaryContent: { type: Object },
+        notesIncluded: [{ type: mongoose.Schema.Types.ObjectId, ref: "Soap" }],
+        aiModelVersion: { type: String },
+        generatedAt: { type: Date },
+      },
+    },
     tags: [{ type: String }],
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
@@ -27,6 +54,10 @@ const caseSchema = new mongoose.Schema(
 
 caseSchema.index({ assignedTo: 1, status: 1 });
 caseSchema.index({ tags: 1 });
-caseSchema.index({ internalRef: 1 });
+
+caseSchema.plugin(belongsToOrganisation);
+
+// Case references are numbered per organisation
+caseSchema.index({ organisation: 1, internalRef: 1 }, { unique: true });
 
 mongoose.model("Case", caseSchema);
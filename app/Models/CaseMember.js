@@ -0,0 +1,34 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// Extra practitioners on a case. The lead (Case.assignedTo) is always the
+// owner and is not stored here.
+const caseMemberSchema = new mongoose.Schema(
+  {
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Case",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["owner", "contributor", "viewer"],
+      default: "contributor",
+    },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+caseMemberSchema.index({ case: 1, user: 1 }, { unique: true });
+caseMemberSchema.index({ user: 1 });
+
+caseMemberSchema.plugin(belongsToOrganisation);
+
+mongoose.model("CaseMember", caseMemberSchema);
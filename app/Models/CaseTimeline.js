@@ -1,5 +1,6 @@
 "use strict";
 const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
 
 const caseTimelineSchema = new mongoose.Schema(
   {
@@ -10,7 +11,7 @@ const caseTimelineSchema = new mongoose.Schema(
     },
     eventType: {
       type: String,
-      enum: ["session", "file_upload", "timeline_summary"],
+      enum: ["session", "file_upload", "timeline_summary", "status_change"],
       required: true,
     },
 
@@ -22,6 +23,13 @@ const caseTimelineSchema = new mongoose.Schema(
       ref: "TimelineSummary",
     },
 
+    // For status_change events
+    statusChange: {
+      from: { type: String },
+      to: { type: String },
+      reason: { type: String },
+    },
+
     // Event metadata
     eventDate: { type: Date, required: true },
     eventDescription: { type: String },
@@ -39,4 +47,6 @@ const caseTimelineSchema = new mongoose.Schema(
 caseTimelineSchema.index({ case: 1, eventDate: -1 });
 caseTimelineSchema.index({ case: 1, eventType: 1 });
 
+caseTimelineSchema.plugin(belongsToOrganisation);
+
 mongoose.model("CaseTimeline", caseTimelineSchema);
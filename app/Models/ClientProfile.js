@@ -0,0 +1,64 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// The client behind a case: demographics, emergency contacts, referral and
+// presenting problem. Paths marked `phi: true` identify the client; they
+// are masked in exports when PII masking is on and never sent to the AI
+// (see ClientProfileService).
+const emergencyContactSchema = new mongoose.Schema(
+  {
+    name: { type: String, phi: true },
+    relationship: { type: String },
+    phone: { type: String, phi: true },
+    email: { type: String, phi: true },
+  },
+  { _id: false }
+);
+
+const clientProfileSchema = new mongoose.Schema(
+  {
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Case",
+      required: true,
+    },
+
+    firstName: { type: String, phi: true },
+    lastName: { type: String, phi: true },
+    preferredName: { type: String, phi: true },
+    dateOfBirth: { type: Date, phi: true },
+    gender: { type: String },
+    pronouns: { type: String },
+    phone: { type: String, phi: true },
+    email: { type: String, phi: true },
+    address: {
+      line1: { type: String, phi: true },
+      line2: { type: String, phi: true },
+      city: { type: String, phi: true },
+      postcode: { type: String, phi: true },
+      country: { type: String },
+    },
+
+    emergencyContacts: [emergencyContactSchema],
+
+    referral: {
+      source: { type: String },
+      referrerName: { type: String, phi: true },
+      referrerContact: { type: String, phi: true },
+      referredAt: { type: Date },
+      reason: { type: String },
+    },
+
+    presentingProblem: { type: String },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+clientProfileSchema.index({ case: 1 }, { unique: true });
+
+clientProfileSchema.plugin(belongsToOrganisation);
+
+mongoose.model("ClientProfile", clientProfileSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
 
 const fileSchema = new mongoose.Schema(
   {
@@ -20,4 +21,6 @@ const fileSchema = new mongoose.Schema(
   { timestamps: { createdAt: "uploaded_at", updatedAt: false } }
 );
 
+fileSchema.plugin(belongsToOrganisation);
+
 mongoose.model("File", fileSchema);
@@ -0,0 +1,29 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// An admin viewing the app as another user. Impersonation access tokens
+// carry this record's ID as `sid`, so ending it revokes the token.
+const impersonationSchema = new mongoose.Schema(
+  {
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, required: true },
+    readOnly: { type: Boolean, default: true },
+
+    expiresAt: { type: Date, required: true },
+    endedAt: { type: Date },
+    endedReason: { type: String },
+
+    ipAddress: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true },
+);
+
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+impersonationSchema.plugin(belongsToOrganisation);
+
+mongoose.model("Impersonation", impersonationSchema);
@@ -0,0 +1,36 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// A signed-in device. `family` is the refresh-token family (the access
+// token's `sid`), so revoking the session revokes every token it issued.
+const loginSessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    family: { type: String, required: true, unique: true },
+    method: { type: String, default: "password" },
+
+    ipAddress: { type: String },
+    userAgent: { type: String },
+    device: {
+      browser: { type: String },
+      os: { type: String },
+      type: { type: String },
+    },
+
+    lastSeenAt: { type: Date },
+    lastIpAddress: { type: String },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true },
+);
+
+loginSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+
+loginSessionSchema.plugin(belongsToOrganisation);
+
+mongoose.model("LoginSession", loginSessionSchema);
@@ -0,0 +1,23 @@
+"use strict";
+const mongoose = require("mongoose");
+
+// A clinic hosted on this deployment. Tenant data carries an `organisation`
+// reference (see app/Traits/BelongsToOrganisation).
+const organisationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    contactEmail: { type: String, lowercase: true, trim: true },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+mongoose.model("Organisation", organisationSchema);
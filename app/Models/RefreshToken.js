@@ -0,0 +1,30 @@
+"use strict";
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // SHA-256 of the opaque token handed to the client; the raw value is never stored
+    tokenHash: { type: String, required: true, unique: true },
+
+    // One family per login; every rotation stays in the same family and
+    // access tokens carry it as `sid` so a whole login can be revoked at once
+    family: { type: String, required: true },
+
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+    replacedByHash: { type: String },
+
+    ipAddress: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true },
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+mongoose.model("RefreshToken", refreshTokenSchema);
@@ -1,5 +1,6 @@
 "use strict";
 const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
 
 const sessionSchema = new mongoose.Schema(
   {
@@ -9,6 +10,10 @@ const sessionSchema = new mongoose.Schema(
     hasRecording: { type: Boolean, default: false },
     audioUrl: { type: String },
     audioS3Key: { type: String },
+    // "live" when the server recorded the audio streamed for transcription
+    recordingSource: { type: String, enum: ["upload", "live"] },
+    // Recordings replaced by a later one, kept until retention deletes them
+    previousAudioS3Keys: { type: [String], default: undefined },
     audioFileSizeBytes: { type: Number },
     durationSeconds: { type: Number },
 
@@ -41,6 +46,23 @@ const sessionSchema = new mongoose.Schema(
     errorMessage: { type: String },
     speechmaticsJobId: { type: String },
 
+    // Background transcription of an uploaded recording
+    transcriptionJob: {
+      status: {
+        type: String,
+        enum: ["Queued", "Running", "Completed", "Failed"],
+      },
+      provider: { type: String },
+      progress: { type: Number, default: 0 },
+      attempts: { type: Number, default: 0 },
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      queuedAt: { type: Date },
+      retryAt: { type: Date }, // A failed job is not claimed again before this
+      startedAt: { type: Date },
+      completedAt: { type: Date },
+      lastError: { type: String },
+    },
+
     // Data Retention Fields
     deletionScheduledAt: { type: Date }, // When audio/transcript should be deleted
     retentionStatus: {
@@ -62,4 +84,6 @@ const sessionSchema = new mongoose.Schema(
 
 sessionSchema.index({ case: 1, sessionNumber: 1 }, { unique: true });
 
+sessionSchema.plugin(belongsToOrganisation);
+
 mongoose.model("Session", sessionSchema);
@@ -1,5 +1,6 @@
 "use strict";
 const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
 
 const noteSchema = new mongoose.Schema(
   {
@@ -24,12 +25,32 @@ const noteSchema = new mongoose.Schema(
       default: "Draft",
     },
 
+    // Progress this session made on treatment plan goals
+    goalProgress: [
+      {
+        _id: false,
+        goal: { type: mongoose.Schema.Types.ObjectId, required: true },
+        objective: { type: mongoose.Schema.Types.ObjectId },
+        progress: {
+          type: String,
+          enum: ["Regressed", "NoChange", "Progressing", "Achieved"],
+          required: true,
+        },
+        comment: { type: String },
+      },
+    ],
+
     approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     approvedAt: { type: Date },
+
+    // Set when the case is closed
+    locked: { type: Boolean, default: false },
   },
   { timestamps: true }
 );
 
 noteSchema.index({ session: 1, version: 1 }, { unique: true });
 
+noteSchema.plugin(belongsToOrganisation);
+
 mongoose.model("Soap", noteSchema);
@@ -0,0 +1,45 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// An organisation's OpenID Connect identity provider. One per organisation.
+const ssoConnectionSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    issuer: { type: String, required: true, trim: true },
+    clientId: { type: String, required: true, trim: true },
+    clientSecret: { type: String, select: false },
+    scopes: { type: String, default: "openid email profile" },
+
+    // Email domains that sign in through this provider, e.g. "clinic.sg"
+    emailDomains: [{ type: String, lowercase: true, trim: true }],
+    // When set, members of the organisation cannot sign in with a password.
+    // Domains are not verified, so they only route sign-ins, never enforce.
+    enforced: { type: Boolean, default: false },
+
+    // Create users on first sign-in instead of requiring an invitation
+    jitProvisioning: { type: Boolean, default: true },
+    groupsClaim: { type: String, default: "groups" },
+    // First matching IdP group wins; defaultRole applies when none match
+    roleMappings: [
+      {
+        _id: false,
+        group: { type: String, required: true },
+        role: { type: String, required: true },
+      },
+    ],
+    defaultRole: { type: String, default: "practitioner" },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Admin who last chose the provider (issuer or client). Existing accounts
+    // are only linked on first sign-in if this admin could grant their role.
+    configuredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true },
+);
+
+ssoConnectionSchema.index({ emailDomains: 1 });
+
+ssoConnectionSchema.plugin(belongsToOrganisation);
+
+mongoose.model("SsoConnection", ssoConnectionSchema);
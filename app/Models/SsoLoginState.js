@@ -0,0 +1,24 @@
+"use strict";
+const mongoose = require("mongoose");
+
+// An SSO sign-in in flight: the state, nonce and PKCE verifier sent to the
+// identity provider, checked once when it redirects back
+const ssoLoginStateSchema = new mongoose.Schema(
+  {
+    state: { type: String, required: true, unique: true },
+    nonce: { type: String, required: true },
+    codeVerifier: { type: String, required: true },
+    connection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SsoConnection",
+      required: true,
+    },
+    organisation: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation" },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true },
+);
+
+ssoLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+mongoose.model("SsoLoginState", ssoLoginStateSchema);
@@ -1,14 +1,18 @@
 'use strict';
 const mongoose = require('mongoose');
+const belongsToOrganisation = require('../Traits/BelongsToOrganisation');
 
 const systemSettingsSchema = new mongoose.Schema({
-  settingKey: { type: String, required: true, unique: true },
+  settingKey: { type: String, required: true },
   settingValue: { type: Object, required: true },
   description: { type: String },
   isSensitive: { type: Boolean, default: false },
   updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 }, { timestamps: { createdAt: false, updatedAt: 'updated_at' } });
 
-systemSettingsSchema.index({ settingKey: 1 });
+systemSettingsSchema.plugin(belongsToOrganisation);
+
+// Each organisation keeps its own copy of a setting
+systemSettingsSchema.index({ organisation: 1, settingKey: 1 }, { unique: true });
 
 mongoose.model('SystemSettings', systemSettingsSchema);
@@ -0,0 +1,19 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// One entry per change to a SystemSettings value, newest last
+const systemSettingsHistorySchema = new mongoose.Schema({
+  settingKey: { type: String, required: true },
+  previousValue: { type: Object },
+  newValue: { type: Object },
+  isSensitive: { type: Boolean, default: false },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  changedAt: { type: Date, default: Date.now },
+});
+
+systemSettingsHistorySchema.plugin(belongsToOrganisation);
+
+systemSettingsHistorySchema.index({ organisation: 1, settingKey: 1, changedAt: -1 });
+
+mongoose.model("SystemSettingsHistory", systemSettingsHistorySchema);
@@ -1,5 +1,6 @@
 "use strict";
 const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
 
 const timelineSummarySchema = new mongoose.Schema(
   {
@@ -45,4 +46,6 @@ const timelineSummarySchema = new mongoose.Schema(
 
 timelineSummarySchema.index({ case: 1, version: 1 }, { unique: true });
 
+timelineSummarySchema.plugin(belongsToOrganisation);
+
 mongoose.model("TimelineSummary", timelineSummarySchema);
@@ -1,5 +1,6 @@
 "use strict";
 const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
 
 const transcriptSchema = new mongoose.Schema(
   {
@@ -31,4 +32,6 @@ const transcriptSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+transcriptSchema.plugin(belongsToOrganisation);
+
 mongoose.model("Transcript", transcriptSchema);
@@ -0,0 +1,58 @@
+"use strict";
+const mongoose = require("mongoose");
+const belongsToOrganisation = require("../Traits/BelongsToOrganisation");
+
+// One treatment plan per case. Goals are never deleted, only achieved or
+// discontinued, because SOAP/DAP notes record progress against them
+// (Soap.goalProgress).
+const objectiveSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    targetDate: { type: Date },
+    status: {
+      type: String,
+      enum: ["NotStarted", "InProgress", "Met"],
+      default: "NotStarted",
+    },
+  },
+  { timestamps: true }
+);
+
+const goalSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    description: { type: String },
+    targetDate: { type: Date },
+    objectives: [objectiveSchema],
+    interventions: [{ type: String }],
+    status: {
+      type: String,
+      enum: ["Active", "Achieved", "Discontinued"],
+      default: "Active",
+    },
+    closedAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+const treatmentPlanSchema = new mongoose.Schema(
+  {
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Case",
+      required: true,
+    },
+    summary: { type: String },
+    reviewDate: { type: Date },
+    goals: [goalSchema],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+treatmentPlanSchema.index({ case: 1 }, { unique: true });
+
+treatmentPlanSchema.plugin(belongsToOrganisation);
+
+mongoose.model("TreatmentPlan", treatmentPlanSchema);
@@ -1,17 +1,56 @@
 'use strict'
 
 const mongoose = require('mongoose');
+const belongsToOrganisation = require('../Traits/BelongsToOrganisation');
+const { roles } = require('../../config/permissions');
 const userSchema = new mongoose.Schema({
 	name: { type: String, required: true, trim: true },
 	email: { type: String, required: true, unique: true, lowercase: true, trim: true },
 	password: { type: String, required: true },
-	role: { type: String, enum: ['admin','practitioner'], default: 'practitioner' },
+	role: { type: String, enum: Object.keys(roles), default: 'practitioner' },
 	active: { type: Boolean, default: true },
 	last_login_at: { type: Date },
 	password_changed_at: { type: Date },
-	otp: { type: String  },
+	// Hashes of recent passwords, newest first (see PasswordPolicyService)
+	passwordHistory: { type: [String], select: false },
+	tokenVersion: { type: Number, default: 0 },
+	otp: { type: String, select: false },
+	otpExpiresAt: { type: Date },
+	otpAttempts: { type: Number, default: 0 },
+	otpIssuedAt: { type: Date },
+	passwordResetAllowedUntil: { type: Date },
+	// Hash of the single-use token a verified reset code is exchanged for
+	passwordResetTokenHash: { type: String, select: false },
+	failedLoginAttempts: { type: Number, default: 0 },
+	lockoutCount: { type: Number, default: 0 },
+	lockedUntil: { type: Date },
+	mfaEnabled: { type: Boolean, default: false },
+	mfaSecret: { type: String, select: false },
+	mfaPendingSecret: { type: String, select: false },
+	mfaRecoveryCodes: { type: [String], select: false },
+	// Time step of the last TOTP code accepted; earlier and equal steps are refused
+	mfaLastTotpStep: { type: Number, select: false },
+	mfaEnrolledAt: { type: Date },
 	piiMasking: { type: Boolean, default: true },
 	language: { type: String, enum: ['english', 'mandarin'], default: 'english' },
+	// Accounts from before verification existed count as verified; new ones start false
+	emailVerified: { type: Boolean, default: true },
+	emailVerifiedAt: { type: Date },
+	approvalStatus: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'approved' },
+	approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+	approvedAt: { type: Date },
+	invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+	invitedAt: { type: Date },
+	// Identity-provider account this user signs in with (see SsoConnection)
+	ssoIssuer: { type: String },
+	ssoSubject: { type: String },
+	// ID of the one invitation/verification link currently valid for the user
+	onboardingTokenId: { type: String, select: false },
+	onboardingTokenExpiresAt: { type: Date },
+	// When a link was last sent from the public resend page, to throttle it
+	onboardingLinkSentAt: { type: Date },
 }, { timestamps: true });
 
+userSchema.plugin(belongsToOrganisation);
+
 mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,431 @@
+"use strict";
+
+const mongoose = require("mongoose");
+require("../Models/Appointment");
+const Appointment = mongoose.model("Appointment");
+const CaseAccessService = require("./CaseAccessService");
+const UserSettingsService = require("./UserSettingsService");
+const {
+  MAX_RECURRING_APPOINTMENTS,
+  MAX_CALENDAR_RANGE_DAYS,
+} = require("../../config/constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw buildHttpError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+// Minutes the timezone is ahead of UTC at a given moment
+const offsetMinutes = (date, timezone) => {
+  const wallClock = UserSettingsService.formatDateTime(date, timezone);
+  const asUtc = new Date(`${wallClock.replace(" ", "T")}Z`);
+  const wholeSeconds = date.getTime() - date.getUTCMilliseconds();
+  return Math.round((asUtc.getTime() - wholeSeconds) / 60000);
+};
+
+// Same wall-clock time a number of days later, across daylight saving changes
+const addDaysInZone = (date, days, timezone) => {
+  const naive = new Date(date.getTime() + days * DAY_MS);
+  const shift = offsetMinutes(date, timezone) - offsetMinutes(naive, timezone);
+  return new Date(naive.getTime() + shift * 60000);
+};
+
+/**
+ * Appointment Service
+ * Scheduling sessions ahead of time: one-off and weekly recurring
+ * appointments, practitioner calendars, cancellations and no-shows, and
+ * converting an appointment into a Session when recording starts.
+ */
+class AppointmentService {
+  get statuses() {
+    return Appointment.schema.path("status").enumValues;
+  }
+
+  /**
+   * Start times for an appointment and its recurrences
+   * @param {Date} startAt - First occurrence
+   * @param {Object} recurrence - { frequency: "weekly", interval, count | until }
+   * @param {String} timezone - Practitioner's timezone, to keep the local time
+   * @returns {Date[]}
+   */
+  occurrences(startAt, recurrence, timezone) {
+    if (!recurrence) return [startAt];
+
+    const { frequency, interval = 1, count, until } = recurrence;
+    if (frequency !== "weekly") {
+      throw buildHttpError('recurrence.frequency must be "weekly"', 400);
+    }
+    if (!Number.isInteger(interval) || interval < 1 || interval > 4) {
+      throw buildHttpError("recurrence.interval must be between 1 and 4", 400);
+    }
+    if ((count === undefined) === (until === undefined)) {
+      throw buildHttpError(
+        "recurrence needs either count or until, but not both",
+        400,
+      );
+    }
+
+    const untilDate =
+      until !== undefined ? parseDate(until, "recurrence.until") : null;
+    if (untilDate && untilDate < startAt) {
+      throw buildHttpError("recurrence.until must not be before startAt", 400);
+    }
+    if (
+      count !== undefined &&
+      (!Number.isInteger(count) ||
+        count < 1 ||
+        count > MAX_RECURRING_APPOINTMENTS)
+    ) {
+      throw buildHttpError(
+        `recurrence.count must be between 1 and ${MAX_RECURRING_APPOINTMENTS}`,
+        400,
+      );
+    }
+
+    const dates = [];
+    for (let index = 0; ; index++) {
+      const date = addDaysInZone(startAt, index * 7 * interval, timezone);
+      if (count !== undefined && index >= count) break;
+      if (untilDate && date > untilDate) break;
+      if (dates.length >= MAX_RECURRING_APPOINTMENTS) {
+        throw buildHttpError(
+          `A series can have at most ${MAX_RECURRING_APPOINTMENTS} appointments`,
+          400,
+        );
+      }
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  /**
+   * Scheduled appointments of a practitioner that overlap any of the slots
+   * @param {String} practitionerId - User ID
+   * @param {Object[]} slots - { startAt, endAt }
+   * @param {String} excludeId - Appointment to leave out (when rescheduling)
+   * @returns {Promise<Object[]>}
+   */
+  async findConflicts(practitionerId, slots, excludeId) {
+    if (!slots.length) return [];
+    const filter = {
+      practitioner: practitionerId,
+      status: "Scheduled",
+      $or: slots.map(({ startAt, endAt }) => ({
+        startAt: { $lt: endAt },
+        endAt: { $gt: startAt },
+      })),
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    return Appointment.find(filter)
+      .select("case startAt endAt")
+      .populate("case", "displayName")
+      .sort({ startAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Schedule an appointment, or a weekly series of them
+   * @param {Object} caseData - Case document
+   * @param {Object} fields - startAt, endAt, practitioner, location, telehealth, telehealthUrl, notes, recurrence
+   * @param {Object} user - User scheduling
+   * @returns {Promise<Object[]>} The appointments created, in order
+   */
+  async schedule(caseData, fields, user) {
+    const startAt = parseDate(fields.startAt, "startAt");
+    const endAt = parseDate(fields.endAt, "endAt");
+    if (endAt <= startAt) {
+      throw buildHttpError("endAt must be after startAt", 400);
+    }
+    if (startAt < new Date()) {
+      throw buildHttpError("Appointments must be scheduled in the future", 400);
+    }
+
+    if (
+      fields.practitioner &&
+      !mongoose.Types.ObjectId.isValid(fields.practitioner)
+    ) {
+      throw buildHttpError("practitioner must be a valid user ID", 400);
+    }
+    const practitionerId = fields.practitioner || caseData.assignedTo;
+    const practitioner = await mongoose.model("User").findById(practitionerId);
+    if (!practitioner || practitioner.active === false) {
+      throw buildHttpError("Practitioner not found", 404);
+    }
+    if (
+      !(await CaseAccessService.hasStandingAccess(
+        practitioner,
+        caseData,
+        "write",
+      ))
+    ) {
+      throw buildHttpError("The practitioner is not on this case", 400);
+    }
+
+    const timezone = await UserSettingsService.getTimezone(practitioner._id);
+    const duration = endAt - startAt;
+    const slots = this.occurrences(startAt, fields.recurrence, timezone).map(
+      (start) => ({
+        startAt: start,
+        endAt: new Date(start.getTime() + duration),
+      }),
+    );
+
+    const conflicts = await this.findConflicts(practitioner._id, slots);
+    if (conflicts.length) {
+      const error = buildHttpError(
+        "The practitioner already has appointments at these times",
+        409,
+      );
+      error.code = "APPOINTMENT_CONFLICT";
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    const series = slots.length > 1 ? new mongoose.Types.ObjectId() : undefined;
+    return Appointment.insertMany(
+      slots.map((slot, index) => ({
+        case: caseData._id,
+        practitioner: practitioner._id,
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        location: fields.location,
+        telehealth: !!fields.telehealth,
+        telehealthUrl: fields.telehealth ? fields.telehealthUrl : undefined,
+        notes: fields.notes,
+        series,
+        seriesIndex: series ? index : undefined,
+        recurrence: series
+          ? { frequency: "weekly", interval: fields.recurrence.interval || 1 }
+          : undefined,
+        createdBy: user._id,
+      })),
+    );
+  }
+
+  /**
+   * Move or edit a scheduled appointment
+   * @param {Object} appointment - Appointment document
+   * @param {Object} fields - startAt, endAt, location, telehealth, telehealthUrl, notes
+   * @returns {Promise<Object>} The appointment
+   */
+  async reschedule(appointment, fields) {
+    if (appointment.status !== "Scheduled") {
+      throw buildHttpError(
+        `A ${appointment.status} appointment cannot be changed`,
+        400,
+      );
+    }
+
+    const startAt =
+      fields.startAt !== undefined
+        ? parseDate(fields.startAt, "startAt")
+        : appointment.startAt;
+    const endAt =
+      fields.endAt !== undefined
+        ? parseDate(fields.endAt, "endAt")
+        : appointment.endAt;
+    if (endAt <= startAt) {
+      throw buildHttpError("endAt must be after startAt", 400);
+    }
+    if (fields.startAt !== undefined && startAt < new Date()) {
+      throw buildHttpError("Appointments must be scheduled in the future", 400);
+    }
+
+    if (fields.startAt !== undefined || fields.endAt !== undefined) {
+      const conflicts = await this.findConflicts(
+        appointment.practitioner,
+        [{ startAt, endAt }],
+        appointment._id,
+      );
+      if (conflicts.length) {
+        const error = buildHttpError(
+          "The practitioner already has an appointment at this time",
+          409,
+        );
+        error.code = "APPOINTMENT_CONFLICT";
+        error.conflicts = conflicts;
+        throw error;
+      }
+    }
+
+    appointment.startAt = startAt;
+    appointment.endAt = endAt;
+    ["location", "telehealth", "telehealthUrl", "notes"].forEach((key) => {
+      if (fields[key] !== undefined) appointment[key] = fields[key];
+    });
+    if (!appointment.telehealth) appointment.telehealthUrl = undefined;
+
+    await appointment.save();
+    return appointment;
+  }
+
+  /**
+   * Cancel an appointment or record a no-show. For a recurring appointment,
+   * scope "following" also cancels every later scheduled occurrence.
+   * @param {Object} appointment - Appointment document
+   * @param {Object} options - status, reason, scope, user
+   * @returns {Promise<Object[]>} The appointments changed
+   */
+  async setStatus(appointment, { status, reason, scope = "this", user }) {
+    if (!["Cancelled", "NoShow"].includes(status)) {
+      throw buildHttpError('status must be "Cancelled" or "NoShow"', 400);
+    }
+    if (!["this", "following"].includes(scope)) {
+      throw buildHttpError('scope must be "this" or "following"', 400);
+    }
+    if (appointment.status !== "Scheduled") {
+      throw buildHttpError(
+        `The appointment is already ${appointment.status}`,
+        400,
+      );
+    }
+    if (status === "NoShow" && appointment.startAt > new Date()) {
+      throw buildHttpError(
+        "A no-show can only be recorded once the appointment has started",
+        400,
+      );
+    }
+    if (status === "NoShow" && scope !== "this") {
+      throw buildHttpError("A no-show applies to one appointment only", 400);
+    }
+
+    const update = {
+      status,
+      statusChangedAt: new Date(),
+      statusChangedBy: user._id,
+      cancellationReason:
+        typeof reason === "string" && reason.trim() ? reason.trim() : undefined,
+    };
+
+    const ids =
+      scope === "following" && appointment.series
+        ? await Appointment.find({
+            series: appointment.series,
+            seriesIndex: { $gte: appointment.seriesIndex },
+            status: "Scheduled",
+          }).distinct("_id")
+        : [appointment._id];
+
+    await Appointment.updateMany({ _id: { $in: ids } }, { $set: update });
+    return Appointment.find({ _id: { $in: ids } }).sort({ startAt: 1 });
+  }
+
+  /**
+   * The appointments in a practitioner's calendar
+   * @param {Object} options - practitionerId, from, to, status
+   * @returns {Promise<Object[]>}
+   */
+  async getCalendar({ practitionerId, from, to, status }) {
+    const fromDate = parseDate(from, "from");
+    const toDate = parseDate(to, "to");
+    if (toDate <= fromDate) {
+      throw buildHttpError("to must be after from", 400);
+    }
+    if (toDate - fromDate > MAX_CALENDAR_RANGE_DAYS * DAY_MS) {
+      throw buildHttpError(
+        `The calendar range can be at most ${MAX_CALENDAR_RANGE_DAYS} days`,
+        400,
+      );
+    }
+
+    const filter = {
+      practitioner: practitionerId,
+      startAt: { $lt: toDate },
+      endAt: { $gt: fromDate },
+    };
+    if (status) {
+      const statuses = String(status).split(",");
+      const invalid = statuses.filter((s) => !this.statuses.includes(s));
+      if (invalid.length) {
+        throw buildHttpError(
+          `status must be one of: ${this.statuses.join(", ")}`,
+          400,
+        );
+      }
+      filter.status = { $in: statuses };
+    }
+
+    return Appointment.find(filter)
+      .populate("case", "displayName internalRef status")
+      .populate("session", "sessionNumber status")
+      .sort({ startAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Convert an appointment into the session about to be created from it.
+   * The appointment is linked and completed in one update, so two requests
+   * cannot both start it. Throws a 400/404/409 error carrying statusCode if
+   * it cannot be started.
+   * @param {String} appointmentId - Appointment ID
+   * @param {String} caseId - Case the session is for
+   * @param {String} sessionId - ID of the session to be created
+   * @param {Object} user - User starting the session
+   * @returns {Promise<Object>} The appointment
+   */
+  async claimForSession(appointmentId, caseId, sessionId, user) {
+    if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+      throw buildHttpError("Invalid appointment ID", 400);
+    }
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id: appointmentId, case: caseId, session: null, status: "Scheduled" },
+      {
+        $set: {
+          session: sessionId,
+          status: "Completed",
+          statusChangedAt: new Date(),
+          statusChangedBy: user._id,
+        },
+      },
+      { new: true },
+    );
+    if (appointment) return appointment;
+
+    // Say why it could not be claimed
+    const current = await Appointment.findById(appointmentId);
+    if (!current) {
+      throw buildHttpError("Appointment not found", 404);
+    }
+    if (current.case.toString() !== caseId.toString()) {
+      throw buildHttpError("The appointment is for a different case", 400);
+    }
+    if (current.session) {
+      throw buildHttpError(
+        "A session has already been started for this appointment",
+        409,
+      );
+    }
+    throw buildHttpError(
+      `A ${current.status} appointment cannot be started`,
+      409,
+    );
+  }
+
+  /**
+   * Put a claimed appointment back when its session could not be created
+   * @param {Object} appointment - From claimForSession()
+   */
+  async releaseClaim(appointment) {
+    await Appointment.updateOne(
+      { _id: appointment._id, session: appointment.session },
+      {
+        $set: { status: "Scheduled" },
+        $unset: { session: 1, statusChangedAt: 1, statusChangedBy: 1 },
+      },
+    );
+  }
+}
+
+module.exports = new AppointmentService();
@@ -3,6 +3,7 @@
 const mongoose = require("mongoose");
 require("../Models/AuditLogs");
 const AuditLog = mongoose.model("AuditLog");
+const TenantContext = require("./TenantContext");
 
 class AuditLogService {
   /**
@@ -46,6 +47,19 @@ class AuditLogService {
         logEntry.userRole = user.role;
       }
 
+      // Login and other pre-auth events run outside a tenant context
+      const organisation = TenantContext.getOrganisationId() || user?.organisation;
+      if (organisation) logEntry.organisation = organisation;
+
+      // Under impersonation every entry names both the admin and the user
+      const activeReq = req || TenantContext.getRequest();
+      if (activeReq && activeReq.impersonation) {
+        logEntry.details = {
+          ...details,
+          impersonation: activeReq.impersonation,
+        };
+      }
+
       // Add case and session references if provided
       if (caseId) logEntry.case = caseId;
       if (sessionId) logEntry.session = sessionId;
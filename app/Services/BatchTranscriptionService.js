@@ -0,0 +1,411 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const Session = mongoose.model("Session");
+const Transcript = mongoose.model("Transcript");
+const TenantContext = require("./TenantContext");
+const AuditLogService = require("./AuditLogService");
+const s3Service = require("./S3Service");
+const TranscriptionProviderService = require("./TranscriptionProviderService");
+const {
+  TRANSCRIPTION_MAX_ATTEMPTS,
+  TRANSCRIPTION_STALE_MINUTES,
+  TRANSCRIPTION_RETRY_DELAY_SECONDS,
+} = require("../../config/constants");
+
+// Progress updates pushed to the client at most this often
+const PROGRESS_STEP = 5;
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = (value) =>
+  value && value._id ? value._id.toString() : value?.toString?.() || null;
+
+// A recording's format, from the extension it was stored under
+const formatOf = (session) =>
+  s3Service.getContentType(
+    String(session.audioS3Key).split(".").pop().toLowerCase(),
+  );
+
+// A provider without a list of formats reads any recording
+const reads = (provider, mimeType) =>
+  !provider.supportedMimeTypes ||
+  provider.supportedMimeTypes.includes(mimeType);
+
+/**
+ * Batch Transcription Service
+ * Transcribes uploaded recordings in the background. Uploads queue a job on
+ * the Session; a single worker claims queued jobs one at a time, sends the
+ * audio to the transcription provider and writes the Transcript. Progress
+ * is pushed over Socket.IO to the practitioner who created the session and
+ * whoever queued the job, as "transcription-progress" events.
+ */
+class BatchTranscriptionService {
+  constructor() {
+    this.running = false;
+    this.pending = false;
+  }
+
+  /**
+   * Queue a session's uploaded recording for transcription
+   * @param {Object} session - Session document with audioS3Key set
+   * @param {Object} user - User who uploaded or asked for the transcript
+   * @returns {Promise<Object>} The session
+   */
+  async enqueue(session, user) {
+    if (!session.audioS3Key) {
+      throw buildHttpError("The session has no uploaded recording", 400);
+    }
+    if (session.transcriptionJob?.status === "Running") {
+      throw buildHttpError("The recording is already being transcribed", 409);
+    }
+
+    const provider = await TranscriptionProviderService.forOrganisation(
+      session.organisation,
+    );
+    if (!reads(provider, formatOf(session))) {
+      throw buildHttpError(
+        `The transcription provider cannot read recordings in ${formatOf(session)} format`,
+        415,
+      );
+    }
+    session.status = "Processing";
+    session.errorMessage = undefined;
+    session.transcriptionJob = {
+      status: "Queued",
+      provider: provider.name,
+      progress: 0,
+      attempts: 0,
+      requestedBy: user._id,
+      queuedAt: new Date(),
+    };
+    await session.save();
+
+    this.notify(session, { status: "Queued", progress: 0 });
+    this.kick();
+    return session;
+  }
+
+  /**
+   * Whether the organisation's provider can read a session's recording, so
+   * formats it would refuse are never queued
+   * @param {Object} session - Session document with audioS3Key set
+   * @returns {Promise<Boolean>}
+   */
+  async canTranscribe(session) {
+    const provider = await TranscriptionProviderService.forOrganisation(
+      session.organisation,
+    );
+    return reads(provider, formatOf(session));
+  }
+
+  /**
+   * Start the worker if it is idle; if it is busy it will look for more
+   * work when it finishes
+   */
+  kick() {
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+    setImmediate(() => this.processQueue());
+  }
+
+  /**
+   * Work through queued jobs, across every organisation, until none are left
+   * @returns {Promise<Number>} Jobs processed
+   */
+  async processQueue() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let processed = 0;
+    try {
+      do {
+        this.pending = false;
+        let session;
+        while ((session = await this.claimNext())) {
+          await TenantContext.run(session.organisation, () =>
+            this.process(session),
+          );
+          processed += 1;
+        }
+      } while (this.pending);
+    } catch (err) {
+      console.error("[BatchTranscription] Worker failed:", err);
+    } finally {
+      this.running = false;
+    }
+    return processed;
+  }
+
+  /**
+   * Atomically take the oldest queued job that is not waiting to be
+   * retried, or one whose worker died
+   * @returns {Promise<Object|null>} The claimed session
+   */
+  async claimNext() {
+    const now = new Date();
+    const staleBefore = new Date(
+      now.getTime() - TRANSCRIPTION_STALE_MINUTES * 60 * 1000,
+    );
+    return Session.findOneAndUpdate(
+      {
+        status: "Processing",
+        $or: [
+          {
+            "transcriptionJob.status": "Queued",
+            "transcriptionJob.retryAt": { $not: { $gt: now } },
+          },
+          {
+            "transcriptionJob.status": "Running",
+            "transcriptionJob.startedAt": { $lt: staleBefore },
+          },
+        ],
+      },
+      {
+        $set: {
+          "transcriptionJob.status": "Running",
+          "transcriptionJob.startedAt": new Date(),
+          "transcriptionJob.progress": 0,
+        },
+        $inc: { "transcriptionJob.attempts": 1 },
+      },
+      { new: true, sort: { "transcriptionJob.queuedAt": 1 } },
+    ).setOptions({ skipTenant: true });
+  }
+
+  /**
+   * Transcribe one claimed session and record the outcome
+   * @param {Object} session - From claimNext()
+   */
+  async process(session) {
+    const sessionId = toId(session);
+    console.log(
+      `[BatchTranscription] Transcribing session ${sessionId} (attempt ${session.transcriptionJob.attempts})`,
+    );
+    this.notify(session, { status: "Running", progress: 0 });
+
+    try {
+      // The provider chosen when the job was queued
+      const provider = session.transcriptionJob.provider
+        ? TranscriptionProviderService.get(session.transcriptionJob.provider)
+        : await TranscriptionProviderService.forOrganisation();
+
+      // A job reclaimed after its worker stopped may have used up its attempts
+      if (session.transcriptionJob.attempts > TRANSCRIPTION_MAX_ATTEMPTS) {
+        throw buildHttpError(
+          session.transcriptionJob.lastError ||
+            "Transcription stopped responding and was abandoned",
+          500,
+        );
+      }
+
+      // Streamed to the provider rather than loaded into memory
+      const { stream, contentType, contentLength } =
+        await s3Service.getObjectStream(session.audioS3Key);
+
+      let reported = 0;
+      let result;
+      try {
+        result = await provider.transcribeFile({
+          audio: stream,
+          size: contentLength,
+          mimeType: contentType || formatOf(session),
+          language: session.language,
+          redactPii: session.piiMaskingEnabled !== false,
+          onProgress: (fraction) => {
+            // Sending the audio is most of the work; the rest is saving
+            const progress = Math.floor(fraction * 90);
+            if (progress - reported < PROGRESS_STEP) return;
+            reported = progress;
+            this.notify(session, { status: "Running", progress });
+          },
+        });
+      } finally {
+        // Providers may stop reading early, or never start
+        stream.destroy();
+      }
+
+      if (!result.segments.length) {
+        throw buildHttpError("No speech was found in the recording", 422);
+      }
+
+      const transcript = await this.saveTranscript(session, result);
+
+      session.status = "TranscriptionComplete";
+      session.errorMessage = undefined;
+      session.transcriptionJob.status = "Completed";
+      session.transcriptionJob.progress = 100;
+      session.transcriptionJob.completedAt = new Date();
+      session.transcriptionJob.lastError = undefined;
+      await session.save();
+
+      await AuditLogService.createLog({
+        user: session.transcriptionJob.requestedBy,
+        action: "TRANSCRIBE_RECORDING",
+        actionCategory: "TRANSCRIPT",
+        resourceType: "Transcript",
+        resourceId: transcript._id,
+        caseId: session.case,
+        sessionId: session._id,
+        details: {
+          provider: provider.name,
+          segments: result.segments.length,
+          wordCount: transcript.wordCount,
+          piiRedaction: result.piiRedaction,
+          attempts: session.transcriptionJob.attempts,
+        },
+      });
+
+      this.notify(session, {
+        status: "Completed",
+        progress: 100,
+        transcriptId: transcript._id,
+      });
+    } catch (err) {
+      await this.fail(session, err);
+    }
+  }
+
+  /**
+   * Write the provider's result as the session's transcript, replacing any
+   * earlier draft
+   * @param {Object} session - Session document
+   * @param {Object} result - From the provider's transcribeFile()
+   * @returns {Promise<Object>} The transcript
+   */
+  async saveTranscript(session, result) {
+    const recordedAt = new Date(session.sessionDate || session.createdAt);
+    const segments = result.segments.map((segment) => ({
+      text: segment.text,
+      speaker: segment.speaker || "Unknown",
+      timestamp: new Date(
+        recordedAt.getTime() + (segment.startTime || 0) * 1000,
+      ).toISOString(),
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      confidence: segment.confidence,
+      isFinal: true,
+    }));
+
+    const rawText = segments
+      .map(
+        (segment) =>
+          `[${segment.timestamp}] ${segment.speaker}: ${segment.text}`,
+      )
+      .join("\n");
+    const piiCount = (rawText.match(/\[PII\]/g) || []).length;
+    const scores = segments
+      .map((segment) => segment.confidence)
+      .filter((score) => typeof score === "number");
+
+    const transcript =
+      (await Transcript.findOne({ session: session._id })) ||
+      new Transcript({ session: session._id });
+    if (transcript.status === "Approved") {
+      throw buildHttpError(
+        "The session already has an approved transcript",
+        409,
+      );
+    }
+
+    transcript.set({
+      rawText,
+      editedText: null,
+      isEdited: false,
+      segments,
+      wordCount: segments.reduce(
+        (count, segment) =>
+          count + segment.text.split(/\s+/).filter(Boolean).length,
+        0,
+      ),
+      languageDetected: session.language,
+      confidenceScore: scores.length
+        ? scores.reduce((a, b) => a + b, 0) / scores.length
+        : null,
+      piiMaskingEnabled: result.piiRedaction,
+      hasPii: piiCount > 0,
+      piiMaskingMetadata: result.piiRedaction
+        ? {
+            awsPiiRedaction: true,
+            totalEntitiesMasked: piiCount,
+            processedAt: new Date().toISOString(),
+            redactionMethod: result.redactionMethod,
+          }
+        : null,
+      status: "Draft",
+    });
+    await transcript.save();
+    return transcript;
+  }
+
+  /**
+   * Put a failed job back in the queue after a delay that doubles with
+   * each attempt, or give up once it has used its attempts or the failure
+   * cannot be fixed by retrying
+   */
+  async fail(session, err) {
+    const message = err.message || "Transcription failed";
+    const retry =
+      !err.statusCode &&
+      session.transcriptionJob.attempts < TRANSCRIPTION_MAX_ATTEMPTS;
+    console.error(
+      `[BatchTranscription] Session ${toId(session)} failed${retry ? ", will retry" : ""}:`,
+      err,
+    );
+
+    session.transcriptionJob.lastError = message;
+    if (retry) {
+      const delaySeconds =
+        TRANSCRIPTION_RETRY_DELAY_SECONDS *
+        2 ** (session.transcriptionJob.attempts - 1);
+      session.transcriptionJob.status = "Queued";
+      session.transcriptionJob.retryAt = new Date(
+        Date.now() + delaySeconds * 1000,
+      );
+    } else {
+      session.status = "Error";
+      session.errorMessage = message;
+      session.transcriptionJob.status = "Failed";
+      session.transcriptionJob.completedAt = new Date();
+    }
+
+    try {
+      await session.save();
+    } catch (saveErr) {
+      console.error("[BatchTranscription] Failed to record failure:", saveErr);
+    }
+
+    this.notify(session, {
+      status: retry ? "Queued" : "Failed",
+      progress: 0,
+      error: message,
+      ...(retry && { retryAt: session.transcriptionJob.retryAt }),
+    });
+  }
+
+  notify(session, update) {
+    if (!global.io) return;
+
+    const payload = {
+      sessionId: toId(session),
+      caseId: toId(session.case),
+      ...update,
+    };
+    const recipients = new Set(
+      [session.createdBy, session.transcriptionJob?.requestedBy]
+        .map(toId)
+        .filter(Boolean),
+    );
+    recipients.forEach((userId) => {
+      global.io.to(`user:${userId}`).emit("transcription-progress", payload);
+    });
+  }
+}
+
+module.exports = new BatchTranscriptionService();
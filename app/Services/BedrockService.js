@@ -6,6 +6,8 @@ const {
 } = require("@aws-sdk/client-bedrock-runtime");
 const { TextDecoder } = require("util");
 const { jsonrepair } = require("jsonrepair");
+const UserSettingsService = require("./UserSettingsService");
+const SystemSettingsService = require("./SystemSettingsService");
 
 class BedrockService {
   constructor() {
@@ -19,9 +21,6 @@ class BedrockService {
           }
         : undefined;
 
-    this.modelId =
-      process.env.AWS_BEDROCK_MODEL_ID || "anthropic.claude-sonnet-4-20250514";
-
     this.client = new BedrockRuntimeClient({
       region,
       ...(credentials ? { credentials } : {}),
@@ -30,13 +29,22 @@ class BedrockService {
     this.decoder = new TextDecoder();
   }
 
-  buildPrompt({ transcriptText, caseName, sessionDate, language, framework }) {
-    const sessionDateStr = sessionDate
-      ? new Date(sessionDate).toLocaleDateString("en-US", {
-          month: "short",
-          day: "numeric",
-          year: "numeric",
-        })
+  buildPrompt({
+    transcriptText,
+    caseName,
+    sessionDate,
+    language,
+    framework,
+    timezone,
+    clientContext,
+    treatmentGoals,
+  }) {
+    const sessionDateStr = UserSettingsService.formatDate(sessionDate, timezone);
+    const clientBackground = clientContext
+      ? `\nClient Background (from the client profile):\n${clientContext}\n`
+      : "";
+    const goalsSection = treatmentGoals
+      ? `\nActive Treatment Plan Goals (refer to these in the plan where relevant):\n${treatmentGoals}\n`
       : "";
 
     return `You are an experienced clinician. Generate a ${framework || "SOAP"} note from this therapy session.
@@ -44,7 +52,7 @@ class BedrockService {
 Patient/Case: ${caseName || "Unknown"}
 Session Date: ${sessionDateStr}
 Language: ${language || "english"}
-
+${clientBackground}${goalsSection}
 CRITICAL JSON FORMATTING RULES:
 1. Return ONLY a valid JSON object - no markdown, no code blocks, no extra text
 2. Use these exact four keys: subjective, objective, assessment, plan
@@ -229,6 +237,9 @@ Return only the JSON object:
       caseName,
       sessionDate,
       language = "english",
+      timezone,
+      clientContext,
+      treatmentGoals,
     } = options;
 
     if (!transcriptText) {
@@ -241,6 +252,9 @@ Return only the JSON object:
       sessionDate,
       language,
       framework,
+      timezone,
+      clientContext,
+      treatmentGoals,
     });
 
     const payload = {
@@ -255,8 +269,10 @@ Return only the JSON object:
       ],
     };
 
+    // The model is an organisation setting (bedrockModelId)
+    const modelId = await SystemSettingsService.get("bedrockModelId");
     const command = new InvokeModelCommand({
-      modelId: this.modelId,
+      modelId,
       contentType: "application/json",
       accept: "application/json",
       body: JSON.stringify(payload),
@@ -283,7 +299,7 @@ Return only the JSON object:
     return {
       content,
       contentText,
-      modelId: this.modelId,
+      modelId,
       rawText: aiText,
     };
   }
@@ -296,17 +312,12 @@ Return only the JSON object:
     existingSummaries,
     periodStart,
     periodEnd,
+    timezone,
+    clientContext,
+    goalProgress,
   }) {
-    const periodStartStr = new Date(periodStart).toLocaleDateString("en-US", {
-      month: "short",
-      day: "numeric",
-      year: "numeric",
-    });
-    const periodEndStr = new Date(periodEnd).toLocaleDateString("en-US", {
-      month: "short",
-      day: "numeric",
-      year: "numeric",
-    });
+    const periodStartStr = UserSettingsService.formatDate(periodStart, timezone);
+    const periodEndStr = UserSettingsService.formatDate(periodEnd, timezone);
 
     // Build sessions summary
     let sessionsSummary = "";
@@ -315,7 +326,11 @@ Return only the JSON object:
         .map((session, idx) => {
           let sessionText = `\nSession ${idx + 1} (${
             session.sessionDate
-              ? new Date(session.sessionDate).toLocaleDateString("en-US")
+              ? UserSettingsService.formatDate(session.sessionDate, timezone, {
+                  month: "numeric",
+                  day: "numeric",
+                  year: "numeric",
+                })
               : "Date Unknown"
           }):`;
 
@@ -373,10 +388,10 @@ CASE: ${caseName || "Patient Case"}
 PERIOD: ${periodStartStr} to ${periodEndStr}
 TOTAL SESSIONS: ${enrichedSessions?.length || 0}
 UPLOADED DOCUMENTS: ${files?.length || 0}
-
+${clientContext ? `\nCLIENT PROFILE:\n${clientContext}\n` : ""}
 Create a detailed, professional clinical timeline summary with these sections:
 
-1. **PATIENT OVERVIEW** - Brief introduction to the patient and presenting concerns
+1. **PATIENT OVERVIEW** - Brief introduction to the patient and presenting concerns, drawing on the client profile where given
 
 2. **BACKGROUND (FROM CLINICAL RECORDS)** - Synthesize uploaded documents and files:
 ${filesSummary || "No files uploaded"}
@@ -391,19 +406,22 @@ ${sessionsSummary || "No session data available"}
 
 5. **KEY DECISIONS & ACTIONS** - Important clinical decisions and interventions made
 
-6. **PROTECTIVE FACTORS** - Strengths and resources:
+6. **TREATMENT GOAL PROGRESS** - Progress on each treatment plan goal over the period:
+${goalProgress || "No treatment plan recorded"}
+
+7. **PROTECTIVE FACTORS** - Strengths and resources:
    - Insights and understanding
    - Social support
    - Coping skills developed
    - Environmental/occupational factors
 
-7. **RISK FACTORS** - Areas of concern:
+8. **RISK FACTORS** - Areas of concern:
    - Symptom severity/trajectory
    - Environmental stressors
    - Treatment adherence issues
    - Protective factor deficits
 
-8. **CLINICAL IMPRESSION & RECOMMENDATIONS** - Overall assessment and next steps
+9. **CLINICAL IMPRESSION & RECOMMENDATIONS** - Overall assessment and next steps
 
 ${previousSummariesContext || ""}
 
@@ -426,6 +444,9 @@ IMPORTANT:
       existingSummaries,
       periodStart,
       periodEnd,
+      timezone,
+      clientContext,
+      goalProgress,
       temperature = 0.3,
       maxTokens = 2500,
     } = options;
@@ -442,6 +463,9 @@ IMPORTANT:
       existingSummaries,
       periodStart,
       periodEnd,
+      timezone,
+      clientContext,
+      goalProgress,
     });
 
     const payload = {
@@ -456,8 +480,10 @@ IMPORTANT:
       ],
     };
 
+    // The model is an organisation setting (bedrockModelId)
+    const modelId = await SystemSettingsService.get("bedrockModelId");
     const command = new InvokeModelCommand({
-      modelId: this.modelId,
+      modelId,
       contentType: "application/json",
       accept: "application/json",
       body: JSON.stringify(payload),
@@ -487,6 +513,7 @@ IMPORTANT:
         treatmentCourse: this.extractSection(aiText, "TREATMENT COURSE"),
         clinicalThemes: this.extractSection(aiText, "CLINICAL THEMES"),
         keyDecisions: this.extractSection(aiText, "KEY DECISIONS"),
+        goalProgress: this.extractSection(aiText, "TREATMENT GOAL PROGRESS"),
         protectiveFactors: this.extractSection(aiText, "PROTECTIVE FACTORS"),
         riskFactors: this.extractSection(aiText, "RISK FACTORS"),
         clinicalImpression: this.extractSection(aiText, "CLINICAL IMPRESSION"),
@@ -496,7 +523,133 @@ IMPORTANT:
     return {
       summaryText: aiText,
       summaryContent,
-      modelId: this.modelId,
+      modelId,
+    };
+  }
+
+  buildDischargeSummaryPrompt({ caseName, notes, closureReason, timezone }) {
+    const notesSummary = notes
+      .map((note, idx) => {
+        const content = note.content || {};
+        const dateStr = note.sessionDate
+          ? UserSettingsService.formatDate(note.sessionDate, timezone, {
+              month: "numeric",
+              day: "numeric",
+              year: "numeric",
+            })
+          : "Date Unknown";
+        const sections = Object.entries(content)
+          .filter(([, value]) => typeof value === "string" && value.trim())
+          .map(([key, value]) => `- ${key}: ${value.substring(0, 400)}`)
+          .join("\n");
+
+        return `\nSession ${note.sessionNumber || idx + 1} (${dateStr}, ${
+          note.framework
+        } note):\n${sections || note.contentText?.substring(0, 800) || "N/A"}`;
+      })
+      .join("\n");
+
+    return `You are an experienced clinician writing the discharge summary for a therapy case that is being closed.
+
+CASE: ${caseName || "Patient Case"}
+REASON FOR CLOSURE: ${closureReason}
+APPROVED SESSION NOTES: ${notes.length}
+
+Approved notes, in session order:
+${notesSummary}
+
+Write a professional discharge summary with these sections:
+
+1. **PRESENTING CONCERNS** - Why the client came to therapy
+
+2. **COURSE OF TREATMENT** - Interventions used and how the client engaged
+
+3. **PROGRESS AND OUTCOMES** - Change over the course of treatment, with evidence from the notes
+
+4. **STATUS AT DISCHARGE** - The client's presentation and any remaining concerns or risks
+
+5. **REASON FOR DISCHARGE** - Based on the closure reason above
+
+6. **RECOMMENDATIONS** - Aftercare, referrals and what to do if difficulties return
+
+IMPORTANT:
+- Use professional clinical language
+- Base every statement on the notes provided; do not invent details
+- Note where information is limited`;
+  }
+
+  async generateDischargeSummary(options) {
+    const {
+      caseName,
+      notes,
+      closureReason,
+      timezone,
+      temperature = 0.3,
+      maxTokens = 2000,
+    } = options;
+
+    if (!notes || notes.length === 0) {
+      throw new Error("No approved notes available to generate a discharge summary");
+    }
+
+    const prompt = this.buildDischargeSummaryPrompt({
+      caseName,
+      notes,
+      closureReason,
+      timezone,
+    });
+
+    const payload = {
+      anthropic_version: "bedrock-2023-05-31",
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        {
+          role: "user",
+          content: [{ type: "text", text: prompt }],
+        },
+      ],
+    };
+
+    const modelId = await SystemSettingsService.get("bedrockModelId");
+    const command = new InvokeModelCommand({
+      modelId,
+      contentType: "application/json",
+      accept: "application/json",
+      body: JSON.stringify(payload),
+    });
+
+    const response = await this.client.send(command);
+    const responseString = this.decoder.decode(response.body);
+
+    let aiText = "";
+    try {
+      const parsed = JSON.parse(responseString);
+      aiText = parsed?.content?.[0]?.text || parsed?.output_text || "";
+    } catch (err) {
+      throw new Error("Failed to parse Bedrock response: " + err.message);
+    }
+
+    if (!aiText) {
+      throw new Error("Bedrock response did not include content");
+    }
+
+    const summaryContent = {
+      text: aiText,
+      sections: {
+        presentingConcerns: this.extractSection(aiText, "PRESENTING CONCERNS"),
+        courseOfTreatment: this.extractSection(aiText, "COURSE OF TREATMENT"),
+        progressAndOutcomes: this.extractSection(aiText, "PROGRESS AND OUTCOMES"),
+        statusAtDischarge: this.extractSection(aiText, "STATUS AT DISCHARGE"),
+        reasonForDischarge: this.extractSection(aiText, "REASON FOR DISCHARGE"),
+        recommendations: this.extractSection(aiText, "RECOMMENDATIONS"),
+      },
+    };
+
+    return {
+      summaryText: aiText,
+      summaryContent,
+      modelId,
     };
   }
 
@@ -0,0 +1,211 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const ejs = require("ejs");
+const path = require("path");
+require("../Models/BreakGlassGrant");
+const BreakGlassGrant = mongoose.model("BreakGlassGrant");
+const AuditLogService = require("./AuditLogService");
+const PermissionService = require("./PermissionService");
+const TenantContext = require("./TenantContext");
+const UserSettingsService = require("./UserSettingsService");
+const mailer = require("../Traits/SendEmail");
+
+const toId = (value) =>
+  value && value._id ? value._id.toString() : value?.toString?.() || null;
+
+/**
+ * Break-Glass Service
+ * Emergency, time-boxed read access to a case for a clinician who is not on
+ * it. Granting notifies the clinic's admins, the case lead and the case's
+ * other owners, and every read made under a grant is audited under the
+ * BREAK_GLASS category.
+ */
+class BreakGlassService {
+  /**
+   * The user's unexpired, unrevoked grant for a case
+   * @param {String} userId - User ID
+   * @param {String} caseId - Case ID
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveGrant(userId, caseId) {
+    if (!userId || !caseId) return null;
+    return BreakGlassGrant.findOne({
+      user: userId,
+      case: caseId,
+      expiresAt: { $gt: new Date() },
+      revokedAt: null,
+    })
+      .sort({ expiresAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Open a grant, audit it and notify admins and the case lead
+   * @param {Object} options - user, caseData, reason, durationMinutes, req
+   * @returns {Promise<Object>} The grant
+   */
+  async createGrant({ user, caseData, reason, durationMinutes, req }) {
+    const grant = await BreakGlassGrant.create({
+      case: caseData._id,
+      user: user._id,
+      reason,
+      expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000),
+    });
+
+    await AuditLogService.createLog({
+      user,
+      action: "BREAK_GLASS_GRANT",
+      actionCategory: "BREAK_GLASS",
+      resourceType: "Case",
+      resourceId: caseData._id,
+      caseId: caseData._id,
+      details: {
+        grantId: grant._id,
+        reason,
+        durationMinutes,
+        expiresAt: grant.expiresAt,
+      },
+      req,
+    });
+
+    try {
+      await this.notify(grant, caseData, user);
+    } catch (err) {
+      // The clinician still gets access; the audit entry above stands
+      console.error("[BreakGlass] Failed to send notifications:", err);
+    }
+
+    return grant;
+  }
+
+  /**
+   * Email and push a notice to the organisation's admins, the case lead and
+   * members who own the case
+   */
+  async notify(grant, caseData, requester) {
+    const User = mongoose.model("User");
+    const owners = await mongoose
+      .model("CaseMember")
+      .find({ case: caseData._id, role: "owner" })
+      .distinct("user");
+    const leads = [toId(caseData.assignedTo), ...owners].filter(Boolean);
+    const recipients = await User.find({
+      active: { $ne: false },
+      $or: [
+        { role: { $in: PermissionService.rolesWith("user:manage") } },
+        { _id: { $in: leads } },
+      ],
+    })
+      .select("name email role organisation")
+      .lean();
+
+    const notice = {
+      grantId: grant._id,
+      caseId: caseData._id,
+      caseName: caseData.displayName,
+      requestedBy: {
+        _id: requester._id,
+        name: requester.name,
+        email: requester.email,
+      },
+      reason: grant.reason,
+      expiresAt: grant.expiresAt,
+    };
+
+    for (const recipient of recipients) {
+      if (toId(recipient) === toId(requester)) continue;
+
+      if (global.io) {
+        global.io.to(`user:${recipient._id}`).emit("break-glass", notice);
+      }
+
+      const timezone = await UserSettingsService.getTimezone(recipient._id);
+      const html = await ejs.renderFile(
+        path.join(__dirname, "../../resources/views/emails/break-glass-email.ejs"),
+        {
+          requesterName: requester.name,
+          requesterEmail: requester.email,
+          caseName: caseData.displayName,
+          reason: grant.reason,
+          expiresAt: `${UserSettingsService.formatDateTime(
+            grant.expiresAt,
+            timezone,
+          )} (${timezone})`,
+        },
+      );
+      mailer.send(recipient.email, "Emergency case access", html);
+    }
+  }
+
+  /**
+   * Audit a read made under a grant. Logged once per case per request, with
+   * the route that was read.
+   * @param {Object} user - User document
+   * @param {Object} caseData - Case document
+   * @param {Object} grant - Active grant
+   */
+  async recordAccess(user, caseData, grant) {
+    const req = TenantContext.getRequest();
+    const caseId = toId(caseData);
+
+    if (req) {
+      req.breakGlassLogged = req.breakGlassLogged || new Set();
+      if (req.breakGlassLogged.has(caseId)) return;
+      req.breakGlassLogged.add(caseId);
+    }
+
+    await BreakGlassGrant.updateOne(
+      { _id: grant._id },
+      { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } },
+    );
+
+    await AuditLogService.createLog({
+      user,
+      action: "BREAK_GLASS_ACCESS",
+      actionCategory: "BREAK_GLASS",
+      resourceType: "Case",
+      resourceId: caseId,
+      caseId,
+      details: {
+        grantId: grant._id,
+        reason: grant.reason,
+        expiresAt: grant.expiresAt,
+        method: req ? req.method : null,
+        path: req ? req.originalUrl : null,
+      },
+      req,
+    });
+  }
+
+  /**
+   * End a grant early
+   * @param {Object} grant - Grant document
+   * @param {Object} user - User revoking it
+   * @param {Object} req - Express request object
+   */
+  async revokeGrant(grant, user, req) {
+    grant.revokedAt = new Date();
+    grant.revokedBy = user._id;
+    await grant.save();
+
+    await AuditLogService.createLog({
+      user,
+      action: "BREAK_GLASS_REVOKE",
+      actionCategory: "BREAK_GLASS",
+      resourceType: "Case",
+      resourceId: grant.case,
+      caseId: grant.case,
+      details: {
+        grantId: grant._id,
+        grantedTo: grant.user,
+        accessCount: grant.accessCount,
+      },
+      req,
+    });
+
+    return grant;
+  }
+}
+
+module.exports = new BreakGlassService();
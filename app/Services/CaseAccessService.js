@@ -0,0 +1,169 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const PermissionService = require("./PermissionService");
+const BreakGlassService = require("./BreakGlassService");
+const { readOnly: READ_ONLY_STATUSES } = require("../../config/caseStatuses");
+
+// What each case member role may do; higher levels include the lower ones
+const MEMBER_ROLE_LEVELS = {
+  viewer: ["read"],
+  contributor: ["read", "write"],
+  owner: ["read", "write", "manage"],
+};
+
+const MEMBER_ROLES = Object.keys(MEMBER_ROLE_LEVELS);
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = (value) =>
+  value && value._id ? value._id.toString() : value?.toString?.() || null;
+
+/**
+ * Case Access Service
+ * One place to decide whether a user may read, write or manage a case:
+ * the lead practitioner (Case.assignedTo) is owner, CaseMember records add
+ * co-therapists and viewers, case:read_all / case:manage_all cover staff
+ * who work across every case, and an active break-glass grant gives
+ * audited, time-boxed read access in an emergency. A closed case is
+ * read-only for everyone until an admin reopens it.
+ */
+class CaseAccessService {
+  get memberRoles() {
+    return MEMBER_ROLES;
+  }
+
+  /**
+   * The user's role on a case
+   * @param {Object} caseData - Case document (assignedTo may be populated)
+   * @param {String} userId - User ID
+   * @returns {Promise<String|null>} "owner", "contributor", "viewer" or null
+   */
+  async getMemberRole(caseData, userId) {
+    if (!caseData || !userId) return null;
+    if (toId(caseData.assignedTo) === userId.toString()) return "owner";
+
+    const member = await mongoose
+      .model("CaseMember")
+      .findOne({ case: toId(caseData), user: userId })
+      .select("role")
+      .lean();
+    return member ? member.role : null;
+  }
+
+  /**
+   * Whether the case is in a status where nothing on it may change (it
+   * has been closed). Only reads are allowed, whoever the user is.
+   * @param {Object} caseData - Case document
+   * @returns {Promise<Boolean>}
+   */
+  async isReadOnly(caseData) {
+    let status = caseData.status;
+    if (status === undefined) {
+      const stored = await mongoose
+        .model("Case")
+        .findById(toId(caseData))
+        .select("status")
+        .lean();
+      status = stored && stored.status;
+    }
+    return READ_ONLY_STATUSES.includes(status);
+  }
+
+  /**
+   * Access from the user's permissions or case membership alone, leaving
+   * out break-glass grants
+   * @param {Object} user - User document
+   * @param {Object} caseData - Case document
+   * @param {String} level - "read", "write" or "manage"
+   * @returns {Promise<Boolean>}
+   */
+  async hasStandingAccess(user, caseData, level = "read") {
+    if (!user || !caseData) return false;
+    if (level !== "read" && (await this.isReadOnly(caseData))) return false;
+
+    if (PermissionService.hasPermission(user, "case:manage_all")) return true;
+    if (
+      level === "read" &&
+      PermissionService.hasPermission(user, "case:read_all")
+    ) {
+      return true;
+    }
+
+    const role = await this.getMemberRole(caseData, user._id);
+    return !!role && MEMBER_ROLE_LEVELS[role].includes(level);
+  }
+
+  /**
+   * Check a user may act on a case
+   * @param {Object} user - User document
+   * @param {Object} caseData - Case document
+   * @param {String} level - "read", "write" or "manage"
+   * @returns {Promise<Boolean>}
+   */
+  async canAccess(user, caseData, level = "read") {
+    if (!user || !caseData) return false;
+    if (await this.hasStandingAccess(user, caseData, level)) return true;
+
+    // Break-glass grants only ever allow reading, and each read is audited
+    if (level === "read") {
+      const grant = await BreakGlassService.getActiveGrant(
+        user._id,
+        toId(caseData),
+      );
+      if (grant) {
+        await BreakGlassService.recordAccess(user, caseData, grant);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Load a case and throw a 404/403 error carrying statusCode unless the
+   * user may act on it
+   * @param {Object} user - User document
+   * @param {String|Object} caseOrId - Case document or ID
+   * @param {String} level - "read", "write" or "manage"
+   * @returns {Promise<Object>} The case document
+   */
+  async assertCaseAccess(user, caseOrId, level = "read") {
+    const caseData =
+      caseOrId && caseOrId.assignedTo
+        ? caseOrId
+        : await mongoose.model("Case").findById(caseOrId);
+    if (!caseData) {
+      throw buildHttpError("Case not found", 404);
+    }
+
+    if (level !== "read" && (await this.isReadOnly(caseData))) {
+      throw buildHttpError("This case is closed and can no longer be changed", 409);
+    }
+    if (!(await this.canAccess(user, caseData, level))) {
+      throw buildHttpError("You don't have access to this case", 403);
+    }
+
+    return caseData;
+  }
+
+  /**
+   * Filter matching every case the user leads or is a member of
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Mongo filter for the Case collection
+   */
+  async buildMemberCaseFilter(userId) {
+    const caseIds = await mongoose
+      .model("CaseMember")
+      .find({ user: userId })
+      .distinct("case");
+
+    return { $or: [{ assignedTo: userId }, { _id: { $in: caseIds } }] };
+  }
+}
+
+module.exports = new CaseAccessService();
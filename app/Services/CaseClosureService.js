@@ -0,0 +1,205 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const AuditLogService = require("./AuditLogService");
+const BedrockService = require("./BedrockService");
+const CaseStatusService = require("./CaseStatusService");
+const UserSettingsService = require("./UserSettingsService");
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Case Closure Service
+ * Closing a case: every SOAP note and timeline summary must be approved
+ * first, an AI discharge summary is written from the approved notes, the
+ * notes and summaries are locked, and the case becomes read-only until an
+ * admin reopens it.
+ */
+class CaseClosureService {
+  /**
+   * What stands in the way of closing a case
+   * @param {Object} caseData - Case document
+   * @returns {Promise<Object>} Unapproved soapNotes and timelineSummaries, and their total
+   */
+  async findBlockers(caseData) {
+    const sessionIds = await mongoose
+      .model("Session")
+      .find({ case: caseData._id })
+      .distinct("_id");
+
+    const [notes, timelineSummaries] = await Promise.all([
+      mongoose
+        .model("Soap")
+        .find({ session: { $in: sessionIds } })
+        .select("session version framework status")
+        .populate("session", "sessionNumber sessionDate")
+        .sort({ createdAt: 1 })
+        .lean(),
+      mongoose
+        .model("TimelineSummary")
+        .find({ case: caseData._id, status: { $ne: "Approved" } })
+        .select("version status periodStart periodEnd")
+        .sort({ version: 1 })
+        .lean(),
+    ]);
+
+    // Only the latest version of each session's note counts; earlier
+    // versions have been superseded
+    const latest = new Map();
+    notes.forEach((note) => {
+      const sessionId = String(note.session?._id || note.session);
+      const current = latest.get(sessionId);
+      if (!current || note.version > current.version) {
+        latest.set(sessionId, note);
+      }
+    });
+    const soapNotes = [...latest.values()].filter(
+      (note) => note.status !== "Approved",
+    );
+
+    return {
+      soapNotes,
+      timelineSummaries,
+      total: soapNotes.length + timelineSummaries.length,
+    };
+  }
+
+  /**
+   * The latest approved note for each session on the case, in session order
+   * @param {Object} caseData - Case document
+   * @returns {Promise<Object[]>}
+   */
+  async getApprovedNotes(caseData) {
+    const sessions = await mongoose
+      .model("Session")
+      .find({ case: caseData._id })
+      .select("sessionNumber sessionDate")
+      .sort({ sessionNumber: 1 })
+      .lean();
+
+    const notes = [];
+    for (const session of sessions) {
+      const note = await mongoose
+        .model("Soap")
+        .findOne({ session: session._id, status: "Approved" })
+        .select("framework content contentText version")
+        .sort({ version: -1 })
+        .lean();
+      if (note) {
+        notes.push({
+          ...note,
+          sessionNumber: session.sessionNumber,
+          sessionDate: session.sessionDate,
+        });
+      }
+    }
+    return notes;
+  }
+
+  /**
+   * Close a case. Throws a 409 error carrying the blockers if any note or
+   * summary is still unapproved, or a 400/403 error if the user may not
+   * close the case.
+   * @param {Object} caseData - Case document
+   * @param {Object} options - user, reason, req
+   * @returns {Promise<Object>} The closed case
+   */
+  async close(caseData, { user, reason, req }) {
+    // Check the transition first so nothing is generated or locked for
+    // a closure that would be refused
+    const { reason: closureReason } = await CaseStatusService.assertTransition(
+      caseData,
+      "Closed",
+      { user, reason, workflow: "close" },
+    );
+
+    const blockers = await this.findBlockers(caseData);
+    if (blockers.total > 0) {
+      const error = buildHttpError(
+        "The case has notes or summaries that are not yet approved",
+        409,
+      );
+      error.code = "CASE_CLOSURE_BLOCKED";
+      error.blockers = blockers;
+      throw error;
+    }
+
+    // A case closed before any session was written up has nothing to summarise
+    const notes = await this.getApprovedNotes(caseData);
+    let dischargeSummary;
+    if (notes.length) {
+      const generated = await BedrockService.generateDischargeSummary({
+        caseName: caseData.displayName,
+        notes,
+        closureReason,
+        timezone: await UserSettingsService.getTimezone(user._id),
+      });
+      dischargeSummary = {
+        summaryText: generated.summaryText,
+        summaryContent: generated.summaryContent,
+        notesIncluded: notes.map((note) => note._id),
+        aiModelVersion: generated.modelId,
+        generatedAt: new Date(),
+      };
+    }
+
+    caseData.closure = {
+      reason: closureReason,
+      closedBy: user._id,
+      closedAt: new Date(),
+      dischargeSummary,
+    };
+    await CaseStatusService.transition(caseData, "Closed", {
+      user,
+      reason: closureReason,
+      req,
+      workflow: "close",
+    });
+
+    // Locked only once the case is closed, so a refused save leaves the
+    // notes editable
+    const sessionIds = await mongoose
+      .model("Session")
+      .find({ case: caseData._id })
+      .distinct("_id");
+    const [lockedNotes, lockedSummaries] = await Promise.all([
+      mongoose
+        .model("Soap")
+        .updateMany(
+          { session: { $in: sessionIds }, locked: { $ne: true } },
+          { $set: { locked: true } },
+        ),
+      mongoose
+        .model("TimelineSummary")
+        .updateMany(
+          { case: caseData._id, locked: { $ne: true } },
+          { $set: { locked: true } },
+        ),
+    ]);
+
+    await AuditLogService.createLog({
+      user,
+      action: "CASE_CLOSE",
+      actionCategory: "CASE",
+      resourceType: "Case",
+      resourceId: caseData._id,
+      caseId: caseData._id,
+      details: {
+        reason: closureReason,
+        dischargeSummaryGenerated: !!dischargeSummary,
+        notesIncluded: notes.length,
+        notesLocked: lockedNotes.nModified || 0,
+        summariesLocked: lockedSummaries.nModified || 0,
+      },
+      req,
+    });
+
+    return caseData;
+  }
+}
+
+module.exports = new CaseClosureService();
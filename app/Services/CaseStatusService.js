@@ -0,0 +1,224 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const AuditLogService = require("./AuditLogService");
+const CaseAccessService = require("./CaseAccessService");
+const PermissionService = require("./PermissionService");
+const {
+  statuses,
+  transitions,
+  initial,
+  legacy,
+} = require("../../config/caseStatuses");
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Case Status Service
+ * The case lifecycle: which status changes are allowed and who may make
+ * them (config/caseStatuses.js), with each change recorded in the case's
+ * status history, on its timeline and in the audit log.
+ */
+class CaseStatusService {
+  get statuses() {
+    return statuses;
+  }
+
+  get initialStatuses() {
+    return initial;
+  }
+
+  // Cases not yet migrated may still hold a legacy value
+  normalise(status) {
+    return legacy[status] || status;
+  }
+
+  /**
+   * Whether a user may make a given transition on a case
+   * @param {Object} user - User document
+   * @param {Object} caseData - Case document
+   * @param {Object} rule - Transition from config/caseStatuses.js
+   * @returns {Promise<Boolean>}
+   */
+  async isPermitted(user, caseData, rule) {
+    if (rule.permission) {
+      return PermissionService.hasPermission(user, rule.permission);
+    }
+    return CaseAccessService.hasStandingAccess(user, caseData, "manage");
+  }
+
+  /**
+   * The statuses the user may move a case to from its current status
+   * @param {Object} user - User document
+   * @param {Object} caseData - Case document
+   * @returns {Promise<Object[]>} { status, requiresReason, workflow } per allowed target
+   */
+  async allowedTransitions(user, caseData) {
+    const from = this.normalise(caseData.status);
+    const allowed = [];
+
+    for (const [to, rule] of Object.entries(transitions[from] || {})) {
+      if (await this.isPermitted(user, caseData, rule)) {
+        allowed.push({
+          status: to,
+          requiresReason: !!rule.requiresReason,
+          workflow: rule.workflow || null,
+        });
+      }
+    }
+    return allowed;
+  }
+
+  /**
+   * Record the status a new case starts in. Does not save.
+   * @param {Object} caseData - Unsaved case document
+   * @param {Object} user - User creating the case
+   */
+  recordInitial(caseData, user) {
+    caseData.statusChangedAt = new Date();
+    caseData.statusHistory = [
+      {
+        from: null,
+        to: caseData.status,
+        changedBy: user._id,
+        changedAt: caseData.statusChangedAt,
+      },
+    ];
+  }
+
+  /**
+   * Check a user may move a case to a status, throwing a 400/403 error
+   * carrying statusCode if not
+   * @param {Object} caseData - Case document
+   * @param {String} to - Target status
+   * @param {Object} options - user, reason, and the workflow making the change
+   * @returns {Promise<Object>} { from, reason } with the reason trimmed
+   */
+  async assertTransition(caseData, to, { user, reason, workflow }) {
+    if (!statuses.includes(to)) {
+      throw buildHttpError(
+        `Invalid status. Must be one of: ${statuses.join(", ")}`,
+        400,
+      );
+    }
+
+    const from = this.normalise(caseData.status);
+    if (from === to) {
+      throw buildHttpError(`Case is already ${to}`, 400);
+    }
+
+    const rule = (transitions[from] || {})[to];
+    if (!rule) {
+      throw buildHttpError(`A case cannot move from ${from} to ${to}`, 400);
+    }
+    if (rule.workflow && rule.workflow !== workflow) {
+      throw buildHttpError(
+        `Use the ${rule.workflow} case endpoint to move a case to ${to}`,
+        400,
+      );
+    }
+    if (!(await this.isPermitted(user, caseData, rule))) {
+      throw buildHttpError(
+        `You are not allowed to move this case from ${from} to ${to}`,
+        403,
+      );
+    }
+
+    const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+    if (rule.requiresReason && !trimmedReason) {
+      throw buildHttpError(
+        `A reason is required to move a case from ${from} to ${to}`,
+        400,
+      );
+    }
+
+    return { from, reason: trimmedReason };
+  }
+
+  /**
+   * Move a case to a new status, recording the change in its history, on
+   * its timeline and in the audit log
+   * @param {Object} caseData - Case document
+   * @param {String} to - Target status
+   * @param {Object} options - user, reason, req, and the workflow making the change
+   * @returns {Promise<Object>} The saved case
+   */
+  async transition(caseData, to, { user, reason, req, workflow }) {
+    const { from, reason: trimmedReason } = await this.assertTransition(
+      caseData,
+      to,
+      { user, reason, workflow },
+    );
+
+    const changedAt = new Date();
+    caseData.status = to;
+    caseData.statusChangedAt = changedAt;
+    caseData.statusHistory.push({
+      from,
+      to,
+      reason: trimmedReason || undefined,
+      changedBy: user._id,
+      changedAt,
+    });
+    await caseData.save();
+
+    await mongoose.model("CaseTimeline").create({
+      case: caseData._id,
+      eventType: "status_change",
+      eventDate: changedAt,
+      performedBy: user._id,
+      eventDescription: `Status changed from ${from} to ${to}`,
+      statusChange: { from, to, reason: trimmedReason || undefined },
+    });
+
+    await AuditLogService.createLog({
+      user,
+      action: "CASE_STATUS_CHANGE",
+      actionCategory: "CASE",
+      resourceType: "Case",
+      resourceId: caseData._id,
+      caseId: caseData._id,
+      details: { from, to, reason: trimmedReason || null },
+      req,
+    });
+
+    return caseData;
+  }
+
+  /**
+   * Rewrite legacy status values (such as the misspelled "Unapporved") to
+   * their current names, noting the change in each case's history
+   * @returns {Promise<Object>} Cases updated per legacy value
+   */
+  async migrateLegacyStatuses() {
+    const Case = mongoose.model("Case");
+    const results = {};
+
+    for (const [from, to] of Object.entries(legacy)) {
+      const changedAt = new Date();
+      const result = await Case.updateMany(
+        { status: from },
+        {
+          $set: { status: to, statusChangedAt: changedAt },
+          $push: {
+            statusHistory: {
+              from,
+              to,
+              reason: "Renamed legacy status",
+              changedAt,
+            },
+          },
+        },
+      ).setOptions({ skipTenant: true });
+      results[from] = result.nModified || 0;
+    }
+
+    return results;
+  }
+}
+
+module.exports = new CaseStatusService();
@@ -0,0 +1,198 @@
+"use strict";
+
+const mongoose = require("mongoose");
+require("../Models/ClientProfile");
+const ClientProfile = mongoose.model("ClientProfile");
+
+const MASK = "[REDACTED]";
+
+// Set by the server, never from the request body
+const SYSTEM_FIELDS = [
+  "_id",
+  "__v",
+  "case",
+  "organisation",
+  "updatedBy",
+  "createdAt",
+  "updatedAt",
+];
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Dotted paths of a schema flagged `phi: true`, with sub-document arrays
+// listed under their own key
+const collectPhiPaths = (schema) => {
+  const paths = { fields: [], arrays: {} };
+  schema.eachPath((path, type) => {
+    if (type.options && type.options.phi) paths.fields.push(path);
+    if (type.schema) paths.arrays[path] = collectPhiPaths(type.schema).fields;
+  });
+  return paths;
+};
+
+const maskPath = (target, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce(
+    (value, key) => (value ? value[key] : value),
+    target,
+  );
+  const value = parent ? parent[last] : undefined;
+  if (value !== undefined && value !== null && value !== "") {
+    parent[last] = MASK;
+  }
+};
+
+const ageFrom = (dateOfBirth, now = new Date()) => {
+  const dob = new Date(dateOfBirth);
+  let age = now.getFullYear() - dob.getFullYear();
+  const birthdayPassed =
+    now.getMonth() > dob.getMonth() ||
+    (now.getMonth() === dob.getMonth() && now.getDate() >= dob.getDate());
+  if (!birthdayPassed) age -= 1;
+  return age;
+};
+
+/**
+ * Client Profile Service
+ * The client details kept against a case. Fields flagged `phi` on the
+ * ClientProfile schema are masked in exports when PII masking is on and are
+ * never included in AI prompts; the rest give the AI clinical context.
+ */
+class ClientProfileService {
+  get phiPaths() {
+    if (!this.phi) this.phi = collectPhiPaths(ClientProfile.schema);
+    return this.phi;
+  }
+
+  // Top-level fields a client may send
+  get editableFields() {
+    if (!this.editable) {
+      const roots = new Set();
+      ClientProfile.schema.eachPath((path) => roots.add(path.split(".")[0]));
+      this.editable = [...roots].filter((root) => !SYSTEM_FIELDS.includes(root));
+    }
+    return this.editable;
+  }
+
+  /**
+   * The profile for a case
+   * @param {String} caseId - Case ID
+   * @returns {Promise<Object|null>}
+   */
+  async getForCase(caseId) {
+    return ClientProfile.findOne({ case: caseId });
+  }
+
+  /**
+   * Create or update the profile for a case from request fields. Fields
+   * left out are unchanged; fields sent as null are cleared.
+   * @param {Object} caseData - Case document
+   * @param {Object} fields - Request body
+   * @param {Object} user - User making the change
+   * @returns {Promise<Object>} { profile, changedFields }
+   */
+  async upsert(caseData, fields, user) {
+    const unknown = Object.keys(fields || {}).filter(
+      (key) => !this.editableFields.includes(key),
+    );
+    if (unknown.length) {
+      throw buildHttpError(`Unknown field(s): ${unknown.join(", ")}`, 400);
+    }
+
+    const profile =
+      (await this.getForCase(caseData._id)) ||
+      new ClientProfile({ case: caseData._id });
+
+    Object.entries(fields).forEach(([key, value]) => {
+      profile.set(key, value === null ? undefined : value);
+    });
+
+    if (profile.dateOfBirth && profile.dateOfBirth > new Date()) {
+      throw buildHttpError("dateOfBirth cannot be in the future", 400);
+    }
+
+    const changedFields = this.editableFields.filter((key) =>
+      profile.isModified(key),
+    );
+    profile.updatedBy = user._id;
+
+    try {
+      await profile.save();
+    } catch (err) {
+      if (err.name === "ValidationError" || err.name === "CastError") {
+        throw buildHttpError(err.message, 400);
+      }
+      throw err;
+    }
+
+    return { profile, changedFields };
+  }
+
+  /**
+   * A copy of the profile with every PHI field replaced by a placeholder
+   * @param {Object} profile - Profile document or plain object
+   * @returns {Object}
+   */
+  mask(profile) {
+    const plain = JSON.parse(
+      JSON.stringify(profile.toObject ? profile.toObject() : profile),
+    );
+
+    this.phiPaths.fields.forEach((path) => maskPath(plain, path));
+    Object.entries(this.phiPaths.arrays).forEach(([arrayPath, fields]) => {
+      const items = arrayPath
+        .split(".")
+        .reduce((value, key) => (value ? value[key] : value), plain);
+      (items || []).forEach((item) =>
+        fields.forEach((path) => maskPath(item, path)),
+      );
+    });
+
+    return plain;
+  }
+
+  /**
+   * Non-identifying background for AI prompts: age, gender, referral and
+   * presenting problem. Names, dates of birth and contact details are
+   * never included.
+   * @param {Object|null} profile - Profile document
+   * @returns {String} Empty when there is nothing to add
+   */
+  toPromptContext(profile) {
+    if (!profile) return "";
+
+    const lines = [];
+    if (profile.dateOfBirth) lines.push(`Age: ${ageFrom(profile.dateOfBirth)}`);
+    if (profile.gender) lines.push(`Gender: ${profile.gender}`);
+    if (profile.pronouns) lines.push(`Pronouns: ${profile.pronouns}`);
+    if (profile.referral?.source) {
+      lines.push(`Referral source: ${profile.referral.source}`);
+    }
+    if (profile.referral?.reason) {
+      lines.push(`Referral reason: ${profile.referral.reason}`);
+    }
+    if (profile.presentingProblem) {
+      lines.push(`Presenting problem: ${profile.presentingProblem}`);
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Prompt context for a case, looked up by ID
+   * @param {String} caseId - Case ID
+   * @returns {Promise<String>}
+   */
+  async getPromptContext(caseId) {
+    return this.toPromptContext(
+      await ClientProfile.findOne({ case: caseId }).lean(),
+    );
+  }
+}
+
+module.exports = new ClientProfileService();
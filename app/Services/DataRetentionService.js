@@ -3,13 +3,14 @@
 const mongoose = require("mongoose");
 const S3Service = require("./S3Service");
 const AuditLogService = require("./AuditLogService");
+const SystemSettingsService = require("./SystemSettingsService");
 
 /**
  * Data Retention Service
  * Handles automatic deletion of raw audio recordings and draft transcripts
- * based on compliance requirements:
- * - 7 days after SOAP note approval
- * - 30 days after creation if never approved
+ * based on compliance requirements. Both windows are organisation settings:
+ * - retentionApprovedDays after SOAP note approval (default 7)
+ * - retentionUnapprovedDays after creation if never approved (default 30)
  */
 class DataRetentionService {
   /**
@@ -102,6 +103,10 @@ class DataRetentionService {
     if (session.audioS3Key && !session.audioDeletedAt) {
       try {
         await S3Service.deleteAudio(session.audioS3Key);
+        // Recordings replaced by a later live recording or upload
+        for (const key of session.previousAudioS3Keys || []) {
+          await S3Service.deleteAudio(key);
+        }
         session.audioDeletedAt = new Date();
         session.audioUrl = null; // Clear the URL since file no longer exists
         result.audioDeleted = true;
@@ -174,7 +179,7 @@ class DataRetentionService {
   }
 
   /**
-   * Schedule a session for deletion 7 days after SOAP note approval
+   * Schedule a session for deletion retentionApprovedDays after SOAP note approval
    * Called when a SOAP note is approved
    * @param {String} sessionId - Session ID
    * @returns {Promise<Object>} Updated session
@@ -187,16 +192,19 @@ class DataRetentionService {
       throw new Error(`Session ${sessionId} not found`);
     }
 
-    // Schedule deletion for 7 days from now
+    const retentionDays = await SystemSettingsService.get(
+      "retentionApprovedDays",
+      session.organisation,
+    );
     const deletionDate = new Date();
-    deletionDate.setDate(deletionDate.getDate() + 7);
+    deletionDate.setDate(deletionDate.getDate() + retentionDays);
 
     session.deletionScheduledAt = deletionDate;
     session.retentionStatus = "ScheduledForDeletion";
 
     await session.save();
 
-    // Audit: scheduled 7-day deletion after approval
+    // Audit: scheduled deletion after approval
     try {
       await AuditLogService.createLog({
         user: null,
@@ -208,7 +216,7 @@ class DataRetentionService {
         sessionId: session._id,
         details: {
           actor: "System (SOAP approval)",
-          reason: "Approved note: delete after 7 days",
+          reason: `Approved note: delete after ${retentionDays} days`,
           deletionScheduledAt: deletionDate,
         },
       });
@@ -227,7 +235,7 @@ class DataRetentionService {
   }
 
   /**
-   * Check and schedule deletion for sessions older than 30 days without approval
+   * Check and schedule deletion for sessions older than retentionUnapprovedDays without approval
    * Should be called by scheduled job
    * @returns {Promise<Object>} Summary of scheduled sessions
    */
@@ -235,9 +243,6 @@ class DataRetentionService {
     const Session = mongoose.model("Session");
     const Soap = mongoose.model("Soap");
 
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
     const results = {
       totalScheduled: 0,
       sessions: [],
@@ -245,25 +250,42 @@ class DataRetentionService {
 
     try {
       console.log(
-        "[DataRetention] Checking for unapproved sessions older than 30 days...",
+        "[DataRetention] Checking for unapproved sessions past their retention window...",
       );
 
-      // Find sessions created more than 30 days ago that are not yet scheduled for deletion
-      const oldSessions = await Session.find({
-        createdAt: { $lt: thirtyDaysAgo },
-        retentionStatus: "Active",
-        $or: [
-          { audioS3Key: { $exists: true, $ne: null } },
-          // Sessions that might have transcripts
-          { status: { $in: ["TranscriptionComplete", "Ready"] } },
-        ],
-      });
+      // Each organisation sets its own window, so look them up one by one
+      const organisationIds = await Session.distinct("organisation");
+      const oldSessions = [];
+
+      for (const organisationId of organisationIds) {
+        const retentionDays = await SystemSettingsService.get(
+          "retentionUnapprovedDays",
+          organisationId,
+        );
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - retentionDays);
+
+        // Sessions older than the window that are not yet scheduled for deletion
+        const sessions = await Session.find({
+          organisation: organisationId,
+          createdAt: { $lt: cutoff },
+          retentionStatus: "Active",
+          $or: [
+            { audioS3Key: { $exists: true, $ne: null } },
+            // Sessions that might have transcripts
+            { status: { $in: ["TranscriptionComplete", "Ready"] } },
+          ],
+        });
+        sessions.forEach((session) =>
+          oldSessions.push({ session, retentionDays }),
+        );
+      }
 
       console.log(
         `[DataRetention] Found ${oldSessions.length} old sessions to check`,
       );
 
-      for (const session of oldSessions) {
+      for (const { session, retentionDays } of oldSessions) {
         try {
           // Check if this session has an approved SOAP note
           const approvedNote = await Soap.findOne({
@@ -277,7 +299,7 @@ class DataRetentionService {
             session.retentionStatus = "ScheduledForDeletion";
             await session.save();
 
-            // Audit: scheduled 30-day timeout deletion
+            // Audit: scheduled retention-window timeout deletion
             try {
               await AuditLogService.createLog({
                 user: null,
@@ -289,14 +311,14 @@ class DataRetentionService {
                 sessionId: session._id,
                 details: {
                   actor: "System (RetentionPolicy)",
-                  reason: "No approval after 30 days",
+                  reason: `No approval after ${retentionDays} days`,
                   deletionScheduledAt: session.deletionScheduledAt,
                   createdAt: session.createdAt,
                 },
               });
             } catch (auditErr) {
               console.error(
-                "[DataRetention] Failed to write audit log for 30-day schedule:",
+                "[DataRetention] Failed to write audit log for unapproved schedule:",
                 auditErr,
               );
             }
@@ -305,7 +327,7 @@ class DataRetentionService {
             results.sessions.push({
               sessionId: session._id,
               createdAt: session.createdAt,
-              reason: "No approval after 30 days",
+              reason: `No approval after ${retentionDays} days`,
             });
 
             console.log(
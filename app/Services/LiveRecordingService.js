@@ -0,0 +1,236 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const s3Service = require("./S3Service");
+const { LIVE_RECORDING_PART_BYTES } = require("../../config/constants");
+
+const WAV_HEADER_BYTES = 44;
+
+// Canonical header for 16-bit mono PCM
+const wavHeader = (dataBytes, sampleRate) => {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+};
+
+/**
+ * One live recording, written to S3 as a WAV file while audio arrives.
+ * The first part, which starts with the WAV header, is held in memory and
+ * uploaded last, once the final length is known; later parts are uploaded
+ * as each fills up. At most two parts are held at a time.
+ */
+class LiveRecording {
+  constructor(sessionId, sampleRate) {
+    this.sessionId = sessionId;
+    this.sampleRate = sampleRate;
+    this.key = s3Service.buildRecordingKey(sessionId, "wav");
+    this.uploadId = null;
+    this.firstPart = [];
+    this.firstPartBytes = WAV_HEADER_BYTES;
+    this.current = [];
+    this.currentBytes = 0;
+    this.dataBytes = 0;
+    this.parts = [];
+    this.error = null;
+    this.aborted = false;
+    // Uploads run one after another, in the order parts fill up
+    this.queue = s3Service
+      .createMultipartUpload(this.key, "audio/wav", {
+        sessionId: String(sessionId),
+        source: "live",
+        startedAt: new Date().toISOString(),
+      })
+      .then((uploadId) => {
+        this.uploadId = uploadId;
+      })
+      .catch((err) => this.failed(err));
+  }
+
+  get durationSeconds() {
+    return Math.round(this.dataBytes / (this.sampleRate * 2));
+  }
+
+  /**
+   * Add PCM audio
+   * @param {Buffer} chunk - 16-bit mono PCM
+   */
+  write(chunk) {
+    if (this.error || this.aborted) return;
+    this.dataBytes += chunk.length;
+
+    if (this.firstPartBytes < LIVE_RECORDING_PART_BYTES) {
+      this.firstPart.push(chunk);
+      this.firstPartBytes += chunk.length;
+      return;
+    }
+
+    this.current.push(chunk);
+    this.currentBytes += chunk.length;
+    if (this.currentBytes >= LIVE_RECORDING_PART_BYTES) this.flush();
+  }
+
+  flush() {
+    if (!this.currentBytes) return;
+    const body = Buffer.concat(this.current);
+    const partNumber = this.parts.length + 2;
+    this.current = [];
+    this.currentBytes = 0;
+    this.parts.push(null);
+
+    this.queue = this.queue.then(async () => {
+      if (this.error || this.aborted) return;
+      try {
+        this.parts[partNumber - 2] = await s3Service.uploadPart(
+          this.key,
+          this.uploadId,
+          partNumber,
+          body,
+        );
+      } catch (err) {
+        this.failed(err);
+      }
+    });
+  }
+
+  failed(err) {
+    if (this.error) return;
+    this.error = err;
+    this.firstPart = [];
+    this.current = [];
+    console.error(`[${this.sessionId}] Live recording failed:`, err);
+  }
+
+  /**
+   * Upload what is left and complete the file
+   * @returns {Promise<Object|null>} { key, sizeBytes, durationSeconds }, or null without audio
+   * @throws {Error} If any part failed to upload
+   */
+  async finish() {
+    this.flush();
+    await this.queue;
+
+    if (!this.error && this.dataBytes > 0) {
+      try {
+        const first = await s3Service.uploadPart(
+          this.key,
+          this.uploadId,
+          1,
+          Buffer.concat([
+            wavHeader(this.dataBytes, this.sampleRate),
+            ...this.firstPart,
+          ]),
+        );
+        this.firstPart = [];
+        await s3Service.completeMultipartUpload(this.key, this.uploadId, [
+          first,
+          ...this.parts,
+        ]);
+        return {
+          key: this.key,
+          sizeBytes: this.dataBytes + WAV_HEADER_BYTES,
+          durationSeconds: this.durationSeconds,
+        };
+      } catch (err) {
+        this.failed(err);
+      }
+    }
+
+    await this.abort();
+    if (this.error) throw this.error;
+    return null;
+  }
+
+  /**
+   * Discard the recording. The multipart upload may still be being created,
+   * so the queue settles before it is aborted; parts not yet sent are not.
+   */
+  async abort() {
+    this.aborted = true;
+    this.firstPart = [];
+    this.current = [];
+    await this.queue;
+    if (!this.uploadId) return;
+    try {
+      await s3Service.abortMultipartUpload(this.key, this.uploadId);
+    } catch (err) {
+      console.error(`[${this.sessionId}] Failed to abort live recording:`, err);
+    }
+  }
+}
+
+/**
+ * Live Recording Service
+ * Keeps a server-side WAV copy of the audio streamed for live
+ * transcription, so a session has a recording even when the browser's own
+ * upload fails. The finished file becomes the session's recording.
+ */
+class LiveRecordingService {
+  /**
+   * Begin recording a session's live audio
+   * @param {String} sessionId - Session ID
+   * @param {Object} options - sampleRate of the 16-bit mono PCM, default 16000
+   * @returns {LiveRecording|null} null when no S3 bucket is configured
+   */
+  start(sessionId, { sampleRate = 16000 } = {}) {
+    if (!s3Service.bucketName) {
+      console.warn(
+        `[${sessionId}] AWS_S3_BUCKET_NAME not set, live audio will not be recorded`,
+      );
+      return null;
+    }
+    return new LiveRecording(sessionId, sampleRate);
+  }
+
+  /**
+   * Complete a recording and make it the session's recording. A recording
+   * it replaces, from an earlier stretch of the session or a browser
+   * upload, is kept in previousAudioS3Keys for data retention to delete.
+   * @param {LiveRecording} recording - From start()
+   * @returns {Promise<Object|null>} The session, or null when nothing was recorded
+   */
+  async save(recording) {
+    const result = await recording.finish();
+    if (!result) return null;
+
+    const Session = mongoose.model("Session");
+    const session = await Session.findById(recording.sessionId);
+    if (!session) {
+      // The session was deleted while recording
+      await s3Service.deleteAudio(result.key);
+      return null;
+    }
+
+    if (session.audioS3Key && session.audioS3Key !== result.key) {
+      session.previousAudioS3Keys = [
+        ...(session.previousAudioS3Keys || []),
+        session.audioS3Key,
+      ];
+    }
+    session.audioS3Key = result.key;
+    session.audioUrl = s3Service.generateS3Url(result.key);
+    session.audioFileSizeBytes = result.sizeBytes;
+    session.durationSeconds = result.durationSeconds;
+    session.recordingSource = "live";
+    session.hasRecording = true;
+    await session.save();
+
+    console.log(
+      `[${recording.sessionId}] Live recording saved: ${result.key} (${result.durationSeconds}s)`,
+    );
+    return session;
+  }
+}
+
+module.exports = new LiveRecordingService();
@@ -0,0 +1,142 @@
+"use strict";
+
+const mongoose = require("mongoose");
+require("../Models/LoginSession");
+const LoginSession = mongoose.model("LoginSession");
+
+// First match wins, so more specific names come first
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Safari", /Safari\//],
+];
+const OPERATING_SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+const clientIp = (req) =>
+  req
+    ? req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress
+    : undefined;
+
+/**
+ * Login Session Service
+ * The devices a user is signed in on, one record per refresh-token family,
+ * and cutting off their live sockets when a session is revoked.
+ */
+class LoginSessionService {
+  /**
+   * Rough browser / OS / form factor from a user-agent string
+   * @param {String} userAgent - User-Agent header
+   * @returns {Object} browser, os, type
+   */
+  describeDevice(userAgent) {
+    const ua = String(userAgent || "");
+    const match = (list) =>
+      (list.find(([, pattern]) => pattern.test(ua)) || ["Unknown"])[0];
+
+    let type = "desktop";
+    if (/iPad|Tablet/.test(ua)) type = "tablet";
+    else if (/Mobi|iPhone|Android/.test(ua)) type = "mobile";
+
+    return { browser: match(BROWSERS), os: match(OPERATING_SYSTEMS), type };
+  }
+
+  /**
+   * Record a new sign-in
+   * @param {Object} user - User document
+   * @param {String} family - Refresh-token family
+   * @param {Object} req - Express request object
+   * @param {Object} options - method, expiresAt
+   */
+  async start(user, family, req, { method = "password", expiresAt }) {
+    const userAgent = req ? req.headers["user-agent"] : undefined;
+    const ipAddress = clientIp(req);
+
+    return LoginSession.create({
+      user: user._id,
+      family,
+      method,
+      ipAddress,
+      userAgent,
+      device: this.describeDevice(userAgent),
+      lastSeenAt: new Date(),
+      lastIpAddress: ipAddress,
+      expiresAt,
+      organisation: user.organisation,
+    });
+  }
+
+  /**
+   * Note activity on a session when its refresh token rotates
+   * @param {String} family - Refresh-token family
+   * @param {Object} req - Express request object
+   * @param {Date} expiresAt - New refresh-token expiry
+   */
+  async touch(family, req, expiresAt) {
+    return LoginSession.updateOne(
+      { family },
+      {
+        $set: {
+          lastSeenAt: new Date(),
+          lastIpAddress: clientIp(req),
+          expiresAt,
+        },
+      },
+    ).setOptions({ skipTenant: true });
+  }
+
+  /**
+   * A user's sessions that can still be used, newest activity first
+   * @param {String} userId - User ID
+   * @returns {Promise<Object[]>}
+   */
+  async listActive(userId) {
+    return LoginSession.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("-userAgent")
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Mark sessions revoked and disconnect their sockets. Token revocation
+   * itself is TokenService's job.
+   * @param {Object} filter - family or user
+   * @param {String} reason - Why
+   * @param {String} revokedBy - User who revoked them, if not the owner
+   */
+  async markRevoked(filter, reason, revokedBy) {
+    await LoginSession.updateMany(
+      { ...filter, revokedAt: null },
+      {
+        $set: {
+          revokedAt: new Date(),
+          revokedReason: reason,
+          ...(revokedBy ? { revokedBy } : {}),
+        },
+      },
+    ).setOptions({ skipTenant: true });
+
+    if (filter.family) this.disconnect(`login:${filter.family}`);
+    if (filter.user) this.disconnect(`user:${filter.user}`);
+  }
+
+  // Close every socket in a room (see routes/socket.js)
+  disconnect(room) {
+    if (global.io) {
+      global.io.in(room).disconnectSockets(true);
+    }
+  }
+}
+
+module.exports = new LoginSessionService();
@@ -0,0 +1,282 @@
+"use strict";
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+require("../Models/AuthThrottle");
+const AuthThrottle = mongoose.model("AuthThrottle");
+const AuditLogService = require("./AuditLogService");
+
+const {
+  MAX_ACCOUNT_LOGIN_ATTEMPTS,
+  MAX_IP_AUTH_ATTEMPTS,
+  AUTH_ATTEMPT_WINDOW_MINUTES,
+  LOCKOUT_BASE_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+} = require("../../config/constants");
+
+const MINUTE = 60 * 1000;
+
+// The User fields an account's failed attempts are tracked in
+const COUNTER_FIELDS = "failedLoginAttempts lockoutCount lockedUntil";
+
+const buildThrottleError = (message, statusCode, lockedUntil) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.lockedUntil = lockedUntil;
+  return error;
+};
+
+/**
+ * Login Throttle Service
+ * Per-account and per-IP failed attempt counters with progressive lockout
+ * for the login, MFA and password-reset OTP routes.
+ */
+class LoginThrottleService {
+  getClientIp(req) {
+    return (
+      req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress
+    );
+  }
+
+  /**
+   * Lockout length doubles with every lockout in a row, capped at a day
+   */
+  getLockoutDuration(previousLockouts) {
+    const minutes = Math.min(
+      LOCKOUT_BASE_MINUTES * Math.pow(2, previousLockouts),
+      LOCKOUT_MAX_MINUTES,
+    );
+    return minutes * MINUTE;
+  }
+
+  /**
+   * Reject the request with 429 while the caller's IP is locked
+   * @param {Object} req - Express request object
+   * @param {String} scope - Route scope, e.g. "login", "otp"
+   */
+  async assertIpAllowed(req, scope) {
+    const ip = this.getClientIp(req);
+    if (!ip) return;
+
+    const throttle = await AuthThrottle.findOne({ key: `${scope}:ip:${ip}` });
+    if (throttle?.lockedUntil && throttle.lockedUntil > new Date()) {
+      throw buildThrottleError(
+        "Too many attempts from this network. Please try again later.",
+        429,
+        throttle.lockedUntil,
+      );
+    }
+  }
+
+  /**
+   * Count an attempt against the caller's IP and lock it once over the limit.
+   * Counters are updated in the database, so concurrent attempts are all
+   * counted and only one of them locks.
+   * @param {Object} req - Express request object
+   * @param {String} scope - Route scope, e.g. "login", "otp"
+   */
+  async recordIpAttempt(req, scope) {
+    const ip = this.getClientIp(req);
+    if (!ip) return;
+
+    const key = `${scope}:ip:${ip}`;
+    const now = new Date();
+    const window = AUTH_ATTEMPT_WINDOW_MINUTES * MINUTE;
+
+    // Start a fresh window once the previous one has passed
+    await AuthThrottle.updateOne(
+      { key, windowStartedAt: { $lte: new Date(now.getTime() - window) } },
+      { $set: { count: 0, windowStartedAt: now } },
+    );
+
+    // Keep the record until the window is over, and for as long again as
+    // the longest lock, so repeat lockouts keep growing
+    const throttle = await AuthThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $set: {
+          expiresAt: new Date(
+            now.getTime() + window + LOCKOUT_MAX_MINUTES * MINUTE,
+          ),
+        },
+        $setOnInsert: {
+          scope,
+          identifier: ip,
+          windowStartedAt: now,
+          lockouts: 0,
+        },
+      },
+      { upsert: true, new: true },
+    );
+    if (throttle.count < MAX_IP_AUTH_ATTEMPTS) return;
+
+    const lockedUntil = new Date(
+      now.getTime() + this.getLockoutDuration(throttle.lockouts),
+    );
+    const locked = await AuthThrottle.findOneAndUpdate(
+      { _id: throttle._id, count: { $gte: MAX_IP_AUTH_ATTEMPTS } },
+      {
+        $set: {
+          count: 0,
+          windowStartedAt: now,
+          lockedUntil,
+          expiresAt: new Date(
+            Math.max(lockedUntil.getTime(), now.getTime() + window) +
+              LOCKOUT_MAX_MINUTES * MINUTE,
+          ),
+        },
+        $inc: { lockouts: 1 },
+      },
+      { new: true },
+    );
+    // A concurrent attempt locked the IP first
+    if (!locked) return;
+
+    await AuditLogService.createLog({
+      user: null,
+      action: "IP_LOCKED",
+      actionCategory: "AUTH",
+      resourceType: "AuthThrottle",
+      resourceId: locked._id,
+      details: {
+        scope,
+        ipAddress: ip,
+        lockouts: locked.lockouts,
+        lockedUntil: locked.lockedUntil,
+      },
+      req,
+    });
+  }
+
+  isAccountLocked(user) {
+    return !!(user.lockedUntil && user.lockedUntil > new Date());
+  }
+
+  /**
+   * Reject with 423 while the account is locked
+   */
+  assertAccountUnlocked(user) {
+    if (this.isAccountLocked(user)) {
+      throw buildThrottleError(
+        "Account temporarily locked due to too many failed attempts. Please try again later.",
+        423,
+        user.lockedUntil,
+      );
+    }
+  }
+
+  /**
+   * Count a failed credential/code check against the account
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object
+   * @param {String} scope - What failed, e.g. "login", "mfa"
+   * @returns {Promise<Boolean>} true when this failure locked the account
+   */
+  async recordAccountFailure(user, req, scope) {
+    const User = mongoose.model("User");
+    const counted = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true },
+    ).select(COUNTER_FIELDS);
+    if (!counted) return false;
+
+    // Of concurrent failures reaching the limit, only the first locks
+    let locked = false;
+    let current = counted;
+    if (counted.failedLoginAttempts >= MAX_ACCOUNT_LOGIN_ATTEMPTS) {
+      const lockedUser = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          failedLoginAttempts: { $gte: MAX_ACCOUNT_LOGIN_ATTEMPTS },
+        },
+        {
+          $set: {
+            failedLoginAttempts: 0,
+            lockedUntil: new Date(
+              Date.now() + this.getLockoutDuration(counted.lockoutCount || 0),
+            ),
+          },
+          $inc: { lockoutCount: 1 },
+        },
+        { new: true },
+      ).select(COUNTER_FIELDS);
+      if (lockedUser) {
+        locked = true;
+        current = lockedUser;
+      }
+    }
+
+    user.failedLoginAttempts = current.failedLoginAttempts;
+    user.lockoutCount = current.lockoutCount;
+    user.lockedUntil = current.lockedUntil;
+
+    if (locked) {
+      await AuditLogService.createLog({
+        user,
+        action: "ACCOUNT_LOCKED",
+        actionCategory: "AUTH",
+        resourceType: "User",
+        resourceId: user._id,
+        details: {
+          email: user.email,
+          scope,
+          lockoutCount: user.lockoutCount,
+          lockedUntil: user.lockedUntil,
+        },
+        req,
+      });
+    }
+
+    return locked;
+  }
+
+  /**
+   * Clear the account's counters after a successful login
+   */
+  async resetAccount(user) {
+    if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) {
+      return;
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockedUntil = undefined;
+    await mongoose.model("User").updateOne(
+      { _id: user._id },
+      {
+        $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+        $unset: { lockedUntil: 1 },
+      },
+    );
+  }
+
+  /**
+   * Admin unlock: clears the lock and the progressive lockout history
+   */
+  async unlockAccount(user) {
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockedUntil = undefined;
+    user.otpAttempts = 0;
+    await user.save();
+    return user;
+  }
+
+  hashOtp(otp) {
+    return crypto.createHash("sha256").update(String(otp)).digest("hex");
+  }
+
+  verifyOtp(otp, hash) {
+    if (!otp || !hash) return false;
+    const candidate = Buffer.from(this.hashOtp(otp));
+    const expected = Buffer.from(hash);
+    return (
+      candidate.length === expected.length &&
+      crypto.timingSafeEqual(candidate, expected)
+    );
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,287 @@
+"use strict";
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const PermissionService = require("./PermissionService");
+const SystemSettingsService = require("./SystemSettingsService");
+
+let config = {};
+config.app = require("../../config/app");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const MFA_CHALLENGE_EXPIRES_IN = "5m";
+const REQUIRE_ADMIN_MFA_KEY = "requireAdminMfa";
+
+/**
+ * MFA Service
+ * RFC 6238 TOTP (authenticator apps), recovery codes and the short-lived
+ * challenge token that bridges the password step and the code step of login.
+ */
+class MfaService {
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const idx = BASE32_ALPHABET.indexOf(char);
+      if (idx === -1) continue;
+      value = (value << 5) | idx;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI rendered as a QR code by the client
+   */
+  buildOtpAuthUrl(secret, accountName) {
+    const issuer = config.app.name;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+      issuer,
+    )}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  }
+
+  generateCode(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+      .createHmac("sha1", this.base32Decode(secret))
+      .update(buffer)
+      .digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary =
+      ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+  }
+
+  /**
+   * Find the time step a TOTP code belongs to, allowing one step of clock
+   * drift either way
+   * @param {String} secret - Base32 secret
+   * @param {String} code - Code entered by the user
+   * @returns {Number|null} The matching step, or null when the code is wrong
+   */
+  totpStep(secret, code, window = 1) {
+    if (!secret || !code) return null;
+    const normalized = String(code).replace(/\s+/g, "");
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+      return null;
+    }
+
+    const counter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let i = -window; i <= window; i++) {
+      const expected = this.generateCode(secret, counter + i);
+      if (
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+      ) {
+        return counter + i;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Verify a TOTP code, allowing one step of clock drift either way
+   * @param {String} secret - Base32 secret
+   * @param {String} code - Code entered by the user
+   * @returns {Boolean}
+   */
+  verifyTotp(secret, code, window = 1) {
+    return this.totpStep(secret, code, window) !== null;
+  }
+
+  /**
+   * Verify a code against the user's enrolled secret and use it up. Each
+   * step is accepted once: a code whose step is at or before the last one
+   * accepted for the user is refused, so an intercepted code cannot be
+   * replayed while it is still valid.
+   * @param {Object} user - User document with mfaSecret selected
+   * @param {String} code - Code entered by the user
+   * @returns {Promise<Boolean>}
+   */
+  async consumeTotp(user, code) {
+    const step = this.totpStep(this.decryptSecret(user.mfaSecret), code);
+    if (step === null) return false;
+
+    const User = mongoose.model("User");
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, mfaLastTotpStep: { $not: { $gte: step } } },
+      { $set: { mfaLastTotpStep: step } },
+    ).select("_id");
+    return !!claimed;
+  }
+
+  encryptSecret(secret) {
+    const key = crypto.createHash("sha256").update(String(config.app.key)).digest();
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(config.app.cipher.toLowerCase(), key, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+    return `${iv.toString("hex")}:${encrypted.toString("hex")}`;
+  }
+
+  decryptSecret(payload) {
+    if (!payload) return null;
+    const [ivHex, dataHex] = payload.split(":");
+    const key = crypto.createHash("sha256").update(String(config.app.key)).digest();
+    const decipher = crypto.createDecipheriv(
+      config.app.cipher.toLowerCase(),
+      key,
+      Buffer.from(ivHex, "hex"),
+    );
+    return Buffer.concat([
+      decipher.update(Buffer.from(dataHex, "hex")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  hashRecoveryCode(code) {
+    return crypto
+      .createHash("sha256")
+      .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+      .digest("hex");
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {{codes: string[], hashes: string[]}} Plain codes for the user, hashes for storage
+   */
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString("hex");
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map((c) => this.hashRecoveryCode(c)) };
+  }
+
+  /**
+   * Check a user's second factor: TOTP code or a single-use recovery code.
+   * A matching recovery code is pulled from the stored user in the same
+   * update that checks it, so it cannot be spent twice; the user document
+   * is brought in line.
+   * @returns {Promise<String|null>} "totp", "recovery_code" or null when invalid
+   */
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (code && (await this.consumeTotp(user, code))) {
+      return "totp";
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const User = mongoose.model("User");
+      const claimed = await User.findOneAndUpdate(
+        { _id: user._id, mfaRecoveryCodes: hash },
+        { $pull: { mfaRecoveryCodes: hash } },
+      ).select("_id");
+      if (claimed) {
+        const idx = (user.mfaRecoveryCodes || []).indexOf(hash);
+        if (idx !== -1) user.mfaRecoveryCodes.splice(idx, 1);
+        return "recovery_code";
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Short-lived token proving the password step succeeded
+   * @param {Object} user - User document
+   * @param {String} purpose - "mfa" (verify code) or "mfa_setup" (forced enrolment)
+   */
+  createChallengeToken(user, purpose = "mfa") {
+    return jwt.sign({ _id: user._id, purpose }, config.app.key, {
+      expiresIn: MFA_CHALLENGE_EXPIRES_IN,
+    });
+  }
+
+  verifyChallengeToken(token, purpose = "mfa") {
+    try {
+      const decoded = jwt.verify(token, config.app.key);
+      return decoded.purpose === purpose ? decoded : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Accounts that administer users count as admins for the MFA policy
+  isAdminAccount(user) {
+    return PermissionService.hasPermission(user, "user:manage");
+  }
+
+  /**
+   * Whether the organisation requires MFA for admin accounts. Takes the
+   * organisation explicitly because login runs before a tenant context exists.
+   * @param {String} organisationId - Organisation ID
+   */
+  async isAdminMfaRequired(organisationId) {
+    return (
+      (await SystemSettingsService.get(
+        REQUIRE_ADMIN_MFA_KEY,
+        organisationId || null,
+      )) === true
+    );
+  }
+
+  async setAdminMfaRequired(required, updatedBy, organisationId) {
+    return SystemSettingsService.set(
+      REQUIRE_ADMIN_MFA_KEY,
+      !!required,
+      updatedBy,
+      organisationId || null,
+    );
+  }
+
+  /**
+   * Whether this user must complete MFA (or enrol) before a token is issued
+   */
+  async isMfaRequiredFor(user) {
+    if (user.mfaEnabled) return true;
+    return (
+      this.isAdminAccount(user) &&
+      (await this.isAdminMfaRequired(user.organisation))
+    );
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,249 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const ejs = require("ejs");
+const path = require("path");
+const mongoose = require("mongoose");
+const UserSettingsService = require("./UserSettingsService");
+const PasswordPolicyService = require("./PasswordPolicyService");
+const mailer = require("../Traits/SendEmail");
+
+let config = {};
+config.app = require("../../config/app");
+const {
+  INVITATION_EXPIRES_IN_HOURS,
+  EMAIL_VERIFICATION_EXPIRES_IN_HOURS,
+} = require("../../config/constants");
+
+// Link purpose -> lifetime and the frontend page that consumes it
+const PURPOSES = {
+  invitation: {
+    expiresInHours: INVITATION_EXPIRES_IN_HOURS,
+    page: "accept-invitation",
+  },
+  email_verification: {
+    expiresInHours: EMAIL_VERIFICATION_EXPIRES_IN_HOURS,
+    page: "verify-email",
+  },
+};
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Onboarding Service
+ * Signed, expiring, single-use links for accepting an invitation (which sets
+ * the password) and for verifying a self-registered email address. Only the
+ * newest link for a user is valid; issuing another replaces it.
+ */
+class OnboardingService {
+  // A password nobody knows, for accounts that have not been claimed yet.
+  // 256 random bits, so a low bcrypt cost keeps bulk imports fast.
+  unusablePassword() {
+    return bcrypt.hashSync(crypto.randomBytes(32).toString("hex"), 5);
+  }
+
+  /**
+   * Sign a link for the user and remember its ID so older links stop working.
+   * With keepCurrent, a link that has not expired yet is signed again with
+   * the same ID and expiry instead, so the link already sent keeps working.
+   * @param {Object} user - User document
+   * @param {String} purpose - "invitation" or "email_verification"
+   * @param {Object} options - keepCurrent
+   * @returns {Promise<{link: string, expiresAt: Date}>}
+   */
+  async issueLink(user, purpose, { keepCurrent = false } = {}) {
+    const { expiresInHours, page } = PURPOSES[purpose];
+    const User = mongoose.model("User");
+
+    const current = keepCurrent
+      ? await User.findById(user._id)
+          .select("+onboardingTokenId onboardingTokenExpiresAt")
+          .setOptions({ skipTenant: true })
+          .lean()
+      : null;
+    const reuse =
+      current?.onboardingTokenId &&
+      current.onboardingTokenExpiresAt > new Date();
+
+    const tokenId = reuse ? current.onboardingTokenId : crypto.randomUUID();
+    const expiresAt = reuse
+      ? current.onboardingTokenExpiresAt
+      : new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+    const token = jwt.sign(
+      {
+        _id: user._id,
+        email: user.email,
+        purpose,
+        exp: Math.floor(expiresAt.getTime() / 1000),
+      },
+      config.app.key,
+      { jwtid: tokenId },
+    );
+
+    if (!reuse) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            onboardingTokenId: tokenId,
+            onboardingTokenExpiresAt: expiresAt,
+          },
+        },
+      ).setOptions({ skipTenant: true });
+    }
+
+    return {
+      link: `${config.app.url}/${page}?token=${encodeURIComponent(token)}`,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Resolve a link back to its user. Throws errors carrying statusCode.
+   * @param {String} token - Token from the link
+   * @param {String} purpose - Expected purpose
+   * @returns {Promise<Object>} User document
+   */
+  async verifyLink(token, purpose) {
+    if (!token || typeof token !== "string") {
+      throw buildHttpError("A token is required", 400);
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.app.key);
+    } catch (err) {
+      if (err.name === "TokenExpiredError") {
+        throw buildHttpError("This link has expired", 410);
+      }
+      throw buildHttpError("This link is not valid", 400);
+    }
+    if (decoded.purpose !== purpose) {
+      throw buildHttpError("This link is not valid", 400);
+    }
+
+    const User = mongoose.model("User");
+    const user = await User.findById(decoded._id)
+      .select("+onboardingTokenId")
+      .setOptions({ skipTenant: true });
+
+    // Used, replaced by a newer link, or the email has changed since
+    if (
+      !user ||
+      user.onboardingTokenId !== decoded.jti ||
+      user.email !== decoded.email
+    ) {
+      throw buildHttpError("This link is no longer valid", 410);
+    }
+
+    return user;
+  }
+
+  /**
+   * Email an invitation link to a user an admin created
+   * @param {Object} user - User document
+   * @param {Object} invitedBy - Admin user
+   * @param {Object} options - Passed to issueLink
+   */
+  async sendInvitation(user, invitedBy, options = {}) {
+    const { link, expiresAt } = await this.issueLink(
+      user,
+      "invitation",
+      options,
+    );
+
+    const Organisation = mongoose.model("Organisation");
+    const organisation = user.organisation
+      ? await Organisation.findById(user.organisation).select("name").lean()
+      : null;
+    const timezone = await UserSettingsService.getTimezone(invitedBy._id);
+
+    const html = await ejs.renderFile(
+      path.join(__dirname, "../../resources/views/emails/invitation-email.ejs"),
+      {
+        name: user.name,
+        role: user.role,
+        organisationName: organisation ? organisation.name : "Senzi.ly",
+        link,
+        expiresAt: `${UserSettingsService.formatDateTime(
+          expiresAt,
+          timezone,
+        )} (${timezone})`,
+      },
+    );
+    mailer.send(user.email, "You have been invited to Senzi.ly", html);
+
+    return { expiresAt };
+  }
+
+  /**
+   * Email a verification link to a self-registered user
+   * @param {Object} user - User document
+   * @param {Object} options - Passed to issueLink
+   */
+  async sendVerification(user, options = {}) {
+    const { link, expiresAt } = await this.issueLink(
+      user,
+      "email_verification",
+      options,
+    );
+
+    const timezone = await UserSettingsService.getTimezone(user._id);
+    const html = await ejs.renderFile(
+      path.join(__dirname, "../../resources/views/emails/verify-email.ejs"),
+      {
+        name: user.name,
+        link,
+        expiresAt: `${UserSettingsService.formatDateTime(
+          expiresAt,
+          timezone,
+        )} (${timezone})`,
+      },
+    );
+    mailer.send(user.email, "Verify your email address", html);
+
+    return { expiresAt };
+  }
+
+  /**
+   * Set the invitee's password and mark their email verified
+   * @param {Object} user - User from verifyLink(token, "invitation")
+   * @param {String} password - New password, already checked against the policy
+   * @returns {Promise<Object>} User document
+   */
+  async acceptInvitation(user, password) {
+    const now = new Date();
+    await PasswordPolicyService.applyPassword(user, password);
+    user.emailVerified = true;
+    user.emailVerifiedAt = now;
+    user.onboardingTokenId = undefined;
+    await user.save();
+
+    return user;
+  }
+
+  /**
+   * Mark a self-registered user's email verified
+   * @param {String} token - Verification token
+   * @returns {Promise<Object>} User document
+   */
+  async verifyEmail(token) {
+    const user = await this.verifyLink(token, "email_verification");
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.onboardingTokenId = undefined;
+    await user.save();
+
+    return user;
+  }
+}
+
+module.exports = new OnboardingService();
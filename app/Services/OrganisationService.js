@@ -0,0 +1,154 @@
+"use strict";
+
+const mongoose = require("mongoose");
+require("../Models/Organisation");
+const Organisation = mongoose.model("Organisation");
+const PermissionService = require("./PermissionService");
+
+const DEFAULT_ORGANISATION_SLUG = "default";
+
+// Models using the BelongsToOrganisation trait
+const TENANT_MODELS = [
+  "User",
+  "Appointment",
+  "Case",
+  "CaseMember",
+  "CaseTimeline",
+  "ClientProfile",
+  "Session",
+  "File",
+  "Transcript",
+  "Soap",
+  "TimelineSummary",
+  "TreatmentPlan",
+  "AuditLog",
+  "BreakGlassGrant",
+  "Impersonation",
+  "LoginSession",
+  "SsoConnection",
+  "SystemSettings",
+  "SystemSettingsHistory",
+];
+
+// Unique indexes from before organisations existed, replaced by ones that
+// are unique per organisation
+const GLOBAL_UNIQUE_INDEXES = {
+  Case: "internalRef_1",
+  SystemSettings: "settingKey_1",
+};
+
+// MongoDB error codes for a missing collection or index
+const NAMESPACE_NOT_FOUND = 26;
+const INDEX_NOT_FOUND = 27;
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Organisation Service
+ * Organisation lookups, the default organisation for single-clinic installs
+ * and resolving which organisation a request runs in.
+ */
+class OrganisationService {
+  slugify(value) {
+    return String(value || "")
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  async getDefaultOrganisation() {
+    return Organisation.findOneAndUpdate(
+      { slug: DEFAULT_ORGANISATION_SLUG },
+      { $setOnInsert: { name: "Default", slug: DEFAULT_ORGANISATION_SLUG } },
+      { upsert: true, new: true },
+    );
+  }
+
+  /**
+   * Move records created before organisations existed into the default
+   * organisation. Safe to run on every start.
+   */
+  async assignUnscopedRecords() {
+    const organisation = await this.getDefaultOrganisation();
+    const results = {};
+
+    for (const modelName of TENANT_MODELS) {
+      const result = await mongoose
+        .model(modelName)
+        .updateMany(
+          { organisation: { $exists: false } },
+          { $set: { organisation: organisation._id } },
+        )
+        .setOptions({ skipTenant: true });
+      results[modelName] = result.nModified || 0;
+    }
+
+    return results;
+  }
+
+  /**
+   * Drop the global unique indexes that per-organisation ones replaced, so
+   * organisations can reuse each other's case references and setting keys.
+   * Safe to run on every start.
+   * @returns {Promise<Object>} Model name -> whether its index was dropped
+   */
+  async dropGlobalUniqueIndexes() {
+    const results = {};
+
+    for (const [modelName, indexName] of Object.entries(
+      GLOBAL_UNIQUE_INDEXES,
+    )) {
+      try {
+        await mongoose.model(modelName).collection.dropIndex(indexName);
+        results[modelName] = true;
+      } catch (error) {
+        if (![NAMESPACE_NOT_FOUND, INDEX_NOT_FOUND].includes(error.code)) {
+          throw error;
+        }
+        results[modelName] = false;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * The organisation an authenticated request runs in: the user's own, or
+   * for platform staff the one named in the x-organisation-id header
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object (or socket handshake)
+   * @returns {Promise<String|null>} Organisation ID
+   */
+  async resolveOrganisationId(user, req) {
+    const requested = req && req.headers && req.headers["x-organisation-id"];
+
+    if (
+      requested &&
+      PermissionService.hasPermission(user, "organisation:manage")
+    ) {
+      if (!mongoose.Types.ObjectId.isValid(requested)) {
+        throw buildHttpError("Invalid organisation", 400);
+      }
+      const organisation = await Organisation.findById(requested).lean();
+      if (!organisation) {
+        throw buildHttpError("Organisation not found", 404);
+      }
+      return organisation._id.toString();
+    }
+
+    if (!user.organisation) return null;
+
+    const organisation = await Organisation.findById(user.organisation).lean();
+    if (!organisation || organisation.active === false) {
+      throw buildHttpError("Your organisation has been disabled", 403);
+    }
+    return organisation._id.toString();
+  }
+}
+
+module.exports = new OrganisationService();
@@ -0,0 +1,230 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const SystemSettingsService = require("./SystemSettingsService");
+const { BCRYPT_COST, MAX_PASSWORD_LENGTH } = require("../../config/constants");
+
+const BREACHED_LIST_PATH = path.join(
+  __dirname,
+  "../../resources/data/breached-passwords.txt",
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Password Policy Service
+ * The organisation's password rules (length, character classes, a local
+ * breached-password list and reuse history), hashing at the current bcrypt
+ * cost, and maximum password age.
+ */
+class PasswordPolicyService {
+  constructor() {
+    this.breached = null;
+  }
+
+  // Loaded on first use; lower-cased for case-insensitive matching
+  get breachedPasswords() {
+    if (!this.breached) {
+      this.breached = new Set(
+        fs
+          .readFileSync(BREACHED_LIST_PATH, "utf8")
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith("#")),
+      );
+    }
+    return this.breached;
+  }
+
+  /**
+   * The password settings for an organisation
+   * @param {String} organisationId - Organisation ID
+   * @returns {Promise<Object>}
+   */
+  async getPolicy(organisationId) {
+    const keys = [
+      "passwordMinLength",
+      "passwordRequireUppercase",
+      "passwordRequireLowercase",
+      "passwordRequireNumber",
+      "passwordRequireSymbol",
+      "passwordHistoryCount",
+      "passwordMaxAgeDays",
+    ];
+    const values = await Promise.all(
+      keys.map((key) => SystemSettingsService.get(key, organisationId || null)),
+    );
+    return {
+      minLength: values[0],
+      requireUppercase: values[1],
+      requireLowercase: values[2],
+      requireNumber: values[3],
+      requireSymbol: values[4],
+      historyCount: values[5],
+      maxAgeDays: values[6],
+    };
+  }
+
+  /**
+   * Every rule a new password breaks, as messages for the user. Checks
+   * history when given a user that already has a password.
+   * @param {String} password - Proposed password
+   * @param {Object} user - User the password is for (name, email, organisation)
+   * @returns {Promise<String[]>} Empty when the password is acceptable
+   */
+  async check(password, user = {}) {
+    if (typeof password !== "string" || !password) {
+      return ["Password is required"];
+    }
+
+    const policy = await this.getPolicy(user.organisation);
+    const errors = [];
+
+    if (password.length < policy.minLength) {
+      errors.push(`Password must be at least ${policy.minLength} characters`);
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      errors.push(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      errors.push("Password must contain an upper-case letter");
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      errors.push("Password must contain a lower-case letter");
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+      errors.push("Password must contain a number");
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      errors.push("Password must contain a symbol");
+    }
+
+    const lowered = password.toLowerCase();
+    if (this.breachedPasswords.has(lowered)) {
+      errors.push(
+        "This password appears in lists of breached passwords, choose another",
+      );
+    }
+
+    const personal = [
+      String(user.email || "").split("@")[0],
+      ...String(user.name || "").split(/\s+/),
+    ]
+      .map((part) => part.toLowerCase())
+      .filter((part) => part.length >= 4);
+    if (personal.some((part) => lowered.includes(part))) {
+      errors.push("Password must not contain your name or email address");
+    }
+
+    if (user._id && (await this.isReused(password, user, policy))) {
+      errors.push(
+        policy.historyCount
+          ? `Password must not match any of your last ${policy.historyCount} passwords`
+          : "Password must be different from your current password",
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether the password is the current one or in the user's recent history
+   * @param {String} password - Proposed password
+   * @param {Object} user - User document
+   * @param {Object} policy - From getPolicy()
+   * @returns {Promise<Boolean>}
+   */
+  async isReused(password, user, policy) {
+    const User = mongoose.model("User");
+    const stored = await User.findById(user._id)
+      .select("+passwordHistory password")
+      .setOptions({ skipTenant: true })
+      .lean();
+    if (!stored) return false;
+
+    const hashes = [
+      stored.password,
+      ...(stored.passwordHistory || []).slice(0, policy.historyCount),
+    ].filter(Boolean);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Shape for ApiResponser.errorResponse: the first rule as the message and
+   * every broken rule under `errors`
+   * @param {String[]} errors - From check()
+   * @returns {Object}
+   */
+  toError(errors) {
+    return {
+      message: errors[0],
+      code: "PASSWORD_POLICY",
+      errors,
+    };
+  }
+
+  // Asynchronous, so hashing at this cost does not block other requests
+  hash(password) {
+    return bcrypt.hash(password, BCRYPT_COST);
+  }
+
+  // Hashes made at an older, cheaper cost are upgraded on the next login
+  needsRehash(hash) {
+    try {
+      return bcrypt.getRounds(hash) < BCRYPT_COST;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Set a new password on a user document, pushing the old hash onto the
+   * history. Does not save; callers validate with check() first.
+   * @param {Object} user - User document
+   * @param {String} password - New password
+   */
+  async applyPassword(user, password) {
+    const policy = await this.getPolicy(user.organisation);
+
+    let previous = user.passwordHistory;
+    if (!user.isSelected("passwordHistory")) {
+      const stored = await mongoose
+        .model("User")
+        .findById(user._id)
+        .select("+passwordHistory")
+        .setOptions({ skipTenant: true })
+        .lean();
+      previous = stored ? stored.passwordHistory : [];
+    }
+    const history = [user.password, ...(previous || [])].filter(Boolean);
+
+    user.password = await this.hash(password);
+    user.passwordHistory = history.slice(0, policy.historyCount);
+    user.password_changed_at = new Date();
+  }
+
+  /**
+   * Whether the user's password is older than the organisation allows
+   * @param {Object} user - User document
+   * @returns {Promise<Boolean>}
+   */
+  async isExpired(user) {
+    const maxAgeDays = await SystemSettingsService.get(
+      "passwordMaxAgeDays",
+      user.organisation || null,
+    );
+    if (!maxAgeDays) return false;
+
+    const changedAt = user.password_changed_at || user.createdAt;
+    return Boolean(changedAt) && Date.now() - changedAt >= maxAgeDays * DAY_MS;
+  }
+}
+
+module.exports = new PasswordPolicyService();
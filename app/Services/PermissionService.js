@@ -0,0 +1,71 @@
+"use strict";
+
+const { permissions, roles } = require("../../config/permissions");
+
+/**
+ * Permission Service
+ * Resolves a user's role to the named permissions defined in config/permissions.
+ */
+class PermissionService {
+  get roles() {
+    return Object.keys(roles);
+  }
+
+  isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(roles, role);
+  }
+
+  isValidPermission(permission) {
+    return permissions.includes(permission);
+  }
+
+  getPermissions(user) {
+    if (!user || !this.isValidRole(user.role)) return [];
+    return roles[user.role];
+  }
+
+  /**
+   * Check a user holds a permission
+   * @param {Object} user - User document
+   * @param {String} permission - Permission name, e.g. "case:read"
+   * @returns {Boolean}
+   */
+  hasPermission(user, permission) {
+    return this.getPermissions(user).includes(permission);
+  }
+
+  /**
+   * A user may only hand out a role whose permissions they hold themselves
+   * @param {Object} user - User granting the role
+   * @param {String} role - Role being granted
+   * @returns {Boolean}
+   */
+  canGrantRole(user, role) {
+    if (!this.isValidRole(role)) return false;
+    const granted = this.getPermissions(user);
+    return roles[role].every((permission) => granted.includes(permission));
+  }
+
+  /**
+   * Every role that grants a permission
+   * @param {String} permission - Permission name
+   * @returns {String[]}
+   */
+  rolesWith(permission) {
+    return Object.keys(roles).filter((role) =>
+      roles[role].includes(permission),
+    );
+  }
+
+  /**
+   * Roles with their permissions, for the admin role picker
+   */
+  listRoles() {
+    return Object.keys(roles).map((role) => ({
+      role,
+      permissions: roles[role],
+    }));
+  }
+}
+
+module.exports = new PermissionService();
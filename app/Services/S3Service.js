@@ -4,15 +4,26 @@ const {
   S3Client,
   PutObjectCommand,
   GetObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
 } = require("@aws-sdk/client-s3");
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 const crypto = require("crypto");
+const SystemSettingsService = require("./SystemSettingsService");
 
 // Helper function to generate UUID v4
 function generateUUID() {
   return crypto.randomUUID();
 }
 
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 class S3Service {
   constructor() {
     this.s3Client = new S3Client({
@@ -111,6 +122,31 @@ class S3Service {
     }
   }
 
+  /**
+   * Check an upload against the organisation's size and MIME type settings
+   * @param {number} size - Size in bytes
+   * @param {string} mimeType - MIME type; parameters such as ";codecs=opus" are ignored
+   * @throws {Error} With statusCode 413 or 415
+   */
+  async assertUploadAllowed(size, mimeType) {
+    const [maxUploadSizeBytes, allowedMimeTypes] = await Promise.all([
+      SystemSettingsService.get("maxUploadSizeBytes"),
+      SystemSettingsService.get("allowedMimeTypes"),
+    ]);
+
+    if (size > maxUploadSizeBytes) {
+      throw buildHttpError(
+        `File exceeds the maximum upload size of ${maxUploadSizeBytes} bytes`,
+        413,
+      );
+    }
+
+    const baseType = String(mimeType || "").split(";")[0].trim().toLowerCase();
+    if (!allowedMimeTypes.includes(baseType)) {
+      throw buildHttpError(`File type ${baseType || "unknown"} is not allowed`, 415);
+    }
+  }
+
   /**
    * Upload audio file to S3
    * @param {Buffer} buffer - Audio file buffer
@@ -127,11 +163,16 @@ class S3Service {
       throw new Error("Buffer is required");
     }
 
+    const extension = fileName ? fileName.split(".").pop() : "webm";
+    await this.assertUploadAllowed(
+      buffer.length,
+      this.getContentType(extension, "audio/webm"),
+    );
+
     try {
       // Generate unique key for S3 object
       const timestamp = Date.now();
       const uniqueId = generateUUID();
-      const extension = fileName ? fileName.split(".").pop() : "webm";
       const key = `recordings/${sessionId}/${timestamp}-${uniqueId}.${extension}`;
 
       console.log(`[S3Service] Uploading to S3:`);
@@ -228,6 +269,11 @@ class S3Service {
     const extension = fileName ? fileName.split(".").pop() || "bin" : "bin";
     const key = `${keyPrefix}/${timestamp}-${uniqueId}.${extension}`;
 
+    await this.assertUploadAllowed(
+      buffer.length,
+      mimeType || this.getContentType(extension),
+    );
+
     try {
       const command = new PutObjectCommand({
         Bucket: this.bucketName,
@@ -293,6 +339,121 @@ class S3Service {
     return mimeTypes[extension.toLowerCase()] || fallback;
   }
 
+  /**
+   * Key for a session recording, in the same layout as uploadAudio
+   * @param {string} sessionId - Session ID
+   * @param {string} extension - File extension
+   * @returns {string}
+   */
+  buildRecordingKey(sessionId, extension) {
+    return `recordings/${sessionId}/${Date.now()}-${generateUUID()}.${extension}`;
+  }
+
+  /**
+   * Start a multipart upload, for objects written while they are produced
+   * @param {string} key - S3 object key
+   * @param {string} contentType - MIME type
+   * @param {Object} metadata - Object metadata
+   * @returns {Promise<string>} Upload ID
+   */
+  async createMultipartUpload(key, contentType, metadata = {}) {
+    if (!this.bucketName) {
+      throw new Error("AWS_S3_BUCKET_NAME environment variable not set");
+    }
+
+    const response = await this.s3Client.send(
+      new CreateMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        ContentType: contentType,
+        Metadata: metadata,
+      }),
+    );
+    return response.UploadId;
+  }
+
+  /**
+   * Upload one part. Every part but the last must be at least 5MB.
+   * @param {string} key - S3 object key
+   * @param {string} uploadId - From createMultipartUpload
+   * @param {number} partNumber - 1 to 10000; parts are joined in this order
+   * @param {Buffer} body - Part contents
+   * @returns {Promise<{PartNumber: number, ETag: string}>}
+   */
+  async uploadPart(key, uploadId, partNumber, body) {
+    const response = await this.s3Client.send(
+      new UploadPartCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body,
+      }),
+    );
+    return { PartNumber: partNumber, ETag: response.ETag };
+  }
+
+  /**
+   * Join the uploaded parts into the object
+   * @param {string} key - S3 object key
+   * @param {string} uploadId - From createMultipartUpload
+   * @param {Array} parts - From uploadPart, in any order
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    await this.s3Client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: [...parts].sort((a, b) => a.PartNumber - b.PartNumber),
+        },
+      }),
+    );
+  }
+
+  /**
+   * Discard a multipart upload and the parts stored so far
+   * @param {string} key - S3 object key
+   * @param {string} uploadId - From createMultipartUpload
+   */
+  async abortMultipartUpload(key, uploadId) {
+    await this.s3Client.send(
+      new AbortMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId,
+      }),
+    );
+  }
+
+  /**
+   * Open an object for reading, without loading it into memory
+   * @param {string} key - S3 object key
+   * @returns {Promise<{stream: Readable, contentType: string, contentLength: number}>}
+   */
+  async getObjectStream(key) {
+    if (!this.bucketName) {
+      throw new Error("AWS_S3_BUCKET_NAME environment variable not set");
+    }
+
+    try {
+      const response = await this.s3Client.send(
+        new GetObjectCommand({ Bucket: this.bucketName, Key: key }),
+      );
+      return {
+        stream: response.Body,
+        contentType: response.ContentType,
+        contentLength: response.ContentLength,
+      };
+    } catch (error) {
+      if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) {
+        throw new Error(`Audio file not found in S3. Key: ${key}`);
+      }
+      throw new Error(`Failed to download from S3: ${error.message}`);
+    }
+  }
+
   /**
    * Delete audio file from S3
    * @param {string} key - S3 object key
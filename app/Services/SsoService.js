@@ -0,0 +1,505 @@
+"use strict";
+
+const axios = require("axios");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+require("../Models/SsoConnection");
+require("../Models/SsoLoginState");
+const SsoConnection = mongoose.model("SsoConnection");
+const SsoLoginState = mongoose.model("SsoLoginState");
+const PermissionService = require("./PermissionService");
+const OnboardingService = require("./OnboardingService");
+
+let config = {};
+config.app = require("../../config/app");
+const {
+  SSO_STATE_EXPIRES_IN_MINUTES,
+  SSO_METADATA_CACHE_MINUTES,
+} = require("../../config/constants");
+
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512"];
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base64url = (buffer) =>
+  buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const emailDomain = (email) =>
+  String(email || "")
+    .toLowerCase()
+    .split("@")[1] || null;
+
+/**
+ * SSO Service
+ * OpenID Connect authorization-code sign-in (with PKCE) against an
+ * organisation's identity provider: builds the authorization URL, exchanges
+ * the code, verifies the ID token and finds or provisions the user. Issuing
+ * the app's own tokens is left to the normal login pipeline.
+ */
+class SsoService {
+  constructor() {
+    // issuer -> { discovery, fetchedAt }, jwks_uri -> { keys, fetchedAt }
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  // The frontend page the identity provider sends the browser back to
+  get redirectUri() {
+    return `${config.app.url}/sso/callback`;
+  }
+
+  isFresh(entry) {
+    return (
+      entry &&
+      Date.now() - entry.fetchedAt < SSO_METADATA_CACHE_MINUTES * 60 * 1000
+    );
+  }
+
+  /**
+   * The enabled connection a sign-in should use, by organisation slug or by
+   * the domain of the email address
+   * @param {Object} options - email, organisation (slug)
+   * @returns {Promise<Object|null>} Connection, with clientSecret
+   */
+  async findConnection({ email, organisation }) {
+    let filter = null;
+
+    if (organisation) {
+      const Organisation = mongoose.model("Organisation");
+      const org = await Organisation.findOne({
+        slug: String(organisation).toLowerCase(),
+        active: true,
+      }).lean();
+      if (!org) return null;
+      filter = { organisation: org._id };
+    } else if (emailDomain(email)) {
+      filter = { emailDomains: emailDomain(email) };
+    }
+    if (!filter) return null;
+
+    return SsoConnection.findOne({ ...filter, enabled: true })
+      .select("+clientSecret")
+      .setOptions({ skipTenant: true });
+  }
+
+  /**
+   * Whether the user must sign in through SSO rather than with a password:
+   * their own organisation has an enforced connection. Another
+   * organisation's claim on their email domain does not count, and
+   * organisation managers, who are never linked automatically, are exempt.
+   * @param {Object} user - User document
+   * @returns {Promise<Boolean>}
+   */
+  async isRequiredFor(user) {
+    if (!user.organisation) return false;
+    if (PermissionService.hasPermission(user, "organisation:manage")) {
+      return false;
+    }
+
+    const connection = await SsoConnection.exists({
+      organisation: user.organisation,
+      enabled: true,
+      enforced: true,
+    });
+    return Boolean(connection);
+  }
+
+  /**
+   * The provider's OpenID configuration, cached
+   * @param {String} issuer - Issuer URL
+   * @returns {Promise<Object>}
+   */
+  async getDiscovery(issuer) {
+    const cached = this.discoveryCache.get(issuer);
+    if (this.isFresh(cached)) return cached.discovery;
+
+    const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+    const { data } = await axios.get(url, { timeout: 10000 });
+    if (data.issuer !== issuer) {
+      throw buildHttpError(
+        "Identity provider metadata does not match the configured issuer",
+        502,
+      );
+    }
+
+    this.discoveryCache.set(issuer, { discovery: data, fetchedAt: Date.now() });
+    return data;
+  }
+
+  /**
+   * The PEM public key for a kid, refetching the key set once if the kid is
+   * unknown (the provider may have rotated keys)
+   * @param {String} jwksUri - Key set URL
+   * @param {String} kid - Key ID from the token header
+   * @returns {Promise<String>}
+   */
+  async getSigningKey(jwksUri, kid) {
+    const findKey = (keys) =>
+      keys.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+    let cached = this.jwksCache.get(jwksUri);
+    let jwk = this.isFresh(cached) ? findKey(cached.keys) : null;
+
+    if (!jwk) {
+      const { data } = await axios.get(jwksUri, { timeout: 10000 });
+      cached = { keys: data.keys || [], fetchedAt: Date.now() };
+      this.jwksCache.set(jwksUri, cached);
+      jwk = findKey(cached.keys);
+    }
+    if (!jwk) {
+      throw buildHttpError("Identity provider signing key not found", 401);
+    }
+
+    return crypto
+      .createPublicKey({ key: jwk, format: "jwk" })
+      .export({ type: "spki", format: "pem" });
+  }
+
+  /**
+   * Start a sign-in: remember state, nonce and PKCE verifier, and return the
+   * provider URL to send the browser to
+   * @param {Object} connection - Connection document
+   * @returns {Promise<String>} Authorization URL
+   */
+  async createAuthorizationUrl(connection) {
+    const discovery = await this.getDiscovery(connection.issuer);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(48));
+
+    await SsoLoginState.create({
+      state,
+      nonce,
+      codeVerifier,
+      connection: connection._id,
+      organisation: connection.organisation,
+      expiresAt: new Date(Date.now() + SSO_STATE_EXPIRES_IN_MINUTES * 60 * 1000),
+    });
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: connection.clientId,
+      redirect_uri: this.redirectUri,
+      scope: connection.scopes,
+      state,
+      nonce,
+      code_challenge: base64url(
+        crypto.createHash("sha256").update(codeVerifier).digest(),
+      ),
+      code_challenge_method: "S256",
+    });
+
+    return `${discovery.authorization_endpoint}?${params.toString()}`;
+  }
+
+  /**
+   * Finish a sign-in: check the state, exchange the code and verify the
+   * ID token. Throws errors carrying statusCode.
+   * @param {Object} options - code, state
+   * @returns {Promise<{connection: Object, claims: Object}>}
+   */
+  async exchangeCode({ code, state }) {
+    if (!code || !state) {
+      throw buildHttpError("code and state are required", 400);
+    }
+
+    // One use only: the state is deleted as it is read
+    const loginState = await SsoLoginState.findOneAndDelete({ state });
+    if (!loginState || loginState.expiresAt <= new Date()) {
+      throw buildHttpError("This sign-in has expired, please start again", 400);
+    }
+
+    const connection = await SsoConnection.findOne({
+      _id: loginState.connection,
+      enabled: true,
+    })
+      .select("+clientSecret")
+      .setOptions({ skipTenant: true });
+    if (!connection) {
+      throw buildHttpError("Single sign-on is not available", 400);
+    }
+
+    const discovery = await this.getDiscovery(connection.issuer);
+
+    let tokens;
+    try {
+      const { data } = await axios.post(
+        discovery.token_endpoint,
+        new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: this.redirectUri,
+          client_id: connection.clientId,
+          client_secret: connection.clientSecret || "",
+          code_verifier: loginState.codeVerifier,
+        }),
+        { timeout: 10000 },
+      );
+      tokens = data;
+    } catch (err) {
+      console.error(
+        "[SSO] Code exchange failed:",
+        err.response ? err.response.data : err.message,
+      );
+      throw buildHttpError("The identity provider rejected the sign-in", 401);
+    }
+    if (!tokens.id_token) {
+      throw buildHttpError("The identity provider returned no ID token", 401);
+    }
+
+    const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+    const key = await this.getSigningKey(discovery.jwks_uri, header?.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(tokens.id_token, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: connection.issuer,
+        audience: connection.clientId,
+      });
+    } catch (err) {
+      throw buildHttpError(`Invalid ID token: ${err.message}`, 401);
+    }
+    if (claims.nonce !== loginState.nonce) {
+      throw buildHttpError("Invalid ID token: nonce mismatch", 401);
+    }
+
+    // Some providers only put email and groups on the userinfo endpoint
+    if (discovery.userinfo_endpoint && tokens.access_token) {
+      try {
+        const { data } = await axios.get(discovery.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+          timeout: 10000,
+        });
+        if (data.sub === claims.sub) {
+          claims = { ...data, ...claims };
+        }
+      } catch (err) {
+        console.error("[SSO] Userinfo request failed:", err.message);
+      }
+    }
+
+    return { connection, claims };
+  }
+
+  /**
+   * The role for a set of IdP groups, or null when no mapping matches
+   * @param {Object} connection - Connection document
+   * @param {Object} claims - ID token claims
+   * @returns {String|null}
+   */
+  mapRole(connection, claims) {
+    const value = claims[connection.groupsClaim];
+    const groups = Array.isArray(value) ? value : value ? [value] : [];
+    const mapping = connection.roleMappings.find((entry) =>
+      groups.includes(entry.group),
+    );
+    return mapping ? mapping.role : null;
+  }
+
+  /**
+   * Find the user for verified claims, linking or provisioning as needed,
+   * and apply the role mapping. Throws errors carrying statusCode.
+   * @param {Object} connection - Connection document
+   * @param {Object} claims - Verified claims
+   * @returns {Promise<{user: Object, created: Boolean, roleChanged: Object|null}>}
+   */
+  async resolveUser(connection, claims) {
+    const User = mongoose.model("User");
+    const email = String(claims.email || "").toLowerCase();
+
+    if (!email) {
+      throw buildHttpError("The identity provider did not share an email", 403);
+    }
+    if (claims.email_verified === false) {
+      throw buildHttpError(
+        "Your email address is not verified with your identity provider",
+        403,
+      );
+    }
+    if (
+      connection.emailDomains.length &&
+      !connection.emailDomains.includes(emailDomain(email))
+    ) {
+      throw buildHttpError(
+        "Your email domain cannot sign in through this provider",
+        403,
+      );
+    }
+
+    const mappedRole = this.mapRole(connection, claims);
+
+    let user = await User.findOne({
+      ssoIssuer: connection.issuer,
+      ssoSubject: claims.sub,
+    }).setOptions({ skipTenant: true });
+    let linking = false;
+    if (!user) {
+      user = await User.findOne({ email }).setOptions({ skipTenant: true });
+      // Do not let a reassigned address take over an account linked elsewhere
+      if (user && user.ssoSubject) {
+        throw buildHttpError(
+          "This account is linked to a different identity",
+          403,
+        );
+      }
+      linking = Boolean(user);
+    }
+
+    if (
+      user &&
+      String(user.organisation || "") !== String(connection.organisation)
+    ) {
+      throw buildHttpError(
+        "This account belongs to a different organisation",
+        403,
+      );
+    }
+
+    if (linking) await this.assertCanLink(connection, user);
+
+    if (!user) {
+      if (!connection.jitProvisioning) {
+        throw buildHttpError(
+          "No account exists for you yet. Ask your administrator for an invitation.",
+          403,
+        );
+      }
+
+      user = new User({
+        name: claims.name || claims.preferred_username || email,
+        email,
+        password: OnboardingService.unusablePassword(),
+        role: mappedRole || connection.defaultRole,
+        organisation: connection.organisation,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        ssoIssuer: connection.issuer,
+        ssoSubject: claims.sub,
+      });
+      await user.save();
+      return { user, created: true, roleChanged: null };
+    }
+
+    // The identity provider is authoritative for group-mapped roles
+    let roleChanged = null;
+    if (mappedRole && mappedRole !== user.role) {
+      roleChanged = { from: user.role, to: mappedRole };
+      user.role = mappedRole;
+    }
+    user.ssoIssuer = connection.issuer;
+    user.ssoSubject = claims.sub;
+    if (!user.emailVerified) {
+      // The provider vouched for the address; an outstanding invite is moot
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.onboardingTokenId = undefined;
+    }
+    await user.save();
+
+    return { user, created: false, roleChanged };
+  }
+
+  /**
+   * Whether an existing account may be linked to the connection by email on
+   * its first SSO sign-in. The provider is chosen by an organisation admin,
+   * so it must not vouch for anyone that admin could not have made: not
+   * organisation managers, and no role the admin could not grant.
+   * Throws a 403 error otherwise.
+   * @param {Object} connection - Connection document
+   * @param {Object} user - Unlinked user with the same email
+   */
+  async assertCanLink(connection, user) {
+    const refusal = buildHttpError(
+      "This account cannot be linked to single sign-on automatically. Sign in with your password instead.",
+      403,
+    );
+    if (PermissionService.hasPermission(user, "organisation:manage")) {
+      throw refusal;
+    }
+
+    // Connections saved before configuredBy was recorded fall back to updatedBy
+    const configuredById = connection.configuredBy || connection.updatedBy;
+    const configuredBy =
+      configuredById &&
+      (await mongoose
+        .model("User")
+        .findById(configuredById)
+        .setOptions({ skipTenant: true }));
+    if (
+      !configuredBy ||
+      !PermissionService.canGrantRole(configuredBy, user.role)
+    ) {
+      throw refusal;
+    }
+  }
+
+  /**
+   * Check an admin's changes to a connection. Throws errors carrying statusCode.
+   * @param {Object} updates - Fields being set
+   * @param {Object} actor - Admin making the change
+   */
+  validate(updates, actor) {
+    if (updates.issuer !== undefined) {
+      let url;
+      try {
+        url = new URL(updates.issuer);
+      } catch (err) {
+        throw buildHttpError("issuer must be a URL", 400);
+      }
+      // Plain http is only for a local mock identity provider
+      if (url.protocol !== "https:" && config.app.env === "production") {
+        throw buildHttpError("issuer must use https", 400);
+      }
+    }
+
+    const roles = [
+      ...(updates.roleMappings || []).map((mapping) => mapping && mapping.role),
+      ...(updates.defaultRole !== undefined ? [updates.defaultRole] : []),
+    ];
+    if (
+      updates.roleMappings !== undefined &&
+      (!Array.isArray(updates.roleMappings) ||
+        updates.roleMappings.some((mapping) => !mapping || !mapping.group))
+    ) {
+      throw buildHttpError("roleMappings must be a list of {group, role}", 400);
+    }
+    roles.forEach((role) => {
+      if (!PermissionService.isValidRole(role)) {
+        throw buildHttpError(
+          `Role must be one of: ${PermissionService.roles.join(", ")}`,
+          400,
+        );
+      }
+      if (!PermissionService.canGrantRole(actor, role)) {
+        throw buildHttpError(
+          "You cannot map a role with more access than your own",
+          403,
+        );
+      }
+    });
+
+    if (updates.emailDomains !== undefined) {
+      if (
+        !Array.isArray(updates.emailDomains) ||
+        updates.emailDomains.some(
+          (domain) => typeof domain !== "string" || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain),
+        )
+      ) {
+        throw buildHttpError("emailDomains must be a list of domains", 400);
+      }
+    }
+  }
+}
+
+module.exports = new SsoService();
@@ -0,0 +1,357 @@
+"use strict";
+
+const mongoose = require("mongoose");
+require("../Models/SystemSettings");
+require("../Models/SystemSettingsHistory");
+const SystemSettings = mongoose.model("SystemSettings");
+const SystemSettingsHistory = mongoose.model("SystemSettingsHistory");
+const TenantContext = require("./TenantContext");
+const registry = require("../../config/settings");
+
+// Cached values are re-read after this long, so changes made by another
+// process are picked up without a restart
+const CACHE_TTL_MS = 60 * 1000;
+const MASK = "********";
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = (value) =>
+  value && value._id ? value._id.toString() : value ? value.toString() : null;
+
+/**
+ * System Settings Service
+ * Typed, per-organisation settings backed by the SystemSettings collection.
+ * Keys and defaults live in config/settings; values are cached in-process
+ * and invalidated whenever they are changed through this service.
+ */
+class SystemSettingsService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  get keys() {
+    return Object.keys(registry);
+  }
+
+  isKnownKey(key) {
+    return Object.prototype.hasOwnProperty.call(registry, key);
+  }
+
+  isSensitive(key, stored) {
+    return !!(registry[key]?.isSensitive || stored?.isSensitive);
+  }
+
+  mask(value) {
+    return value === undefined || value === null ? value : MASK;
+  }
+
+  /**
+   * Check a value against its registry entry. Throws an error carrying
+   * statusCode 400 when it does not fit.
+   * @param {String} key - Setting key
+   * @param {*} value - Proposed value
+   * @returns {*} The value, normalised (trimmed strings, de-duplicated lists)
+   */
+  validate(key, value) {
+    const definition = registry[key];
+    if (!definition) {
+      throw buildHttpError(`Unknown setting: ${key}`, 400);
+    }
+
+    switch (definition.type) {
+      case "integer": {
+        if (!Number.isInteger(value)) {
+          throw buildHttpError(`${key} must be a whole number`, 400);
+        }
+        if (definition.min !== undefined && value < definition.min) {
+          throw buildHttpError(`${key} must be at least ${definition.min}`, 400);
+        }
+        if (definition.max !== undefined && value > definition.max) {
+          throw buildHttpError(`${key} must be at most ${definition.max}`, 400);
+        }
+        return value;
+      }
+      case "boolean": {
+        if (typeof value !== "boolean") {
+          throw buildHttpError(`${key} must be a boolean (true/false)`, 400);
+        }
+        return value;
+      }
+      case "string": {
+        if (typeof value !== "string" || !value.trim()) {
+          throw buildHttpError(`${key} must be a non-empty string`, 400);
+        }
+        if (definition.options && !definition.options.includes(value.trim())) {
+          throw buildHttpError(
+            `${key} must be one of: ${definition.options.join(", ")}`,
+            400,
+          );
+        }
+        return value.trim();
+      }
+      case "string[]": {
+        if (
+          !Array.isArray(value) ||
+          value.some((item) => typeof item !== "string" || !item.trim())
+        ) {
+          throw buildHttpError(`${key} must be a list of strings`, 400);
+        }
+        const items = [...new Set(value.map((item) => item.trim()))];
+        if (definition.options) {
+          const invalid = items.filter(
+            (item) => !definition.options.includes(item),
+          );
+          if (invalid.length) {
+            throw buildHttpError(
+              `${key} only accepts: ${definition.options.join(", ")}`,
+              400,
+            );
+          }
+        }
+        if (definition.minItems && items.length < definition.minItems) {
+          throw buildHttpError(
+            `${key} needs at least ${definition.minItems} item(s)`,
+            400,
+          );
+        }
+        return items;
+      }
+      default:
+        throw buildHttpError(`${key} has an unsupported type`, 500);
+    }
+  }
+
+  cacheKey(key, organisationId) {
+    return `${organisationId || "global"}:${key}`;
+  }
+
+  /**
+   * Drop cached values; with no arguments the whole cache is cleared
+   * @param {String} key - Setting key
+   * @param {String} organisationId - Organisation ID
+   */
+  invalidate(key, organisationId) {
+    if (!key) {
+      this.cache.clear();
+      return;
+    }
+    this.cache.delete(this.cacheKey(key, toId(organisationId)));
+  }
+
+  /**
+   * A setting's effective value: the organisation's override, else the
+   * registry default. Defaults to the organisation in TenantContext.
+   * @param {String} key - Setting key
+   * @param {String} organisationId - Organisation ID (optional)
+   * @returns {Promise<*>}
+   */
+  async get(key, organisationId = TenantContext.getOrganisationId()) {
+    if (!this.isKnownKey(key)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    const orgId = toId(organisationId);
+    const cacheKey = this.cacheKey(key, orgId);
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const stored = await SystemSettings.findOne({
+      settingKey: key,
+      organisation: orgId,
+    }).lean();
+
+    let value = registry[key].default;
+    if (stored) {
+      try {
+        value = this.validate(key, stored.settingValue);
+      } catch (err) {
+        console.error(
+          `[SystemSettings] Ignoring invalid stored value for ${key}:`,
+          err.message,
+        );
+      }
+    }
+
+    this.cache.set(cacheKey, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  }
+
+  /**
+   * Every known setting with its effective value, sensitive values masked
+   * @param {String} organisationId - Organisation ID
+   * @returns {Promise<Object[]>}
+   */
+  async list(organisationId = TenantContext.getOrganisationId()) {
+    const orgId = toId(organisationId);
+    const stored = await SystemSettings.find({
+      settingKey: { $in: this.keys },
+      organisation: orgId,
+    })
+      .populate("updatedBy", "name email")
+      .lean();
+    const storedByKey = new Map(stored.map((doc) => [doc.settingKey, doc]));
+
+    return this.keys.map((key) => {
+      const definition = registry[key];
+      const doc = storedByKey.get(key);
+      const sensitive = this.isSensitive(key, doc);
+      const value = doc ? doc.settingValue : definition.default;
+
+      return {
+        settingKey: key,
+        type: definition.type,
+        description: definition.description,
+        value: sensitive ? this.mask(value) : value,
+        defaultValue: sensitive
+          ? this.mask(definition.default)
+          : definition.default,
+        ...(definition.options ? { options: definition.options } : {}),
+        ...(definition.min !== undefined ? { min: definition.min } : {}),
+        ...(definition.max !== undefined ? { max: definition.max } : {}),
+        isDefault: !doc,
+        isSensitive: sensitive,
+        updatedBy: doc ? doc.updatedBy : null,
+        updated_at: doc ? doc.updated_at : null,
+      };
+    });
+  }
+
+  /**
+   * Record a change in the history collection
+   */
+  async recordHistory(key, previousValue, newValue, sensitive, user, orgId) {
+    return SystemSettingsHistory.create({
+      settingKey: key,
+      previousValue: sensitive ? this.mask(previousValue) : previousValue,
+      newValue: sensitive ? this.mask(newValue) : newValue,
+      isSensitive: sensitive,
+      changedBy: toId(user),
+      organisation: orgId,
+    });
+  }
+
+  /**
+   * Validate and store an organisation's value for a setting
+   * @param {String} key - Setting key
+   * @param {*} value - New value
+   * @param {Object|String} user - User making the change (document or ID)
+   * @param {String} organisationId - Organisation ID (optional)
+   * @returns {Promise<Object>} { settingKey, previousValue, value, isSensitive }
+   */
+  async set(key, value, user, organisationId = TenantContext.getOrganisationId()) {
+    const normalised = this.validate(key, value);
+    const orgId = toId(organisationId);
+
+    const existing = await SystemSettings.findOne({
+      settingKey: key,
+      organisation: orgId,
+    }).lean();
+    const previousValue = existing
+      ? existing.settingValue
+      : registry[key].default;
+    const sensitive = this.isSensitive(key, existing);
+
+    await SystemSettings.findOneAndUpdate(
+      { settingKey: key, organisation: orgId },
+      {
+        settingKey: key,
+        settingValue: normalised,
+        description: registry[key].description,
+        isSensitive: sensitive,
+        updatedBy: toId(user),
+      },
+      { upsert: true, new: true },
+    );
+
+    await this.recordHistory(key, previousValue, normalised, sensitive, user, orgId);
+    this.invalidate(key, orgId);
+
+    return {
+      settingKey: key,
+      previousValue: sensitive ? this.mask(previousValue) : previousValue,
+      value: sensitive ? this.mask(normalised) : normalised,
+      isSensitive: sensitive,
+    };
+  }
+
+  /**
+   * Remove an organisation's override so the registry default applies again
+   * @returns {Promise<Object|null>} As for set(), or null if nothing was overridden
+   */
+  async reset(key, user, organisationId = TenantContext.getOrganisationId()) {
+    if (!this.isKnownKey(key)) {
+      throw buildHttpError(`Unknown setting: ${key}`, 400);
+    }
+    const orgId = toId(organisationId);
+
+    const existing = await SystemSettings.findOneAndDelete({
+      settingKey: key,
+      organisation: orgId,
+    }).lean();
+    if (!existing) return null;
+
+    const sensitive = this.isSensitive(key, existing);
+    const value = registry[key].default;
+    await this.recordHistory(
+      key,
+      existing.settingValue,
+      value,
+      sensitive,
+      user,
+      orgId,
+    );
+    this.invalidate(key, orgId);
+
+    return {
+      settingKey: key,
+      previousValue: sensitive
+        ? this.mask(existing.settingValue)
+        : existing.settingValue,
+      value: sensitive ? this.mask(value) : value,
+      isSensitive: sensitive,
+    };
+  }
+
+  /**
+   * Change history, newest first
+   * @param {Object} filters - settingKey (optional), page, limit
+   * @param {String} organisationId - Organisation ID (optional)
+   * @returns {Promise<Object>} { history, pagination }
+   */
+  async getHistory(
+    { settingKey, page = 1, limit = 50 } = {},
+    organisationId = TenantContext.getOrganisationId(),
+  ) {
+    const filter = { organisation: toId(organisationId) };
+    if (settingKey) filter.settingKey = settingKey;
+
+    const skip = (page - 1) * limit;
+    const [history, total] = await Promise.all([
+      SystemSettingsHistory.find(filter)
+        .populate("changedBy", "name email role")
+        .sort({ changedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      SystemSettingsHistory.countDocuments(filter),
+    ]);
+
+    return {
+      history,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = new SystemSettingsService();
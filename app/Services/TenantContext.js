@@ -0,0 +1,54 @@
+"use strict";
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Tenant Context
+ * Carries the current organisation through a request (or socket event) so
+ * models using the BelongsToOrganisation trait can filter every query by it.
+ * Code running outside any context (cron jobs, startup) is not filtered.
+ */
+class TenantContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run fn with queries scoped to an organisation
+   * @param {String|null} organisationId - Organisation ID; null only matches unassigned records
+   * @param {Function} fn - Callback, e.g. Express next
+   * @param {Object} req - Express request, for services that audit without one passed in
+   */
+  run(organisationId, fn, req = null) {
+    return this.storage.run(
+      {
+        organisationId: organisationId ? organisationId.toString() : null,
+        req,
+      },
+      fn,
+    );
+  }
+
+  /**
+   * Run fn without tenant filtering (platform-level work)
+   */
+  runUnscoped(fn) {
+    return this.storage.run({ unscoped: true }, fn);
+  }
+
+  get() {
+    return this.storage.getStore();
+  }
+
+  getOrganisationId() {
+    const store = this.get();
+    return store ? store.organisationId : null;
+  }
+
+  getRequest() {
+    const store = this.get();
+    return store ? store.req || null : null;
+  }
+}
+
+module.exports = new TenantContext();
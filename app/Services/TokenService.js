@@ -0,0 +1,357 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+require("../Models/RefreshToken");
+require("../Models/Impersonation");
+const RefreshToken = mongoose.model("RefreshToken");
+const Impersonation = mongoose.model("Impersonation");
+const PermissionService = require("./PermissionService");
+const LoginSessionService = require("./LoginSessionService");
+
+let config = {};
+config.app = require("../../config/app");
+const {
+  JWT_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_IN_DAYS,
+  IMPERSONATION_EXPIRES_IN_MINUTES,
+} = require("../../config/constants");
+
+const buildAuthError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens, and checks
+ * both against server-side state so a login can be revoked before expiry.
+ * Also issues admin impersonation tokens, which have no refresh token.
+ */
+class TokenService {
+  hashToken(rawToken) {
+    return crypto.createHash("sha256").update(String(rawToken)).digest("hex");
+  }
+
+  signAccessToken(user, family) {
+    return jwt.sign(
+      {
+        _id: user._id,
+        email: user.email,
+        name: user.name,
+        sid: family,
+        tv: user.tokenVersion || 0,
+      },
+      config.app.key,
+      { expiresIn: JWT_EXPIRES_IN, jwtid: crypto.randomUUID() },
+    );
+  }
+
+  /**
+   * Create and persist a refresh token in the given family
+   * @param {Object} user - User document
+   * @param {String} family - Login family identifier
+   * @param {Object} req - Express request object for IP and user agent
+   * @returns {Promise<{rawToken: string, record: Object}>}
+   */
+  async createRefreshToken(user, family, req) {
+    const rawToken = crypto.randomBytes(48).toString("hex");
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRES_IN_DAYS);
+
+    const record = new RefreshToken({
+      user: user._id,
+      tokenHash: this.hashToken(rawToken),
+      family,
+      expiresAt,
+      ipAddress: req
+        ? req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress
+        : undefined,
+      userAgent: req ? req.headers["user-agent"] : undefined,
+    });
+    await record.save();
+
+    return { rawToken, record };
+  }
+
+  /**
+   * Start a new login: new family, access token and refresh token
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object
+   * @param {Object} options - method ("password", "sso", ...)
+   * @returns {Promise<Object>} Token pair and expiry metadata
+   */
+  async issueTokens(user, req, { method } = {}) {
+    const family = crypto.randomUUID();
+    const { rawToken, record } = await this.createRefreshToken(
+      user,
+      family,
+      req,
+    );
+    await LoginSessionService.start(user, family, req, {
+      method,
+      expiresAt: record.expiresAt,
+    });
+
+    return {
+      token: this.signAccessToken(user, family),
+      refreshToken: rawToken,
+      tokenExpiresIn: JWT_EXPIRES_IN,
+      refreshTokenExpiresAt: record.expiresAt,
+      sessionId: family,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. The presented token is revoked;
+   * presenting an already-rotated token revokes the whole family.
+   * @param {String} rawToken - Refresh token from the client
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} New token pair and the user
+   */
+  async rotateRefreshToken(rawToken, req) {
+    if (!rawToken) {
+      throw buildAuthError("Refresh token is required", 400);
+    }
+
+    // Claim the token in one step, so of two requests presenting it at
+    // once only one gets a new pair
+    const tokenHash = this.hashToken(rawToken);
+    const now = new Date();
+    const record = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: "rotated" } },
+      { new: true },
+    );
+
+    if (!record) {
+      const presented = await RefreshToken.findOne({ tokenHash });
+      if (!presented) {
+        throw buildAuthError("Invalid refresh token");
+      }
+      if (presented.revokedAt) {
+        // A rotated token being replayed means it leaked; kill the login
+        await this.revokeFamily(presented.family, "reuse_detected");
+        throw buildAuthError("Refresh token has been revoked");
+      }
+      throw buildAuthError("Refresh token has expired");
+    }
+
+    const user = await mongoose.model("User").findById(record.user);
+    if (!user || user.active === false) {
+      await this.revokeFamily(record.family, "user_inactive");
+      throw buildAuthError("User account is not active");
+    }
+
+    const { rawToken: nextRawToken, record: nextRecord } =
+      await this.createRefreshToken(user, record.family, req);
+
+    await RefreshToken.updateOne(
+      { _id: record._id },
+      { $set: { replacedByHash: nextRecord.tokenHash } },
+    );
+    await LoginSessionService.touch(record.family, req, nextRecord.expiresAt);
+
+    return {
+      user,
+      tokens: {
+        token: this.signAccessToken(user, record.family),
+        refreshToken: nextRawToken,
+        tokenExpiresIn: JWT_EXPIRES_IN,
+        refreshTokenExpiresAt: nextRecord.expiresAt,
+        sessionId: record.family,
+      },
+    };
+  }
+
+  /**
+   * Verify an access token and check it has not been revoked server-side
+   * @param {String} token - JWT access token
+   * @returns {Promise<{decoded: Object, user: Object}>}
+   */
+  async verifyAccessToken(token) {
+    if (!token) {
+      throw buildAuthError("Token Not Found", 404);
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.app.key);
+    } catch (err) {
+      throw buildAuthError("Connection Unautherized!");
+    }
+
+    if (!decoded.sid) {
+      throw buildAuthError("Token is no longer supported, please log in again");
+    }
+
+    if (decoded.imp) {
+      return this.verifyImpersonationToken(decoded);
+    }
+
+    const user = await mongoose.model("User").findById(decoded._id);
+    if (!user) {
+      throw buildAuthError("User Not Found", 404);
+    }
+
+    if (user.active === false) {
+      throw buildAuthError("User account is not active");
+    }
+
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      throw buildAuthError("Session has been revoked");
+    }
+
+    const sessionActive = await RefreshToken.exists({
+      family: decoded.sid,
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!sessionActive) {
+      throw buildAuthError("Session has been revoked");
+    }
+
+    return { decoded, user };
+  }
+
+  /**
+   * Start an impersonation: the token acts as the user but names the admin
+   * in `imp`, is read-only unless asked otherwise and cannot be refreshed
+   * @param {Object} admin - Admin user document
+   * @param {Object} user - User being impersonated
+   * @param {Object} options - reason, readOnly
+   * @param {Object} req - Express request object for IP and user agent
+   * @returns {Promise<Object>} Token, expiry and the impersonation record
+   */
+  async issueImpersonationToken(admin, user, { reason, readOnly = true }, req) {
+    const expiresAt = new Date(
+      Date.now() + IMPERSONATION_EXPIRES_IN_MINUTES * 60 * 1000,
+    );
+
+    const impersonation = await Impersonation.create({
+      admin: admin._id,
+      user: user._id,
+      reason,
+      readOnly,
+      expiresAt,
+      organisation: user.organisation,
+      ipAddress: req
+        ? req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress
+        : undefined,
+      userAgent: req ? req.headers["user-agent"] : undefined,
+    });
+
+    const token = jwt.sign(
+      {
+        _id: user._id,
+        email: user.email,
+        name: user.name,
+        sid: impersonation._id.toString(),
+        tv: user.tokenVersion || 0,
+        imp: admin._id.toString(),
+        ro: readOnly,
+      },
+      config.app.key,
+      {
+        expiresIn: IMPERSONATION_EXPIRES_IN_MINUTES * 60,
+        jwtid: crypto.randomUUID(),
+      },
+    );
+
+    return { token, expiresAt, impersonation };
+  }
+
+  /**
+   * Check an impersonation token's record is still open and the admin may
+   * still impersonate
+   * @param {Object} decoded - Verified JWT payload
+   * @returns {Promise<{decoded, user, impersonator, impersonation}>}
+   */
+  async verifyImpersonationToken(decoded) {
+    const impersonation = await Impersonation.findById(decoded.sid).lean();
+    if (
+      !impersonation ||
+      impersonation.endedAt ||
+      impersonation.expiresAt <= new Date() ||
+      impersonation.user.toString() !== decoded._id ||
+      impersonation.admin.toString() !== decoded.imp
+    ) {
+      throw buildAuthError("Impersonation session has ended");
+    }
+
+    const User = mongoose.model("User");
+    const [user, impersonator] = await Promise.all([
+      User.findById(impersonation.user),
+      User.findById(impersonation.admin),
+    ]);
+
+    if (!user || user.active === false) {
+      throw buildAuthError("User account is not active");
+    }
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      throw buildAuthError("Session has been revoked");
+    }
+    if (
+      !impersonator ||
+      impersonator.active === false ||
+      !PermissionService.hasPermission(impersonator, "user:manage")
+    ) {
+      throw buildAuthError("Impersonation session has ended");
+    }
+
+    return { decoded, user, impersonator, impersonation };
+  }
+
+  /**
+   * End an impersonation so its token stops working
+   * @param {String} impersonationId - Impersonation ID (the token's sid)
+   * @param {String} reason - Why it ended
+   */
+  async endImpersonation(impersonationId, reason = "ended") {
+    return Impersonation.findOneAndUpdate(
+      { _id: impersonationId, endedAt: null },
+      { $set: { endedAt: new Date(), endedReason: reason } },
+      { new: true },
+    );
+  }
+
+  /**
+   * Revoke every refresh token in a login family, which also stops its
+   * access tokens, and drop the session's sockets
+   * @param {String} family - Login family identifier
+   * @param {String} reason - Why the family was revoked
+   * @param {String} revokedBy - User who revoked it, if not the owner
+   */
+  async revokeFamily(family, reason = "logout", revokedBy = null) {
+    const result = await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+    await LoginSessionService.markRevoked({ family }, reason, revokedBy);
+    return result;
+  }
+
+  /**
+   * Revoke every login for a user, invalidate outstanding access tokens
+   * (including impersonation tokens) and drop their sockets
+   * @param {String} userId - User ID
+   * @param {String} reason - Why the logins were revoked
+   * @param {String} revokedBy - User who revoked them, if not the owner
+   */
+  async revokeAllForUser(userId, reason = "logout_all", revokedBy = null) {
+    await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+    await mongoose
+      .model("User")
+      .updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+      .setOptions({ skipTenant: true });
+    await LoginSessionService.markRevoked({ user: userId }, reason, revokedBy);
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,64 @@
+"use strict";
+
+const SystemSettingsService = require("./SystemSettingsService");
+const TenantContext = require("./TenantContext");
+const AwsTranscribeProvider = require("./TranscriptionProviders/AwsTranscribeProvider");
+const MockTranscriptionProvider = require("./TranscriptionProviders/MockTranscriptionProvider");
+
+const PROVIDERS = {
+  aws: AwsTranscribeProvider,
+  mock: MockTranscriptionProvider,
+};
+
+/**
+ * Transcription Provider Service
+ * Chooses the provider that transcribes live sessions and uploaded
+ * recordings. The TRANSCRIPTION_PROVIDER environment variable sets the
+ * default and organisations can override it with the transcriptionProvider
+ * setting.
+ *
+ * A provider has a name, getLanguageCode(language), transcribeFile(options)
+ * for whole recordings and createStream(options) for live audio. A stream
+ * has start(), push(chunk), results() - an async iterable of
+ * { text, isPartial, startTime, endTime, items: [{ speaker, type, confidence }] }
+ * - keepAlive(), called while the client is reconnecting, and stop().
+ */
+class TranscriptionProviderService {
+  constructor() {
+    this.instances = new Map();
+  }
+
+  get names() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * A provider by name, created on first use
+   * @param {String} name - e.g. "aws", "mock"
+   * @returns {Object}
+   */
+  get(name) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown transcription provider: ${name}`);
+    }
+    if (!this.instances.has(name)) this.instances.set(name, new Provider());
+    return this.instances.get(name);
+  }
+
+  /**
+   * The provider an organisation uses. Defaults to the organisation in
+   * TenantContext.
+   * @param {String} organisationId - Organisation ID (optional)
+   * @returns {Promise<Object>}
+   */
+  async forOrganisation(organisationId = TenantContext.getOrganisationId()) {
+    const name = await SystemSettingsService.get(
+      "transcriptionProvider",
+      organisationId,
+    );
+    return this.get(name);
+  }
+}
+
+module.exports = new TranscriptionProviderService();
@@ -0,0 +1,462 @@
+"use strict";
+
+const {
+  TranscribeStreamingClient,
+  StartStreamTranscriptionCommand,
+} = require("@aws-sdk/client-transcribe-streaming");
+const { PassThrough } = require("stream");
+
+const LANGUAGE_CODES = {
+  english: "en-US",
+  mandarin: "zh-CN",
+};
+
+// AWS only redacts PII for US English
+const PII_REDACTION_LANGUAGES = ["en-US"];
+
+const MAX_SPEAKERS = 2;
+const OGG_CHUNK_BYTES = 16 * 1024;
+const HEADER_BYTES = 64;
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Provider-neutral shape of one AWS result
+const normaliseResult = (result) => {
+  const alternative = (result.Alternatives && result.Alternatives[0]) || {};
+  return {
+    text: alternative.Transcript || "",
+    isPartial: !!result.IsPartial,
+    startTime: result.StartTime,
+    endTime: result.EndTime,
+    items: (alternative.Items || []).map((item) => ({
+      speaker: item.Speaker,
+      type: item.Type,
+      confidence: item.Confidence,
+    })),
+  };
+};
+
+const isRedactionError = (error) =>
+  error.message?.includes("PII") || error.message?.includes("ContentRedaction");
+
+/**
+ * One live AWS Transcribe stream. Audio pushed before start() resolves is
+ * buffered, so the first words are not lost while AWS accepts the stream.
+ */
+class AwsTranscribeStream {
+  constructor(client, params) {
+    this.client = client;
+    this.params = params;
+    this.audio = new PassThrough();
+    this.response = null;
+  }
+
+  get writable() {
+    return this.audio.writable;
+  }
+
+  /**
+   * Open the stream. If AWS rejects PII redaction, retry without it.
+   * @returns {Promise<Object>} { piiRedaction, fallbackMode, redactionMethod }
+   */
+  async start() {
+    const redact = !!this.params.ContentRedactionType;
+    try {
+      this.response = await this.send(this.params);
+      return {
+        piiRedaction: redact,
+        fallbackMode: false,
+        redactionMethod: redact ? "AWS_TRANSCRIBE_STREAMING" : null,
+      };
+    } catch (error) {
+      if (!redact || !isRedactionError(error)) {
+        this.logError(error);
+        throw error;
+      }
+      console.error(
+        "[AwsTranscribe] PII redaction rejected, retrying without it:",
+        error.message,
+      );
+      // The failed request consumed the audio stream; start a new one
+      const { ContentRedactionType, ...fallbackParams } = this.params;
+      this.audio = new PassThrough();
+      this.response = await this.send(fallbackParams);
+      return { piiRedaction: false, fallbackMode: true, redactionMethod: null };
+    }
+  }
+
+  send(params) {
+    return this.client.send(
+      new StartStreamTranscriptionCommand({
+        ...params,
+        AudioStream: this.audioEvents(),
+      }),
+    );
+  }
+
+  async *audioEvents() {
+    for await (const chunk of this.audio) {
+      yield { AudioEvent: { AudioChunk: chunk } };
+    }
+  }
+
+  /**
+   * @param {Buffer} chunk - Audio in the stream's encoding
+   * @returns {Boolean} false when the caller should slow down
+   */
+  push(chunk) {
+    return this.audio.write(chunk);
+  }
+
+  async *results() {
+    for await (const event of this.response.TranscriptResultStream) {
+      const results = event.TranscriptEvent?.Transcript?.Results || [];
+      for (const result of results) {
+        yield normaliseResult(result);
+      }
+    }
+  }
+
+  // AWS ends a stream that gets no audio for 15 seconds; 100ms of silence
+  // keeps it open while the client is away
+  keepAlive() {
+    const samples = Math.round(this.params.MediaSampleRateHertz / 10);
+    this.audio.write(Buffer.alloc(samples * 2));
+  }
+
+  stop() {
+    this.audio.end();
+  }
+
+  logError(error) {
+    if (error.$metadata) {
+      console.error("[AwsTranscribe] AWS error metadata:", error.$metadata);
+    }
+    if (error.$response) {
+      console.error(
+        "[AwsTranscribe] AWS raw response status:",
+        error.$response.statusCode,
+      );
+    }
+  }
+}
+
+/**
+ * Reads a recording, from a Buffer or a stream, without holding more of it
+ * in memory than the caller asks for at a time
+ */
+class AudioReader {
+  constructor(audio) {
+    this.source = Buffer.isBuffer(audio)
+      ? [audio][Symbol.iterator]()
+      : audio[Symbol.asyncIterator]();
+    this.buffered = Buffer.alloc(0);
+    this.bytesRead = 0;
+    this.ended = false;
+  }
+
+  // Buffer at least `bytes` bytes; false if the recording ends first
+  async fill(bytes) {
+    while (this.buffered.length < bytes && !this.ended) {
+      const { value, done } = await this.source.next();
+      if (done) this.ended = true;
+      else this.buffered = Buffer.concat([this.buffered, Buffer.from(value)]);
+    }
+    return this.buffered.length >= bytes;
+  }
+
+  take(bytes) {
+    const taken = this.buffered.subarray(0, bytes);
+    this.buffered = this.buffered.subarray(taken.length);
+    this.bytesRead += taken.length;
+    return taken;
+  }
+
+  // Chunks of `size` bytes, the last possibly shorter, up to `limit` bytes
+  async *chunks(size, limit = Infinity) {
+    let remaining = limit;
+    while (remaining > 0) {
+      const want = Math.min(size, remaining);
+      if (!(await this.fill(want)) && !this.buffered.length) return;
+      const chunk = this.take(want);
+      remaining -= chunk.length;
+      yield chunk;
+    }
+  }
+}
+
+// Interleaved 16-bit frames mixed down to mono
+const mixDown = (data, channels) => {
+  const frames = Math.floor(data.length / (2 * channels));
+  const pcm = Buffer.alloc(frames * 2);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += data.readInt16LE((frame * channels + channel) * 2);
+    }
+    pcm.writeInt16LE(Math.round(sum / channels), frame * 2);
+  }
+  return pcm;
+};
+
+// 16-bit PCM from a WAV file, mixed down to mono as it is read
+const decodeWav = async (reader) => {
+  reader.take(12);
+  let format = null;
+  let dataBytes = null;
+  while (await reader.fill(8)) {
+    const header = reader.take(8);
+    const id = header.toString("ascii", 0, 4);
+    const size = header.readUInt32LE(4);
+    if (id === "data") {
+      dataBytes = size;
+      break;
+    }
+    await reader.fill(size + (size % 2));
+    const body = reader.take(size + (size % 2));
+    if (id === "fmt " && body.length >= 16) {
+      format = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14),
+      };
+    }
+  }
+
+  if (!format || !dataBytes) {
+    throw buildHttpError("The WAV file has no audio data", 422);
+  }
+  if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+    throw buildHttpError(
+      "Only 16-bit PCM WAV recordings can be transcribed",
+      422,
+    );
+  }
+
+  // 100ms of audio per event, as AWS recommends
+  const chunkBytes = Math.max(2, Math.round(format.sampleRate / 10) * 2);
+  const { channels } = format;
+  const chunks = reader.chunks(chunkBytes * channels, dataBytes);
+  return {
+    encoding: "pcm",
+    sampleRate: format.sampleRate,
+    chunks:
+      channels > 1
+        ? (async function* () {
+            for await (const chunk of chunks) yield mixDown(chunk, channels);
+          })()
+        : chunks,
+  };
+};
+
+/**
+ * AWS Transcribe Provider
+ * Transcribes with AWS Transcribe through the streaming API, which accepts
+ * PCM and Ogg/Opus audio: live, through createStream(), and for uploaded
+ * recordings, through transcribeFile(). Results carry AWS speaker labels
+ * and, for US English, AWS PII redaction.
+ */
+class AwsTranscribeProvider {
+  constructor() {
+    if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
+      console.error(
+        "[TranscriptionService] AWS credentials not configured. Please set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY",
+      );
+    }
+
+    this.name = "aws";
+    this.client = new TranscribeStreamingClient({
+      region: process.env.AWS_REGION || "us-east-1",
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    });
+  }
+
+  get supportedMimeTypes() {
+    return ["audio/wav", "audio/x-wav", "audio/ogg"];
+  }
+
+  getLanguageCode(language) {
+    return LANGUAGE_CODES[language] || "en-US";
+  }
+
+  /**
+   * A live stream of 16-bit PCM audio
+   * @param {Object} options
+   * @param {String} options.language - Session language (english, mandarin)
+   * @param {Number} options.sampleRate - Hz, default 16000
+   * @param {Boolean} options.redactPii - Ask for PII redaction
+   * @param {Boolean} options.channelIdentification - Label speakers by channel
+   * @returns {AwsTranscribeStream}
+   */
+  createStream({ language, sampleRate, redactPii, channelIdentification }) {
+    const languageCode = this.getLanguageCode(language);
+    const params = {
+      LanguageCode: languageCode,
+      MediaSampleRateHertz: sampleRate || 16000,
+      MediaEncoding: "pcm",
+      ShowSpeakerLabel: true,
+      MaxSpeakerLabels: MAX_SPEAKERS,
+    };
+    // Let AWS redact every PII type; naming types is unreliable when streaming
+    if (redactPii && PII_REDACTION_LANGUAGES.includes(languageCode)) {
+      params.ContentRedactionType = "PII";
+    }
+    if (channelIdentification) params.EnableChannelIdentification = true;
+
+    return new AwsTranscribeStream(this.client, params);
+  }
+
+  /**
+   * Read a recording's header and split the rest into what the streaming
+   * API accepts
+   * @param {AudioReader} reader - The recording
+   * @param {String} mimeType - e.g. audio/wav
+   * @returns {Promise<Object>} { encoding, sampleRate, chunks }
+   */
+  async decode(reader, mimeType) {
+    const baseType = String(mimeType || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    if (!this.supportedMimeTypes.includes(baseType)) {
+      throw buildHttpError(
+        `Recordings in ${baseType || "this"} format cannot be transcribed. ` +
+          "Upload a WAV or Ogg/Opus file.",
+        415,
+      );
+    }
+
+    // Enough for the WAV header, or the first Ogg page's Opus header
+    await reader.fill(HEADER_BYTES);
+    const head = reader.buffered;
+    const magic = head.toString("ascii", 0, 4);
+    if (magic === "RIFF" && head.toString("ascii", 8, 12) === "WAVE") {
+      return decodeWav(reader);
+    }
+    if (magic === "OggS" && head.includes("OpusHead")) {
+      // Opus always decodes at 48kHz
+      return {
+        encoding: "ogg-opus",
+        sampleRate: 48000,
+        chunks: reader.chunks(OGG_CHUNK_BYTES),
+      };
+    }
+    throw buildHttpError(
+      "The recording is not a PCM WAV or Ogg/Opus file and cannot be transcribed",
+      415,
+    );
+  }
+
+  /**
+   * Transcribe a complete recording
+   * @param {Object} options
+   * @param {Buffer|Readable} options.audio - File contents, or a stream of them
+   * @param {Number} options.size - Bytes in the file, for progress; a Buffer's own length by default
+   * @param {String} options.mimeType - MIME type of the file
+   * @param {String} options.language - Session language (english, mandarin)
+   * @param {Boolean} options.redactPii - Ask for PII redaction
+   * @param {Function} options.onProgress - Called with the fraction of audio sent (0-1)
+   * @returns {Promise<Object>} { segments, languageCode, piiRedaction, redactionMethod }
+   */
+  async transcribeFile({
+    audio,
+    size,
+    mimeType,
+    language,
+    redactPii,
+    onProgress,
+  }) {
+    const reader = new AudioReader(audio);
+    const { encoding, sampleRate, chunks } = await this.decode(
+      reader,
+      mimeType,
+    );
+    const totalBytes = size || (Buffer.isBuffer(audio) ? audio.length : 0);
+    const languageCode = this.getLanguageCode(language);
+    const piiRedaction =
+      !!redactPii && PII_REDACTION_LANGUAGES.includes(languageCode);
+
+    const params = {
+      LanguageCode: languageCode,
+      MediaSampleRateHertz: sampleRate,
+      MediaEncoding: encoding,
+      AudioStream: this.audioEvents(chunks, () => {
+        if (onProgress && totalBytes) {
+          onProgress(Math.min(1, reader.bytesRead / totalBytes));
+        }
+      }),
+      ShowSpeakerLabel: true,
+    };
+    if (piiRedaction) params.ContentRedactionType = "PII";
+
+    const response = await this.client.send(
+      new StartStreamTranscriptionCommand(params),
+    );
+
+    const speakerIds = {};
+    const segments = [];
+    for await (const event of response.TranscriptResultStream) {
+      const results = event.TranscriptEvent?.Transcript?.Results || [];
+      for (const result of results.map(normaliseResult)) {
+        if (result.isPartial || !result.text) continue;
+        segments.push({
+          text: result.text,
+          speaker: this.speakerFor(result.items, speakerIds),
+          startTime: result.startTime,
+          endTime: result.endTime,
+          confidence: this.confidenceOf(result.items),
+        });
+      }
+    }
+
+    return {
+      segments,
+      languageCode,
+      piiRedaction,
+      redactionMethod: piiRedaction ? "AWS_TRANSCRIBE_STREAMING" : null,
+    };
+  }
+
+  async *audioEvents(chunks, onSent) {
+    for await (const chunk of chunks) {
+      yield { AudioEvent: { AudioChunk: chunk } };
+      onSent();
+    }
+  }
+
+  // The most frequent AWS speaker in a result, as Speaker 1 or 2 in order
+  // of first appearance; any further speakers are folded into Speaker 1
+  speakerFor(items, speakerIds) {
+    const counts = {};
+    items.forEach((item) => {
+      if (item.speaker) counts[item.speaker] = (counts[item.speaker] || 0) + 1;
+    });
+    const ids = Object.keys(counts);
+    if (!ids.length) return "Unknown";
+
+    const awsId = ids.reduce((a, b) => (counts[a] >= counts[b] ? a : b));
+    if (!speakerIds[awsId]) {
+      const assigned = Object.keys(speakerIds).length;
+      speakerIds[awsId] = assigned < MAX_SPEAKERS ? assigned + 1 : 1;
+    }
+    return `Speaker ${speakerIds[awsId]}`;
+  }
+
+  confidenceOf(items) {
+    const scores = items
+      .filter((item) => typeof item.confidence === "number")
+      .map((item) => item.confidence);
+    if (!scores.length) return null;
+    return scores.reduce((a, b) => a + b, 0) / scores.length;
+  }
+}
+
+module.exports = AwsTranscribeProvider;
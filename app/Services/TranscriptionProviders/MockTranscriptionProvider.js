@@ -0,0 +1,219 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SCRIPT = path.join(
+  __dirname,
+  "../../../resources/data/mock-transcript.json",
+);
+
+const PII_MARKER = /\[PII:([^\]]*)\]/g;
+
+const loadScript = (file) => {
+  const script = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(script.utterances) || !script.utterances.length) {
+    throw new Error(`Mock transcript script has no utterances: ${file}`);
+  }
+  return {
+    secondsPerUtterance: script.secondsPerUtterance || 3,
+    utterances: script.utterances,
+  };
+};
+
+// Unbounded queue read with for await; end() finishes the iteration
+class ResultQueue {
+  constructor() {
+    this.items = [];
+    this.waiting = null;
+    this.ended = false;
+  }
+
+  put(item) {
+    if (this.ended) return;
+    if (this.waiting) {
+      this.waiting({ value: item, done: false });
+      this.waiting = null;
+    } else {
+      this.items.push(item);
+    }
+  }
+
+  end() {
+    this.ended = true;
+    if (this.waiting) {
+      this.waiting({ value: undefined, done: true });
+      this.waiting = null;
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this.items.length) {
+          return Promise.resolve({ value: this.items.shift(), done: false });
+        }
+        if (this.ended)
+          return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => {
+          this.waiting = resolve;
+        });
+      },
+    };
+  }
+}
+
+/**
+ * One live mock stream. Results are driven by the audio pushed, not by the
+ * clock: each utterance takes secondsPerUtterance of 16-bit mono audio, with
+ * a partial result half way through and the final result at the end. The
+ * same audio therefore always produces the same transcript.
+ */
+class MockTranscriptionStream {
+  constructor(provider, { sampleRate, redactPii }) {
+    this.provider = provider;
+    this.redactPii = !!redactPii;
+    this.bytesPerUtterance =
+      (sampleRate || 16000) * 2 * provider.script.secondsPerUtterance;
+    this.bytesReceived = 0;
+    this.emitted = 0;
+    this.queue = new ResultQueue();
+    this.open = true;
+  }
+
+  get writable() {
+    return this.open;
+  }
+
+  async start() {
+    return {
+      piiRedaction: this.redactPii,
+      fallbackMode: false,
+      redactionMethod: this.redactPii ? "MOCK" : null,
+    };
+  }
+
+  push(chunk) {
+    if (!this.open) return false;
+    this.bytesReceived += chunk.length;
+
+    // Every half utterance of audio releases the next partial or final result
+    const due = Math.floor(this.bytesReceived / (this.bytesPerUtterance / 2));
+    const total = this.provider.script.utterances.length * 2;
+    while (this.emitted < Math.min(due, total)) {
+      const index = Math.floor(this.emitted / 2);
+      const isPartial = this.emitted % 2 === 0;
+      this.queue.put(
+        this.provider.resultFor(index, {
+          isPartial,
+          redactPii: this.redactPii,
+        }),
+      );
+      this.emitted += 1;
+    }
+    return true;
+  }
+
+  results() {
+    return this.queue;
+  }
+
+  // Nothing times out, and silence would move the script on
+  keepAlive() {}
+
+  stop() {
+    this.open = false;
+    this.queue.end();
+  }
+}
+
+/**
+ * Mock Transcription Provider
+ * Replays a scripted session instead of calling a transcription service, for
+ * development, tests and demos. The script (resources/data/mock-transcript.json,
+ * or the file named by TRANSCRIPTION_MOCK_SCRIPT) lists utterances by speaker;
+ * text written as [PII:value] comes out as [PII] when PII redaction is on.
+ */
+class MockTranscriptionProvider {
+  constructor(scriptFile = process.env.TRANSCRIPTION_MOCK_SCRIPT) {
+    this.name = "mock";
+    this.script = loadScript(scriptFile || DEFAULT_SCRIPT);
+  }
+
+  // Any recording; the audio itself is never looked at
+  get supportedMimeTypes() {
+    return null;
+  }
+
+  getLanguageCode(language) {
+    return language === "mandarin" ? "zh-CN" : "en-US";
+  }
+
+  createStream(options = {}) {
+    return new MockTranscriptionStream(this, options);
+  }
+
+  /**
+   * The scripted result for one utterance
+   * @param {Number} index - Utterance index
+   * @param {Object} options - isPartial, redactPii
+   * @returns {Object} Result in the provider-neutral shape
+   */
+  resultFor(index, { isPartial, redactPii }) {
+    const { utterances, secondsPerUtterance } = this.script;
+    const utterance = utterances[index];
+    const text = utterance.text.replace(PII_MARKER, (marker, value) =>
+      redactPii ? "[PII]" : value,
+    );
+    const words = text.split(/\s+/).filter(Boolean);
+    const shown = isPartial
+      ? words.slice(0, Math.ceil(words.length / 2))
+      : words;
+    const startTime = index * secondsPerUtterance;
+
+    return {
+      text: shown.join(" "),
+      isPartial,
+      startTime,
+      endTime:
+        startTime + (isPartial ? secondsPerUtterance / 2 : secondsPerUtterance),
+      items: shown.map(() => ({
+        speaker: `spk_${utterance.speaker - 1}`,
+        type: "pronunciation",
+        confidence: 1,
+      })),
+    };
+  }
+
+  /**
+   * The whole script as the transcript of an uploaded recording
+   * @param {Object} options - redactPii, onProgress
+   * @returns {Promise<Object>} { segments, languageCode, piiRedaction, redactionMethod }
+   */
+  async transcribeFile({ language, redactPii, onProgress }) {
+    const piiRedaction = !!redactPii;
+    const segments = this.script.utterances.map((utterance, index) => {
+      const result = this.resultFor(index, {
+        isPartial: false,
+        redactPii: piiRedaction,
+      });
+      return {
+        text: result.text,
+        speaker: `Speaker ${utterance.speaker}`,
+        startTime: result.startTime,
+        endTime: result.endTime,
+        confidence: 1,
+      };
+    });
+    if (onProgress) onProgress(1);
+
+    return {
+      segments,
+      languageCode: this.getLanguageCode(language),
+      piiRedaction,
+      redactionMethod: piiRedaction ? "MOCK" : null,
+    };
+  }
+}
+
+module.exports = MockTranscriptionProvider;
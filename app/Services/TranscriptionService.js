@@ -1,261 +1,248 @@
 "use strict";
 
-const {
-  TranscribeStreamingClient,
-  StartStreamTranscriptionCommand,
-} = require("@aws-sdk/client-transcribe-streaming");
-const { PassThrough } = require("stream");
 const mongoose = require("mongoose");
 const Transcript = mongoose.model("Transcript");
 const Session = mongoose.model("Session");
+const User = mongoose.model("User");
+const AuditLogService = require("./AuditLogService");
+const CaseAccessService = require("./CaseAccessService");
+const TenantContext = require("./TenantContext");
+const TranscriptionProviderService = require("./TranscriptionProviderService");
+const LiveRecordingService = require("./LiveRecordingService");
+const SystemSettingsService = require("./SystemSettingsService");
+
+// How often a paused stream is kept open with silence
+const KEEP_ALIVE_MS = 5000;
+
+// Sample rates accepted from the client; the rate sizes the resume buffer
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = (value) =>
+  value && value._id ? value._id.toString() : value?.toString?.() || null;
 
 /**
- * AWS Transcribe Streaming Service
- * Handles real-time audio transcription using AWS Transcribe
+ * Live Transcription Service
+ * Handles real-time audio transcription through the organisation's
+ * transcription provider (AWS Transcribe, or the scripted mock).
+ *
+ * When the client's socket drops, the session is paused rather than
+ * stopped: the provider stream is kept open for the organisation's
+ * liveTranscriptionResumeSeconds, audio that arrives before the client
+ * resumes is buffered, and final results are held back. A socket for the
+ * same session and user can then resume it and receives the held results,
+ * each numbered by sequence so none is shown twice.
+ *
+ * Only one socket records a session at a time. Another socket with write
+ * access to the case is refused unless it asks to take over, in which case
+ * the previous socket is told and ignored from then on. Starts, stops and
+ * takeovers are audited.
  */
 class TranscriptionService {
   constructor() {
-    // Validate AWS credentials
-    if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
-      console.error(
-        "[TranscriptionService] AWS credentials not configured. Please set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY",
-      );
-    }
-
-    this.client = new TranscribeStreamingClient({
-      region: process.env.AWS_REGION || "us-east-1",
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      },
-    });
-
     this.sessions = new Map();
   }
 
-  /**
-   * Map frontend language to AWS Transcribe language code
-   */
-  getAWSLanguageCode(language) {
-    const languageMap = {
-      english: "en-US",
-      mandarin: "zh-CN", // Mandarin Chinese
-    };
-    return languageMap[language] || "en-US"; // Default to English
-  }
-
   /**
    * Start transcription immediately with audio stream
    */
   async startTranscription(sessionId, socket, options = {}) {
-    // Declare piiMaskingEnabled and language outside try block for proper scope
-    let piiMaskingEnabled = false;
-    let languageCode = "en-US";
-    let sessionLanguage = "english";
-
-    try {
-      console.log(`[${sessionId}] Starting transcription session`);
-
-      // Get session data to check PII masking settings and language
-      const Session = mongoose.model("Session");
-      const sessionData = await Session.findById(sessionId);
-      piiMaskingEnabled = sessionData?.piiMaskingEnabled !== false;
-      sessionLanguage = sessionData?.language || "english";
-      languageCode = this.getAWSLanguageCode(sessionLanguage);
-
-      console.log(
-        `[${sessionId}] Session language: ${sessionLanguage} (AWS code: ${languageCode}), PII redaction enabled: ${piiMaskingEnabled}`,
+    const sampleRate = options.sampleRate ?? 16000;
+    if (
+      !Number.isInteger(sampleRate) ||
+      sampleRate < MIN_SAMPLE_RATE ||
+      sampleRate > MAX_SAMPLE_RATE
+    ) {
+      throw buildHttpError(
+        `sampleRate must be a whole number between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE}`,
+        400,
       );
+    }
 
-      // Create audio stream
-      const audioStream = new PassThrough();
-
-      // Configure AWS Transcribe parameters with PII redaction
-      const params = {
-        LanguageCode: languageCode,
-        MediaSampleRateHertz: options.sampleRate || 16000,
-        MediaEncoding: "pcm", // CRITICAL: Must be PCM for raw audio
-        AudioStream: this.getAudioStream(audioStream),
-      };
-
-      // Add AWS PII redaction if enabled
-      if (piiMaskingEnabled) {
-        params.ContentRedactionType = "PII";
-        // Don't specify PiiEntityTypes - let AWS redact all PII types by default
-        // This is more reliable for streaming transcription
+    const { user, session: sessionData } = await this.authorize(
+      sessionId,
+      socket.decoded?._id,
+    );
 
-        console.log(
-          `[${sessionId}] AWS PII redaction configured (all PII types)`,
+    // Another socket may hold the session
+    const existing = this.sessions.get(sessionId);
+    if (existing && existing.isActive) {
+      if (existing.socket === socket && !existing.isPaused) {
+        throw buildHttpError("Transcription is already running", 409);
+      }
+      // A session still starting has no stream to hand over yet
+      if (existing.isStarting) {
+        throw this.lockedError(sessionId, existing);
+      }
+      if (options.takeover) {
+        const takenOver = await this.takeOverTranscription(
+          sessionId,
+          socket,
+          user,
+          options,
         );
+        return { success: true, takenOver };
+      }
+      if (existing.isPaused && existing.userId === toId(user._id)) {
+        const resumed = this.resumeTranscription(sessionId, socket, options);
+        return { success: true, resumed };
       }
+      throw this.lockedError(sessionId, existing);
+    }
+
+    // Hold the lock before the first await so a concurrent start is refused
+    const session = {
+      sessionId,
+      socket,
+      user,
+      userId: toId(user._id),
+      startedAt: new Date(),
+      isActive: true,
+      isStarting: true,
+      isPaused: false,
+    };
+    this.sessions.set(sessionId, session);
+
+    try {
+      console.log(`[${sessionId}] Starting transcription session`);
 
-      // Force speaker diarization to 2 speakers for consistent labeling
-      params.ShowSpeakerLabel = true;
-      params.MaxSpeakerLabels = 2; // Hard-coded to 2 speakers
+      const piiMaskingEnabled = sessionData?.piiMaskingEnabled !== false;
+      const sessionLanguage = sessionData?.language || "english";
+      const provider = await TranscriptionProviderService.forOrganisation();
+      const resumeSeconds = await SystemSettingsService.get(
+        "liveTranscriptionResumeSeconds",
+      );
 
-      // Enable channel identification only if explicitly requested
-      if (options.enableChannelIdentification) {
-        params.EnableChannelIdentification = true;
+      if (this.sessions.get(sessionId) !== session) {
+        throw buildHttpError("Transcription was stopped while starting", 409);
       }
 
-      console.log(`[${sessionId}] AWS Transcribe config:`, {
-        LanguageCode: params.LanguageCode,
-        MediaSampleRateHertz: params.MediaSampleRateHertz,
-        MediaEncoding: params.MediaEncoding,
-        ShowSpeakerLabel: params.ShowSpeakerLabel,
-        MaxSpeakerLabels: params.MaxSpeakerLabels,
-        EnableChannelIdentification: params.EnableChannelIdentification,
-        ContentRedactionType: params.ContentRedactionType || "None",
-        PiiRedactionEnabled: !!params.ContentRedactionType,
+      console.log(
+        `[${sessionId}] Provider: ${provider.name}, language: ${sessionLanguage} (${provider.getLanguageCode(sessionLanguage)}), PII redaction requested: ${piiMaskingEnabled}`,
+      );
+
+      // Speakers are always labelled; channel identification only on request
+      const stream = provider.createStream({
+        language: sessionLanguage,
+        sampleRate,
+        redactPii: piiMaskingEnabled,
+        channelIdentification: !!options.enableChannelIdentification,
       });
 
-      // Prepare session before calling AWS so early audio chunks are not dropped
-      this.sessions.set(sessionId, {
-        audioStream,
-        socket,
-        response: null,
-        // Accept audio immediately; if AWS fails we clean up below
-        isActive: true,
+      // Prepare session before the provider starts so early audio chunks are not dropped
+      Object.assign(session, {
+        stream,
+        provider: provider.name,
+        // Server-side copy of the audio, saved as the session's recording
+        recording: LiveRecordingService.start(sessionId, { sampleRate }),
+        caseId: sessionData.case,
+        organisationId:
+          socket.organisationId || TenantContext.getOrganisationId(),
+        sampleRate,
+        // Accept audio immediately; if the provider fails we clean up below
+        isStarting: false,
+        // Reconnection: set while the client's socket is away
+        pausedAt: null,
+        resumeGraceMs: resumeSeconds * 1000,
+        resumeTimer: null,
+        keepAliveTimer: null,
+        bufferedAudio: [],
+        bufferedBytes: 0,
+        droppedBytes: 0,
+        // Audio buffered while paused is capped at the grace period's worth
+        maxBufferedBytes: resumeSeconds * sampleRate * 2,
+        // Final results are numbered; those emitted while paused are held
+        sequence: 0,
+        heldResults: [],
         bytesReceived: 0,
         chunksReceived: 0,
         language: sessionLanguage,
         piiMaskingEnabled,
-        awsPiiRedactionEnabled: piiMaskingEnabled,
+        piiRedactionEnabled: piiMaskingEnabled,
+        redactionMethod: null,
         // Speaker tracking for post-processing
         speakerSegments: [], // Track speaker changes
         speakerTimings: {}, // Track speaker durations
         lastSpeaker: null,
         lastSpeakerTime: null,
-        // Mapping from AWS speaker IDs to local speaker numbers (1..2)
+        // Mapping from provider speaker IDs to local speaker numbers (1..2)
         speakerIdMap: {},
         nextSpeakerNumber: 1,
-        // PII tracking (AWS will handle the actual redaction)
+        // PII tracking (the provider does the actual redaction)
         piiDetectedCount: 0,
         piiEntitiesByType: {},
       });
 
-      // Start AWS Transcribe stream immediately
-      const command = new StartStreamTranscriptionCommand(params);
-      const response = await this.client.send(command);
+      const { piiRedaction, fallbackMode, redactionMethod } =
+        await stream.start();
 
-      // Mark session active after AWS accepts the stream
-      const session = this.sessions.get(sessionId);
-      if (session) {
-        session.response = response;
-        session.isActive = true;
-      }
+      session.piiRedactionEnabled = piiRedaction;
+      session.redactionMethod = redactionMethod;
 
       console.log(
-        `[${sessionId}] AWS Transcribe stream started successfully with PII redaction: ${piiMaskingEnabled}`,
+        `[${sessionId}] ${provider.name} stream started successfully with PII redaction: ${piiRedaction}`,
       );
 
       // Process transcription results
-      this.processTranscriptionStream(
-        sessionId,
-        response.TranscriptResultStream,
-      );
+      this.processTranscriptionStream(sessionId, stream.results());
 
-      // Notify client
-      socket.emit("transcript", {
-        type: "status",
-        status: "Transcription started - speak now",
-        piiMaskingEnabled,
-        awsPiiRedactionEnabled: piiMaskingEnabled,
+      await this.audit(session, "START_LIVE_TRANSCRIPTION", socket, {
+        provider: provider.name,
+        language: sessionLanguage,
+        piiRedaction,
+        fallbackMode,
       });
 
-      return { success: true };
+      // Notify client
+      socket.emit(
+        "transcript",
+        fallbackMode
+          ? {
+              type: "status",
+              status: "Transcription started - PII redaction unavailable",
+              piiMaskingEnabled: false,
+              awsPiiRedactionEnabled: false,
+              fallbackMode: true,
+            }
+          : {
+              type: "status",
+              status: "Transcription started - speak now",
+              piiMaskingEnabled,
+              awsPiiRedactionEnabled: piiRedaction,
+            },
+      );
+
+      return { success: true, fallbackMode };
     } catch (error) {
       console.error(`[${sessionId}] Failed to start transcription:`, error);
 
-      // Check if this is a PII redaction related error
-      if (
-        piiMaskingEnabled &&
-        (error.message?.includes("PII") ||
-          error.message?.includes("ContentRedaction"))
-      ) {
-        console.error(
-          `[${sessionId}] PII redaction error detected. Trying without PII redaction...`,
-        );
-
-        // Try again without PII redaction as fallback
-        try {
-          const fallbackParams = { ...params };
-          delete fallbackParams.ContentRedactionType;
-          delete fallbackParams.PiiEntityTypes;
-
-          console.log(`[${sessionId}] Retrying without PII redaction...`);
-          const fallbackCommand = new StartStreamTranscriptionCommand(
-            fallbackParams,
-          );
-          const fallbackResponse = await this.client.send(fallbackCommand);
-
-          const session = this.sessions.get(sessionId);
-          if (session) {
-            session.response = fallbackResponse;
-            session.isActive = true;
-            session.awsPiiRedactionEnabled = false; // Mark as disabled
-          }
-
-          console.log(
-            `[${sessionId}] Fallback transcription started successfully (PII redaction disabled)`,
-          );
-
-          this.processTranscriptionStream(
-            sessionId,
-            fallbackResponse.TranscriptResultStream,
-          );
-
-          socket.emit("transcript", {
-            type: "status",
-            status: "Transcription started - PII redaction unavailable",
-            piiMaskingEnabled: false,
-            awsPiiRedactionEnabled: false,
-            fallbackMode: true,
-          });
-
-          return { success: true, fallbackMode: true };
-        } catch (fallbackError) {
-          console.error(`[${sessionId}] Fallback also failed:`, fallbackError);
-        }
-      }
-
       const errorMsg =
         error.Message || error.message || "Failed to start transcription";
       socket.emit("transcription-error", errorMsg);
 
-      // Log detailed error info
-      if (error.$metadata) {
-        console.error(`[${sessionId}] AWS Error Metadata:`, error.$metadata);
-      }
-      if (error.$response) {
-        try {
-          console.error(
-            `[${sessionId}] AWS Raw Response Status:`,
-            error.$response.statusCode,
-          );
-          if (error.$response.body) {
-            const raw = await this._streamToString(error.$response.body);
-            console.error(`[${sessionId}] AWS Raw Response Body:`, raw);
-          }
-        } catch (respErr) {
-          console.error(
-            `[${sessionId}] Failed to read AWS raw response:`,
-            respErr,
-          );
-        }
+      // Clean up session on failure, releasing the lock if still held
+      if (session.recording) await session.recording.abort();
+      if (this.sessions.get(sessionId) === session) {
+        this.sessions.delete(sessionId);
       }
 
-      // Clean up session on failure
-      this.sessions.delete(sessionId);
-
       throw error;
     }
   }
 
   /**
    * Process incoming audio chunk
+   * @param {String} sessionId - Session ID
+   * @param {Buffer} audioChunk - 16-bit mono PCM
+   * @param {Object} socket - Sender; only the recording socket is heard
    */
-  async processAudioChunk(sessionId, audioChunk) {
+  async processAudioChunk(sessionId, audioChunk, socket) {
     const session = this.sessions.get(sessionId);
 
     if (!session) {
@@ -268,7 +255,20 @@ class TranscriptionService {
       return;
     }
 
-    if (!session.audioStream || !session.audioStream.writable) {
+    // A reconnected socket's audio is kept until it resumes
+    if (session.isPaused) {
+      if (!socket || toId(socket.decoded?._id) === session.userId) {
+        this.bufferAudio(session, audioChunk);
+      }
+      return;
+    }
+
+    if (socket && socket !== session.socket) {
+      console.warn(`[${sessionId}] Ignoring audio from a socket not recording`);
+      return;
+    }
+
+    if (!session.stream || !session.stream.writable) {
       console.warn(`[${sessionId}] Audio stream not writable`);
       return;
     }
@@ -289,13 +289,15 @@ class TranscriptionService {
       session.bytesReceived += buffer.length;
       session.chunksReceived += 1;
 
-      // Write to AWS stream
-      const writeSuccess = session.audioStream.write(buffer);
+      // Send to the provider
+      const writeSuccess = session.stream.push(buffer);
 
       if (!writeSuccess) {
         console.warn(`[${sessionId}] Audio stream backpressure detected`);
       }
 
+      if (session.recording) session.recording.write(buffer);
+
       // Log every 10 chunks
       if (session.chunksReceived % 10 === 0) {
         console.log(
@@ -310,29 +312,68 @@ class TranscriptionService {
 
   /**
    * Stop transcription
+   * @param {String} sessionId - Session ID
+   * @param {Object} options
+   * @param {Object} options.socket - Socket asking to stop; it must be
+   * recording, or be the recording user's while the session is paused
+   * @param {String} options.reason - Recorded in the audit log
    */
-  stopTranscription(sessionId) {
+  stopTranscription(sessionId, { socket, reason = "client" } = {}) {
     const session = this.sessions.get(sessionId);
 
-    if (!session) {
+    if (!session || !session.isActive) {
       console.warn(`[${sessionId}] No session to stop`);
       return;
     }
 
+    // Releasing the lock makes the pending start give up
+    if (session.isStarting && (!socket || socket === session.socket)) {
+      console.log(`[${sessionId}] Stopped while starting`);
+      this.sessions.delete(sessionId);
+      return { success: true };
+    }
+
+    if (
+      socket &&
+      socket !== session.socket &&
+      !(session.isPaused && toId(socket.decoded?._id) === session.userId)
+    ) {
+      throw buildHttpError("Another connection is recording this session", 409);
+    }
+
     try {
       console.log(`[${sessionId}] Stopping transcription`);
 
       // End audio stream
-      session.audioStream.end();
+      this.clearPauseTimers(session);
+      session.stream.stop();
       session.isActive = false;
 
+      if (session.recording) {
+        this.saveRecording(sessionId, session);
+        session.recording = null;
+      }
+
       // Log final stats
       console.log(
         `[${sessionId}] Final stats: ${session.chunksReceived} chunks, ${Math.round(session.bytesReceived / 1024)}KB total`,
       );
 
-      // Clean up after delay (allow final transcripts)
+      this.audit(session, "STOP_LIVE_TRANSCRIPTION", socket, {
+        reason,
+        durationSeconds: Math.round(
+          (Date.now() - session.startedAt.getTime()) / 1000,
+        ),
+        audioSeconds: Math.round(
+          session.bytesReceived / (session.sampleRate * 2),
+        ),
+        segments: session.sequence,
+      });
+
+      // Clean up after delay (allow final transcripts), unless a new
+      // transcription has started for the session in the meantime
       setTimeout(() => {
+        if (this.sessions.get(sessionId) !== session) return;
         this.sessions.delete(sessionId);
         console.log(`[${sessionId}] Session cleaned up`);
       }, 2000);
@@ -350,29 +391,301 @@ class TranscriptionService {
   }
 
   /**
-   * Generate async iterable audio stream for AWS
+   * Keep a session open after its client's socket drops, for the
+   * organisation's grace period, so the client can resume it
+   * @param {String} sessionId - Session ID
+   * @param {Object} socket - The socket that disconnected
+   */
+  pauseTranscription(sessionId, socket) {
+    const session = this.sessions.get(sessionId);
+
+    // Another socket may already have resumed the session
+    if (!session || !session.isActive || session.socket !== socket) return;
+    if (session.isPaused) return;
+
+    // Nothing to keep open yet
+    if (session.isStarting) {
+      this.stopTranscription(sessionId, { reason: "connection-lost" });
+      return;
+    }
+
+    if (!session.resumeGraceMs) {
+      this.stopTranscription(sessionId, { reason: "connection-lost" });
+      return;
+    }
+
+    console.log(
+      `[${sessionId}] Client disconnected, pausing for ${session.resumeGraceMs / 1000}s`,
+    );
+    session.isPaused = true;
+    session.pausedAt = new Date();
+    session.keepAliveTimer = setInterval(() => {
+      if (session.stream.writable) session.stream.keepAlive();
+    }, KEEP_ALIVE_MS);
+    session.resumeTimer = setTimeout(() => {
+      console.log(`[${sessionId}] Client did not reconnect, stopping`);
+      this.notifyUser(session, "transcript", {
+        type: "complete",
+        status: "Transcription stopped - connection was not restored",
+        sessionId,
+      });
+      this.stopTranscription(sessionId, { reason: "connection-lost" });
+    }, session.resumeGraceMs);
+
+    // The user's other sockets, e.g. another tab, learn of the pause now
+    this.notifyUser(session, "transcription-paused", this.pauseInfo(sessionId));
+  }
+
+  /**
+   * Attach a reconnected socket to a paused session. Buffered audio goes to
+   * the provider and held results to the client.
+   * @param {String} sessionId - Session ID
+   * @param {Object} socket - The new socket
+   * @param {Object} options - lastSequence: the last result the client has
+   * @returns {Object} What was caught up
    */
-  async *getAudioStream(audioStream) {
-    for await (const chunk of audioStream) {
-      yield { AudioEvent: { AudioChunk: chunk } };
+  resumeTranscription(sessionId, socket, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.isActive || !session.isPaused) {
+      throw new Error("No paused transcription to resume for this session");
+    }
+    if (session.userId !== toId(socket.decoded?._id)) {
+      throw new Error("This transcription was started by another user");
     }
+
+    const pausedSeconds = Math.round((Date.now() - session.pausedAt) / 1000);
+    const summary = {
+      sessionId,
+      pausedSeconds,
+      bufferedBytes: session.bufferedBytes,
+      droppedBytes: session.droppedBytes,
+    };
+    console.log(
+      `[${sessionId}] Resumed after ${pausedSeconds}s with ${summary.bufferedBytes} bytes of buffered audio`,
+    );
+
+    socket.emit("transcription-resumed", summary);
+    this.attach(sessionId, socket, options);
+    return summary;
+  }
+
+  /**
+   * Move a session to a socket of another user, or another socket of the
+   * same user, that asked to take over. The caller has checked access.
+   * @param {String} sessionId - Session ID
+   * @param {Object} socket - The new socket
+   * @param {Object} user - User document behind the socket
+   * @param {Object} options - lastSequence, as for resuming
+   * @returns {Promise<Object>} { sessionId, previousUserId }
+   */
+  async takeOverTranscription(sessionId, socket, user, options = {}) {
+    const session = this.sessions.get(sessionId);
+    const previous = {
+      userId: session.userId,
+      socket: session.socket,
+      isPaused: session.isPaused,
+    };
+    const summary = { sessionId, previousUserId: previous.userId };
+
+    console.log(
+      `[${sessionId}] Recording taken over by user ${toId(user._id)} from user ${previous.userId}`,
+    );
+
+    previous.socket.emit("transcription-taken-over", {
+      sessionId,
+      takenOverBy: { _id: user._id, name: user.name },
+    });
+
+    session.user = user;
+    session.userId = toId(user._id);
+    socket.emit("transcription-resumed", { ...summary, takenOver: true });
+    this.attach(sessionId, socket, options);
+
+    await this.audit(session, "TAKEOVER_LIVE_TRANSCRIPTION", socket, {
+      previousUserId: previous.userId,
+      wasPaused: previous.isPaused,
+    });
+    return summary;
+  }
+
+  /**
+   * Make a socket the session's recording socket: unpause, send it held
+   * results it has not seen and feed buffered audio to the provider
+   */
+  attach(sessionId, socket, options = {}) {
+    const session = this.sessions.get(sessionId);
+    const buffered = session.bufferedAudio;
+    const held = session.heldResults;
+
+    this.clearPauseTimers(session);
+    session.socket = socket;
+    session.isPaused = false;
+    session.pausedAt = null;
+    session.bufferedAudio = [];
+    session.bufferedBytes = 0;
+    session.droppedBytes = 0;
+    session.heldResults = [];
+
+    // Results the client already has, by its own account, are not resent
+    const lastSequence = Number(options.lastSequence);
+    held
+      .filter(
+        (payload) =>
+          !Number.isFinite(lastSequence) ||
+          payload.data.sequence > lastSequence,
+      )
+      .forEach((payload) => socket.emit("transcript", payload));
+
+    buffered.forEach((chunk) => this.processAudioChunk(sessionId, chunk));
   }
 
   /**
-   * Utility: stream body to string for debugging
+   * Load a session the user may record into: they need write access to its
+   * case, which must be open
+   * @param {String} sessionId - Session ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { user, session }
+   * @throws {Error} With statusCode 401, 403, 404 or 409
    */
-  async _streamToString(stream) {
-    const chunks = [];
-    for await (const chunk of stream) {
-      chunks.push(Buffer.from(chunk));
+  async authorize(sessionId, userId) {
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      throw buildHttpError("Authentication error", 401);
+    }
+
+    const session = mongoose.Types.ObjectId.isValid(sessionId)
+      ? await Session.findById(sessionId)
+      : null;
+    if (!session) {
+      throw buildHttpError("Session not found", 404);
     }
-    return Buffer.concat(chunks).toString("utf-8");
+
+    await CaseAccessService.assertCaseAccess(user, session.case, "write");
+    return { user, session };
+  }
+
+  // Refusal naming who is recording, so the client can offer a takeover
+  lockedError(sessionId, session) {
+    const error = buildHttpError(
+      "Another connection is already recording this session",
+      409,
+    );
+    error.lock = {
+      sessionId,
+      recordingBy: { _id: session.user._id, name: session.user.name },
+      since: session.startedAt,
+      isPaused: session.isPaused,
+    };
+    return error;
+  }
+
+  // Live sessions outlive the request that started them, so the
+  // organisation is set explicitly
+  audit(session, action, socket, details) {
+    return TenantContext.run(session.organisationId, () =>
+      AuditLogService.createLog({
+        user: session.user,
+        action,
+        actionCategory: "SESSION",
+        resourceType: "Session",
+        resourceId: session.sessionId,
+        caseId: session.caseId,
+        sessionId: session.sessionId,
+        details: { provider: session.provider, ...details },
+        req: socket ? socket.request : undefined,
+      }),
+    );
   }
 
   /**
-   * Process transcription results from AWS
+   * A paused session the user may resume
+   * @returns {Object|null} { sessionId, pausedAt, resumeBy }
    */
-  async processTranscriptionStream(sessionId, stream) {
+  getPausedSession(sessionId, userId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.isActive || !session.isPaused) return null;
+    if (session.userId !== toId(userId)) return null;
+    return this.pauseInfo(sessionId);
+  }
+
+  pauseInfo(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return {
+      sessionId,
+      pausedAt: session.pausedAt,
+      resumeBy: new Date(session.pausedAt.getTime() + session.resumeGraceMs),
+      lastSequence: session.sequence,
+    };
+  }
+
+  bufferAudio(session, audioChunk) {
+    const buffer = Buffer.isBuffer(audioChunk)
+      ? audioChunk
+      : Buffer.from(audioChunk);
+    if (session.bufferedBytes + buffer.length > session.maxBufferedBytes) {
+      session.droppedBytes += buffer.length;
+      return;
+    }
+    session.bufferedAudio.push(buffer);
+    session.bufferedBytes += buffer.length;
+  }
+
+  clearPauseTimers(session) {
+    clearTimeout(session.resumeTimer);
+    clearInterval(session.keepAliveTimer);
+    session.resumeTimer = null;
+    session.keepAliveTimer = null;
+  }
+
+  // To every socket of the user who started the session
+  notifyUser(session, event, payload) {
+    if (!global.io || !session.userId) return;
+    global.io.to(`user:${session.userId}`).emit(event, payload);
+  }
+
+  /**
+   * Send a result to the client. Final results are numbered, and held
+   * while the session is paused.
+   */
+  emitTranscript(session, data) {
+    const payload = { type: "transcript", data };
+    if (data.isFinal) {
+      session.sequence += 1;
+      data.sequence = session.sequence;
+      if (session.isPaused) {
+        session.heldResults.push(payload);
+        return;
+      }
+    }
+    if (!session.isPaused) session.socket.emit("transcript", payload);
+  }
+
+  /**
+   * Finish the server-side recording and attach it to the session
+   */
+  async saveRecording(sessionId, session) {
+    try {
+      const saved = await LiveRecordingService.save(session.recording);
+      if (saved) {
+        session.socket.emit("recording-saved", {
+          sessionId,
+          durationSeconds: saved.durationSeconds,
+          audioFileSizeBytes: saved.audioFileSizeBytes,
+        });
+      }
+    } catch (error) {
+      console.error(`[${sessionId}] Failed to save live recording:`, error);
+      session.socket.emit(
+        "recording-error",
+        "The server copy of this recording could not be saved",
+      );
+    }
+  }
+
+  /**
+   * Process transcription results from the provider
+   */
+  async processTranscriptionStream(sessionId, results) {
     const session = this.sessions.get(sessionId);
 
     if (!session) {
@@ -383,144 +696,134 @@ class TranscriptionService {
     try {
       console.log(`[${sessionId}] Started processing transcription results`);
 
-      for await (const event of stream) {
-        if (event.TranscriptEvent) {
-          const results = event.TranscriptEvent.Transcript.Results;
-
-          for (const result of results) {
-            if (result.Alternatives && result.Alternatives.length > 0) {
-              const alternative = result.Alternatives[0];
-              const transcript = alternative.Transcript;
-              const isFinal = !result.IsPartial;
-
-              // Extract speaker with enhanced accuracy detection
-              let speaker = "Unknown";
-              let speakerConfidence = 0;
-
-              if (alternative.Items && alternative.Items.length > 0) {
-                // Collect all speaker IDs from items
-                const speakerIds = [];
-                const confidenceScores = [];
-
-                for (const item of alternative.Items) {
-                  if (item.Speaker) {
-                    speakerIds.push(item.Speaker);
-                    // Estimate confidence (1 if speech item, lower if other)
-                    const confidence = item.Type === "speech" ? 1 : 0.7;
-                    confidenceScores.push(confidence);
-                  }
-                }
-
-                if (speakerIds.length > 0) {
-                  // Use most common speaker ID (majority voting for accuracy)
-                  const speakerCount = {};
-                  speakerIds.forEach((id) => {
-                    speakerCount[id] = (speakerCount[id] || 0) + 1;
-                  });
-
-                  const mostCommonSpeaker = Object.keys(speakerCount).reduce(
-                    (a, b) => (speakerCount[a] > speakerCount[b] ? a : b),
-                  );
-
-                  // Normalize/mapping: ensure only two speaker labels are used
-                  // Use session mapping to assign the first-seen AWS speaker ID -> Speaker 1,
-                  // second distinct AWS speaker ID -> Speaker 2, any further IDs map to an existing bucket.
-                  const sessionState = session;
-                  if (!sessionState.speakerIdMap) {
-                    sessionState.speakerIdMap = {};
-                    sessionState.nextSpeakerNumber = 1;
-                  }
+      for await (const result of results) {
+        if (result.text) {
+          const transcript = result.text;
+          const isFinal = !result.isPartial;
+
+          // Extract speaker with enhanced accuracy detection
+          let speaker = "Unknown";
+          let speakerConfidence = 0;
+
+          if (result.items.length > 0) {
+            // Collect all speaker IDs from items
+            const speakerIds = [];
+            const confidenceScores = [];
+
+            for (const item of result.items) {
+              if (item.speaker) {
+                speakerIds.push(item.speaker);
+                // Estimate confidence (1 if speech item, lower if other)
+                const confidence = item.type === "speech" ? 1 : 0.7;
+                confidenceScores.push(confidence);
+              }
+            }
 
-                  let mappedNumber = sessionState.speakerIdMap[mostCommonSpeaker];
-                  if (!mappedNumber) {
-                    if (sessionState.nextSpeakerNumber <= 2) {
-                      mappedNumber = sessionState.nextSpeakerNumber;
-                      sessionState.speakerIdMap[mostCommonSpeaker] = mappedNumber;
-                      sessionState.nextSpeakerNumber += 1;
-                    } else {
-                      // If more than two distinct AWS IDs appear, assign them to Speaker 1 by default
-                      mappedNumber = 1;
-                      sessionState.speakerIdMap[mostCommonSpeaker] = mappedNumber;
-                    }
-                  }
+            if (speakerIds.length > 0) {
+              // Use most common speaker ID (majority voting for accuracy)
+              const speakerCount = {};
+              speakerIds.forEach((id) => {
+                speakerCount[id] = (speakerCount[id] || 0) + 1;
+              });
+
+              const mostCommonSpeaker = Object.keys(speakerCount).reduce(
+                (a, b) => (speakerCount[a] > speakerCount[b] ? a : b),
+              );
+
+              // Normalize/mapping: ensure only two speaker labels are used
+              // Use session mapping to assign the first-seen provider speaker ID -> Speaker 1,
+              // second distinct speaker ID -> Speaker 2, any further IDs map to an existing bucket.
+              const sessionState = session;
+              if (!sessionState.speakerIdMap) {
+                sessionState.speakerIdMap = {};
+                sessionState.nextSpeakerNumber = 1;
+              }
 
-                  speaker = `Speaker ${mappedNumber}`;
-
-                  // Calculate average confidence
-                  speakerConfidence =
-                    confidenceScores.reduce((a, b) => a + b, 0) /
-                    confidenceScores.length;
-
-                  // Track speaker segments for post-processing
-                  const currentTime = Date.now();
-                  if (speaker !== session.lastSpeaker) {
-                    if (session.lastSpeaker && session.lastSpeakerTime) {
-                      const duration = currentTime - session.lastSpeakerTime;
-                      if (!session.speakerTimings[session.lastSpeaker]) {
-                        session.speakerTimings[session.lastSpeaker] = 0;
-                      }
-                      session.speakerTimings[session.lastSpeaker] += duration;
-                    }
-                    session.lastSpeaker = speaker;
-                    session.lastSpeakerTime = currentTime;
-                    session.speakerSegments.push({
-                      speaker,
-                      time: currentTime,
-                      confidence: speakerConfidence,
-                    });
-                  }
+              let mappedNumber = sessionState.speakerIdMap[mostCommonSpeaker];
+              if (!mappedNumber) {
+                if (sessionState.nextSpeakerNumber <= 2) {
+                  mappedNumber = sessionState.nextSpeakerNumber;
+                  sessionState.speakerIdMap[mostCommonSpeaker] = mappedNumber;
+                  sessionState.nextSpeakerNumber += 1;
+                } else {
+                  // If more than two distinct speaker IDs appear, assign them to Speaker 1 by default
+                  mappedNumber = 1;
+                  sessionState.speakerIdMap[mostCommonSpeaker] = mappedNumber;
                 }
               }
 
-              // Only emit if confidence is adequate (filter weak detections)
-              const minConfidence = 0.5;
-              if (speakerConfidence >= minConfidence || speaker !== "Unknown") {
-                // AWS Transcribe already handles PII redaction if enabled
-                // The transcript will contain [PII] markers where PII was detected
-                const piiDetected = transcript.includes("[PII]");
-
-                if (piiDetected && session.awsPiiRedactionEnabled) {
-                  // Count PII instances for statistics
-                  const piiCount = (transcript.match(/\[PII\]/g) || []).length;
-                  session.piiDetectedCount += piiCount;
-
-                  console.log(
-                    `[${sessionId}] AWS PII redaction applied: ${piiCount} entities masked in this segment`,
-                  );
-                }
+              speaker = `Speaker ${mappedNumber}`;
 
-                // Send to frontend
-                session.socket.emit("transcript", {
-                  type: "transcript",
-                  data: {
-                    transcript,
-                    isFinal,
-                    timestamp: Date.now(),
-                    speaker,
-                    confidence: speakerConfidence,
-                    piiDetected,
-                    piiMasked: session.awsPiiRedactionEnabled && piiDetected,
-                    awsPiiRedaction: session.awsPiiRedactionEnabled,
-                  },
-                });
+              // Calculate average confidence
+              speakerConfidence =
+                confidenceScores.reduce((a, b) => a + b, 0) /
+                confidenceScores.length;
 
-                // Persist final transcripts while recording so data is not lost on disconnect
-                if (isFinal) {
-                  this.persistTranscriptSegment(sessionId, {
-                    transcript,
-                    speaker,
-                    timestamp: Date.now(),
-                    piiDetected,
-                  });
+              // Track speaker segments for post-processing
+              const currentTime = Date.now();
+              if (speaker !== session.lastSpeaker) {
+                if (session.lastSpeaker && session.lastSpeakerTime) {
+                  const duration = currentTime - session.lastSpeakerTime;
+                  if (!session.speakerTimings[session.lastSpeaker]) {
+                    session.speakerTimings[session.lastSpeaker] = 0;
+                  }
+                  session.speakerTimings[session.lastSpeaker] += duration;
                 }
-
-                const piiStatus = piiDetected ? ", AWS PII redacted" : "";
-                console.log(
-                  `[${sessionId}] ${isFinal ? "FINAL" : "partial"}: "${transcript}" (${speaker}, confidence: ${(speakerConfidence * 100).toFixed(0)}%${piiStatus})`,
-                );
+                session.lastSpeaker = speaker;
+                session.lastSpeakerTime = currentTime;
+                session.speakerSegments.push({
+                  speaker,
+                  time: currentTime,
+                  confidence: speakerConfidence,
+                });
               }
             }
           }
+
+          // Only emit if confidence is adequate (filter weak detections)
+          const minConfidence = 0.5;
+          if (speakerConfidence >= minConfidence || speaker !== "Unknown") {
+            // The provider already handles PII redaction if enabled
+            // The transcript will contain [PII] markers where PII was detected
+            const piiDetected = transcript.includes("[PII]");
+
+            if (piiDetected && session.piiRedactionEnabled) {
+              // Count PII instances for statistics
+              const piiCount = (transcript.match(/\[PII\]/g) || []).length;
+              session.piiDetectedCount += piiCount;
+
+              console.log(
+                `[${sessionId}] PII redaction applied: ${piiCount} entities masked in this segment`,
+              );
+            }
+
+            // Send to frontend
+            this.emitTranscript(session, {
+              transcript,
+              isFinal,
+              timestamp: Date.now(),
+              speaker,
+              confidence: speakerConfidence,
+              piiDetected,
+              piiMasked: session.piiRedactionEnabled && piiDetected,
+              awsPiiRedaction: session.piiRedactionEnabled,
+            });
+
+            // Persist final transcripts while recording so data is not lost on disconnect
+            if (isFinal) {
+              this.persistTranscriptSegment(sessionId, {
+                transcript,
+                speaker,
+                timestamp: Date.now(),
+                piiDetected,
+              });
+            }
+
+            const piiStatus = piiDetected ? ", PII redacted" : "";
+            console.log(
+              `[${sessionId}] ${isFinal ? "FINAL" : "partial"}: "${transcript}" (${speaker}, confidence: ${(speakerConfidence * 100).toFixed(0)}%${piiStatus})`,
+            );
+          }
         }
       }
 
@@ -546,6 +849,8 @@ class TranscriptionService {
       // Fallback fetch if state is missing (e.g., service restart)
       let language = sessionState?.language || "english";
       let piiMaskingEnabled = sessionState?.piiMaskingEnabled !== false;
+      const redactionMethod =
+        sessionState?.redactionMethod || "AWS_TRANSCRIBE_STREAMING";
 
       if (!sessionState) {
         const sessionDoc = await Session.findById(sessionId).select(
@@ -588,7 +893,7 @@ class TranscriptionService {
                 awsPiiRedaction: true,
                 totalEntitiesMasked: piiCount,
                 processedAt: new Date().toISOString(),
-                redactionMethod: "AWS_TRANSCRIBE_STREAMING",
+                redactionMethod,
               }
             : null,
           wordCount: wordCountIncrement,
@@ -616,7 +921,7 @@ class TranscriptionService {
             totalEntitiesMasked:
               (existingMetadata.totalEntitiesMasked || 0) + piiCount,
             processedAt: new Date().toISOString(),
-            redactionMethod: "AWS_TRANSCRIBE_STREAMING",
+            redactionMethod,
           };
         }
 
@@ -698,7 +1003,7 @@ class TranscriptionService {
   cleanup() {
     console.log("Cleaning up all transcription sessions...");
     for (const [sessionId] of this.sessions) {
-      this.stopTranscription(sessionId);
+      this.stopTranscription(sessionId, { reason: "shutdown" });
     }
   }
 }
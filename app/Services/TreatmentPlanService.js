@@ -0,0 +1,337 @@
+"use strict";
+
+const mongoose = require("mongoose");
+require("../Models/TreatmentPlan");
+const TreatmentPlan = mongoose.model("TreatmentPlan");
+
+const GOAL_FIELDS = [
+  "title",
+  "description",
+  "targetDate",
+  "objectives",
+  "interventions",
+  "status",
+];
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = (value) =>
+  value && value._id ? value._id.toString() : value?.toString?.() || null;
+
+const asHttpError = (err) =>
+  err.name === "ValidationError" || err.name === "CastError"
+    ? buildHttpError(err.message, 400)
+    : err;
+
+/**
+ * Treatment Plan Service
+ * A case's treatment goals, with their objectives, interventions and target
+ * dates, and the progress SOAP/DAP notes record against them session by
+ * session.
+ */
+class TreatmentPlanService {
+  get progressLevels() {
+    const goalProgress = mongoose.model("Soap").schema.path("goalProgress");
+    return goalProgress.schema.path("progress").enumValues;
+  }
+
+  /**
+   * The plan for a case
+   * @param {String} caseId - Case ID
+   * @returns {Promise<Object|null>}
+   */
+  async getForCase(caseId) {
+    return TreatmentPlan.findOne({ case: caseId });
+  }
+
+  async getOrCreate(caseData) {
+    return (
+      (await this.getForCase(caseData._id)) ||
+      new TreatmentPlan({ case: caseData._id, goals: [] })
+    );
+  }
+
+  /**
+   * Set the plan's summary and review date, creating the plan if needed
+   * @param {Object} caseData - Case document
+   * @param {Object} fields - summary, reviewDate
+   * @param {Object} user - User making the change
+   * @returns {Promise<Object>} The plan
+   */
+  async savePlan(caseData, { summary, reviewDate }, user) {
+    const plan = await this.getOrCreate(caseData);
+    if (summary !== undefined) plan.summary = summary;
+    if (reviewDate !== undefined) plan.reviewDate = reviewDate;
+    plan.updatedBy = user._id;
+
+    try {
+      await plan.save();
+    } catch (err) {
+      throw asHttpError(err);
+    }
+    return plan;
+  }
+
+  /**
+   * Add a goal to the case's plan
+   * @param {Object} caseData - Case document
+   * @param {Object} fields - title, description, targetDate, objectives, interventions
+   * @param {Object} user - User adding the goal
+   * @returns {Promise<Object>} { plan, goal }
+   */
+  async addGoal(caseData, fields, user) {
+    if (!fields.title || !String(fields.title).trim()) {
+      throw buildHttpError("title is required", 400);
+    }
+
+    const plan = await this.getOrCreate(caseData);
+    plan.goals.push({
+      ...this.pickGoalFields(fields),
+      status: "Active",
+      createdBy: user._id,
+    });
+    plan.updatedBy = user._id;
+
+    try {
+      await plan.save();
+    } catch (err) {
+      throw asHttpError(err);
+    }
+    return { plan, goal: plan.goals[plan.goals.length - 1] };
+  }
+
+  /**
+   * Change a goal. Objectives sent with an _id are updated, those without
+   * are added, and any left out are removed.
+   * @param {Object} caseData - Case document
+   * @param {String} goalId - Goal ID
+   * @param {Object} fields - Any goal field, including status
+   * @param {Object} user - User making the change
+   * @returns {Promise<Object>} { plan, goal, changedFields }
+   */
+  async updateGoal(caseData, goalId, fields, user) {
+    const plan = await this.getForCase(caseData._id);
+    const goal = plan && plan.goals.id(goalId);
+    if (!goal) {
+      throw buildHttpError("Goal not found", 404);
+    }
+
+    const updates = this.pickGoalFields(fields);
+    if (updates.title !== undefined && !String(updates.title).trim()) {
+      throw buildHttpError("title cannot be empty", 400);
+    }
+    goal.set(updates);
+
+    if (goal.isModified("status")) {
+      goal.closedAt = goal.status === "Active" ? undefined : new Date();
+    }
+    const changedFields = Object.keys(updates).filter((key) =>
+      goal.isModified(key),
+    );
+    plan.updatedBy = user._id;
+
+    try {
+      await plan.save();
+    } catch (err) {
+      throw asHttpError(err);
+    }
+    return { plan, goal, changedFields };
+  }
+
+  pickGoalFields(fields) {
+    const picked = {};
+    GOAL_FIELDS.forEach((key) => {
+      if (fields[key] !== undefined) picked[key] = fields[key];
+    });
+    return picked;
+  }
+
+  /**
+   * Check progress entries sent with a note refer to goals (and objectives)
+   * on the case's plan, throwing a 400 error carrying statusCode if not
+   * @param {String} caseId - Case ID
+   * @param {Object[]} entries - { goal, objective, progress, comment }
+   * @returns {Promise<Object[]>} The entries, keeping only known fields
+   */
+  async validateGoalProgress(caseId, entries) {
+    if (!Array.isArray(entries)) {
+      throw buildHttpError("goalProgress must be an array", 400);
+    }
+    if (!entries.length) return [];
+
+    const plan = await TreatmentPlan.findOne({ case: caseId }).lean();
+    const goals = new Map(
+      (plan ? plan.goals : []).map((goal) => [toId(goal), goal]),
+    );
+    const levels = this.progressLevels;
+    const seen = new Set();
+
+    return entries.map((entry, index) => {
+      const goal = goals.get(String(entry?.goal));
+      if (!goal) {
+        throw buildHttpError(
+          `goalProgress[${index}]: goal is not on this case's treatment plan`,
+          400,
+        );
+      }
+      if (
+        entry.objective &&
+        !goal.objectives.some(
+          (objective) => toId(objective) === String(entry.objective),
+        )
+      ) {
+        throw buildHttpError(
+          `goalProgress[${index}]: objective does not belong to the goal`,
+          400,
+        );
+      }
+      if (!levels.includes(entry.progress)) {
+        throw buildHttpError(
+          `goalProgress[${index}]: progress must be one of: ${levels.join(", ")}`,
+          400,
+        );
+      }
+
+      const key = `${entry.goal}:${entry.objective || ""}`;
+      if (seen.has(key)) {
+        throw buildHttpError(
+          `goalProgress[${index}]: the same goal or objective appears twice`,
+          400,
+        );
+      }
+      seen.add(key);
+
+      return {
+        goal: entry.goal,
+        objective: entry.objective || undefined,
+        progress: entry.progress,
+        comment: entry.comment,
+      };
+    });
+  }
+
+  /**
+   * Each goal on the plan with the progress recorded against it, session by
+   * session. Uses the latest note version for each session.
+   * @param {String} caseId - Case ID
+   * @param {Object} options - from, to: limit to sessions in this date range
+   * @returns {Promise<Object[]|null>} Goals with a history array, or null without a plan
+   */
+  async getProgressHistory(caseId, { from, to } = {}) {
+    const plan = await TreatmentPlan.findOne({ case: caseId }).lean();
+    if (!plan) return null;
+
+    const sessionQuery = { case: caseId };
+    if (from || to) {
+      sessionQuery.sessionDate = {};
+      if (from) sessionQuery.sessionDate.$gte = new Date(from);
+      if (to) sessionQuery.sessionDate.$lte = new Date(to);
+    }
+    const sessions = await mongoose
+      .model("Session")
+      .find(sessionQuery)
+      .select("sessionNumber sessionDate")
+      .sort({ sessionNumber: 1 })
+      .lean();
+
+    const notes = await mongoose
+      .model("Soap")
+      .find({ session: { $in: sessions.map((session) => session._id) } })
+      .select("session version framework status goalProgress")
+      .sort({ version: -1 })
+      .lean();
+    const latestBySession = new Map();
+    notes.forEach((note) => {
+      const sessionId = toId(note.session);
+      if (!latestBySession.has(sessionId)) latestBySession.set(sessionId, note);
+    });
+
+    const history = new Map(plan.goals.map((goal) => [toId(goal), []]));
+    sessions.forEach((session) => {
+      const note = latestBySession.get(toId(session));
+      (note?.goalProgress || []).forEach((entry) => {
+        const entries = history.get(toId(entry.goal));
+        if (!entries) return;
+        entries.push({
+          session: session._id,
+          sessionNumber: session.sessionNumber,
+          sessionDate: session.sessionDate,
+          note: note._id,
+          noteVersion: note.version,
+          noteStatus: note.status,
+          framework: note.framework,
+          objective: entry.objective || null,
+          progress: entry.progress,
+          comment: entry.comment,
+        });
+      });
+    });
+
+    return plan.goals.map((goal) => {
+      const entries = history.get(toId(goal));
+      return {
+        ...goal,
+        history: entries,
+        latestProgress: entries.length
+          ? entries[entries.length - 1].progress
+          : null,
+      };
+    });
+  }
+
+  /**
+   * Active goals as prompt context, so a generated plan section can refer
+   * to them
+   * @param {String} caseId - Case ID
+   * @returns {Promise<String>} Empty when the case has no active goals
+   */
+  async getGoalsContext(caseId) {
+    const plan = await TreatmentPlan.findOne({ case: caseId }).lean();
+    const goals = (plan ? plan.goals : []).filter(
+      (goal) => goal.status === "Active",
+    );
+
+    return goals
+      .map((goal, idx) => {
+        const objectives = goal.objectives
+          .map(
+            (objective) =>
+              `\n   - ${objective.description} (${objective.status})`,
+          )
+          .join("");
+        return `${idx + 1}. ${goal.title}${objectives}`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Goal progress history as prompt context for timeline summaries
+   * @param {Object[]|null} goals - From getProgressHistory()
+   * @returns {String} Empty when there is no plan
+   */
+  toProgressContext(goals) {
+    if (!goals || !goals.length) return "";
+
+    return goals
+      .map((goal) => {
+        const progress = goal.history.length
+          ? goal.history
+              .map(
+                (entry) =>
+                  `Session ${entry.sessionNumber}: ${entry.progress}${
+                    entry.comment ? ` (${entry.comment.substring(0, 150)})` : ""
+                  }`,
+              )
+              .join("; ")
+          : "No progress recorded";
+        return `- ${goal.title} [${goal.status}]: ${progress}`;
+      })
+      .join("\n");
+  }
+}
+
+module.exports = new TreatmentPlanService();
@@ -0,0 +1,338 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const XLSX = require("xlsx");
+const PermissionService = require("./PermissionService");
+const SystemSettingsService = require("./SystemSettingsService");
+const UserSettingsService = require("./UserSettingsService");
+const OnboardingService = require("./OnboardingService");
+const { MAX_ROSTER_ROWS } = require("../../config/constants");
+
+// Spreadsheet columns, in order; import and export share them so an
+// exported roster can be edited and imported again
+const COLUMNS = [
+  { key: "name", header: "Name" },
+  { key: "email", header: "Email" },
+  { key: "role", header: "Role" },
+  { key: "language", header: "Language" },
+  { key: "piiMasking", header: "PII Masking" },
+];
+
+const FORMATS = ["csv", "xlsx"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normaliseHeader = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const parseBoolean = (value) => {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return undefined;
+  if (["true", "yes", "y", "1"].includes(text)) return true;
+  if (["false", "no", "n", "0"].includes(text)) return false;
+  return null;
+};
+
+// Stop spreadsheet apps treating a cell as a formula
+const escapeCell = (value) =>
+  typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+/**
+ * User Roster Service
+ * Bulk user provisioning from a CSV/XLSX roster (validate, preview, apply)
+ * and exporting the organisation's users in the same format.
+ */
+class UserRosterService {
+  get formats() {
+    return FORMATS;
+  }
+
+  formatFromFileName(fileName) {
+    const extension = String(fileName || "").split(".").pop().toLowerCase();
+    return FORMATS.includes(extension) ? extension : null;
+  }
+
+  /**
+   * Read roster rows from an uploaded file
+   * @param {Buffer} buffer - File contents
+   * @param {String} format - "csv" or "xlsx"
+   * @returns {Object[]} Rows keyed by column key, with their spreadsheet row number
+   */
+  parse(buffer, format) {
+    let workbook;
+    try {
+      workbook =
+        format === "csv"
+          ? XLSX.read(buffer.toString("utf8"), { type: "string", raw: true })
+          : XLSX.read(buffer, { type: "buffer" });
+    } catch (err) {
+      throw buildHttpError("The file could not be read as a roster", 400);
+    }
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) {
+      throw buildHttpError("The roster is empty", 400);
+    }
+
+    const records = XLSX.utils.sheet_to_json(sheet, {
+      defval: "",
+      raw: false,
+    });
+    if (!records.length) {
+      throw buildHttpError("The roster has no rows", 400);
+    }
+    if (records.length > MAX_ROSTER_ROWS) {
+      throw buildHttpError(
+        `A roster can have at most ${MAX_ROSTER_ROWS} rows`,
+        400,
+      );
+    }
+
+    const headerKeys = new Map(
+      COLUMNS.map((column) => [normaliseHeader(column.header), column.key]),
+    );
+    const missing = ["name", "email", "role"].filter(
+      (key) =>
+        !Object.keys(records[0]).some(
+          (header) => headerKeys.get(normaliseHeader(header)) === key,
+        ),
+    );
+    if (missing.length) {
+      throw buildHttpError(
+        `The roster is missing column(s): ${missing.join(", ")}`,
+        400,
+      );
+    }
+
+    // Row 1 is the header
+    return records.map((record, index) => {
+      const row = { rowNumber: index + 2 };
+      Object.entries(record).forEach(([header, value]) => {
+        const key = headerKeys.get(normaliseHeader(header));
+        if (key) row[key] = String(value ?? "").trim();
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Validate every row and work out what importing it would do
+   * @param {Object[]} rows - Parsed rows
+   * @param {Object} actor - Admin running the import
+   * @param {String} organisationId - Organisation the users belong to
+   * @returns {Promise<Object[]>} Per-row report: action is create, update, unchanged or error
+   */
+  async plan(rows, actor, organisationId) {
+    const User = mongoose.model("User");
+    const enabledLanguages = await SystemSettingsService.get(
+      "transcriptionLanguages",
+      organisationId,
+    );
+
+    const emails = rows.map((row) => (row.email || "").toLowerCase());
+    const existingUsers = await User.find({ email: { $in: emails } })
+      .setOptions({ skipTenant: true })
+      .select("name email role language piiMasking organisation")
+      .lean();
+    const existingByEmail = new Map(
+      existingUsers.map((user) => [user.email, user]),
+    );
+
+    const seen = new Set();
+
+    return rows.map((row) => {
+      const errors = [];
+      const email = (row.email || "").toLowerCase();
+      const name = row.name;
+      const role = (row.role || "").toLowerCase();
+      const language = (row.language || "").toLowerCase() || undefined;
+      const piiMasking = parseBoolean(row.piiMasking);
+      const existing = existingByEmail.get(email);
+
+      if (!name) errors.push("Name is required");
+
+      if (!email) {
+        errors.push("Email is required");
+      } else if (!EMAIL_PATTERN.test(email)) {
+        errors.push("Email is not valid");
+      } else if (seen.has(email)) {
+        errors.push("Email appears more than once in this file");
+      }
+      seen.add(email);
+
+      if (!PermissionService.isValidRole(role)) {
+        errors.push(`Role must be one of: ${PermissionService.roles.join(", ")}`);
+      } else if (!PermissionService.canGrantRole(actor, role)) {
+        errors.push("You cannot grant a role with more access than your own");
+      }
+
+      if (language !== undefined && !enabledLanguages.includes(language)) {
+        errors.push(`Language must be one of: ${enabledLanguages.join(", ")}`);
+      }
+
+      const effectiveLanguage = language || existing?.language || "english";
+      if (piiMasking === null) {
+        errors.push("PII Masking must be yes or no");
+      } else if (piiMasking === true && effectiveLanguage !== "english") {
+        errors.push("PII Masking can only be enabled with English language");
+      }
+
+      if (
+        existing &&
+        String(existing.organisation || "") !== String(organisationId || "")
+      ) {
+        errors.push("Email already in use by another user");
+      } else if (existing) {
+        if (!PermissionService.canGrantRole(actor, existing.role)) {
+          errors.push("You cannot modify a user with more access than your own");
+        }
+        if (
+          existing._id.toString() === actor._id.toString() &&
+          role &&
+          role !== existing.role
+        ) {
+          errors.push("You cannot change your own role");
+        }
+      }
+
+      const values = { name, email, role };
+      if (language !== undefined) values.language = language;
+      if (piiMasking !== undefined && piiMasking !== null) {
+        values.piiMasking = piiMasking;
+      }
+      // Masking is English-only; switching language turns it off
+      if (values.language && values.language !== "english") {
+        values.piiMasking = false;
+      }
+
+      let action = "create";
+      let changes = [];
+      if (errors.length) {
+        action = "error";
+      } else if (existing) {
+        changes = Object.keys(values).filter(
+          (key) => key !== "email" && existing[key] !== values[key],
+        );
+        action = changes.length ? "update" : "unchanged";
+      }
+
+      return {
+        row: row.rowNumber,
+        email: email || null,
+        action,
+        ...(changes.length ? { changes } : {}),
+        ...(errors.length ? { errors } : {}),
+        userId: existing ? existing._id : null,
+        values,
+      };
+    });
+  }
+
+  /**
+   * Create and update users for every valid row of a plan
+   * @param {Object[]} report - Output of plan()
+   * @param {String} organisationId - Organisation the users belong to
+   * @param {Object} actor - Admin running the import, recorded as the inviter
+   * @returns {Promise<Object[]>} The report, with created user IDs filled in
+   */
+  async apply(report, organisationId, actor) {
+    const User = mongoose.model("User");
+
+    for (const entry of report) {
+      try {
+        if (entry.action === "create") {
+          // Unusable until the invitee accepts and sets their own password
+          const user = await User.create({
+            ...entry.values,
+            password: OnboardingService.unusablePassword(),
+            active: true,
+            organisation: organisationId,
+            emailVerified: false,
+            invitedBy: actor._id,
+            invitedAt: new Date(),
+          });
+          entry.userId = user._id;
+        } else if (entry.action === "update") {
+          const updates = {};
+          entry.changes.forEach((key) => {
+            updates[key] = entry.values[key];
+          });
+          const user = await User.findByIdAndUpdate(
+            entry.userId,
+            { $set: updates },
+            { new: true },
+          );
+
+          // Keep the session defaults in settings in step with the profile
+          if (updates.language !== undefined || updates.piiMasking !== undefined) {
+            await UserSettingsService.updateForUser(user, {
+              defaultLanguage: user.language,
+              piiMaskingEnabled:
+                user.language === "english" ? user.piiMasking : false,
+            });
+          }
+        }
+      } catch (err) {
+        entry.action = "error";
+        entry.errors = [err.message];
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Summarise a report by action
+   * @param {Object[]} report - Per-row report
+   * @returns {Object} Counts per action plus the total
+   */
+  summarise(report) {
+    return report.reduce(
+      (summary, entry) => {
+        summary[entry.action] = (summary[entry.action] || 0) + 1;
+        return summary;
+      },
+      { total: report.length, create: 0, update: 0, unchanged: 0, error: 0 },
+    );
+  }
+
+  /**
+   * Build a roster file for a list of users
+   * @param {Object[]} users - User documents
+   * @param {String} format - "csv" or "xlsx"
+   * @returns {Buffer}
+   */
+  build(users, format) {
+    const rows = users.map((user) => {
+      const row = {};
+      COLUMNS.forEach(({ key, header }) => {
+        const value = user[key];
+        row[header] =
+          typeof value === "boolean"
+            ? value
+              ? "yes"
+              : "no"
+            : escapeCell(value ?? "");
+      });
+      return row;
+    });
+
+    const sheet = XLSX.utils.json_to_sheet(rows, {
+      header: COLUMNS.map((column) => column.header),
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, "Users");
+
+    return XLSX.write(workbook, { type: "buffer", bookType: format });
+  }
+}
+
+module.exports = new UserRosterService();
@@ -0,0 +1,221 @@
+"use strict";
+
+const mongoose = require("mongoose");
+require("../Models/UserSettings");
+const UserSettings = mongoose.model("UserSettings");
+const SystemSettingsService = require("./SystemSettingsService");
+
+const NOTE_FRAMEWORKS = ["SOAP", "DAP"];
+const DEFAULT_TIMEZONE = "Asia/Singapore";
+
+const buildHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * User Settings Service
+ * A practitioner's defaults for new sessions and notes, and the timezone
+ * dates are rendered in for exports and AI prompts.
+ */
+class UserSettingsService {
+  get noteFrameworks() {
+    return NOTE_FRAMEWORKS;
+  }
+
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== "string") return false;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Languages the user's organisation allows sessions to be recorded in
+   * @param {Object} user - User document
+   * @returns {Promise<String[]>}
+   */
+  async getEnabledLanguages(user) {
+    return SystemSettingsService.get(
+      "transcriptionLanguages",
+      user.organisation || null,
+    );
+  }
+
+  /**
+   * The user's settings, falling back to their profile language and the
+   * organisation's PII masking default when they have never saved any
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} defaultLanguage, piiMaskingEnabled, noteFramework, timezone
+   */
+  async getForUser(user) {
+    const [settings, enabledLanguages] = await Promise.all([
+      UserSettings.findOne({ user: user._id }).lean(),
+      this.getEnabledLanguages(user),
+    ]);
+
+    const preferredLanguage = settings
+      ? settings.defaultLanguage
+      : user.language;
+    // A language the organisation has since switched off is not a default
+    const defaultLanguage = enabledLanguages.includes(preferredLanguage)
+      ? preferredLanguage
+      : enabledLanguages[0];
+
+    if (settings) {
+      return {
+        defaultLanguage,
+        piiMaskingEnabled:
+          settings.piiMaskingEnabled && defaultLanguage === "english",
+        noteFramework: settings.noteFramework,
+        timezone: settings.timezone || DEFAULT_TIMEZONE,
+      };
+    }
+
+    const defaultPiiMasking = await SystemSettingsService.get(
+      "defaultPiiMasking",
+      user.organisation || null,
+    );
+    return {
+      defaultLanguage,
+      piiMaskingEnabled: defaultPiiMasking && defaultLanguage === "english",
+      noteFramework: "SOAP",
+      timezone: DEFAULT_TIMEZONE,
+    };
+  }
+
+  /**
+   * Timezone for a user ID, for callers that only hold the decoded token
+   * @param {String} userId - User ID
+   * @returns {Promise<String>}
+   */
+  async getTimezone(userId) {
+    const settings = await UserSettings.findOne({ user: userId })
+      .select("timezone")
+      .lean();
+    return (settings && settings.timezone) || DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Validate and save the user's settings. Throws errors carrying statusCode.
+   * @param {Object} user - User document
+   * @param {Object} updates - Any of defaultLanguage, piiMaskingEnabled, noteFramework, timezone
+   * @returns {Promise<Object>} The saved settings
+   */
+  async updateForUser(user, updates) {
+    const { defaultLanguage, piiMaskingEnabled, noteFramework, timezone } =
+      updates;
+
+    if (defaultLanguage !== undefined) {
+      const enabledLanguages = await this.getEnabledLanguages(user);
+      if (!enabledLanguages.includes(defaultLanguage)) {
+        throw buildHttpError(
+          `defaultLanguage must be one of: ${enabledLanguages.join(", ")}`,
+          400,
+        );
+      }
+    }
+    if (
+      piiMaskingEnabled !== undefined &&
+      typeof piiMaskingEnabled !== "boolean"
+    ) {
+      throw buildHttpError("piiMaskingEnabled must be a boolean", 400);
+    }
+    if (
+      noteFramework !== undefined &&
+      !NOTE_FRAMEWORKS.includes(noteFramework)
+    ) {
+      throw buildHttpError(
+        `noteFramework must be one of: ${NOTE_FRAMEWORKS.join(", ")}`,
+        400,
+      );
+    }
+    if (timezone !== undefined && !this.isValidTimezone(timezone)) {
+      throw buildHttpError("timezone must be a valid IANA timezone", 400);
+    }
+
+    const current = await this.getForUser(user);
+    const next = {
+      defaultLanguage:
+        defaultLanguage !== undefined
+          ? defaultLanguage
+          : current.defaultLanguage,
+      piiMaskingEnabled:
+        piiMaskingEnabled !== undefined
+          ? piiMaskingEnabled
+          : current.piiMaskingEnabled,
+      noteFramework:
+        noteFramework !== undefined ? noteFramework : current.noteFramework,
+      timezone: timezone !== undefined ? timezone : current.timezone,
+    };
+
+    // PII masking is only supported for English transcripts
+    if (next.defaultLanguage !== "english") {
+      if (piiMaskingEnabled === true) {
+        throw buildHttpError(
+          "PII masking can only be enabled for English language",
+          400,
+        );
+      }
+      next.piiMaskingEnabled = false;
+    }
+
+    return UserSettings.findOneAndUpdate(
+      { user: user._id },
+      // Settings belong to the user's organisation, even when written by a
+      // platform admin working in another
+      { $set: next, $setOnInsert: { organisation: user.organisation } },
+      { upsert: true, new: true, runValidators: true },
+    );
+  }
+
+  /**
+   * Render a date in the user's timezone
+   * @param {Date|String} date - Date to render
+   * @param {String} timezone - IANA timezone
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {String}
+   */
+  formatDate(
+    date,
+    timezone,
+    options = { month: "short", day: "numeric", year: "numeric" },
+  ) {
+    const value = date ? new Date(date) : null;
+    if (!value || Number.isNaN(value.getTime())) return "";
+    return value.toLocaleDateString("en-US", {
+      ...options,
+      timeZone: this.isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    });
+  }
+
+  /**
+   * Render a timestamp as "YYYY-MM-DD HH:mm:ss" in the user's timezone
+   * @param {Date|String} date - Date to render
+   * @param {String} timezone - IANA timezone
+   * @returns {String} Empty when there is no date or it is not a valid one
+   */
+  formatDateTime(date, timezone) {
+    const value = date ? new Date(date) : null;
+    if (!value || Number.isNaN(value.getTime())) return "";
+    const parts = new Intl.DateTimeFormat("en-CA", {
+      timeZone: this.isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(value)
+      .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+  }
+}
+
+module.exports = new UserSettingsService();
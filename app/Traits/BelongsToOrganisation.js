@@ -0,0 +1,84 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const TenantContext = require("../Services/TenantContext");
+
+// Query middleware that takes a filter; each gets the tenant condition added
+const SCOPED_QUERIES = [
+  "count",
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndRemove",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "update",
+  "updateMany",
+  "updateOne",
+];
+
+// Returns the organisation to filter by, or undefined when the current code
+// should not be filtered (no context, unscoped context or skipTenant option)
+const currentOrganisation = (options = {}) => {
+  const store = TenantContext.get();
+  if (!store || store.unscoped || options.skipTenant) return undefined;
+  return store.organisationId;
+};
+
+/**
+ * Mongoose plugin: adds `organisation` to the schema, stamps it on new
+ * documents and filters every query by the organisation in TenantContext.
+ * A query that names `organisation` itself is left untouched; pass
+ * `{ skipTenant: true }` as a query option to opt out explicitly.
+ */
+module.exports = function belongsToOrganisation(schema) {
+  schema.add({
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+      index: true,
+    },
+  });
+
+  SCOPED_QUERIES.forEach((hook) => {
+    schema.pre(hook, function () {
+      const organisationId = currentOrganisation(this.getOptions());
+      if (organisationId === undefined) return;
+      if (this.getFilter().organisation !== undefined) return;
+      this.where({ organisation: organisationId });
+    });
+  });
+
+  schema.pre("aggregate", function () {
+    const organisationId = currentOrganisation(this.options);
+    if (organisationId === undefined) return;
+    this.pipeline().unshift({
+      $match: {
+        organisation: organisationId
+          ? mongoose.Types.ObjectId(organisationId)
+          : null,
+      },
+    });
+  });
+
+  schema.pre("save", function () {
+    if (!this.isNew || this.organisation) return;
+    const organisationId = currentOrganisation();
+    if (organisationId) this.organisation = organisationId;
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    const organisationId = currentOrganisation();
+    if (organisationId) {
+      (Array.isArray(docs) ? docs : [docs]).forEach((doc) => {
+        if (!doc.organisation) doc.organisation = organisationId;
+      });
+    }
+    next();
+  });
+};
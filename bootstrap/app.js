@@ -44,7 +44,7 @@
  app.all('*', function(req, res, next) {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'PUT, GET, POST, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, x-access-token');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, x-access-token, x-mfa-token, x-organisation-id');
   next(); 
  });
 
@@ -0,0 +1,49 @@
+'use strict'
+
+    /*
+    |--------------------------------------------------------------------------
+    | Case Statuses
+    |--------------------------------------------------------------------------
+    |
+    | The states a case moves through and the transitions allowed between
+    | them. A transition names who may make it: `permission` for staff-only
+    | moves, otherwise anyone who can manage the case (its lead or an owner
+    | member). `requiresReason` transitions must say why, and `workflow`
+    | transitions can only be made through their own endpoint (closing a
+    | case goes through CaseClosureService, not a plain status change).
+    |
+    */
+
+const statuses = ['PendingApproval', 'Active', 'OnHold', 'Closed'];
+
+const transitions = {
+    PendingApproval: {
+        Active: { permission: 'case:assign' },
+        Closed: { permission: 'case:assign', requiresReason: true, workflow: 'close' },
+    },
+    Active: {
+        OnHold: {},
+        Closed: { requiresReason: true, workflow: 'close' },
+    },
+    OnHold: {
+        Active: {},
+        Closed: { requiresReason: true, workflow: 'close' },
+    },
+    Closed: {
+        // Closed cases are read-only; reopening is an admin decision
+        Active: { permission: 'case:manage_all', requiresReason: true },
+    },
+};
+
+// Statuses a new case may start in
+const initial = ['PendingApproval', 'Active'];
+
+// Statuses in which nothing on the case may change
+const readOnly = ['Closed'];
+
+// Values stored before the status was renamed, and what they are now
+const legacy = {
+    Unapporved: 'PendingApproval',
+};
+
+module.exports = { statuses, transitions, initial, readOnly, legacy };
@@ -13,7 +13,56 @@
     */
 
 //JWT
-exports.JWT_EXPIRES_IN = '30d';
+exports.JWT_EXPIRES_IN = '15m';
+exports.REFRESH_TOKEN_EXPIRES_IN_DAYS = 30;
+exports.IMPERSONATION_EXPIRES_IN_MINUTES = 15;
+
+//Brute-force protection
+exports.MAX_ACCOUNT_LOGIN_ATTEMPTS = 5;
+exports.MAX_IP_AUTH_ATTEMPTS = 20;
+exports.AUTH_ATTEMPT_WINDOW_MINUTES = 15;
+exports.LOCKOUT_BASE_MINUTES = 15;
+exports.LOCKOUT_MAX_MINUTES = 24 * 60;
+
+//Password hashing
+exports.BCRYPT_COST = 12;
+exports.MAX_PASSWORD_LENGTH = 128;
+
+//Password reset OTP
+exports.OTP_EXPIRES_IN_MINUTES = 10;
+exports.MAX_OTP_ATTEMPTS = 5;
+exports.OTP_RESEND_COOLDOWN_SECONDS = 60;
+exports.PASSWORD_RESET_WINDOW_MINUTES = 15;
+
+//Invitations and email verification
+exports.INVITATION_EXPIRES_IN_HOURS = 72;
+exports.EMAIL_VERIFICATION_EXPIRES_IN_HOURS = 24;
+exports.ONBOARDING_RESEND_COOLDOWN_SECONDS = 60;
+
+//Single sign-on
+exports.SSO_STATE_EXPIRES_IN_MINUTES = 10;
+exports.SSO_METADATA_CACHE_MINUTES = 60;
+
+//Bulk user import
+exports.MAX_ROSTER_ROWS = 500;
+
+//Appointment scheduling
+exports.MAX_RECURRING_APPOINTMENTS = 52;
+exports.MAX_CALENDAR_RANGE_DAYS = 92;
+
+//Live recording, uploaded to S3 in parts of this size (S3's minimum is 5MB)
+exports.LIVE_RECORDING_PART_BYTES = 5 * 1024 * 1024;
+
+//Uploaded recording transcription
+exports.TRANSCRIPTION_MAX_ATTEMPTS = 3;
+exports.TRANSCRIPTION_STALE_MINUTES = 30;
+//Wait before a failed job is retried, doubling with each attempt
+exports.TRANSCRIPTION_RETRY_DELAY_SECONDS = 60;
+
+//Break-glass emergency access
+exports.BREAK_GLASS_DEFAULT_MINUTES = 60;
+exports.BREAK_GLASS_MAX_MINUTES = 4 * 60;
+exports.BREAK_GLASS_MIN_REASON_LENGTH = 20;
 
 //All user roles
 exports.USER_ROLE_ADMIN = 'admin';
@@ -0,0 +1,147 @@
+'use strict'
+
+    /*
+    |--------------------------------------------------------------------------
+    | Permissions
+    |--------------------------------------------------------------------------
+    |
+    | Named permissions checked by the requirePermission middleware, and the
+    | roles that bundle them. A user's role decides which permissions they
+    | hold; routes ask for a permission rather than a role, so adding a role
+    | only means adding an entry below.
+    |
+    */
+
+const permissions = [
+    // Cases
+    'case:create',
+    'case:assign',
+    'case:read',
+    'case:read_all',
+    'case:manage_all',
+    'case:update',
+    'case:delete',
+    'case:export',
+    'case:break_glass',
+
+    // Sessions, recordings and uploaded files
+    'session:read',
+    'session:read_all',
+    'session:write',
+    'session:delete',
+    'file:read',
+    'file:upload',
+    'file:delete',
+
+    // Transcripts, SOAP notes and timeline summaries
+    'transcript:read',
+    'transcript:write',
+    'transcript:delete',
+    'note:read',
+    'note:write',
+    'note:approve',
+    'note:delete',
+
+    // Administration
+    'user:read',
+    'user:manage',
+    'audit:read',
+    'audit:export',
+    'backup:run',
+    'retention:read',
+    'retention:run',
+    'settings:manage',
+
+    // Platform
+    'organisation:manage',
+];
+
+const practitioner = [
+    'case:create',
+    'case:read',
+    'case:export',
+    'case:break_glass',
+    'session:read',
+    'session:write',
+    'session:delete',
+    'file:read',
+    'file:upload',
+    'file:delete',
+    'transcript:read',
+    'transcript:write',
+    'transcript:delete',
+    'note:read',
+    'note:write',
+    'note:approve',
+    'note:delete',
+    'retention:read',
+];
+
+const roles = {
+    // Runs the deployment: creates clinics and can act inside any of them
+    super_admin: permissions,
+
+    // Clinic (organisation) administrator
+    admin: permissions.filter((permission) => permission !== 'organisation:manage'),
+
+    practitioner,
+
+    // Oversees practitioners: sees every case and signs off notes
+    supervisor: [
+        'case:read',
+        'case:read_all',
+        'case:export',
+        'session:read',
+        'session:read_all',
+        'file:read',
+        'transcript:read',
+        'note:read',
+        'note:write',
+        'note:approve',
+        'retention:read',
+    ],
+
+    // Runs the clinic: caseload and staff, audit access, no deletes or backups
+    clinic_manager: [
+        'case:assign',
+        'case:read',
+        'case:read_all',
+        'case:update',
+        'case:export',
+        'session:read',
+        'session:read_all',
+        'user:read',
+        'audit:read',
+        'audit:export',
+        'retention:read',
+    ],
+
+    // Read-only access for compliance reviews
+    auditor: [
+        'case:read',
+        'case:read_all',
+        'session:read',
+        'session:read_all',
+        'file:read',
+        'transcript:read',
+        'note:read',
+        'audit:read',
+        'audit:export',
+        'retention:read',
+    ],
+
+    // Works their own cases but cannot approve or delete clinical records
+    trainee: [
+        'case:read',
+        'session:read',
+        'session:write',
+        'file:read',
+        'file:upload',
+        'transcript:read',
+        'transcript:write',
+        'note:read',
+        'note:write',
+    ],
+};
+
+module.exports = { permissions, roles };
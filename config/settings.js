@@ -0,0 +1,159 @@
+'use strict'
+
+    /*
+    |--------------------------------------------------------------------------
+    | System Settings
+    |--------------------------------------------------------------------------
+    |
+    | Every key an organisation admin may change through the settings API.
+    | Each entry declares the value's type, its default when the organisation
+    | has not overridden it, and the bounds the API validates against.
+    | Values marked isSensitive are masked when read back.
+    |
+    */
+
+const SUPPORTED_LANGUAGES = ['english', 'mandarin'];
+
+// The mock provider replays a scripted session. Production only offers it
+// when the deployment itself runs on it, e.g. a demo server.
+const TRANSCRIPTION_PROVIDERS =
+    process.env.NODE_ENV === 'production' && process.env.TRANSCRIPTION_PROVIDER !== 'mock'
+        ? ['aws']
+        : ['aws', 'mock'];
+
+const UPLOAD_MIME_TYPES = [
+    'audio/webm',
+    'audio/mpeg',
+    'audio/wav',
+    'audio/x-wav',
+    'audio/mp4',
+    'audio/x-m4a',
+    'audio/ogg',
+    'video/webm',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/plain',
+    'text/csv',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+];
+
+module.exports = {
+    // Data retention
+    retentionApprovedDays: {
+        type: 'integer',
+        default: 7,
+        min: 1,
+        max: 3650,
+        description: 'Days to keep audio and draft transcripts after a note is approved',
+    },
+    retentionUnapprovedDays: {
+        type: 'integer',
+        default: 30,
+        min: 1,
+        max: 3650,
+        description: 'Days to keep audio and draft transcripts when no note is ever approved',
+    },
+
+    // AI
+    bedrockModelId: {
+        type: 'string',
+        default: process.env.AWS_BEDROCK_MODEL_ID || 'anthropic.claude-sonnet-4-20250514',
+        description: 'AWS Bedrock model used for notes and timeline summaries',
+    },
+
+    // Uploads
+    maxUploadSizeBytes: {
+        type: 'integer',
+        default: 500000000,
+        min: 1024,
+        max: 2000000000,
+        description: 'Largest recording or case file accepted, in bytes',
+    },
+    allowedMimeTypes: {
+        type: 'string[]',
+        default: UPLOAD_MIME_TYPES,
+        description: 'MIME types accepted for recordings and case files',
+    },
+
+    // Transcription
+    transcriptionProvider: {
+        type: 'string',
+        default: process.env.TRANSCRIPTION_PROVIDER || 'aws',
+        options: TRANSCRIPTION_PROVIDERS,
+        description: 'Service that transcribes live sessions and uploaded recordings',
+    },
+    transcriptionLanguages: {
+        type: 'string[]',
+        default: SUPPORTED_LANGUAGES,
+        options: SUPPORTED_LANGUAGES,
+        minItems: 1,
+        description: 'Languages practitioners may record sessions in',
+    },
+    liveTranscriptionResumeSeconds: {
+        type: 'integer',
+        default: 60,
+        min: 0,
+        max: 600,
+        description: 'Seconds a live transcription waits for a dropped connection to come back before it stops',
+    },
+    defaultPiiMasking: {
+        type: 'boolean',
+        default: true,
+        description: 'Mask PII in new sessions unless the practitioner chooses otherwise',
+    },
+
+    // Security
+    requireAdminMfa: {
+        type: 'boolean',
+        default: false,
+        description: 'Require TOTP multi-factor authentication for admins',
+    },
+
+    // Password policy
+    passwordMinLength: {
+        type: 'integer',
+        default: 12,
+        min: 8,
+        max: 128,
+        description: 'Shortest password accepted',
+    },
+    passwordRequireUppercase: {
+        type: 'boolean',
+        default: true,
+        description: 'Passwords must contain an upper-case letter',
+    },
+    passwordRequireLowercase: {
+        type: 'boolean',
+        default: true,
+        description: 'Passwords must contain a lower-case letter',
+    },
+    passwordRequireNumber: {
+        type: 'boolean',
+        default: true,
+        description: 'Passwords must contain a digit',
+    },
+    passwordRequireSymbol: {
+        type: 'boolean',
+        default: false,
+        description: 'Passwords must contain a symbol',
+    },
+    passwordHistoryCount: {
+        type: 'integer',
+        default: 5,
+        min: 0,
+        max: 24,
+        description: 'Previous passwords a user may not reuse (0 allows reuse)',
+    },
+    passwordMaxAgeDays: {
+        type: 'integer',
+        default: 0,
+        min: 0,
+        max: 3650,
+        description: 'Days before a password must be changed (0 never expires)',
+    },
+};
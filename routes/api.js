@@ -13,11 +13,7 @@
 
 const express = require("express");
 require("express-group-routes");
-const multer = require("multer");
-const upload = multer({
-  storage: multer.memoryStorage({}),
-  limits: { fileSize: 500000000 },
-});
+const upload = require("../app/Http/Middleware/Upload");
 
 /** Controllers **/
 const userCtrl = require("../app/Http/Controllers/v1/UserController");
@@ -29,242 +25,765 @@ const sessionCtrl = require("../app/Http/Controllers/v1/SessionController");
 const fileCtrl = require("../app/Http/Controllers/v1/FileController");
 const timelineSummaryCtrl = require("../app/Http/Controllers/v1/TimelineSummaryController");
 const caseTimelineCtrl = require("../app/Http/Controllers/v1/CaseTimelineController");
+const clientProfileCtrl = require("../app/Http/Controllers/v1/ClientProfileController");
+const treatmentPlanCtrl = require("../app/Http/Controllers/v1/TreatmentPlanController");
+const appointmentCtrl = require("../app/Http/Controllers/v1/AppointmentController");
 const soapCtrl = require("../app/Http/Controllers/v1/SoapController");
 const transcriptCtrl = require("../app/Http/Controllers/v1/TranscriptController");
 const auditLogCtrl = require("../app/Http/Controllers/v1/AuditLogController");
 const backupCtrl = require("../app/Http/Controllers/v1/BackupController");
 const dataRetentionCtrl = require("../app/Http/Controllers/v1/DataRetentionController");
+const organisationCtrl = require("../app/Http/Controllers/v1/OrganisationController");
+const systemSettingsCtrl = require("../app/Http/Controllers/v1/SystemSettingsController");
+const breakGlassCtrl = require("../app/Http/Controllers/v1/BreakGlassController");
 
 const app = express.Router();
 
 app.group("/user", (Route) => {
   Route.post("/register", userCtrl.register);
   Route.post("/login", userCtrl.login);
+  Route.post("/sso/start", userCtrl.ssoStart);
+  Route.post("/sso/callback", userCtrl.ssoCallback);
+  Route.post("/refresh-token", userCtrl.refreshToken);
+  Route.post(
+    "/logout",
+    authCtrl.allowWhileImpersonating,
+    authCtrl.authenticate,
+    userCtrl.logout,
+  );
+  Route.post("/logout-all", authCtrl.authenticate, userCtrl.logoutAll);
+  Route.get("/sessions", authCtrl.authenticate, userCtrl.getMySessions);
+  Route.delete(
+    "/sessions/:sessionId",
+    authCtrl.authenticate,
+    userCtrl.revokeMySession,
+  );
+  Route.post("/mfa/verify", userCtrl.verifyMfaLogin);
+  Route.post("/mfa/setup", authCtrl.authenticateMfaSetup, userCtrl.setupMfa);
+  Route.post(
+    "/mfa/activate",
+    authCtrl.authenticateMfaSetup,
+    userCtrl.activateMfa,
+  );
+  Route.post("/mfa/disable", authCtrl.authenticate, userCtrl.disableMfa);
+  Route.post(
+    "/mfa/recovery-codes",
+    authCtrl.authenticate,
+    userCtrl.regenerateRecoveryCodes,
+  );
+  Route.get(
+    "/mfa/policy",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.getMfaPolicy,
+  );
+  Route.put(
+    "/mfa/policy",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.updateMfaPolicy,
+  );
   Route.get("/", authCtrl.authenticate, userCtrl.getUser);
   Route.put("/profile", authCtrl.authenticate, userCtrl.updateProfile);
+  Route.get("/settings", authCtrl.authenticate, userCtrl.getSettings);
+  Route.put("/settings", authCtrl.authenticate, userCtrl.updateSettings);
   Route.put("/password", authCtrl.authenticate, userCtrl.updatePassword);
+  Route.post("/password/expired", userCtrl.changeExpiredPassword);
+  Route.get("/password/policy", userCtrl.getPasswordPolicy);
   Route.post("/forget-password", userCtrl.forgetPassword);
   Route.post("/verify-otp", userCtrl.verifyOtp);
   Route.post("/reset-password", userCtrl.resetPassword);
-  Route.get("/all-users", authCtrl.authenticateAdmin, userCtrl.getAllUsers);
+  Route.get("/invitation", userCtrl.getInvitation);
+  Route.post("/invitation/accept", userCtrl.acceptInvitation);
+  Route.post("/verify-email", userCtrl.verifyEmail);
+  Route.post("/resend-verification", userCtrl.resendVerification);
+  Route.get(
+    "/all-users",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:read"),
+    userCtrl.getAllUsers,
+  );
   Route.get(
     "/practitioners",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:read"),
     userCtrl.getPractitionerUsers,
   );
+  Route.get(
+    "/roles",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:read"),
+    userCtrl.getRoles,
+  );
   // Admin User Management Routes
   Route.post(
     "/create-user",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
     userCtrl.createUserByAdmin,
   );
+  Route.post(
+    "/:id/resend-invitation",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.resendInvitation,
+  );
+  Route.get(
+    "/registrations",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.getRegistrations,
+  );
+  Route.put(
+    "/:id/registration",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.reviewRegistration,
+  );
+  Route.post(
+    "/import",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    upload.single("file"),
+    userCtrl.importUsers,
+  );
+  Route.get(
+    "/export",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.exportUsers,
+  );
+  Route.post(
+    "/:id/impersonate",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.impersonateUser,
+  );
+  Route.delete(
+    "/impersonations/:impersonationId",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.endImpersonation,
+  );
   // Primary (active) toggle-status path
   Route.patch(
     "/active/:id/toggle-status",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
     userCtrl.toggleUserStatus,
   );
   // Backward-compatible toggle-status path (no /active prefix)
   Route.put(
     "/:id/toggle-status",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
     userCtrl.toggleUserStatus,
   );
   Route.put(
     "/:id/update-credentials",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
     userCtrl.updateUserCredentials,
   );
+  Route.get(
+    "/:id/sessions",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.getUserSessions,
+  );
+  Route.delete(
+    "/:id/sessions/:sessionId",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.revokeUserSession,
+  );
+  Route.get(
+    "/locked-accounts",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.getLockedAccounts,
+  );
+  Route.post(
+    "/:id/unlock",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    userCtrl.unlockAccount,
+  );
+});
+
+app.group("/organisation", (Route) => {
+  Route.get(
+    "/current",
+    authCtrl.authenticate,
+    organisationCtrl.getCurrentOrganisation,
+  );
+  Route.put(
+    "/current",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("user:manage"),
+    organisationCtrl.updateCurrentOrganisation,
+  );
+  Route.get(
+    "/current/sso",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("settings:manage"),
+    organisationCtrl.getSsoConnection,
+  );
+  Route.put(
+    "/current/sso",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("settings:manage"),
+    organisationCtrl.updateSsoConnection,
+  );
+  Route.get(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("organisation:manage"),
+    organisationCtrl.getAllOrganisations,
+  );
+  Route.post(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("organisation:manage"),
+    organisationCtrl.createOrganisation,
+  );
+  Route.put(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("organisation:manage"),
+    organisationCtrl.updateOrganisation,
+  );
 });
 
 app.group("/case", (Route) => {
-  Route.post("/", authCtrl.authenticateAdmin, caseCtrl.createCase);
-  Route.post("/self", authCtrl.authenticate, caseCtrl.createCaseSelf);
-  Route.get("/", authCtrl.authenticateAdmin, caseCtrl.getAllCases);
-  Route.get("/my-cases", authCtrl.authenticate, caseCtrl.getMyCases);
-  Route.get("/:id", authCtrl.authenticate, caseCtrl.getCaseById);
-  Route.get("/:caseId/export", authCtrl.authenticate, caseCtrl.exportCase);
-  Route.put("/:id", authCtrl.authenticateAdmin, caseCtrl.updateCase);
-  Route.delete("/:id", authCtrl.authenticateAdmin, caseCtrl.deleteCase);
+  Route.post(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:assign"),
+    caseCtrl.createCase,
+  );
+  Route.post(
+    "/self",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:create"),
+    caseCtrl.createCaseSelf,
+  );
+  Route.get(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read_all"),
+    caseCtrl.getAllCases,
+  );
+  Route.get(
+    "/my-cases",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.getMyCases,
+  );
+  Route.get(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.getCaseById,
+  );
+  Route.get(
+    "/:caseId/export",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:export"),
+    caseCtrl.exportCase,
+  );
+  Route.put(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:update"),
+    caseCtrl.updateCase,
+  );
+  Route.get(
+    "/:id/status",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.getCaseStatus,
+  );
+  Route.put(
+    "/:id/status",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.changeCaseStatus,
+  );
+  Route.get(
+    "/:id/closure",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.getCaseClosure,
+  );
+  Route.post(
+    "/:id/close",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.closeCase,
+  );
+  Route.delete(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:delete"),
+    caseCtrl.deleteCase,
+  );
+  Route.get(
+    "/:caseId/members",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.getCaseMembers,
+  );
+  Route.post(
+    "/:caseId/members",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.addCaseMember,
+  );
+  Route.put(
+    "/:caseId/members/:userId",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.updateCaseMember,
+  );
+  Route.delete(
+    "/:caseId/members/:userId",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    caseCtrl.removeCaseMember,
+  );
   Route.get(
     "/:caseId/timeline",
     authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
     caseTimelineCtrl.getCaseTimeline,
   );
+  Route.get(
+    "/:caseId/profile",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    clientProfileCtrl.getClientProfile,
+  );
+  Route.put(
+    "/:caseId/profile",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    clientProfileCtrl.updateClientProfile,
+  );
+  Route.get(
+    "/:caseId/treatment-plan",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    treatmentPlanCtrl.getTreatmentPlan,
+  );
+  Route.put(
+    "/:caseId/treatment-plan",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    treatmentPlanCtrl.updateTreatmentPlan,
+  );
+  Route.post(
+    "/:caseId/treatment-plan/goals",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    treatmentPlanCtrl.addGoal,
+  );
+  Route.put(
+    "/:caseId/treatment-plan/goals/:goalId",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    treatmentPlanCtrl.updateGoal,
+  );
+  Route.get(
+    "/:caseId/treatment-plan/progress",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:read"),
+    treatmentPlanCtrl.getGoalProgress,
+  );
+});
+
+app.group("/break-glass", (Route) => {
+  Route.post(
+    "/case/:caseId",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("case:break_glass"),
+    breakGlassCtrl.requestAccess,
+  );
+  Route.get("/mine", authCtrl.authenticate, breakGlassCtrl.getMyGrants);
+  Route.get(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("audit:read"),
+    breakGlassCtrl.getGrants,
+  );
+  Route.put("/:id/revoke", authCtrl.authenticate, breakGlassCtrl.revokeGrant);
+  Route.put(
+    "/:id/review",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("audit:read"),
+    breakGlassCtrl.reviewGrant,
+  );
 });
 
 app.group("/session", (Route) => {
-  Route.post("/", authCtrl.authenticate, sessionCtrl.createSession);
+  Route.post(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
+    sessionCtrl.createSession,
+  );
   Route.get(
     "/case/:caseId",
     authCtrl.authenticate,
+    authCtrl.requirePermission("session:read"),
     sessionCtrl.getSessionsByCase,
   );
-  Route.get("/recent", authCtrl.authenticate, sessionCtrl.getRecentSessions);
+  Route.get(
+    "/recent",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:read"),
+    sessionCtrl.getRecentSessions,
+  );
   Route.get(
     "/all/list",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:read_all"),
     sessionCtrl.getAllSessions,
   );
-  Route.get("/:id", authCtrl.authenticate, sessionCtrl.getSessionById);
-  Route.put("/:id", authCtrl.authenticate, sessionCtrl.updateSession);
+  Route.get(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:read"),
+    sessionCtrl.getSessionById,
+  );
+  Route.put(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
+    sessionCtrl.updateSession,
+  );
   Route.post(
     "/:id/start-recording",
     authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
     sessionCtrl.startRecording,
   );
   Route.post(
     "/:id/stop-recording",
     authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
     sessionCtrl.stopRecording,
   );
   Route.post(
     "/:id/upload-recording",
     authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
     upload.single("audio"),
     sessionCtrl.uploadRecording,
   );
+  Route.post(
+    "/:id/transcribe",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
+    sessionCtrl.transcribeRecording,
+  );
   Route.get(
     "/:id/audio-url",
     authCtrl.authenticate,
+    authCtrl.requirePermission("session:read"),
     sessionCtrl.getPresignedAudioUrl,
   );
-  Route.delete("/:id", authCtrl.authenticate, sessionCtrl.deleteSession);
+  Route.delete(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:delete"),
+    sessionCtrl.deleteSession,
+  );
+});
+
+app.group("/appointment", (Route) => {
+  Route.post(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
+    appointmentCtrl.createAppointment,
+  );
+  Route.get(
+    "/calendar",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:read"),
+    appointmentCtrl.getCalendar,
+  );
+  Route.get(
+    "/case/:caseId",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:read"),
+    appointmentCtrl.getAppointmentsByCase,
+  );
+  Route.put(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
+    appointmentCtrl.updateAppointment,
+  );
+  Route.put(
+    "/:id/status",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("session:write"),
+    appointmentCtrl.setAppointmentStatus,
+  );
 });
 
 app.group("/file", (Route) => {
   Route.post(
     "/upload",
     authCtrl.authenticate,
+    authCtrl.requirePermission("file:upload"),
     upload.single("file"),
     fileCtrl.uploadFile,
   );
-  Route.get("/case/:caseId", authCtrl.authenticate, fileCtrl.getFilesByCase);
-  Route.get("/:id", authCtrl.authenticate, fileCtrl.getFileById);
+  Route.get(
+    "/case/:caseId",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("file:read"),
+    fileCtrl.getFilesByCase,
+  );
+  Route.get(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("file:read"),
+    fileCtrl.getFileById,
+  );
   Route.get(
     "/:id/presign",
     authCtrl.authenticate,
+    authCtrl.requirePermission("file:read"),
     fileCtrl.getPresignedFileUrl,
   );
-  Route.delete("/:id", authCtrl.authenticate, fileCtrl.deleteFile);
+  Route.delete(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("file:delete"),
+    fileCtrl.deleteFile,
+  );
 });
 
 app.group("/timeline-summary", (Route) => {
   Route.post(
     "/",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:write"),
     timelineSummaryCtrl.createTimelineSummary,
   );
   Route.post(
     "/generate-with-ai",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:write"),
     timelineSummaryCtrl.generateTimelineSummaryWithAI,
   );
   Route.get(
     "/case/:caseId/data",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:read"),
     timelineSummaryCtrl.getCaseDataForSummary,
   );
   Route.get(
     "/case/:caseId",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:read"),
     timelineSummaryCtrl.getTimelineSummariesByCase,
   );
   Route.get(
     "/:id",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:read"),
     timelineSummaryCtrl.getTimelineSummaryById,
   );
   Route.put(
     "/:id",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:write"),
     timelineSummaryCtrl.updateTimelineSummary,
   );
   Route.post(
     "/:id/approve",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:approve"),
     timelineSummaryCtrl.approveTimelineSummary,
   );
   Route.delete(
     "/:id",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:delete"),
     timelineSummaryCtrl.deleteTimelineSummary,
   );
 });
 
 app.group("/soap", (Route) => {
-  Route.post("/", authCtrl.authenticate, soapCtrl.createSoapNote);
+  Route.post(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("note:write"),
+    soapCtrl.createSoapNote,
+  );
   Route.post(
     "/generate",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:write"),
     soapCtrl.generateSoapNoteFromTranscript,
   );
   Route.get(
     "/session/:sessionId",
     authCtrl.authenticate,
+    authCtrl.requirePermission("note:read"),
     soapCtrl.getSoapNotesBySession,
   );
-  Route.get("/:id", authCtrl.authenticate, soapCtrl.getSoapNoteById);
-  Route.put("/:id", authCtrl.authenticate, soapCtrl.updateSoapNote);
-  Route.post("/:id/approve", authCtrl.authenticate, soapCtrl.approveSoapNote);
-  Route.delete("/:id", authCtrl.authenticate, soapCtrl.deleteSoapNote);
+  Route.get(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("note:read"),
+    soapCtrl.getSoapNoteById,
+  );
+  Route.put(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("note:write"),
+    soapCtrl.updateSoapNote,
+  );
+  Route.post(
+    "/:id/approve",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("note:approve"),
+    soapCtrl.approveSoapNote,
+  );
+  Route.delete(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("note:delete"),
+    soapCtrl.deleteSoapNote,
+  );
 });
 
 app.group("/transcript", (Route) => {
-  Route.post("/", authCtrl.authenticate, transcriptCtrl.createTranscript);
+  Route.post(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("transcript:write"),
+    transcriptCtrl.createTranscript,
+  );
   Route.get(
     "/session/:sessionId",
     authCtrl.authenticate,
+    authCtrl.requirePermission("transcript:read"),
     transcriptCtrl.getTranscriptBySession,
   );
-  Route.get("/:id", authCtrl.authenticate, transcriptCtrl.getTranscriptById);
-  Route.put("/:id", authCtrl.authenticate, transcriptCtrl.updateTranscript);
-  Route.delete("/:id", authCtrl.authenticate, transcriptCtrl.deleteTranscript);
+  Route.get(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("transcript:read"),
+    transcriptCtrl.getTranscriptById,
+  );
+  Route.put(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("transcript:write"),
+    transcriptCtrl.updateTranscript,
+  );
+  Route.delete(
+    "/:id",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("transcript:delete"),
+    transcriptCtrl.deleteTranscript,
+  );
 });
 
 app.group("/audit-logs", (Route) => {
-  Route.get("/", authCtrl.authenticate, auditLogCtrl.getAllAuditLogs);
+  Route.get(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("audit:read"),
+    auditLogCtrl.getAllAuditLogs,
+  );
   Route.get(
     "/export",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("audit:export"),
     auditLogCtrl.exportAuditLogs,
   );
   Route.get(
     "/case/:caseId",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("audit:read"),
     auditLogCtrl.getCaseAuditLogs,
   );
   Route.get(
     "/user/:userId",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("audit:read"),
     auditLogCtrl.getUserAuditLogs,
   );
   Route.get(
     "/session/:sessionId",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("audit:read"),
     auditLogCtrl.getSessionAuditLogs,
   );
 });
 app.group("/backup", (Route) => {
-  Route.get("/", authCtrl.authenticateAdmin, backupCtrl.backupAllData);
+  Route.get(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("backup:run"),
+    backupCtrl.backupAllData,
+  );
 });
 
 app.group("/data-retention", (Route) => {
   Route.post(
     "/run-check",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("retention:run"),
     dataRetentionCtrl.runRetentionCheck,
   );
   Route.get(
     "/summary",
-    authCtrl.authenticateAdmin,
+    authCtrl.authenticate,
+    authCtrl.requirePermission("retention:read"),
     dataRetentionCtrl.getRetentionSummary,
   );
   Route.get(
     "/session/:sessionId/status",
     authCtrl.authenticate,
+    authCtrl.requirePermission("retention:read"),
     dataRetentionCtrl.getSessionRetentionStatus,
   );
 });
 
+app.group("/settings", (Route) => {
+  Route.get(
+    "/",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("settings:manage"),
+    systemSettingsCtrl.getSettings,
+  );
+  Route.get(
+    "/history",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("settings:manage"),
+    systemSettingsCtrl.getSettingsHistory,
+  );
+  Route.put(
+    "/:key",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("settings:manage"),
+    systemSettingsCtrl.updateSetting,
+  );
+  Route.delete(
+    "/:key",
+    authCtrl.authenticate,
+    authCtrl.requirePermission("settings:manage"),
+    systemSettingsCtrl.resetSetting,
+  );
+});
+
 module.exports = app;
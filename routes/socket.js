@@ -1,8 +1,8 @@
 "use strict";
 
-let jwt = require("jsonwebtoken");
-let mongoose = require("mongoose");
-let User = mongoose.model("User");
+const TokenService = require("../app/Services/TokenService");
+const OrganisationService = require("../app/Services/OrganisationService");
+const TenantContext = require("../app/Services/TenantContext");
 const transcriptionService = require("../app/Services/TranscriptionService");
 
 const base64id = require("base64id");
@@ -52,26 +52,57 @@ io.use(function (socket, next) {
     return next(new Error("Authentication error"));
   }
 
-  jwt.verify(token, config.app.key, function (err, decoded) {
-    if (err) {
-      return next(new Error("Authentication error"));
-    }
-
-    User.findById(decoded._id, function (err, user) {
-      if (err) {
-        return next(new Error("Authentication error"));
+  // Same checks as HTTP auth: signature, expiry and server-side revocation
+  TokenService.verifyAccessToken(token)
+    .then(async ({ decoded, user, impersonation }) => {
+      // Live recording writes data, which impersonation does not cover
+      if (impersonation) {
+        return next(new Error("Not available while impersonating"));
       }
       socket.decoded = decoded;
+      socket.organisationId = await OrganisationService.resolveOrganisationId(
+        user,
+        socket.handshake,
+      );
+
+      // A socket for a session may only connect if the user can record it
+      const sessionId =
+        socket.handshake.auth?.sessionId || socket.handshake.query?.sessionId;
+      if (sessionId) {
+        try {
+          await TenantContext.run(socket.organisationId, () =>
+            transcriptionService.authorize(sessionId, user._id),
+          );
+        } catch (error) {
+          return next(new Error(error.message));
+        }
+      }
       next();
-    });
-  });
+    })
+    .catch(() => next(new Error("Authentication error")));
 }).on("connect", function (socket) {
   console.log("User Connected: ", socket.id);
   console.log("User Profile: ", socket.decoded);
 
+  // Run every event handler inside the user's organisation
+  socket.use((packet, next) => TenantContext.run(socket.organisationId, next));
+
+  // Per-user room for server-pushed notices (e.g. break-glass alerts) and
+  // per-login room, so revoking a user or one device drops its sockets
+  socket.join(`user:${socket.decoded._id}`);
+  socket.join(`login:${socket.decoded.sid}`);
+
   const sessionId =
     socket.handshake.auth?.sessionId || socket.handshake.query?.sessionId;
 
+  // A reconnecting client is told its transcription is waiting to resume
+  const paused =
+    sessionId &&
+    transcriptionService.getPausedSession(sessionId, socket.decoded._id);
+  if (paused) {
+    socket.emit("transcription-paused", paused);
+  }
+
   // Handle transcription start
   socket.on("start-transcription", async (options = {}) => {
     try {
@@ -82,7 +113,15 @@ io.use(function (socket, next) {
         return;
       }
 
-      await transcriptionService.startTranscription(sessionId, socket, options);
+      // Access is checked again here. Starting again after a dropped
+      // connection resumes; { takeover: true } takes over another socket's
+      // recording.
+      const result = await transcriptionService.startTranscription(
+        sessionId,
+        socket,
+        options,
+      );
+      if (result.resumed || result.takenOver) return;
 
       socket.emit("transcript", {
         type: "status",
@@ -90,6 +129,25 @@ io.use(function (socket, next) {
       });
     } catch (error) {
       console.error("Error starting transcription:", error);
+      if (error.lock) socket.emit("transcription-locked", error.lock);
+      socket.emit("transcription-error", error.message);
+    }
+  });
+
+  // Handle resuming after a dropped connection
+  socket.on("resume-transcription", async (options = {}) => {
+    try {
+      console.log(`Resume transcription request for session: ${sessionId}`);
+
+      if (!sessionId) {
+        socket.emit("transcription-error", "Session ID is required");
+        return;
+      }
+
+      await transcriptionService.authorize(sessionId, socket.decoded._id);
+      transcriptionService.resumeTranscription(sessionId, socket, options);
+    } catch (error) {
+      console.error("Error resuming transcription:", error);
       socket.emit("transcription-error", error.message);
     }
   });
@@ -113,7 +171,7 @@ io.use(function (socket, next) {
       );
 
       // Process audio chunk
-      transcriptionService.processAudioChunk(sessionId, audioBuffer);
+      transcriptionService.processAudioChunk(sessionId, audioBuffer, socket);
     } catch (error) {
       console.error("[Socket] Error processing audio chunk:", error);
       socket.emit("transcription-error", error.message);
@@ -130,7 +188,10 @@ io.use(function (socket, next) {
         return;
       }
 
-      transcriptionService.stopTranscription(sessionId);
+      transcriptionService.stopTranscription(sessionId, {
+        socket,
+        reason: "client",
+      });
     } catch (error) {
       console.error("Error stopping transcription:", error);
       socket.emit("transcription-error", error.message);
@@ -140,12 +201,12 @@ io.use(function (socket, next) {
   socket.on("disconnect", function () {
     console.log("User Disconnected: ", socket.id);
 
-    // Clean up transcription session on disconnect
+    // Keep the transcription open for the client to reconnect
     if (sessionId && transcriptionService.isSessionActive(sessionId)) {
       console.log(
-        `Cleaning up transcription for disconnected session: ${sessionId}`,
+        `Pausing transcription for disconnected session: ${sessionId}`,
       );
-      transcriptionService.stopTranscription(sessionId);
+      transcriptionService.pauseTranscription(sessionId, socket);
     }
   });
 });
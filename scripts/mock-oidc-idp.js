@@ -0,0 +1,171 @@
+"use strict";
+
+/*
+|--------------------------------------------------------------------------
+| Mock OpenID Connect Identity Provider
+|--------------------------------------------------------------------------
+|
+| A throwaway identity provider for trying single sign-on locally. It signs
+| in whoever asks, straight away, with the email passed as login_hint (or
+| MOCK_IDP_EMAIL) and the groups in MOCK_IDP_GROUPS.
+|
+|   MOCK_IDP_PORT=9400 MOCK_IDP_GROUPS=clinicians node scripts/mock-oidc-idp.js
+|
+| Then configure the organisation's SSO connection with issuer
+| http://localhost:9400, clientId "kapacia" and clientSecret "secret".
+|
+*/
+
+const http = require("http");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT || "9400");
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || "kapacia";
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || "secret";
+const DEFAULT_EMAIL = process.env.MOCK_IDP_EMAIL || "practitioner@example.com";
+const GROUPS = (process.env.MOCK_IDP_GROUPS || "")
+  .split(",")
+  .map((group) => group.trim())
+  .filter(Boolean);
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const KID = crypto.randomBytes(8).toString("hex");
+const privateKeyPem = privateKey.export({ type: "pkcs8", format: "pem" });
+
+// code -> pending sign-in; access token -> claims
+const codes = new Map();
+const accessTokens = new Map();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(new URLSearchParams(body)));
+  });
+
+const claimsFor = (email) => ({
+  sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+  email,
+  email_verified: true,
+  name: email.split("@")[0],
+  groups: GROUPS,
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  if (url.pathname === "/.well-known/openid-configuration") {
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  }
+
+  if (url.pathname === "/jwks") {
+    const jwk = publicKey.export({ format: "jwk" });
+    return sendJson(res, 200, {
+      keys: [{ ...jwk, kid: KID, use: "sig", alg: "RS256" }],
+    });
+  }
+
+  if (url.pathname === "/authorize") {
+    const params = url.searchParams;
+    if (params.get("client_id") !== CLIENT_ID) {
+      return sendJson(res, 400, { error: "unauthorized_client" });
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      email: params.get("login_hint") || DEFAULT_EMAIL,
+      nonce: params.get("nonce"),
+      redirectUri: params.get("redirect_uri"),
+      codeChallenge: params.get("code_challenge"),
+    });
+
+    const redirect = new URL(params.get("redirect_uri"));
+    redirect.searchParams.set("code", code);
+    redirect.searchParams.set("state", params.get("state"));
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === "/token" && req.method === "POST") {
+    const body = await readBody(req);
+    const pending = codes.get(body.get("code"));
+    codes.delete(body.get("code"));
+
+    if (
+      body.get("client_id") !== CLIENT_ID ||
+      body.get("client_secret") !== CLIENT_SECRET
+    ) {
+      return sendJson(res, 401, { error: "invalid_client" });
+    }
+    const challenge = crypto
+      .createHash("sha256")
+      .update(body.get("code_verifier") || "")
+      .digest("base64")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+    if (
+      !pending ||
+      pending.redirectUri !== body.get("redirect_uri") ||
+      pending.codeChallenge !== challenge
+    ) {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+
+    const claims = claimsFor(pending.email);
+    const accessToken = crypto.randomBytes(24).toString("hex");
+    accessTokens.set(accessToken, claims);
+
+    const idToken = jwt.sign(
+      { ...claims, nonce: pending.nonce },
+      privateKeyPem,
+      {
+        algorithm: "RS256",
+        keyid: KID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: "5m",
+      },
+    );
+
+    return sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken,
+    });
+  }
+
+  if (url.pathname === "/userinfo") {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const claims = accessTokens.get(token);
+    return claims
+      ? sendJson(res, 200, claims)
+      : sendJson(res, 401, { error: "invalid_token" });
+  }
+
+  return sendJson(res, 404, { error: "not_found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock identity provider listening at ${ISSUER}`);
+});
@@ -79,6 +79,77 @@ function initializeDataRetentionJob() {
   }
 }
 
+/**
+ * Start the background worker that transcribes uploaded recordings. It is
+ * kicked on every upload; the schedule picks up jobs queued by other
+ * instances and retries jobs whose worker stopped.
+ */
+function initializeTranscriptionWorker() {
+  const cron = require("node-cron");
+  const BatchTranscriptionService = require("./app/Services/BatchTranscriptionService");
+
+  cron.schedule("* * * * *", () => {
+    BatchTranscriptionService.processQueue();
+  });
+  BatchTranscriptionService.kick();
+
+  console.log("[BatchTranscription] Worker initialized - checks every minute");
+}
+
+/**
+ * Assign records created before organisations existed to the default
+ * organisation, so tenant-scoped queries keep finding them
+ */
+async function assignUnscopedRecords() {
+  const OrganisationService = require("./app/Services/OrganisationService");
+
+  try {
+    const results = await OrganisationService.assignUnscopedRecords();
+    const moved = Object.entries(results).filter(([, count]) => count > 0);
+    if (moved.length) {
+      console.log("[Organisation] Assigned records to default organisation:", results);
+    }
+  } catch (error) {
+    console.error("[Organisation] Failed to assign unscoped records:", error);
+  }
+}
+
+/**
+ * Drop unique indexes that stopped two organisations from using the same
+ * case reference or setting key
+ */
+async function dropGlobalUniqueIndexes() {
+  const OrganisationService = require("./app/Services/OrganisationService");
+
+  try {
+    const results = await OrganisationService.dropGlobalUniqueIndexes();
+    const dropped = Object.keys(results).filter((model) => results[model]);
+    if (dropped.length) {
+      console.log("[Organisation] Dropped global unique indexes:", dropped);
+    }
+  } catch (error) {
+    console.error("[Organisation] Failed to drop global unique indexes:", error);
+  }
+}
+
+/**
+ * Rename case statuses stored under a legacy value, such as the misspelled
+ * "Unapporved", to their current names
+ */
+async function migrateCaseStatuses() {
+  const CaseStatusService = require("./app/Services/CaseStatusService");
+
+  try {
+    const results = await CaseStatusService.migrateLegacyStatuses();
+    const migrated = Object.entries(results).filter(([, count]) => count > 0);
+    if (migrated.length) {
+      console.log("[Case] Migrated legacy case statuses:", results);
+    }
+  } catch (error) {
+    console.error("[Case] Failed to migrate legacy case statuses:", error);
+  }
+}
+
 /**
  * On Database Connection.
  */
@@ -110,8 +181,14 @@ mongoose.connection
     app.on("error", onError);
     app.on("listening", onListening);
 
+    assignUnscopedRecords();
+    dropGlobalUniqueIndexes();
+    migrateCaseStatuses();
+
     // Initialize Data Retention Cron Job
     initializeDataRetentionJob();
+
+    initializeTranscriptionWorker();
   });
 
 /**
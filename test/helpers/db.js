@@ -0,0 +1,101 @@
+"use strict";
+
+/*
+|--------------------------------------------------------------------------
+| Database stubs for unit tests
+|--------------------------------------------------------------------------
+|
+| Unit tests run without MongoDB. stub() replaces driver methods on a
+| model's collection with plain functions, so the model's own middleware
+| (tenant scoping, validation, defaults) still runs and the test sees the
+| filter, update and options that would have reached the database.
+|
+| Each function receives the driver arguments without the callback and
+| returns the result, or a promise of it:
+|   find -> array of documents
+|   findOne, findOneAndUpdate, findOneAndDelete -> document or null
+|   insertOne, updateOne, updateMany, deleteMany... -> optional driver result
+|
+*/
+
+const mongoose = require("mongoose");
+require("../../bootstrap/cache/services");
+
+// As server.js sets it
+mongoose.set("useFindAndModify", false);
+
+const WRITE_RESULT = {
+  result: { ok: 1, n: 1, nModified: 1 },
+  n: 1,
+  nModified: 1,
+  matchedCount: 1,
+  modifiedCount: 1,
+  deletedCount: 1,
+  insertedCount: 1,
+};
+
+const FIND_AND_MODIFY = [
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndReplace",
+];
+
+const restores = [];
+
+const wrap = (method, impl) =>
+  function (...args) {
+    const cb = args.pop();
+    Promise.resolve()
+      .then(() => impl(...args))
+      .then(
+        (result) => {
+          if (method === "find") {
+            return cb(null, { toArray: (done) => done(null, result || []) });
+          }
+          if (FIND_AND_MODIFY.includes(method)) {
+            return cb(null, { value: result || null, ok: 1 });
+          }
+          if (result === undefined && method !== "findOne") {
+            return cb(null, WRITE_RESULT);
+          }
+          return cb(null, result === undefined ? null : result);
+        },
+        (err) => cb(err),
+      );
+  };
+
+/**
+ * Replace collection methods of a model for the current test
+ * @param {Object} Model - Mongoose model
+ * @param {Object} methods - Driver method name -> implementation
+ */
+exports.stub = (Model, methods) => {
+  const collection = Model.collection;
+  Object.keys(methods).forEach((method) => {
+    const own = Object.prototype.hasOwnProperty.call(collection, method);
+    const original = collection[method];
+    collection[method] = wrap(method, methods[method]);
+    restores.push(() => {
+      if (own) collection[method] = original;
+      else delete collection[method];
+    });
+  });
+};
+
+/**
+ * Replace a method on any object (a service singleton, usually)
+ */
+exports.replace = (target, name, impl) => {
+  const own = Object.prototype.hasOwnProperty.call(target, name);
+  const original = target[name];
+  target[name] = impl;
+  restores.push(() => {
+    if (own) target[name] = original;
+    else delete target[name];
+  });
+};
+
+// Undo every stub, newest first
+exports.restore = () => {
+  while (restores.length) restores.pop()();
+};
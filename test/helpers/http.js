@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * Minimal Express response for calling controller handlers directly.
+ * res.statusCode and res.body hold what the handler sent.
+ */
+exports.mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+  };
+  return res;
+};
+
+/**
+ * Minimal Express request
+ */
+exports.mockRequest = (fields = {}) => ({
+  body: {},
+  params: {},
+  query: {},
+  headers: {},
+  ip: "127.0.0.1",
+  connection: { remoteAddress: "127.0.0.1" },
+  ...fields,
+});
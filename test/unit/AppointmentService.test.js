@@ -0,0 +1,240 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const AppointmentService = require("../../app/Services/AppointmentService");
+const UserSettingsService = require("../../app/Services/UserSettingsService");
+
+const Appointment = mongoose.model("Appointment");
+
+const CASE_ID = mongoose.Types.ObjectId();
+const USER = { _id: mongoose.Types.ObjectId() };
+
+const local = (date, timezone) =>
+  UserSettingsService.formatDateTime(date, timezone);
+
+describe("AppointmentService", () => {
+  afterEach(() => db.restore());
+
+  describe("occurrences", () => {
+    const startAt = new Date("2026-03-16T09:00:00Z");
+
+    it("repeats weekly at the same local time across a clock change", () => {
+      const dates = AppointmentService.occurrences(
+        startAt,
+        { frequency: "weekly", count: 3 },
+        "Europe/London",
+      );
+
+      expect(dates.map((date) => local(date, "Europe/London"))).to.deep.equal([
+        "2026-03-16 09:00:00",
+        "2026-03-23 09:00:00",
+        "2026-03-30 09:00:00",
+      ]);
+      expect(dates[2].toISOString()).to.equal("2026-03-30T08:00:00.000Z");
+    });
+
+    it("stops at until, including an occurrence on that day", () => {
+      const dates = AppointmentService.occurrences(
+        startAt,
+        { frequency: "weekly", interval: 2, until: "2026-04-13T09:00:00Z" },
+        "UTC",
+      );
+
+      expect(dates.map((date) => date.toISOString())).to.deep.equal([
+        "2026-03-16T09:00:00.000Z",
+        "2026-03-30T09:00:00.000Z",
+        "2026-04-13T09:00:00.000Z",
+      ]);
+    });
+
+    it("refuses an until before the first appointment", () => {
+      expect(() =>
+        AppointmentService.occurrences(
+          startAt,
+          { frequency: "weekly", until: "2026-03-01T00:00:00Z" },
+          "UTC",
+        ),
+      )
+        .to.throw("recurrence.until must not be before startAt")
+        .with.property("statusCode", 400);
+    });
+
+    it("refuses both or neither of count and until", () => {
+      [
+        { frequency: "weekly" },
+        { frequency: "weekly", count: 2, until: "2026-04-01T00:00:00Z" },
+      ].forEach((recurrence) => {
+        expect(() =>
+          AppointmentService.occurrences(startAt, recurrence, "UTC"),
+        ).to.throw("recurrence needs either count or until, but not both");
+      });
+    });
+  });
+
+  describe("schedule", () => {
+    it("answers 400 for a practitioner ID that is not one", async () => {
+      const error = await AppointmentService.schedule(
+        { _id: mongoose.Types.ObjectId(), assignedTo: USER._id },
+        {
+          startAt: new Date(Date.now() + 3600000),
+          endAt: new Date(Date.now() + 7200000),
+          practitioner: "not-an-id",
+        },
+        USER,
+      ).catch((e) => e);
+
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal("practitioner must be a valid user ID");
+    });
+  });
+
+  describe("reschedule", () => {
+    const scheduled = () => {
+      const appointment = new Appointment({
+        case: CASE_ID,
+        practitioner: USER._id,
+        startAt: new Date(Date.now() + 3600000),
+        endAt: new Date(Date.now() + 7200000),
+        createdBy: USER._id,
+      });
+      db.replace(appointment, "save", async () => appointment);
+      return appointment;
+    };
+
+    it("refuses to move an appointment into the past", async () => {
+      const appointment = scheduled();
+
+      const error = await AppointmentService.reschedule(appointment, {
+        startAt: new Date(Date.now() - 7200000),
+        endAt: new Date(Date.now() - 3600000),
+      }).catch((e) => e);
+
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal(
+        "Appointments must be scheduled in the future",
+      );
+    });
+
+    it("still edits the details of an appointment that has started", async () => {
+      const appointment = scheduled();
+      appointment.startAt = new Date(Date.now() - 600000);
+
+      await AppointmentService.reschedule(appointment, { notes: "Ran late" });
+
+      expect(appointment.notes).to.equal("Ran late");
+    });
+  });
+
+  describe("claimForSession", () => {
+    // One appointment, updated only when the claim's filter still matches
+    const stubAppointment = (fields = {}) => {
+      const appointment = {
+        _id: mongoose.Types.ObjectId(),
+        case: CASE_ID,
+        practitioner: USER._id,
+        startAt: new Date(),
+        endAt: new Date(),
+        status: "Scheduled",
+        session: null,
+        ...fields,
+      };
+      const claimable = (filter) =>
+        String(filter._id) === String(appointment._id) &&
+        String(filter.case) === String(appointment.case) &&
+        appointment.session == null &&
+        appointment.status === filter.status;
+      db.stub(Appointment, {
+        findOneAndUpdate: (filter, update) =>
+          claimable(filter)
+            ? { ...Object.assign(appointment, update.$set) }
+            : null,
+        findOne: () => ({ ...appointment }),
+      });
+      return appointment;
+    };
+
+    it("links and completes the appointment in one update", async () => {
+      const stored = stubAppointment();
+      const sessionId = mongoose.Types.ObjectId();
+
+      const claimed = await AppointmentService.claimForSession(
+        stored._id,
+        CASE_ID,
+        sessionId,
+        USER,
+      );
+
+      expect(String(claimed.session)).to.equal(String(sessionId));
+      expect(stored.status).to.equal("Completed");
+      expect(String(stored.statusChangedBy)).to.equal(String(USER._id));
+    });
+
+    it("lets only one of two concurrent starts claim the appointment", async () => {
+      const stored = stubAppointment();
+
+      const results = await Promise.all(
+        [1, 2].map(() =>
+          AppointmentService.claimForSession(
+            stored._id,
+            CASE_ID,
+            mongoose.Types.ObjectId(),
+            USER,
+          ).catch((error) => error),
+        ),
+      );
+
+      const refused = results.filter((result) => result instanceof Error);
+      expect(refused).to.have.length(1);
+      expect(refused[0].statusCode).to.equal(409);
+      expect(refused[0].message).to.equal(
+        "A session has already been started for this appointment",
+      );
+    });
+
+    it("says why an appointment cannot be claimed", async () => {
+      const cancelled = stubAppointment({ status: "Cancelled" });
+      const error = await AppointmentService.claimForSession(
+        cancelled._id,
+        CASE_ID,
+        mongoose.Types.ObjectId(),
+        USER,
+      ).catch((e) => e);
+
+      expect(error.statusCode).to.equal(409);
+      expect(error.message).to.equal(
+        "A Cancelled appointment cannot be started",
+      );
+
+      const otherCase = await AppointmentService.claimForSession(
+        cancelled._id,
+        mongoose.Types.ObjectId(),
+        mongoose.Types.ObjectId(),
+        USER,
+      ).catch((e) => e);
+      expect(otherCase.statusCode).to.equal(400);
+    });
+
+    it("puts a claim back only while it still points at the session", async () => {
+      let released;
+      db.stub(Appointment, {
+        updateOne: (filter, update) => {
+          released = { filter, update };
+        },
+      });
+      const appointment = {
+        _id: mongoose.Types.ObjectId(),
+        session: mongoose.Types.ObjectId(),
+      };
+
+      await AppointmentService.releaseClaim(appointment);
+
+      expect(String(released.filter.session)).to.equal(
+        String(appointment.session),
+      );
+      expect(released.update.$set.status).to.equal("Scheduled");
+      expect(released.update.$unset).to.have.property("session");
+    });
+  });
+});
@@ -0,0 +1,143 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const { mockRequest, mockResponse } = require("../helpers/http");
+const authCtrl = require("../../app/Http/Controllers/v1/AuthController");
+const TokenService = require("../../app/Services/TokenService");
+const OrganisationService = require("../../app/Services/OrganisationService");
+const AuditLogService = require("../../app/Services/AuditLogService");
+
+const AuditLog = mongoose.model("AuditLog");
+
+const ORG = mongoose.Types.ObjectId();
+const ADMIN = {
+  _id: mongoose.Types.ObjectId(),
+  email: "admin@clinic.test",
+  role: "admin",
+  organisation: ORG,
+};
+const USER = {
+  _id: mongoose.Types.ObjectId(),
+  email: "practitioner@clinic.test",
+  role: "practitioner",
+  organisation: ORG,
+};
+
+describe("AuthController", () => {
+  afterEach(() => db.restore());
+
+  describe("authenticate under impersonation", () => {
+    let readOnly;
+    let logged;
+
+    beforeEach(() => {
+      readOnly = true;
+      logged = [];
+      db.replace(TokenService, "verifyAccessToken", async () => ({
+        decoded: { _id: String(USER._id), imp: String(ADMIN._id) },
+        user: USER,
+        impersonator: ADMIN,
+        impersonation: { _id: mongoose.Types.ObjectId(), readOnly },
+      }));
+      db.replace(OrganisationService, "resolveOrganisationId", async () => ORG);
+      db.stub(AuditLog, {
+        insertOne: (doc) => {
+          logged.push(doc);
+        },
+      });
+    });
+
+    const authenticate = async (fields, before = []) => {
+      const req = mockRequest({
+        headers: { "x-access-token": "impersonation-token" },
+        originalUrl: "/api/v1/cases",
+        ...fields,
+      });
+      const res = mockResponse();
+      let reached = false;
+      before.forEach((middleware) => middleware(req, res, () => {}));
+      await authCtrl.authenticate(req, res, () => {
+        reached = true;
+      });
+      return { req, res, reached };
+    };
+
+    it("lets a read through as the user and logs it with both identities", async () => {
+      const { req, reached } = await authenticate({ method: "GET" });
+
+      expect(reached).to.equal(true);
+      expect(req.user).to.equal(USER);
+      expect(logged).to.have.length(1);
+      expect(logged[0].action).to.equal("IMPERSONATION_REQUEST");
+      expect(String(logged[0].user)).to.equal(String(ADMIN._id));
+      expect(String(logged[0].organisation)).to.equal(String(ORG));
+      const { impersonation } = logged[0].details;
+      expect(String(impersonation.adminId)).to.equal(String(ADMIN._id));
+      expect(String(impersonation.impersonatedUserId)).to.equal(
+        String(USER._id),
+      );
+    });
+
+    it("refuses a write on a read-only token and logs the attempt", async () => {
+      const { res, reached } = await authenticate({ method: "POST" });
+
+      expect(reached).to.equal(false);
+      expect(res.statusCode).to.equal(403);
+      expect(res.body.message).to.equal("Impersonation sessions are read-only");
+      expect(logged.map((entry) => entry.action)).to.deep.equal([
+        "IMPERSONATION_BLOCKED",
+      ]);
+    });
+
+    it("lets a write through on routes allowed while impersonating", async () => {
+      const { reached } = await authenticate({ method: "POST" }, [
+        authCtrl.allowWhileImpersonating,
+      ]);
+
+      expect(reached).to.equal(true);
+    });
+
+    it("lets a write through when the admin asked for write access", async () => {
+      readOnly = false;
+
+      const { req, reached } = await authenticate({ method: "PATCH" });
+
+      expect(reached).to.equal(true);
+      expect(req.impersonation.readOnly).to.equal(false);
+    });
+  });
+
+  describe("audit entries under impersonation", () => {
+    it("name both the admin and the user", async () => {
+      const logged = [];
+      db.stub(AuditLog, {
+        insertOne: (doc) => {
+          logged.push(doc);
+        },
+      });
+      const req = mockRequest({
+        impersonation: {
+          adminId: ADMIN._id,
+          impersonatedUserId: USER._id,
+          readOnly: true,
+        },
+      });
+
+      await AuditLogService.createLog({
+        user: USER,
+        action: "CASE_VIEWED",
+        actionCategory: "CASE",
+        resourceType: "Case",
+        details: { caseId: "case-1" },
+        req,
+      });
+
+      expect(logged[0].details.caseId).to.equal("case-1");
+      expect(String(logged[0].details.impersonation.adminId)).to.equal(
+        String(ADMIN._id),
+      );
+    });
+  });
+});
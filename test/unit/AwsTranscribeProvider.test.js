@@ -0,0 +1,123 @@
+"use strict";
+
+const { expect } = require("chai");
+const { Readable } = require("stream");
+const db = require("../helpers/db");
+const AwsTranscribeProvider = require("../../app/Services/TranscriptionProviders/AwsTranscribeProvider");
+
+// A 16-bit PCM WAV file with the given interleaved samples
+const wav = (samples, { channels = 1, sampleRate = 16000 } = {}) => {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+// The file as a stream of small pieces, counting what has been read
+const streamOf = (buffer, pieceBytes = 7) => {
+  const pieces = [];
+  for (let offset = 0; offset < buffer.length; offset += pieceBytes) {
+    pieces.push(buffer.subarray(offset, offset + pieceBytes));
+  }
+  return Readable.from(pieces);
+};
+
+describe("AwsTranscribeProvider", () => {
+  let provider;
+  let sent;
+
+  beforeEach(() => {
+    db.replace(console, "error", () => {});
+    provider = new AwsTranscribeProvider();
+    sent = null;
+    // Collect the audio AWS would receive and answer with no results
+    db.replace(provider.client, "send", async (command) => {
+      sent = { params: command.input, chunks: [] };
+      for await (const event of command.input.AudioStream) {
+        sent.chunks.push(event.AudioEvent.AudioChunk);
+      }
+      return { TranscriptResultStream: [] };
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("transcribeFile", () => {
+    it("streams a WAV recording in 100ms chunks", async () => {
+      const samples = Array.from({ length: 4000 }, (_, i) => i % 100);
+      const file = wav(samples);
+      const progress = [];
+
+      await provider.transcribeFile({
+        audio: streamOf(file, 1000),
+        size: file.length,
+        mimeType: "audio/wav",
+        language: "english",
+        onProgress: (fraction) => progress.push(fraction),
+      });
+
+      expect(sent.params).to.include({
+        MediaEncoding: "pcm",
+        MediaSampleRateHertz: 16000,
+      });
+      expect(sent.chunks.map((chunk) => chunk.length)).to.deep.equal([
+        3200, 3200, 1600,
+      ]);
+      expect(Buffer.concat(sent.chunks)).to.deep.equal(file.subarray(44));
+      expect(progress[progress.length - 1]).to.equal(1);
+    });
+
+    it("mixes a stereo recording down to mono as it is read", async () => {
+      const file = wav([100, 300, -200, -400, 7, 9], { channels: 2 });
+
+      await provider.transcribeFile({
+        audio: streamOf(file),
+        mimeType: "audio/wav",
+        language: "english",
+      });
+
+      const mono = Buffer.concat(sent.chunks);
+      expect([0, 1, 2].map((i) => mono.readInt16LE(i * 2))).to.deep.equal([
+        200, -300, 8,
+      ]);
+    });
+
+    it("still accepts a recording already in memory", async () => {
+      const file = wav([1, 2, 3]);
+
+      await provider.transcribeFile({
+        audio: file,
+        mimeType: "audio/wav",
+        language: "english",
+      });
+
+      expect(Buffer.concat(sent.chunks)).to.deep.equal(file.subarray(44));
+    });
+
+    it("refuses a format it cannot read before sending anything", async () => {
+      const error = await provider
+        .transcribeFile({
+          audio: streamOf(Buffer.from("not audio at all")),
+          mimeType: "audio/webm",
+          language: "english",
+        })
+        .catch((e) => e);
+
+      expect(error.statusCode).to.equal(415);
+      expect(sent).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const BatchTranscriptionService = require("../../app/Services/BatchTranscriptionService");
+const TranscriptionProviderService = require("../../app/Services/TranscriptionProviderService");
+
+const Session = mongoose.model("Session");
+
+const ORG = mongoose.Types.ObjectId();
+const USER = { _id: mongoose.Types.ObjectId(), name: "Someone" };
+
+const session = (fields = {}) =>
+  Session.hydrate({
+    _id: mongoose.Types.ObjectId(),
+    organisation: ORG,
+    case: mongoose.Types.ObjectId(),
+    sessionNumber: 1,
+    createdBy: USER._id,
+    status: "Created",
+    audioS3Key: "recordings/s1/1-abc.wav",
+    ...fields,
+  });
+
+const aws = { name: "aws", supportedMimeTypes: ["audio/wav", "audio/ogg"] };
+const mock = { name: "mock", supportedMimeTypes: null };
+
+const useProvider = (provider) =>
+  db.replace(TranscriptionProviderService, "forOrganisation", async () => {
+    return provider;
+  });
+
+describe("BatchTranscriptionService", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    db.replace(BatchTranscriptionService, "kick", () => {});
+    db.stub(Session, {
+      updateOne: (filter, update) => saved.push(update) && undefined,
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("enqueue", () => {
+    it("queues a recording the provider can read", async () => {
+      useProvider(aws);
+      const queued = await BatchTranscriptionService.enqueue(session(), USER);
+
+      expect(queued.status).to.equal("Processing");
+      expect(queued.transcriptionJob.status).to.equal("Queued");
+      expect(queued.transcriptionJob.provider).to.equal("aws");
+      expect(saved).to.have.length(1);
+    });
+
+    it("refuses a format the provider cannot read without queueing it", async () => {
+      useProvider(aws);
+      const webm = session({ audioS3Key: "recordings/s1/1-abc.webm" });
+
+      const error = await BatchTranscriptionService.enqueue(webm, USER).catch(
+        (e) => e,
+      );
+
+      expect(error.statusCode).to.equal(415);
+      expect(error.message).to.include("audio/webm");
+      expect(webm.status).to.equal("Created");
+      expect(saved).to.have.length(0);
+    });
+  });
+
+  describe("canTranscribe", () => {
+    it("goes by the recording's extension", async () => {
+      useProvider(aws);
+
+      expect(await BatchTranscriptionService.canTranscribe(session())).to.equal(
+        true,
+      );
+      for (const extension of ["webm", "mp3", "m4a"]) {
+        const recording = session({
+          audioS3Key: `recordings/s1/1.${extension}`,
+        });
+        expect(
+          await BatchTranscriptionService.canTranscribe(recording),
+        ).to.equal(false);
+      }
+    });
+
+    it("accepts any format for a provider without a list", async () => {
+      useProvider(mock);
+      const webm = session({ audioS3Key: "recordings/s1/1-abc.webm" });
+
+      expect(await BatchTranscriptionService.canTranscribe(webm)).to.equal(
+        true,
+      );
+    });
+  });
+  describe("retries", () => {
+    const failing = (attempts) =>
+      session({
+        status: "Processing",
+        transcriptionJob: { status: "Running", attempts, provider: "aws" },
+      });
+
+    it("waits longer before each retry of a failed job", async () => {
+      const first = failing(1);
+      const second = failing(2);
+      db.replace(console, "error", () => {});
+
+      await BatchTranscriptionService.fail(first, new Error("Network error"));
+      await BatchTranscriptionService.fail(second, new Error("Network error"));
+
+      expect(first.transcriptionJob.status).to.equal("Queued");
+      const wait = (job) => (job.transcriptionJob.retryAt - Date.now()) / 1000;
+      expect(wait(first)).to.be.within(55, 60);
+      expect(wait(second)).to.be.within(115, 120);
+    });
+
+    it("gives up once the job has used its attempts", async () => {
+      const last = failing(3);
+      db.replace(console, "error", () => {});
+
+      await BatchTranscriptionService.fail(last, new Error("Network error"));
+
+      expect(last.status).to.equal("Error");
+      expect(last.transcriptionJob.status).to.equal("Failed");
+      expect(last.transcriptionJob.retryAt).to.equal(undefined);
+    });
+
+    it("does not claim a queued job before its retry time", async () => {
+      let claimed;
+      db.stub(Session, {
+        findOneAndUpdate: (filter) => {
+          claimed = filter;
+          return null;
+        },
+      });
+
+      await BatchTranscriptionService.claimNext();
+
+      const queued = claimed.$or.find(
+        (branch) => branch["transcriptionJob.status"] === "Queued",
+      );
+      const notBefore = queued["transcriptionJob.retryAt"].$not.$gt;
+      expect(Date.now() - notBefore.getTime()).to.be.within(0, 1000);
+    });
+  });
+});
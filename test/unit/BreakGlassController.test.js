@@ -0,0 +1,56 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const { mockRequest, mockResponse } = require("../helpers/http");
+const BreakGlassController = require("../../app/Http/Controllers/v1/BreakGlassController");
+
+const BreakGlassGrant = mongoose.model("BreakGlassGrant");
+
+describe("BreakGlassController", () => {
+  afterEach(() => db.restore());
+
+  describe("getGrants", () => {
+    const list = async (query) => {
+      const res = mockResponse();
+      await BreakGlassController.getGrants(mockRequest({ query }), res);
+      return res;
+    };
+
+    it("answers 400 for a case or user ID that is not one", async () => {
+      const searched = [];
+      db.stub(BreakGlassGrant, {
+        find: (filter) => {
+          searched.push(filter);
+          return [];
+        },
+        countDocuments: () => 0,
+      });
+
+      const badCase = await list({ caseId: "not-an-id" });
+      const badUser = await list({ userId: { $ne: "" } });
+
+      expect(badCase.statusCode).to.equal(400);
+      expect(badUser.statusCode).to.equal(400);
+      expect(searched).to.have.length(0);
+    });
+
+    it("filters by valid IDs", async () => {
+      const caseId = String(mongoose.Types.ObjectId());
+      let searched;
+      db.stub(BreakGlassGrant, {
+        find: (filter) => {
+          searched = filter;
+          return [];
+        },
+        countDocuments: () => 0,
+      });
+
+      const res = await list({ caseId });
+
+      expect(res.statusCode).to.equal(200);
+      expect(String(searched.case)).to.equal(caseId);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const BreakGlassService = require("../../app/Services/BreakGlassService");
+const UserSettingsService = require("../../app/Services/UserSettingsService");
+const mailer = require("../../app/Traits/SendEmail");
+
+const User = mongoose.model("User");
+const CaseMember = mongoose.model("CaseMember");
+
+const person = (name) => ({
+  _id: mongoose.Types.ObjectId(),
+  name,
+  email: `${name.toLowerCase()}@clinic.test`,
+  role: "practitioner",
+});
+
+describe("BreakGlassService", () => {
+  afterEach(() => db.restore());
+
+  describe("notify", () => {
+    it("tells members who own the case as well as the case lead", async () => {
+      const lead = person("Lead");
+      const coOwner = person("Owner");
+      const requester = person("Requester");
+      const caseData = {
+        _id: mongoose.Types.ObjectId(),
+        displayName: "Case A",
+        assignedTo: lead._id,
+      };
+      let recipientFilter;
+      const mailed = [];
+      db.stub(CaseMember, {
+        distinct: (field, filter) => {
+          expect(filter.role).to.equal("owner");
+          return [coOwner._id];
+        },
+      });
+      db.stub(User, {
+        find: (filter) => {
+          recipientFilter = filter;
+          return [lead, coOwner];
+        },
+      });
+      db.replace(UserSettingsService, "getTimezone", async () => "UTC");
+      db.replace(mailer, "send", (to) => mailed.push(to));
+
+      await BreakGlassService.notify(
+        {
+          _id: mongoose.Types.ObjectId(),
+          reason: "Patient in crisis",
+          expiresAt: new Date(Date.now() + 3600000),
+        },
+        caseData,
+        requester,
+      );
+
+      const ids = recipientFilter.$or[1]._id.$in.map(String);
+      expect(ids).to.have.members([String(lead._id), String(coOwner._id)]);
+      expect(mailed).to.have.members([lead.email, coOwner.email]);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const CaseAccessService = require("../../app/Services/CaseAccessService");
+const BreakGlassService = require("../../app/Services/BreakGlassService");
+
+const Case = mongoose.model("Case");
+const CaseMember = mongoose.model("CaseMember");
+
+const person = (role = "practitioner") => ({
+  _id: mongoose.Types.ObjectId(),
+  role,
+});
+
+describe("CaseAccessService", () => {
+  const lead = person();
+  const stranger = person();
+  let members;
+  let grant;
+  let accessed;
+
+  const openCase = (fields = {}) => ({
+    _id: mongoose.Types.ObjectId(),
+    assignedTo: lead._id,
+    status: "Active",
+    ...fields,
+  });
+
+  const levels = async (user, caseData) => {
+    const result = {};
+    for (const level of ["read", "write", "manage"]) {
+      result[level] = await CaseAccessService.canAccess(user, caseData, level);
+    }
+    return result;
+  };
+
+  beforeEach(() => {
+    members = {};
+    grant = null;
+    accessed = [];
+    db.stub(CaseMember, {
+      findOne: (filter) => {
+        const role = members[String(filter.user)];
+        return role ? { role } : null;
+      },
+    });
+    db.replace(BreakGlassService, "getActiveGrant", async () => grant);
+    db.replace(BreakGlassService, "recordAccess", async (user, caseData) => {
+      accessed.push(String(caseData._id));
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("canAccess", () => {
+    it("gives the case lead every level", async () => {
+      expect(await levels(lead, openCase())).to.deep.equal({
+        read: true,
+        write: true,
+        manage: true,
+      });
+    });
+
+    it("gives each member role its own levels", async () => {
+      const viewer = person();
+      const contributor = person();
+      const owner = person();
+      members[viewer._id] = "viewer";
+      members[contributor._id] = "contributor";
+      members[owner._id] = "owner";
+      const caseData = openCase();
+
+      expect(await levels(viewer, caseData)).to.deep.equal({
+        read: true,
+        write: false,
+        manage: false,
+      });
+      expect(await levels(contributor, caseData)).to.deep.equal({
+        read: true,
+        write: true,
+        manage: false,
+      });
+      expect(await levels(owner, caseData)).to.deep.equal({
+        read: true,
+        write: true,
+        manage: true,
+      });
+    });
+
+    it("lets case:read_all read every case but change none", async () => {
+      expect(await levels(person("supervisor"), openCase())).to.deep.equal({
+        read: true,
+        write: false,
+        manage: false,
+      });
+    });
+
+    it("lets case:manage_all act on every case", async () => {
+      expect(await levels(person("admin"), openCase())).to.deep.equal({
+        read: true,
+        write: true,
+        manage: true,
+      });
+    });
+
+    it("refuses a user who is not on the case", async () => {
+      expect(await levels(stranger, openCase())).to.deep.equal({
+        read: false,
+        write: false,
+        manage: false,
+      });
+    });
+
+    it("lets a break-glass grant read the case, and records the read", async () => {
+      grant = { _id: mongoose.Types.ObjectId(), reason: "Crisis" };
+      const caseData = openCase();
+
+      expect(await levels(stranger, caseData)).to.deep.equal({
+        read: true,
+        write: false,
+        manage: false,
+      });
+      expect(accessed).to.deep.equal([String(caseData._id)]);
+    });
+
+    it("leaves a closed case readable but unchangeable, even by its lead", async () => {
+      const caseData = openCase({ status: "Closed" });
+
+      expect(await levels(lead, caseData)).to.deep.equal({
+        read: true,
+        write: false,
+        manage: false,
+      });
+      expect(await levels(person("admin"), caseData)).to.deep.equal({
+        read: true,
+        write: false,
+        manage: false,
+      });
+    });
+  });
+
+  describe("hasStandingAccess", () => {
+    it("leaves break-glass grants out", async () => {
+      grant = { _id: mongoose.Types.ObjectId(), reason: "Crisis" };
+
+      expect(
+        await CaseAccessService.hasStandingAccess(stranger, openCase(), "read"),
+      ).to.equal(false);
+      expect(accessed).to.have.length(0);
+    });
+  });
+
+  describe("assertCaseAccess", () => {
+    it("answers 404 for a missing case", async () => {
+      db.stub(Case, { findOne: () => null });
+
+      const error = await CaseAccessService.assertCaseAccess(
+        lead,
+        mongoose.Types.ObjectId(),
+      ).catch((e) => e);
+
+      expect(error.statusCode).to.equal(404);
+    });
+
+    it("answers 409 for a change to a closed case and 403 without access", async () => {
+      const closed = await CaseAccessService.assertCaseAccess(
+        lead,
+        openCase({ status: "Closed" }),
+        "write",
+      ).catch((e) => e);
+      const refused = await CaseAccessService.assertCaseAccess(
+        stranger,
+        openCase(),
+      ).catch((e) => e);
+
+      expect(closed.statusCode).to.equal(409);
+      expect(refused.statusCode).to.equal(403);
+    });
+  });
+});
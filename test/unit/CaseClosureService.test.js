@@ -0,0 +1,181 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const CaseClosureService = require("../../app/Services/CaseClosureService");
+const CaseStatusService = require("../../app/Services/CaseStatusService");
+const AuditLogService = require("../../app/Services/AuditLogService");
+const BedrockService = require("../../app/Services/BedrockService");
+const UserSettingsService = require("../../app/Services/UserSettingsService");
+
+const Session = mongoose.model("Session");
+const Soap = mongoose.model("Soap");
+const TimelineSummary = mongoose.model("TimelineSummary");
+
+const USER = { _id: mongoose.Types.ObjectId(), role: "admin" };
+
+describe("CaseClosureService", () => {
+  let locked;
+
+  beforeEach(() => {
+    locked = [];
+    db.replace(AuditLogService, "createLog", async () => {});
+    db.replace(CaseStatusService, "assertTransition", async () => ({
+      reason: "Treatment complete",
+    }));
+    db.stub(Session, { distinct: () => [] });
+    db.stub(Soap, {
+      updateMany: () => {
+        locked.push("Soap");
+      },
+    });
+    db.stub(TimelineSummary, {
+      updateMany: () => {
+        locked.push("TimelineSummary");
+      },
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("close", () => {
+    const caseData = () => ({
+      _id: mongoose.Types.ObjectId(),
+      status: "Active",
+    });
+
+    beforeEach(() => {
+      db.replace(CaseClosureService, "findBlockers", async () => ({
+        total: 0,
+      }));
+      db.replace(CaseClosureService, "getApprovedNotes", async () => []);
+    });
+
+    it("leaves the notes unlocked when the case cannot be saved as closed", async () => {
+      db.replace(CaseStatusService, "transition", async () => {
+        throw new Error("write conflict");
+      });
+
+      const error = await CaseClosureService.close(caseData(), {
+        user: USER,
+        reason: "Treatment complete",
+      }).catch((e) => e);
+
+      expect(error.message).to.equal("write conflict");
+      expect(locked).to.have.length(0);
+    });
+
+    it("locks the notes and summaries once the case is closed", async () => {
+      const steps = [];
+      db.replace(CaseStatusService, "transition", async () => {
+        steps.push("closed");
+      });
+
+      await CaseClosureService.close(caseData(), {
+        user: USER,
+        reason: "Treatment complete",
+      });
+
+      expect(steps).to.deep.equal(["closed"]);
+      expect(locked.sort()).to.deep.equal(["Soap", "TimelineSummary"]);
+    });
+
+    it("refuses with the blockers while a note is unapproved, changing nothing", async () => {
+      const draft = { _id: mongoose.Types.ObjectId(), status: "Draft" };
+      let closed = false;
+      db.replace(CaseClosureService, "findBlockers", async () => ({
+        soapNotes: [draft],
+        timelineSummaries: [],
+        total: 1,
+      }));
+      db.replace(CaseStatusService, "transition", async () => {
+        closed = true;
+      });
+      const data = caseData();
+
+      const error = await CaseClosureService.close(data, {
+        user: USER,
+        reason: "Treatment complete",
+      }).catch((e) => e);
+
+      expect(error.statusCode).to.equal(409);
+      expect(error.code).to.equal("CASE_CLOSURE_BLOCKED");
+      expect(error.blockers.soapNotes).to.deep.equal([draft]);
+      expect(closed).to.equal(false);
+      expect(data).to.not.have.property("closure");
+      expect(locked).to.have.length(0);
+    });
+
+    it("writes a discharge summary from the approved notes", async () => {
+      const approved = { _id: mongoose.Types.ObjectId(), sessionNumber: 1 };
+      let prompt;
+      db.replace(CaseClosureService, "getApprovedNotes", async () => [
+        approved,
+      ]);
+      db.replace(UserSettingsService, "getTimezone", async () => "UTC");
+      db.replace(BedrockService, "generateDischargeSummary", async (input) => {
+        prompt = input;
+        return {
+          summaryText: "Discharged",
+          summaryContent: {},
+          modelId: "model-1",
+        };
+      });
+      db.replace(CaseStatusService, "transition", async () => {});
+
+      const closed = await CaseClosureService.close(caseData(), {
+        user: USER,
+        reason: "Treatment complete",
+      });
+
+      expect(prompt.notes).to.deep.equal([approved]);
+      expect(prompt.closureReason).to.equal("Treatment complete");
+      expect(closed.closure.dischargeSummary.summaryText).to.equal(
+        "Discharged",
+      );
+      expect(closed.closure.dischargeSummary.notesIncluded).to.deep.equal([
+        approved._id,
+      ]);
+      expect(String(closed.closure.closedBy)).to.equal(String(USER._id));
+    });
+  });
+
+  describe("findBlockers", () => {
+    it("counts only the latest version of each session's note", async () => {
+      const first = mongoose.Types.ObjectId();
+      const second = mongoose.Types.ObjectId();
+      const note = (session, version, status) => ({
+        _id: mongoose.Types.ObjectId(),
+        session,
+        version,
+        framework: "SOAP",
+        status,
+      });
+      db.stub(Session, {
+        distinct: () => [first, second],
+        find: () => [
+          { _id: first, sessionNumber: 1 },
+          { _id: second, sessionNumber: 2 },
+        ],
+      });
+      db.stub(Soap, {
+        find: () => [
+          note(first, 1, "Draft"),
+          note(second, 1, "Approved"),
+          note(first, 2, "Approved"),
+          note(second, 2, "Draft"),
+        ],
+      });
+      db.stub(TimelineSummary, { find: () => [] });
+
+      const blockers = await CaseClosureService.findBlockers({
+        _id: mongoose.Types.ObjectId(),
+      });
+
+      expect(blockers.total).to.equal(1);
+      expect(blockers.soapNotes[0].session.sessionNumber).to.equal(2);
+      expect(blockers.soapNotes[0].version).to.equal(2);
+    });
+  });
+});
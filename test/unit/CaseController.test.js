@@ -0,0 +1,117 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const { mockRequest, mockResponse } = require("../helpers/http");
+const CaseController = require("../../app/Http/Controllers/v1/CaseController");
+const BreakGlassService = require("../../app/Services/BreakGlassService");
+
+const Case = mongoose.model("Case");
+const User = mongoose.model("User");
+const CaseMember = mongoose.model("CaseMember");
+
+describe("CaseController", () => {
+  beforeEach(() => {
+    db.stub(Case, {
+      find: () => [],
+      countDocuments: (filter) => (filter.status === "PendingApproval" ? 2 : 0),
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("getAllCases", () => {
+    it("reports cases pending approval under their old name too", async () => {
+      const res = mockResponse();
+
+      await CaseController.getAllCases(mockRequest(), res);
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.stats).to.include({ pendingApproval: 2, unapproved: 2 });
+    });
+  });
+
+  describe("exportCase", () => {
+    it("refuses an export made under emergency access", async () => {
+      const user = {
+        _id: mongoose.Types.ObjectId(),
+        name: "On call",
+        role: "practitioner",
+      };
+      const caseData = {
+        _id: mongoose.Types.ObjectId(),
+        assignedTo: mongoose.Types.ObjectId(),
+        status: "Active",
+      };
+      const accessed = [];
+      db.stub(Case, { findOne: () => caseData });
+      db.stub(User, { find: () => [], findOne: () => user });
+      db.stub(CaseMember, { findOne: () => null });
+      db.replace(BreakGlassService, "getActiveGrant", async () => ({
+        _id: mongoose.Types.ObjectId(),
+      }));
+      db.replace(BreakGlassService, "recordAccess", async () =>
+        accessed.push(caseData._id),
+      );
+      const res = mockResponse();
+
+      await CaseController.exportCase(
+        mockRequest({
+          params: { caseId: String(caseData._id) },
+          decoded: { _id: String(user._id) },
+          query: {},
+        }),
+        res,
+      );
+
+      expect(res.statusCode).to.equal(403);
+      expect(res.body.message).to.equal(
+        "You don't have access to export this case",
+      );
+      expect(accessed).to.have.length(0);
+    });
+  });
+
+  describe("removeCaseMember", () => {
+    const USER_ID = mongoose.Types.ObjectId();
+    const remove = async (params) => {
+      const res = mockResponse();
+      await CaseController.removeCaseMember(
+        mockRequest({ params, decoded: { _id: String(USER_ID) } }),
+        res,
+      );
+      return res;
+    };
+
+    it("refuses to remove a member from a closed case", async () => {
+      const removed = [];
+      db.stub(Case, {
+        findOne: () => ({ _id: mongoose.Types.ObjectId(), status: "Closed" }),
+      });
+      db.stub(CaseMember, {
+        findOneAndDelete: (filter) => {
+          removed.push(filter);
+          return null;
+        },
+      });
+
+      const res = await remove({
+        caseId: String(mongoose.Types.ObjectId()),
+        userId: String(USER_ID),
+      });
+
+      expect(res.statusCode).to.equal(409);
+      expect(removed).to.have.length(0);
+    });
+
+    it("answers 400 for an ID that is not one", async () => {
+      const res = await remove({
+        caseId: "not-an-id",
+        userId: String(USER_ID),
+      });
+
+      expect(res.statusCode).to.equal(400);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const ClientProfileService = require("../../app/Services/ClientProfileService");
+const BedrockService = require("../../app/Services/BedrockService");
+
+const ClientProfile = mongoose.model("ClientProfile");
+
+const PROFILE = {
+  firstName: "Alex",
+  lastName: "Morgan",
+  dateOfBirth: new Date("1990-01-15"),
+  gender: "non-binary",
+  pronouns: "they/them",
+  phone: "07700 900000",
+  address: { line1: "1 High Street", city: "Leeds", country: "UK" },
+  emergencyContacts: [
+    { name: "Sam Morgan", relationship: "sibling", phone: "07700 900001" },
+  ],
+  referral: {
+    source: "GP",
+    referrerName: "Dr Patel",
+    reason: "Low mood",
+  },
+  presentingProblem: "Anxiety at work",
+};
+
+describe("ClientProfileService", () => {
+  afterEach(() => db.restore());
+
+  describe("mask", () => {
+    it("hides every PHI field and keeps the clinical context", () => {
+      const masked = ClientProfileService.mask(new ClientProfile(PROFILE));
+
+      expect(masked.firstName).to.equal("[REDACTED]");
+      expect(masked.dateOfBirth).to.equal("[REDACTED]");
+      expect(masked.address.line1).to.equal("[REDACTED]");
+      expect(masked.address.country).to.equal("UK");
+      expect(masked.emergencyContacts[0]).to.deep.equal({
+        name: "[REDACTED]",
+        relationship: "sibling",
+        phone: "[REDACTED]",
+      });
+      expect(masked.referral.referrerName).to.equal("[REDACTED]");
+      expect(masked.referral.source).to.equal("GP");
+      expect(masked.presentingProblem).to.equal("Anxiety at work");
+    });
+
+    it("leaves fields that were never filled in empty", () => {
+      const masked = ClientProfileService.mask({ gender: "female" });
+
+      expect(masked).to.deep.equal({ gender: "female" });
+    });
+  });
+
+  describe("toPromptContext", () => {
+    it("gives the AI background without identifying the client", () => {
+      const context = ClientProfileService.toPromptContext(PROFILE);
+
+      expect(context).to.include("Gender: non-binary");
+      expect(context).to.include("Referral source: GP");
+      expect(context).to.include("Presenting problem: Anxiety at work");
+      expect(context).to.match(/Age: \d+/);
+      ["Alex", "Morgan", "1990", "07700", "High Street", "Patel"].forEach(
+        (identifying) => expect(context).to.not.include(identifying),
+      );
+    });
+
+    it("adds nothing when the case has no profile", () => {
+      expect(ClientProfileService.toPromptContext(null)).to.equal("");
+    });
+
+    it("reaches the note and timeline summary prompts", () => {
+      const clientContext = "Presenting problem: Anxiety at work";
+
+      expect(
+        BedrockService.buildPrompt({
+          transcriptText: "Hello",
+          sessionDate: new Date(),
+          timezone: "UTC",
+          clientContext,
+        }),
+      ).to.include(clientContext);
+      expect(
+        BedrockService.buildTimelineSummaryPrompt({
+          soapNotes: [],
+          timezone: "UTC",
+          clientContext,
+        }),
+      ).to.include(clientContext);
+    });
+  });
+
+  describe("upsert", () => {
+    const caseData = { _id: mongoose.Types.ObjectId() };
+    const user = { _id: mongoose.Types.ObjectId() };
+    let saved;
+
+    beforeEach(() => {
+      saved = [];
+      db.stub(ClientProfile, {
+        findOne: () => null,
+        insertOne: (doc) => {
+          saved.push(doc);
+        },
+      });
+    });
+
+    it("creates the profile and reports which fields changed", async () => {
+      const { changedFields } = await ClientProfileService.upsert(
+        caseData,
+        { gender: "female", presentingProblem: "Grief" },
+        user,
+      );
+
+      expect(changedFields).to.have.members(["gender", "presentingProblem"]);
+      expect(String(saved[0].case)).to.equal(String(caseData._id));
+      expect(String(saved[0].updatedBy)).to.equal(String(user._id));
+    });
+
+    it("refuses unknown and server-set fields", async () => {
+      const error = await ClientProfileService.upsert(
+        caseData,
+        { organisation: mongoose.Types.ObjectId(), nickname: "Al" },
+        user,
+      ).catch((e) => e);
+
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal(
+        "Unknown field(s): organisation, nickname",
+      );
+      expect(saved).to.have.length(0);
+    });
+
+    it("refuses a date of birth in the future", async () => {
+      const error = await ClientProfileService.upsert(
+        caseData,
+        { dateOfBirth: new Date(Date.now() + 86400000) },
+        user,
+      ).catch((e) => e);
+
+      expect(error.statusCode).to.equal(400);
+      expect(saved).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+"use strict";
+
+const { expect } = require("chai");
+const db = require("../helpers/db");
+const LiveRecordingService = require("../../app/Services/LiveRecordingService");
+const s3Service = require("../../app/Services/S3Service");
+
+describe("LiveRecordingService", () => {
+  let calls;
+  let createUpload;
+
+  beforeEach(() => {
+    calls = [];
+    db.replace(s3Service, "bucketName", "recordings-bucket");
+    // The multipart upload is created only when the test says so
+    db.replace(
+      s3Service,
+      "createMultipartUpload",
+      () =>
+        new Promise((resolve) => (createUpload = () => resolve("upload-1"))),
+    );
+    db.replace(
+      s3Service,
+      "uploadPart",
+      async (key, uploadId, partNumber, body) => {
+        calls.push({ call: "uploadPart", uploadId, partNumber, body });
+        return { PartNumber: partNumber, ETag: `etag-${partNumber}` };
+      },
+    );
+    db.replace(s3Service, "completeMultipartUpload", async (key, uploadId) => {
+      calls.push({ call: "complete", uploadId });
+    });
+    db.replace(s3Service, "abortMultipartUpload", async (key, uploadId) => {
+      calls.push({ call: "abort", uploadId });
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  it("aborts an upload that was still being created", async () => {
+    const recording = LiveRecordingService.start("session-1");
+    recording.write(Buffer.alloc(3200));
+
+    const aborting = recording.abort();
+    createUpload();
+    await aborting;
+
+    expect(calls).to.deep.equal([{ call: "abort", uploadId: "upload-1" }]);
+  });
+
+  it("uploads the audio as a WAV file when finished", async () => {
+    const recording = LiveRecordingService.start("session-1", {
+      sampleRate: 8000,
+    });
+    recording.write(Buffer.alloc(16000, 1));
+    createUpload();
+
+    const result = await recording.finish();
+
+    expect(result).to.include({ sizeBytes: 16044, durationSeconds: 1 });
+    expect(calls.map((c) => c.call)).to.deep.equal(["uploadPart", "complete"]);
+    const file = calls[0].body;
+    expect(file.toString("ascii", 0, 4)).to.equal("RIFF");
+    expect(file.readUInt32LE(24)).to.equal(8000);
+    expect(file.readUInt32LE(40)).to.equal(16000);
+  });
+});
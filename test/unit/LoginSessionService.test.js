@@ -0,0 +1,113 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const LoginSessionService = require("../../app/Services/LoginSessionService");
+const { mockRequest } = require("../helpers/http");
+
+const LoginSession = mongoose.model("LoginSession");
+
+const IPHONE =
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1";
+const EDGE =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0";
+
+describe("LoginSessionService", () => {
+  afterEach(() => db.restore());
+
+  describe("describeDevice", () => {
+    it("names the browser, system and form factor", () => {
+      expect(LoginSessionService.describeDevice(IPHONE)).to.deep.equal({
+        browser: "Safari",
+        os: "iOS",
+        type: "mobile",
+      });
+      expect(LoginSessionService.describeDevice(EDGE)).to.deep.equal({
+        browser: "Edge",
+        os: "Windows",
+        type: "desktop",
+      });
+    });
+
+    it("copes with a missing user agent", () => {
+      expect(LoginSessionService.describeDevice(undefined)).to.deep.equal({
+        browser: "Unknown",
+        os: "Unknown",
+        type: "desktop",
+      });
+    });
+  });
+
+  describe("start", () => {
+    it("records the device and address the user signed in from", async () => {
+      const created = [];
+      db.stub(LoginSession, {
+        insertOne: (doc) => {
+          created.push(doc);
+        },
+      });
+
+      await LoginSessionService.start(
+        {
+          _id: mongoose.Types.ObjectId(),
+          organisation: mongoose.Types.ObjectId(),
+        },
+        "family-1",
+        mockRequest({ ip: "10.0.0.7", headers: { "user-agent": IPHONE } }),
+        { expiresAt: new Date(Date.now() + 60000) },
+      );
+
+      expect(created[0].family).to.equal("family-1");
+      expect(created[0].method).to.equal("password");
+      expect(created[0].ipAddress).to.equal("10.0.0.7");
+      expect(created[0].device.os).to.equal("iOS");
+    });
+  });
+
+  describe("markRevoked", () => {
+    let disconnected;
+
+    beforeEach(() => {
+      disconnected = [];
+      db.replace(global, "io", {
+        in: (room) => ({
+          disconnectSockets: () => disconnected.push(room),
+        }),
+      });
+    });
+
+    it("marks only open sessions and drops the session's sockets", async () => {
+      let revoked;
+      db.stub(LoginSession, {
+        updateMany: (filter, update) => {
+          revoked = { filter, update };
+        },
+      });
+      const admin = mongoose.Types.ObjectId();
+
+      await LoginSessionService.markRevoked(
+        { family: "family-1" },
+        "admin_revoked",
+        admin,
+      );
+
+      expect(revoked.filter).to.deep.equal({
+        family: "family-1",
+        revokedAt: null,
+      });
+      expect(revoked.update.$set.revokedReason).to.equal("admin_revoked");
+      expect(String(revoked.update.$set.revokedBy)).to.equal(String(admin));
+      expect(disconnected).to.deep.equal(["login:family-1"]);
+    });
+
+    it("drops every socket of a user whose logins are all revoked", async () => {
+      db.stub(LoginSession, { updateMany: () => undefined });
+      const user = mongoose.Types.ObjectId();
+
+      await LoginSessionService.markRevoked({ user }, "deactivated");
+
+      expect(disconnected).to.deep.equal([`user:${user}`]);
+    });
+  });
+});
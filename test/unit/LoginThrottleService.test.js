@@ -0,0 +1,162 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const LoginThrottleService = require("../../app/Services/LoginThrottleService");
+const AuditLogService = require("../../app/Services/AuditLogService");
+const { mockRequest } = require("../helpers/http");
+const {
+  MAX_ACCOUNT_LOGIN_ATTEMPTS,
+  MAX_IP_AUTH_ATTEMPTS,
+  AUTH_ATTEMPT_WINDOW_MINUTES,
+} = require("../../config/constants");
+
+const User = mongoose.model("User");
+const AuthThrottle = mongoose.model("AuthThrottle");
+
+// Enough of MongoDB's filters and update operators for the throttle's queries
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, condition]) => {
+    const value = doc[path];
+    if (condition && condition.$gte !== undefined) {
+      return value >= condition.$gte;
+    }
+    if (condition && condition.$lte !== undefined) {
+      return value <= condition.$lte;
+    }
+    return String(value) === String(condition);
+  });
+
+const apply = (doc, update, inserting) => {
+  Object.assign(doc, update.$set, inserting ? update.$setOnInsert : {});
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+    doc[path] = (doc[path] || 0) + amount;
+  });
+  return doc;
+};
+
+// A collection held in memory, so concurrent calls share its documents
+const memoryCollection = (Model, docs) => {
+  const update = (filter, changes, options = {}) => {
+    let doc = docs.find((candidate) => matches(candidate, filter));
+    if (!doc && !options.upsert) return null;
+    const inserting = !doc;
+    if (inserting) {
+      doc = { _id: mongoose.Types.ObjectId(), ...filter };
+      docs.push(doc);
+    }
+    return { ...apply(doc, changes, inserting) };
+  };
+  db.stub(Model, {
+    updateOne: (filter, changes) => update(filter, changes) && undefined,
+    findOneAndUpdate: update,
+  });
+  return docs;
+};
+
+describe("LoginThrottleService", () => {
+  let audited;
+
+  beforeEach(() => {
+    audited = [];
+    db.replace(AuditLogService, "createLog", async (entry) => {
+      audited.push(entry.action);
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("recordAccountFailure", () => {
+    const account = (fields = {}) => ({
+      _id: mongoose.Types.ObjectId(),
+      email: "someone@clinic.test",
+      failedLoginAttempts: 0,
+      lockoutCount: 0,
+      ...fields,
+    });
+
+    it("locks the account on reaching the limit", async () => {
+      const user = account();
+      const [stored] = memoryCollection(User, [
+        { ...user, failedLoginAttempts: MAX_ACCOUNT_LOGIN_ATTEMPTS - 1 },
+      ]);
+
+      const locked = await LoginThrottleService.recordAccountFailure(
+        user,
+        mockRequest(),
+        "login",
+      );
+
+      expect(locked).to.equal(true);
+      expect(stored.failedLoginAttempts).to.equal(0);
+      expect(stored.lockoutCount).to.equal(1);
+      expect(user.lockedUntil).to.be.above(new Date());
+      expect(audited).to.deep.equal(["ACCOUNT_LOCKED"]);
+    });
+
+    it("counts concurrent failures and locks only once", async () => {
+      const user = account();
+      const [stored] = memoryCollection(User, [
+        { ...user, failedLoginAttempts: MAX_ACCOUNT_LOGIN_ATTEMPTS - 2 },
+      ]);
+
+      // Each request loaded the user before any of them was counted
+      const results = await Promise.all(
+        [1, 2, 3].map(() =>
+          LoginThrottleService.recordAccountFailure(
+            { ...user, failedLoginAttempts: MAX_ACCOUNT_LOGIN_ATTEMPTS - 2 },
+            mockRequest(),
+            "login",
+          ),
+        ),
+      );
+
+      expect(results.filter(Boolean)).to.have.length(1);
+      expect(stored.lockoutCount).to.equal(1);
+      expect(audited).to.deep.equal(["ACCOUNT_LOCKED"]);
+    });
+  });
+
+  describe("recordIpAttempt", () => {
+    const req = () => mockRequest({ ip: "203.0.113.7" });
+
+    it("counts concurrent attempts from a new IP and locks it once", async () => {
+      const docs = memoryCollection(AuthThrottle, []);
+
+      await Promise.all(
+        Array.from({ length: MAX_IP_AUTH_ATTEMPTS }, () =>
+          LoginThrottleService.recordIpAttempt(req(), "login"),
+        ),
+      );
+
+      expect(docs).to.have.length(1);
+      expect(docs[0]).to.include({
+        key: "login:ip:203.0.113.7",
+        count: 0,
+        lockouts: 1,
+      });
+      expect(docs[0].lockedUntil).to.be.above(new Date());
+      expect(audited).to.deep.equal(["IP_LOCKED"]);
+    });
+
+    it("starts a new window once the previous one has passed", async () => {
+      const windowMs = AUTH_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+      const [stored] = memoryCollection(AuthThrottle, [
+        {
+          _id: mongoose.Types.ObjectId(),
+          key: "login:ip:203.0.113.7",
+          count: MAX_IP_AUTH_ATTEMPTS - 1,
+          lockouts: 0,
+          windowStartedAt: new Date(Date.now() - windowMs - 1000),
+        },
+      ]);
+
+      await LoginThrottleService.recordIpAttempt(req(), "login");
+
+      expect(stored.count).to.equal(1);
+      expect(stored.lockedUntil).to.equal(undefined);
+      expect(audited).to.have.length(0);
+    });
+  });
+});
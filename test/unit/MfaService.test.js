@@ -0,0 +1,97 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const MfaService = require("../../app/Services/MfaService");
+
+const User = mongoose.model("User");
+
+const STEP_SECONDS = 30;
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+describe("MfaService", () => {
+  const secret = MfaService.generateSecret();
+  let stored;
+  let user;
+
+  beforeEach(() => {
+    user = { _id: mongoose.Types.ObjectId(), mfaSecret: "encrypted" };
+    stored = { _id: user._id };
+    db.replace(MfaService, "decryptSecret", () => secret);
+    // The user's last step moves only when the update's filter still matches
+    db.stub(User, {
+      findOneAndUpdate: (filter, update) => {
+        const limit = filter.mfaLastTotpStep.$not.$gte;
+        if (stored.mfaLastTotpStep >= limit) return null;
+        Object.assign(stored, update.$set);
+        return { _id: stored._id };
+      },
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("consumeTotp", () => {
+    it("accepts a code once and refuses it when replayed", async () => {
+      const code = MfaService.generateCode(secret, currentStep());
+
+      expect(await MfaService.consumeTotp(user, code)).to.equal(true);
+      expect(stored.mfaLastTotpStep).to.equal(currentStep());
+      expect(await MfaService.consumeTotp(user, code)).to.equal(false);
+    });
+
+    it("refuses a code from before the last one accepted", async () => {
+      const step = currentStep();
+      await MfaService.consumeTotp(user, MfaService.generateCode(secret, step));
+
+      const earlier = MfaService.generateCode(secret, step - 1);
+      expect(await MfaService.consumeTotp(user, earlier)).to.equal(false);
+      expect(stored.mfaLastTotpStep).to.equal(step);
+    });
+
+    it("lets only one of two concurrent uses of a code through", async () => {
+      const code = MfaService.generateCode(secret, currentStep());
+
+      const results = await Promise.all([
+        MfaService.consumeTotp(user, code),
+        MfaService.consumeTotp(user, code),
+      ]);
+
+      expect(results.filter(Boolean)).to.have.length(1);
+    });
+
+    it("refuses a wrong code without touching the user", async () => {
+      expect(await MfaService.consumeTotp(user, "12345x")).to.equal(false);
+      expect(stored).to.not.have.property("mfaLastTotpStep");
+    });
+  });
+
+  describe("verifySecondFactor", () => {
+    it("lets a recovery code be spent only once, even in parallel", async () => {
+      const hash = MfaService.hashRecoveryCode("abcde-12345");
+      stored.mfaRecoveryCodes = [hash, "other"];
+      db.stub(User, {
+        findOneAndUpdate: (filter, update) => {
+          if (!stored.mfaRecoveryCodes.includes(filter.mfaRecoveryCodes)) {
+            return null;
+          }
+          stored.mfaRecoveryCodes = stored.mfaRecoveryCodes.filter(
+            (code) => code !== update.$pull.mfaRecoveryCodes,
+          );
+          return { _id: stored._id };
+        },
+      });
+      const attempt = () =>
+        MfaService.verifySecondFactor(
+          { ...user, mfaRecoveryCodes: [hash, "other"] },
+          { recoveryCode: "ABCDE 12345" },
+        );
+
+      const results = await Promise.all([attempt(), attempt()]);
+
+      expect(results.sort()).to.deep.equal([null, "recovery_code"]);
+      expect(stored.mfaRecoveryCodes).to.deep.equal(["other"]);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+"use strict";
+
+const { expect } = require("chai");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const OnboardingService = require("../../app/Services/OnboardingService");
+const appConfig = require("../../config/app");
+
+const User = mongoose.model("User");
+
+const tokenOf = (link) =>
+  jwt.verify(decodeURIComponent(link.split("token=")[1]), "test-key");
+
+describe("OnboardingService", () => {
+  let stored;
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+    stored = {
+      _id: mongoose.Types.ObjectId(),
+      email: "invitee@clinic.test",
+    };
+    db.replace(appConfig, "key", "test-key");
+    db.stub(User, {
+      findOne: () => ({ ...stored }),
+      updateOne: (filter, update) => {
+        updates.push(update.$set);
+        Object.assign(stored, update.$set);
+        Object.keys(update.$unset || {}).forEach((field) => {
+          delete stored[field];
+        });
+      },
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("issueLink", () => {
+    it("replaces the current link by default", async () => {
+      stored.onboardingTokenId = "current";
+      stored.onboardingTokenExpiresAt = new Date(Date.now() + 3600000);
+
+      const { link } = await OnboardingService.issueLink(stored, "invitation");
+
+      expect(tokenOf(link).jti).to.not.equal("current");
+      expect(stored.onboardingTokenId).to.equal(tokenOf(link).jti);
+    });
+
+    it("signs the current link again when asked to keep it", async () => {
+      const expiresAt = new Date(Date.now() + 3600000);
+      stored.onboardingTokenId = "current";
+      stored.onboardingTokenExpiresAt = expiresAt;
+
+      const issued = await OnboardingService.issueLink(stored, "invitation", {
+        keepCurrent: true,
+      });
+
+      const token = tokenOf(issued.link);
+      expect(token.jti).to.equal("current");
+      expect(token.exp).to.equal(Math.floor(expiresAt.getTime() / 1000));
+      expect(issued.expiresAt.getTime()).to.equal(expiresAt.getTime());
+      expect(updates).to.have.length(0);
+    });
+
+    it("issues a new link when the current one has expired", async () => {
+      stored.onboardingTokenId = "expired";
+      stored.onboardingTokenExpiresAt = new Date(Date.now() - 1000);
+
+      const { link } = await OnboardingService.issueLink(
+        stored,
+        "email_verification",
+        { keepCurrent: true },
+      );
+
+      expect(tokenOf(link).jti).to.not.equal("expired");
+      expect(updates).to.have.length(1);
+    });
+  });
+
+  describe("verifyLink", () => {
+    const linkFor = async (purpose = "invitation") =>
+      decodeURIComponent(
+        (await OnboardingService.issueLink(stored, purpose)).link.split(
+          "token=",
+        )[1],
+      );
+
+    it("resolves the current link to its user", async () => {
+      const token = await linkFor();
+
+      const user = await OnboardingService.verifyLink(token, "invitation");
+
+      expect(String(user._id)).to.equal(String(stored._id));
+    });
+
+    it("refuses a link issued for another purpose", async () => {
+      const token = await linkFor("email_verification");
+
+      const error = await OnboardingService.verifyLink(
+        token,
+        "invitation",
+      ).catch((e) => e);
+
+      expect(error.statusCode).to.equal(400);
+    });
+
+    it("answers 410 for an expired link", async () => {
+      const token = jwt.sign(
+        {
+          _id: stored._id,
+          email: stored.email,
+          purpose: "invitation",
+          exp: Math.floor(Date.now() / 1000) - 60,
+        },
+        "test-key",
+      );
+
+      const error = await OnboardingService.verifyLink(
+        token,
+        "invitation",
+      ).catch((e) => e);
+
+      expect(error.statusCode).to.equal(410);
+      expect(error.message).to.equal("This link has expired");
+    });
+
+    it("answers 410 once the link is replaced or the email changes", async () => {
+      const first = await linkFor();
+      const second = await linkFor();
+      const replaced = await OnboardingService.verifyLink(
+        first,
+        "invitation",
+      ).catch((e) => e);
+
+      stored.email = "changed@clinic.test";
+      const changed = await OnboardingService.verifyLink(
+        second,
+        "invitation",
+      ).catch((e) => e);
+
+      expect(replaced.statusCode).to.equal(410);
+      expect(changed.statusCode).to.equal(410);
+      expect(changed.message).to.equal("This link is no longer valid");
+    });
+  });
+
+  describe("verifyEmail", () => {
+    it("marks the email verified and lets the link be used only once", async () => {
+      Object.assign(stored, { name: "Invitee", password: "hashed" });
+      const { link } = await OnboardingService.issueLink(
+        stored,
+        "email_verification",
+      );
+      const token = decodeURIComponent(link.split("token=")[1]);
+
+      await OnboardingService.verifyEmail(token);
+      const reused = await OnboardingService.verifyEmail(token).catch((e) => e);
+
+      expect(stored.emailVerified).to.equal(true);
+      expect(stored.emailVerifiedAt).to.be.an.instanceOf(Date);
+      expect(stored).to.not.have.property("onboardingTokenId");
+      expect(reused.statusCode).to.equal(410);
+    });
+  });
+});
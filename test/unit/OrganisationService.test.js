@@ -0,0 +1,59 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const OrganisationService = require("../../app/Services/OrganisationService");
+
+const Case = mongoose.model("Case");
+const SystemSettings = mongoose.model("SystemSettings");
+
+const mongoError = (code) => Object.assign(new Error("index error"), { code });
+
+describe("OrganisationService", () => {
+  afterEach(() => db.restore());
+
+  describe("dropGlobalUniqueIndexes", () => {
+    it("drops the global unique indexes on case references and setting keys", async () => {
+      const dropped = [];
+      [Case, SystemSettings].forEach((Model) =>
+        db.replace(Model.collection, "dropIndex", async (name) => {
+          dropped.push(`${Model.modelName}.${name}`);
+        }),
+      );
+
+      const results = await OrganisationService.dropGlobalUniqueIndexes();
+
+      expect(dropped).to.deep.equal([
+        "Case.internalRef_1",
+        "SystemSettings.settingKey_1",
+      ]);
+      expect(results).to.deep.equal({ Case: true, SystemSettings: true });
+    });
+
+    it("reports indexes and collections that are already gone", async () => {
+      db.replace(Case.collection, "dropIndex", async () => {
+        throw mongoError(27);
+      });
+      db.replace(SystemSettings.collection, "dropIndex", async () => {
+        throw mongoError(26);
+      });
+
+      const results = await OrganisationService.dropGlobalUniqueIndexes();
+
+      expect(results).to.deep.equal({ Case: false, SystemSettings: false });
+    });
+
+    it("passes on other errors", async () => {
+      db.replace(Case.collection, "dropIndex", async () => {
+        throw mongoError(13);
+      });
+
+      const error = await OrganisationService.dropGlobalUniqueIndexes().catch(
+        (e) => e,
+      );
+
+      expect(error.code).to.equal(13);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+"use strict";
+
+const { expect } = require("chai");
+const bcrypt = require("bcryptjs");
+const db = require("../helpers/db");
+const PasswordPolicyService = require("../../app/Services/PasswordPolicyService");
+
+describe("PasswordPolicyService", () => {
+  afterEach(() => db.restore());
+
+  describe("applyPassword", () => {
+    it("hashes the new password asynchronously and keeps the old hash", async function () {
+      // bcrypt at the production cost is slow on purpose
+      this.timeout(20000);
+      db.replace(PasswordPolicyService, "getPolicy", async () => ({
+        historyCount: 3,
+      }));
+      const user = {
+        password: "old-hash",
+        passwordHistory: [],
+        isSelected: () => true,
+      };
+
+      const pending = PasswordPolicyService.hash("New-password-1");
+      expect(pending).to.be.a("promise");
+      await pending;
+
+      await PasswordPolicyService.applyPassword(user, "New-password-1");
+
+      expect(bcrypt.compareSync("New-password-1", user.password)).to.equal(
+        true,
+      );
+      expect(user.passwordHistory).to.deep.equal(["old-hash"]);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+"use strict";
+
+const { expect } = require("chai");
+const PermissionService = require("../../app/Services/PermissionService");
+const { permissions, roles } = require("../../config/permissions");
+
+const as = (role) => ({ role });
+
+describe("PermissionService", () => {
+  describe("role bundles", () => {
+    it("only bundle permissions that exist", () => {
+      Object.keys(roles).forEach((role) => {
+        roles[role].forEach((permission) => {
+          expect(permissions, `${role}: ${permission}`).to.include(permission);
+        });
+      });
+    });
+
+    it("keep platform administration to super_admin", () => {
+      expect(PermissionService.rolesWith("organisation:manage")).to.deep.equal([
+        "super_admin",
+      ]);
+    });
+
+    it("give trainees no approvals and auditors no writes", () => {
+      expect(PermissionService.hasPermission(as("trainee"), "note:approve")).to
+        .be.false;
+      expect(
+        PermissionService.getPermissions(as("auditor")).filter((permission) =>
+          /:(write|delete|manage|upload)$/.test(permission),
+        ),
+      ).to.deep.equal([]);
+    });
+  });
+
+  describe("getPermissions", () => {
+    it("grants nothing to an unknown role or a missing user", () => {
+      expect(PermissionService.getPermissions(as("root"))).to.deep.equal([]);
+      expect(PermissionService.getPermissions(null)).to.deep.equal([]);
+      expect(PermissionService.hasPermission(as("toString"), "case:read")).to.be
+        .false;
+    });
+  });
+
+  describe("canGrantRole", () => {
+    it("lets a user grant roles within their own permissions", () => {
+      expect(PermissionService.canGrantRole(as("admin"), "practitioner")).to.be
+        .true;
+      expect(PermissionService.canGrantRole(as("admin"), "admin")).to.be.true;
+      expect(PermissionService.canGrantRole(as("super_admin"), "super_admin"))
+        .to.be.true;
+    });
+
+    it("refuses a role with more access than the granting user", () => {
+      expect(PermissionService.canGrantRole(as("admin"), "super_admin")).to.be
+        .false;
+      expect(PermissionService.canGrantRole(as("clinic_manager"), "admin")).to
+        .be.false;
+      expect(PermissionService.canGrantRole(as("supervisor"), "practitioner"))
+        .to.be.false;
+    });
+
+    it("refuses a role that does not exist", () => {
+      expect(PermissionService.canGrantRole(as("super_admin"), "owner")).to.be
+        .false;
+    });
+  });
+});
@@ -0,0 +1,193 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const SsoService = require("../../app/Services/SsoService");
+
+const User = mongoose.model("User");
+const SsoConnection = mongoose.model("SsoConnection");
+
+const ORG = mongoose.Types.ObjectId();
+const OTHER_ORG = mongoose.Types.ObjectId();
+const ADMIN_ID = mongoose.Types.ObjectId();
+
+const connection = (fields = {}) =>
+  new SsoConnection({
+    organisation: ORG,
+    enabled: true,
+    issuer: "https://idp.clinic.test",
+    clientId: "kapacia",
+    emailDomains: ["clinic.test"],
+    jitProvisioning: false,
+    configuredBy: ADMIN_ID,
+    ...fields,
+  });
+
+const claims = (fields = {}) => ({
+  sub: "idp-subject-1",
+  email: "someone@clinic.test",
+  email_verified: true,
+  ...fields,
+});
+
+const account = (fields = {}) => ({
+  _id: mongoose.Types.ObjectId(),
+  name: "Someone",
+  email: "someone@clinic.test",
+  password: "x",
+  role: "practitioner",
+  organisation: ORG,
+  emailVerified: true,
+  ...fields,
+});
+
+// Users by subject, by email and by id, as resolveUser looks them up
+const stubUsers = ({ bySubject = null, byEmail = null, admin }) => {
+  const saved = [];
+  db.stub(User, {
+    findOne: (filter) => {
+      if (filter.ssoSubject) return bySubject;
+      if (filter.email) return byEmail;
+      if (String(filter._id) === String(ADMIN_ID)) return admin;
+      return null;
+    },
+    updateOne: (filter, update) => saved.push(update) && undefined,
+  });
+  return saved;
+};
+
+describe("SsoService", () => {
+  afterEach(() => db.restore());
+
+  describe("resolveUser linking by email", () => {
+    it("links an account whose role the configuring admin could grant", async () => {
+      const saved = stubUsers({
+        byEmail: account(),
+        admin: account({ _id: ADMIN_ID, role: "admin" }),
+      });
+
+      const { user, created } = await SsoService.resolveUser(
+        connection(),
+        claims(),
+      );
+
+      expect(created).to.equal(false);
+      expect(user.ssoSubject).to.equal("idp-subject-1");
+      expect(saved).to.have.length(1);
+    });
+
+    it("refuses to link an organisation manager", async () => {
+      const saved = stubUsers({
+        byEmail: account({ role: "super_admin" }),
+        admin: account({ _id: ADMIN_ID, role: "super_admin" }),
+      });
+
+      const error = await SsoService.resolveUser(connection(), claims()).catch(
+        (err) => err,
+      );
+
+      expect(error.statusCode).to.equal(403);
+      expect(saved).to.have.length(0);
+    });
+
+    it("refuses to link a role the configuring admin could not grant", async () => {
+      // The admin who chose the provider has since been made a practitioner
+      const saved = stubUsers({
+        byEmail: account({ role: "admin" }),
+        admin: account({ _id: ADMIN_ID, role: "practitioner" }),
+      });
+
+      const error = await SsoService.resolveUser(connection(), claims()).catch(
+        (err) => err,
+      );
+
+      expect(error.statusCode).to.equal(403);
+      expect(saved).to.have.length(0);
+    });
+
+    it("refuses when nobody is recorded as configuring the provider", async () => {
+      stubUsers({ byEmail: account(), admin: null });
+
+      const error = await SsoService.resolveUser(
+        connection({ configuredBy: undefined }),
+        claims(),
+      ).catch((err) => err);
+
+      expect(error.statusCode).to.equal(403);
+    });
+
+    it("still signs in an organisation manager already linked to the provider", async () => {
+      stubUsers({
+        bySubject: account({
+          role: "super_admin",
+          ssoIssuer: "https://idp.clinic.test",
+          ssoSubject: "idp-subject-1",
+        }),
+        admin: null,
+      });
+
+      const { user } = await SsoService.resolveUser(connection(), claims());
+
+      expect(user.role).to.equal("super_admin");
+    });
+
+    it("refuses an account in another organisation", async () => {
+      stubUsers({
+        byEmail: account({ organisation: OTHER_ORG }),
+        admin: account({ _id: ADMIN_ID, role: "admin" }),
+      });
+
+      const error = await SsoService.resolveUser(connection(), claims()).catch(
+        (err) => err,
+      );
+
+      expect(error.statusCode).to.equal(403);
+      expect(error.message).to.match(/different organisation/);
+    });
+  });
+  describe("isRequiredFor", () => {
+    // The enforced connection belongs to ORG and claims clinic.test
+    const stubConnections = () => {
+      const filters = [];
+      db.stub(SsoConnection, {
+        findOne: (filter) => {
+          filters.push(filter);
+          return String(filter.organisation) === String(ORG)
+            ? { _id: mongoose.Types.ObjectId() }
+            : null;
+        },
+      });
+      return filters;
+    };
+
+    it("requires SSO for members of an organisation with an enforced connection", async () => {
+      stubConnections();
+
+      expect(await SsoService.isRequiredFor(account())).to.equal(true);
+    });
+
+    it("does not enforce another organisation's claim on the user's email domain", async () => {
+      const filters = stubConnections();
+
+      const required = await SsoService.isRequiredFor(
+        account({ organisation: OTHER_ORG }),
+      );
+
+      expect(required).to.equal(false);
+      expect(filters[0]).to.not.have.property("emailDomains");
+      expect(filters[0]).to.not.have.property("$or");
+    });
+
+    it("exempts organisation managers, who are never linked automatically", async () => {
+      const filters = stubConnections();
+
+      const required = await SsoService.isRequiredFor(
+        account({ role: "super_admin" }),
+      );
+
+      expect(required).to.equal(false);
+      expect(filters).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,271 @@
+"use strict";
+
+const { expect } = require("chai");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const TokenService = require("../../app/Services/TokenService");
+const LoginSessionService = require("../../app/Services/LoginSessionService");
+const { mockRequest } = require("../helpers/http");
+
+const User = mongoose.model("User");
+const RefreshToken = mongoose.model("RefreshToken");
+const Impersonation = mongoose.model("Impersonation");
+
+const USER = {
+  _id: mongoose.Types.ObjectId(),
+  email: "someone@clinic.test",
+  active: true,
+};
+
+// Refresh tokens held in memory, so concurrent rotations share them
+const stubRefreshTokens = (tokens) => {
+  const claimable = (token, filter) =>
+    token.tokenHash === filter.tokenHash &&
+    token.revokedAt == null &&
+    token.expiresAt > filter.expiresAt.$gt;
+  const revokedFamilies = [];
+
+  db.stub(RefreshToken, {
+    findOneAndUpdate: (filter, update) => {
+      const token = tokens.find((candidate) => claimable(candidate, filter));
+      return token ? Object.assign(token, update.$set) : null;
+    },
+    findOne: (filter) =>
+      tokens.find((token) => token.tokenHash === filter.tokenHash) || null,
+    insertOne: (doc) => tokens.push({ ...doc }) && undefined,
+    updateOne: (filter, update) => {
+      const token = tokens.find((t) => String(t._id) === String(filter._id));
+      Object.assign(token, update.$set);
+    },
+    updateMany: (filter) => revokedFamilies.push(filter.family) && undefined,
+  });
+  return revokedFamilies;
+};
+
+const token = (rawToken, fields = {}) => ({
+  _id: mongoose.Types.ObjectId(),
+  user: USER._id,
+  tokenHash: TokenService.hashToken(rawToken),
+  family: "family-1",
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields,
+});
+
+describe("TokenService", () => {
+  beforeEach(() => {
+    db.stub(User, { findOne: () => USER });
+    db.replace(TokenService, "signAccessToken", () => "access-token");
+    db.replace(LoginSessionService, "touch", async () => {});
+    db.replace(LoginSessionService, "markRevoked", async () => {});
+  });
+
+  afterEach(() => db.restore());
+
+  describe("rotateRefreshToken", () => {
+    it("revokes the presented token and links it to its replacement", async () => {
+      const tokens = [token("raw-1")];
+      stubRefreshTokens(tokens);
+
+      const { tokens: pair } = await TokenService.rotateRefreshToken(
+        "raw-1",
+        mockRequest(),
+      );
+
+      expect(tokens).to.have.length(2);
+      expect(tokens[0].revokedReason).to.equal("rotated");
+      expect(tokens[0].replacedByHash).to.equal(
+        TokenService.hashToken(pair.refreshToken),
+      );
+      expect(tokens[1].family).to.equal("family-1");
+    });
+
+    it("lets only one of two concurrent rotations of a token succeed", async () => {
+      const tokens = [token("raw-1")];
+      const revokedFamilies = stubRefreshTokens(tokens);
+
+      const results = await Promise.all(
+        [1, 2].map(() =>
+          TokenService.rotateRefreshToken("raw-1", mockRequest()).catch(
+            (error) => error,
+          ),
+        ),
+      );
+
+      const refused = results.filter((result) => result instanceof Error);
+      expect(refused).to.have.length(1);
+      expect(refused[0].statusCode).to.equal(401);
+      expect(tokens).to.have.length(2);
+      expect(revokedFamilies).to.deep.equal(["family-1"]);
+    });
+
+    it("revokes the login when a rotated token is replayed", async () => {
+      const revokedFamilies = stubRefreshTokens([
+        token("raw-1", { revokedAt: new Date(), revokedReason: "rotated" }),
+      ]);
+
+      const error = await TokenService.rotateRefreshToken(
+        "raw-1",
+        mockRequest(),
+      ).catch((e) => e);
+
+      expect(error.message).to.equal("Refresh token has been revoked");
+      expect(revokedFamilies).to.deep.equal(["family-1"]);
+    });
+
+    it("refuses an expired token without revoking the login", async () => {
+      const revokedFamilies = stubRefreshTokens([
+        token("raw-1", { expiresAt: new Date(Date.now() - 1000) }),
+      ]);
+
+      const error = await TokenService.rotateRefreshToken(
+        "raw-1",
+        mockRequest(),
+      ).catch((e) => e);
+
+      expect(error.message).to.equal("Refresh token has expired");
+      expect(revokedFamilies).to.have.length(0);
+    });
+  });
+
+  describe("revocation", () => {
+    let stored;
+    let families;
+    let markedRevoked;
+
+    beforeEach(() => {
+      stored = { ...USER, tokenVersion: 0 };
+      families = [{ family: "family-1", revokedAt: null }];
+      markedRevoked = [];
+      db.replace(require("../../config/app"), "key", "test-key");
+      db.replace(LoginSessionService, "markRevoked", async (filter) => {
+        markedRevoked.push(filter);
+      });
+      db.stub(User, {
+        findOne: () => ({ ...stored }),
+        updateOne: (filter, update) => {
+          stored.tokenVersion += update.$inc.tokenVersion;
+        },
+      });
+      db.stub(RefreshToken, {
+        findOne: (filter) =>
+          families.find(
+            (token) => token.family === filter.family && !token.revokedAt,
+          ) || null,
+        updateMany: () => {
+          families.forEach((token) => {
+            token.revokedAt = new Date();
+          });
+        },
+      });
+    });
+
+    const accessToken = () =>
+      jwt.sign(
+        { _id: USER._id, sid: "family-1", tv: stored.tokenVersion },
+        "test-key",
+      );
+
+    it("stops access tokens already issued when every login is revoked", async () => {
+      const token = accessToken();
+      await TokenService.verifyAccessToken(token);
+
+      await TokenService.revokeAllForUser(USER._id, "deactivated", "admin-1");
+      const error = await TokenService.verifyAccessToken(token).catch((e) => e);
+
+      expect(stored.tokenVersion).to.equal(1);
+      expect(error.statusCode).to.equal(401);
+      expect(error.message).to.equal("Session has been revoked");
+      expect(markedRevoked).to.deep.equal([{ user: USER._id }]);
+    });
+
+    it("refuses a deactivated user's token", async () => {
+      const token = accessToken();
+      stored.active = false;
+
+      const error = await TokenService.verifyAccessToken(token).catch((e) => e);
+
+      expect(error.message).to.equal("User account is not active");
+    });
+  });
+
+  describe("impersonation tokens", () => {
+    const ADMIN = {
+      _id: mongoose.Types.ObjectId(),
+      email: "admin@clinic.test",
+      role: "admin",
+      active: true,
+    };
+    const TARGET = {
+      _id: mongoose.Types.ObjectId(),
+      email: "practitioner@clinic.test",
+      role: "practitioner",
+      active: true,
+    };
+    let people;
+    let records;
+
+    beforeEach(() => {
+      people = { [ADMIN._id]: ADMIN, [TARGET._id]: TARGET };
+      records = [];
+      db.replace(require("../../config/app"), "key", "test-key");
+      db.stub(User, {
+        findOne: (filter) => people[String(filter._id)] || null,
+      });
+      db.stub(Impersonation, {
+        insertOne: (doc) => {
+          records.push({ ...doc });
+        },
+        findOne: (filter) =>
+          records.find((record) => String(record._id) === String(filter._id)) ||
+          null,
+      });
+    });
+
+    const issue = async (options = {}) => {
+      const { token } = await TokenService.issueImpersonationToken(
+        ADMIN,
+        TARGET,
+        { reason: "Support ticket 42", ...options },
+        mockRequest(),
+      );
+      return token;
+    };
+
+    it("acts as the user, names the admin and is read-only by default", async () => {
+      const result = await TokenService.verifyAccessToken(await issue());
+
+      expect(String(result.user._id)).to.equal(String(TARGET._id));
+      expect(String(result.impersonator._id)).to.equal(String(ADMIN._id));
+      expect(result.decoded.imp).to.equal(String(ADMIN._id));
+      expect(result.decoded.ro).to.equal(true);
+      expect(result.impersonation.readOnly).to.equal(true);
+      expect(records[0].expiresAt - Date.now()).to.be.at.most(15 * 60 * 1000);
+    });
+
+    it("stops working once the impersonation has ended or expired", async () => {
+      const token = await issue();
+
+      records[0].expiresAt = new Date(Date.now() - 1000);
+      const expired = await TokenService.verifyAccessToken(token).catch(
+        (e) => e,
+      );
+      records[0].expiresAt = new Date(Date.now() + 60000);
+      records[0].endedAt = new Date();
+      const ended = await TokenService.verifyAccessToken(token).catch((e) => e);
+
+      expect(expired.message).to.equal("Impersonation session has ended");
+      expect(ended.message).to.equal("Impersonation session has ended");
+    });
+
+    it("stops working once the admin loses user:manage", async () => {
+      const token = await issue();
+      people[ADMIN._id] = { ...ADMIN, role: "clinic_manager" };
+
+      const error = await TokenService.verifyAccessToken(token).catch((e) => e);
+
+      expect(error.statusCode).to.equal(401);
+      expect(error.message).to.equal("Impersonation session has ended");
+    });
+  });
+});
@@ -0,0 +1,221 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const TranscriptionService = require("../../app/Services/TranscriptionService");
+const TranscriptionProviderService = require("../../app/Services/TranscriptionProviderService");
+const SystemSettingsService = require("../../app/Services/SystemSettingsService");
+const LiveRecordingService = require("../../app/Services/LiveRecordingService");
+
+const SESSION_ID = mongoose.Types.ObjectId().toString();
+
+const user = (name) => ({ _id: mongoose.Types.ObjectId(), name });
+
+const socket = (owner) => {
+  const emitted = [];
+  return {
+    decoded: { _id: owner._id.toString() },
+    emitted,
+    emit: (event, payload) => emitted.push({ event, payload }),
+  };
+};
+
+const stream = () => ({
+  writable: true,
+  stopped: false,
+  start: async () => ({
+    piiRedaction: true,
+    fallbackMode: false,
+    redactionMethod: "MOCK",
+  }),
+  results: () => (async function* () {})(),
+  keepAlive() {},
+  stop() {
+    this.stopped = true;
+    this.writable = false;
+  },
+});
+
+// The provider is looked up after the lock check; hold it to widen the race
+const stubProvider = () => {
+  const pending = [];
+  db.replace(
+    TranscriptionProviderService,
+    "forOrganisation",
+    () =>
+      new Promise((resolve) =>
+        pending.push(() =>
+          resolve({
+            name: "mock",
+            getLanguageCode: () => "en-GB",
+            createStream: stream,
+          }),
+        ),
+      ),
+  );
+  return () => pending.splice(0).forEach((release) => release());
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("TranscriptionService", () => {
+  const alice = user("Alice");
+  const bob = user("Bob");
+  let release;
+
+  beforeEach(() => {
+    ["log", "warn", "error"].forEach((level) =>
+      db.replace(console, level, () => {}),
+    );
+    db.replace(
+      TranscriptionService,
+      "authorize",
+      async (sessionId, userId) => ({
+        user: [alice, bob].find((u) => u._id.toString() === userId),
+        session: { case: mongoose.Types.ObjectId(), language: "english" },
+      }),
+    );
+    db.replace(TranscriptionService, "audit", async () => {});
+    db.replace(SystemSettingsService, "get", async () => 60);
+    db.replace(LiveRecordingService, "start", () => null);
+    release = stubProvider();
+  });
+
+  afterEach(() => {
+    TranscriptionService.sessions.clear();
+    db.restore();
+  });
+
+  describe("recording lock", () => {
+    it("refuses a second start that arrives while the first is starting", async () => {
+      const first = TranscriptionService.startTranscription(
+        SESSION_ID,
+        socket(alice),
+      );
+      const second = TranscriptionService.startTranscription(
+        SESSION_ID,
+        socket(bob),
+      ).catch((error) => error);
+      await tick();
+      release();
+
+      expect(await first).to.include({ success: true });
+      const refused = await second;
+      expect(refused.statusCode).to.equal(409);
+      expect(refused.lock.recordingBy.name).to.equal("Alice");
+      expect(TranscriptionService.sessions.get(SESSION_ID).userId).to.equal(
+        alice._id.toString(),
+      );
+    });
+
+    it("refuses a takeover until the session has started", async () => {
+      const first = TranscriptionService.startTranscription(
+        SESSION_ID,
+        socket(alice),
+      );
+      await tick();
+
+      const refused = await TranscriptionService.startTranscription(
+        SESSION_ID,
+        socket(bob),
+        { takeover: true },
+      ).catch((error) => error);
+      release();
+      await first;
+
+      expect(refused.statusCode).to.equal(409);
+      expect(TranscriptionService.sessions.get(SESSION_ID).userId).to.equal(
+        alice._id.toString(),
+      );
+    });
+
+    it("releases the lock when starting fails", async () => {
+      db.replace(SystemSettingsService, "get", async () => {
+        throw new Error("settings unavailable");
+      });
+      const failing = socket(alice);
+
+      const starting = TranscriptionService.startTranscription(
+        SESSION_ID,
+        failing,
+      );
+      await tick();
+      release();
+
+      const error = await starting.catch((e) => e);
+      expect(error.message).to.equal("settings unavailable");
+      expect(failing.emitted[0].event).to.equal("transcription-error");
+      expect(TranscriptionService.sessions.has(SESSION_ID)).to.equal(false);
+    });
+
+    it("gives up a start that is stopped before it finishes", async () => {
+      const owner = socket(alice);
+      const first = TranscriptionService.startTranscription(SESSION_ID, owner);
+      await tick();
+
+      TranscriptionService.stopTranscription(SESSION_ID, { socket: owner });
+      release();
+
+      const error = await first.catch((e) => e);
+      expect(error.statusCode).to.equal(409);
+      expect(TranscriptionService.sessions.has(SESSION_ID)).to.equal(false);
+    });
+
+    it("hands a started session over to a socket that asks to take over", async () => {
+      const previous = socket(alice);
+      const starting = TranscriptionService.startTranscription(
+        SESSION_ID,
+        previous,
+      );
+      await tick();
+      release();
+      await starting;
+
+      const next = socket(bob);
+      const result = await TranscriptionService.startTranscription(
+        SESSION_ID,
+        next,
+        { takeover: true },
+      );
+
+      expect(result.takenOver.previousUserId).to.equal(alice._id.toString());
+      const session = TranscriptionService.sessions.get(SESSION_ID);
+      expect(session.socket).to.equal(next);
+      expect(session.userId).to.equal(bob._id.toString());
+      expect(previous.emitted.map((e) => e.event)).to.include(
+        "transcription-taken-over",
+      );
+    });
+  });
+
+  describe("sample rate", () => {
+    it("refuses a sample rate outside 8000-48000 before taking the lock", async () => {
+      for (const sampleRate of [4000, 96000, 16000.5, "16000", 1e9]) {
+        const error = await TranscriptionService.startTranscription(
+          SESSION_ID,
+          socket(alice),
+          { sampleRate },
+        ).catch((e) => e);
+
+        expect(error.statusCode).to.equal(400);
+        expect(TranscriptionService.sessions.has(SESSION_ID)).to.equal(false);
+      }
+    });
+
+    it("sizes the resume buffer from an accepted sample rate", async () => {
+      const starting = TranscriptionService.startTranscription(
+        SESSION_ID,
+        socket(alice),
+        { sampleRate: 8000 },
+      );
+      await tick();
+      release();
+      await starting;
+
+      const session = TranscriptionService.sessions.get(SESSION_ID);
+      expect(session.sampleRate).to.equal(8000);
+      expect(session.maxBufferedBytes).to.equal(60 * 8000 * 2);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const TreatmentPlanService = require("../../app/Services/TreatmentPlanService");
+
+const TreatmentPlan = mongoose.model("TreatmentPlan");
+const Session = mongoose.model("Session");
+const Soap = mongoose.model("Soap");
+
+const id = () => mongoose.Types.ObjectId();
+
+describe("TreatmentPlanService", () => {
+  const caseId = id();
+  const sleep = {
+    _id: id(),
+    title: "Improve sleep",
+    status: "Active",
+    objectives: [
+      { _id: id(), description: "Sleep 7 hours", status: "InProgress" },
+    ],
+  };
+  const anxiety = {
+    _id: id(),
+    title: "Reduce anxiety",
+    status: "Active",
+    objectives: [],
+  };
+  let plan;
+
+  beforeEach(() => {
+    plan = { _id: id(), case: caseId, goals: [sleep, anxiety] };
+    db.stub(TreatmentPlan, { findOne: () => plan });
+  });
+
+  afterEach(() => db.restore());
+
+  describe("validateGoalProgress", () => {
+    const refusal = (entries) =>
+      TreatmentPlanService.validateGoalProgress(caseId, entries).catch(
+        (e) => e,
+      );
+
+    it("keeps only the known fields of valid entries", async () => {
+      const entries = await TreatmentPlanService.validateGoalProgress(caseId, [
+        {
+          goal: String(sleep._id),
+          objective: String(sleep.objectives[0]._id),
+          progress: "Progressing",
+          comment: "Sleeping better",
+          extra: "dropped",
+        },
+      ]);
+
+      expect(entries).to.deep.equal([
+        {
+          goal: String(sleep._id),
+          objective: String(sleep.objectives[0]._id),
+          progress: "Progressing",
+          comment: "Sleeping better",
+        },
+      ]);
+    });
+
+    it("refuses a goal from another case's plan", async () => {
+      const error = await refusal([
+        { goal: String(id()), progress: "NoChange" },
+      ]);
+
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal(
+        "goalProgress[0]: goal is not on this case's treatment plan",
+      );
+    });
+
+    it("refuses an objective that belongs to another goal", async () => {
+      const error = await refusal([
+        {
+          goal: String(anxiety._id),
+          objective: String(sleep.objectives[0]._id),
+          progress: "NoChange",
+        },
+      ]);
+
+      expect(error.message).to.equal(
+        "goalProgress[0]: objective does not belong to the goal",
+      );
+    });
+
+    it("refuses an unknown progress level and a repeated goal", async () => {
+      const unknown = await refusal([
+        { goal: String(sleep._id), progress: "Better" },
+      ]);
+      const repeated = await refusal([
+        { goal: String(sleep._id), progress: "NoChange" },
+        { goal: String(sleep._id), progress: "Achieved" },
+      ]);
+
+      expect(unknown.statusCode).to.equal(400);
+      expect(repeated.message).to.equal(
+        "goalProgress[1]: the same goal or objective appears twice",
+      );
+    });
+  });
+
+  describe("getProgressHistory", () => {
+    it("lists each goal's progress by session from the latest note version", async () => {
+      const first = { _id: id(), sessionNumber: 1, sessionDate: new Date() };
+      const second = { _id: id(), sessionNumber: 2, sessionDate: new Date() };
+      const note = (session, version, progress) => ({
+        _id: id(),
+        session: session._id,
+        version,
+        status: "Approved",
+        framework: "SOAP",
+        goalProgress: [{ goal: sleep._id, progress }],
+      });
+      db.stub(Session, { find: () => [first, second] });
+      // Newest version first, as the query sorts them
+      db.stub(Soap, {
+        find: () => [
+          note(second, 2, "Achieved"),
+          note(first, 2, "Progressing"),
+          note(first, 1, "Regressed"),
+          note(second, 1, "NoChange"),
+        ],
+      });
+
+      const goals = await TreatmentPlanService.getProgressHistory(caseId);
+
+      const [sleepGoal, anxietyGoal] = goals;
+      expect(
+        sleepGoal.history.map((entry) => [entry.sessionNumber, entry.progress]),
+      ).to.deep.equal([
+        [1, "Progressing"],
+        [2, "Achieved"],
+      ]);
+      expect(sleepGoal.latestProgress).to.equal("Achieved");
+      expect(anxietyGoal.history).to.deep.equal([]);
+      expect(anxietyGoal.latestProgress).to.equal(null);
+    });
+
+    it("answers null for a case without a plan", async () => {
+      plan = null;
+
+      expect(await TreatmentPlanService.getProgressHistory(caseId)).to.equal(
+        null,
+      );
+    });
+  });
+
+  describe("toProgressContext", () => {
+    it("summarises each goal's progress for the timeline summary prompt", () => {
+      const context = TreatmentPlanService.toProgressContext([
+        {
+          title: "Improve sleep",
+          status: "Active",
+          history: [
+            { sessionNumber: 1, progress: "Progressing", comment: "Better" },
+            { sessionNumber: 2, progress: "Achieved" },
+          ],
+        },
+        { title: "Reduce anxiety", status: "Active", history: [] },
+      ]);
+
+      expect(context).to.equal(
+        "- Improve sleep [Active]: Session 1: Progressing (Better); Session 2: Achieved\n" +
+          "- Reduce anxiety [Active]: No progress recorded",
+      );
+    });
+  });
+
+  describe("updateGoal", () => {
+    it("notes when a goal is closed and reports what changed", async () => {
+      const stored = new TreatmentPlan({
+        case: caseId,
+        goals: [{ title: "Improve sleep" }],
+      });
+      stored.isNew = false;
+      db.stub(TreatmentPlan, {
+        findOne: () => stored.toObject(),
+        updateOne: () => undefined,
+      });
+
+      const { goal, changedFields } = await TreatmentPlanService.updateGoal(
+        { _id: caseId },
+        String(stored.goals[0]._id),
+        { status: "Achieved", title: "Improve sleep" },
+        { _id: id() },
+      );
+
+      expect(changedFields).to.deep.equal(["status"]);
+      expect(goal.closedAt).to.be.an.instanceOf(Date);
+    });
+  });
+});
@@ -0,0 +1,509 @@
+"use strict";
+
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const db = require("../helpers/db");
+const { mockRequest, mockResponse } = require("../helpers/http");
+const UserController = require("../../app/Http/Controllers/v1/UserController");
+const TokenService = require("../../app/Services/TokenService");
+const MfaService = require("../../app/Services/MfaService");
+const AuditLogService = require("../../app/Services/AuditLogService");
+const PasswordPolicyService = require("../../app/Services/PasswordPolicyService");
+const LoginThrottleService = require("../../app/Services/LoginThrottleService");
+const OnboardingService = require("../../app/Services/OnboardingService");
+const { MAX_OTP_ATTEMPTS } = require("../../config/constants");
+
+const User = mongoose.model("User");
+const LoginSession = mongoose.model("LoginSession");
+
+const ORG = mongoose.Types.ObjectId();
+
+const account = (fields = {}) => ({
+  _id: mongoose.Types.ObjectId(),
+  name: "Someone",
+  email: "someone@clinic.test",
+  password: bcrypt.hashSync("Old-password-1", 4),
+  role: "practitioner",
+  organisation: ORG,
+  emailVerified: true,
+  active: true,
+  ...fields,
+});
+
+// One stored account whose updates apply only while their filter matches
+const storeAccount = (fields) => {
+  const stored = account(fields);
+  const matches = (filter) =>
+    Object.entries(filter).every(([key, value]) => {
+      if (value && value.$not) return !(stored[key] > value.$not.$gt);
+      if (value && value.$lt !== undefined) return stored[key] < value.$lt;
+      if (value && value.$gt !== undefined) return stored[key] > value.$gt;
+      return String(stored[key]) === String(value);
+    });
+  const apply = (update) => {
+    Object.entries(update.$inc || {}).forEach(([key, by]) => {
+      stored[key] = (stored[key] || 0) + by;
+    });
+    Object.assign(stored, update.$set);
+    Object.keys(update.$unset || {}).forEach((key) => delete stored[key]);
+  };
+  db.stub(User, {
+    findOne: (filter) => (matches(filter) ? { ...stored } : null),
+    findOneAndUpdate: (filter, update) => {
+      if (!matches(filter)) return null;
+      apply(update);
+      return { ...stored };
+    },
+    updateOne: (filter, update) => {
+      if (matches(filter)) apply(update);
+    },
+  });
+  return stored;
+};
+
+describe("UserController", () => {
+  let revoked;
+  let issued;
+  let audited;
+
+  beforeEach(() => {
+    revoked = [];
+    issued = [];
+    audited = [];
+    db.replace(console, "error", () => {});
+    db.replace(TokenService, "revokeAllForUser", async (userId, reason) => {
+      revoked.push({ userId: String(userId), reason });
+    });
+    db.replace(TokenService, "issueTokens", async (user) => {
+      issued.push(String(user._id));
+      return { token: "access-token", refreshToken: "refresh-token" };
+    });
+    db.replace(AuditLogService, "createLog", async (entry) => {
+      audited.push(entry.action);
+    });
+    db.replace(LoginThrottleService, "assertIpAllowed", async () => {});
+    db.replace(LoginThrottleService, "recordIpAttempt", async () => {});
+    db.replace(PasswordPolicyService, "check", async () => []);
+    db.replace(PasswordPolicyService, "applyPassword", async (user) => {
+      user.password = "new-hash";
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  const stubUser = (user) =>
+    db.stub(User, { findOne: () => user, updateOne: () => undefined });
+
+  describe("password changes", () => {
+    it("signs every login out when a password is reset", async () => {
+      const user = storeAccount({
+        passwordResetTokenHash: TokenService.hashToken("reset-token"),
+        passwordResetAllowedUntil: new Date(Date.now() + 60000),
+      });
+      const res = mockResponse();
+
+      await UserController.resetPassword(
+        mockRequest({
+          body: {
+            email: user.email,
+            resetToken: "reset-token",
+            password: "New-password-1",
+          },
+        }),
+        res,
+      );
+
+      expect(res.statusCode).to.equal(200);
+      expect(revoked).to.deep.equal([
+        { userId: String(user._id), reason: "password_reset" },
+      ]);
+    });
+
+    it("signs other logins out on a change and keeps the caller signed in", async () => {
+      const user = account();
+      stubUser(user);
+      const res = mockResponse();
+
+      await UserController.updatePassword(
+        mockRequest({
+          decoded: { _id: String(user._id) },
+          body: {
+            currentPassword: "Old-password-1",
+            newPassword: "New-password-1",
+          },
+        }),
+        res,
+      );
+
+      expect(res.statusCode).to.equal(200);
+      expect(revoked).to.deep.equal([
+        { userId: String(user._id), reason: "password_changed" },
+      ]);
+      expect(issued).to.deep.equal([String(user._id)]);
+      expect(res.body.data.refreshToken).to.equal("refresh-token");
+    });
+
+    it("signs every login out when an expired password is changed", async () => {
+      const user = account();
+      stubUser(user);
+      db.replace(MfaService, "verifyChallengeToken", () => ({
+        _id: String(user._id),
+      }));
+      const res = mockResponse();
+
+      await UserController.changeExpiredPassword(
+        mockRequest({
+          body: { passwordChangeToken: "token", newPassword: "New-password-1" },
+        }),
+        res,
+      );
+
+      expect(res.statusCode).to.equal(200);
+      expect(revoked).to.deep.equal([
+        { userId: String(user._id), reason: "password_changed" },
+      ]);
+      expect(issued).to.have.length(0);
+    });
+  });
+
+  describe("verifyOtp", () => {
+    const verify = async (email, otp) => {
+      const res = mockResponse();
+      await UserController.verifyOtp(
+        mockRequest({ body: { email, otp } }),
+        res,
+      );
+      return res;
+    };
+
+    const withCode = () =>
+      storeAccount({
+        otp: LoginThrottleService.hashOtp("123456"),
+        otpAttempts: 0,
+        otpExpiresAt: new Date(Date.now() + 60000),
+      });
+
+    it("counts parallel wrong guesses against the same limit", async () => {
+      const stored = withCode();
+
+      const results = await Promise.all(
+        Array.from({ length: MAX_OTP_ATTEMPTS + 3 }, () =>
+          verify(stored.email, "000000"),
+        ),
+      );
+
+      expect(stored.otpAttempts).to.equal(MAX_OTP_ATTEMPTS);
+      expect(stored.otp).to.equal(null);
+      expect(results.filter((res) => res.statusCode === 404)).to.have.length(
+        MAX_OTP_ATTEMPTS,
+      );
+      expect(
+        audited.filter((action) => action === "OTP_LOCKED"),
+      ).to.have.length(1);
+    });
+
+    it("accepts a code only once", async () => {
+      const stored = withCode();
+
+      const results = await Promise.all([
+        verify(stored.email, "123456"),
+        verify(stored.email, "123456"),
+      ]);
+
+      expect(results.map((res) => res.statusCode).sort()).to.deep.equal([
+        200, 404,
+      ]);
+      expect(stored.otp).to.equal(null);
+      expect(stored.passwordResetAllowedUntil).to.be.a("date");
+      const { resetToken } = results.find((res) => res.statusCode === 200).body
+        .data;
+      expect(stored.passwordResetTokenHash).to.equal(
+        TokenService.hashToken(resetToken),
+      );
+    });
+  });
+
+  describe("resetPassword", () => {
+    const reset = async (body) => {
+      const res = mockResponse();
+      await UserController.resetPassword(mockRequest({ body }), res);
+      return res;
+    };
+
+    const withToken = () =>
+      storeAccount({
+        passwordResetTokenHash: TokenService.hashToken("reset-token"),
+        passwordResetAllowedUntil: new Date(Date.now() + 60000),
+      });
+
+    it("needs the token from the verified code, not just the email", async () => {
+      const stored = withToken();
+
+      const withoutToken = await reset({
+        email: stored.email,
+        password: "New-password-1",
+      });
+      const wrongToken = await reset({
+        email: stored.email,
+        resetToken: "guess",
+        password: "New-password-1",
+      });
+
+      expect(withoutToken.statusCode).to.equal(403);
+      expect(wrongToken.statusCode).to.equal(403);
+      expect(revoked).to.have.length(0);
+    });
+
+    it("lets the token be spent only once", async () => {
+      const stored = withToken();
+      const body = {
+        email: stored.email,
+        resetToken: "reset-token",
+        password: "New-password-1",
+      };
+
+      const results = await Promise.all([reset(body), reset(body)]);
+
+      expect(results.map((res) => res.statusCode).sort()).to.deep.equal([
+        200, 403,
+      ]);
+      expect(stored).to.not.have.property("passwordResetTokenHash");
+    });
+
+    it("refuses an email that is not a string", async () => {
+      withToken();
+
+      const res = await reset({
+        email: { $gt: "" },
+        resetToken: "reset-token",
+        password: "New-password-1",
+      });
+
+      expect(res.statusCode).to.equal(400);
+    });
+  });
+
+  describe("toggleUserStatus", () => {
+    it("refuses to deactivate an account with more access than the caller", async () => {
+      const admin = account({ role: "admin" });
+      const superAdmin = account({ role: "super_admin" });
+      const stored = storeAccount(superAdmin);
+      const res = mockResponse();
+
+      await UserController.toggleUserStatus(
+        mockRequest({
+          user: admin,
+          decoded: { _id: String(admin._id) },
+          params: { id: String(stored._id) },
+          body: { active: false },
+        }),
+        res,
+      );
+
+      expect(res.statusCode).to.equal(403);
+      expect(stored.active).to.equal(true);
+      expect(revoked).to.have.length(0);
+    });
+
+    it("signs a deactivated user out everywhere at once", async () => {
+      const admin = account({ role: "admin" });
+      const stored = storeAccount();
+      db.stub(User, {
+        findOne: (filter) =>
+          String(filter._id) === String(admin._id) ? admin : { ...stored },
+      });
+      const res = mockResponse();
+
+      await UserController.toggleUserStatus(
+        mockRequest({
+          user: admin,
+          decoded: { _id: String(admin._id) },
+          params: { id: String(stored._id) },
+          body: { active: false },
+        }),
+        res,
+      );
+
+      expect(res.statusCode).to.equal(200);
+      expect(stored.active).to.equal(false);
+      expect(revoked).to.deep.equal([
+        { userId: String(stored._id), reason: "deactivated" },
+      ]);
+    });
+  });
+
+  describe("login sessions", () => {
+    let sessions;
+    let revokedFamilies;
+
+    beforeEach(() => {
+      sessions = [];
+      revokedFamilies = [];
+      db.replace(TokenService, "revokeFamily", async (family) => {
+        revokedFamilies.push(family);
+      });
+      db.stub(LoginSession, {
+        findOne: (filter) =>
+          sessions.find(
+            (session) =>
+              String(session._id) === String(filter._id) &&
+              String(session.user) === String(filter.user) &&
+              !session.revokedAt,
+          ) || null,
+      });
+    });
+
+    const session = (user, family) => {
+      const record = { _id: mongoose.Types.ObjectId(), user: user._id, family };
+      sessions.push(record);
+      return record;
+    };
+
+    it("lets a user sign out only their own devices", async () => {
+      const owner = account();
+      const other = account();
+      const own = session(owner, "family-own");
+      const theirs = session(other, "family-theirs");
+      const revoke = async (record) => {
+        const res = mockResponse();
+        await UserController.revokeMySession(
+          mockRequest({
+            user: owner,
+            decoded: { sid: "family-own" },
+            params: { sessionId: String(record._id) },
+          }),
+          res,
+        );
+        return res;
+      };
+
+      const refused = await revoke(theirs);
+      const accepted = await revoke(own);
+
+      expect(refused.statusCode).to.equal(404);
+      expect(accepted.statusCode).to.equal(200);
+      expect(revokedFamilies).to.deep.equal(["family-own"]);
+      expect(audited).to.deep.equal(["SESSION_REVOKE"]);
+    });
+
+    it("refuses an admin signing out a user with more access", async () => {
+      const manager = account({ role: "clinic_manager" });
+      const stored = storeAccount({ role: "admin" });
+      const record = session(stored, "family-admin");
+      const res = mockResponse();
+
+      await UserController.revokeUserSession(
+        mockRequest({
+          user: manager,
+          params: { id: String(stored._id), sessionId: String(record._id) },
+        }),
+        res,
+      );
+
+      expect(res.statusCode).to.equal(403);
+      expect(revokedFamilies).to.have.length(0);
+    });
+  });
+
+  describe("unlockAccount", () => {
+    it("refuses to unlock an account with more access than the caller", async () => {
+      const manager = account({ role: "clinic_manager" });
+      const lockedUntil = new Date(Date.now() + 60000);
+      const stored = storeAccount({ role: "admin", lockedUntil });
+      const res = mockResponse();
+
+      await UserController.unlockAccount(
+        mockRequest({ user: manager, params: { id: String(stored._id) } }),
+        res,
+      );
+
+      expect(res.statusCode).to.equal(403);
+      expect(stored.lockedUntil).to.equal(lockedUntil);
+    });
+  });
+
+  describe("updateUserCredentials", () => {
+    const update = async (admin, stored, body) => {
+      const res = mockResponse();
+      await UserController.updateUserCredentials(
+        mockRequest({
+          user: admin,
+          decoded: { _id: String(admin._id) },
+          params: { id: String(stored._id) },
+          body,
+        }),
+        res,
+      );
+      return res;
+    };
+
+    it("signs the user out everywhere when an admin sets their password", async () => {
+      const admin = account({ role: "admin" });
+      const stored = storeAccount();
+
+      const res = await update(admin, stored, { password: "New-password-1" });
+
+      expect(res.statusCode).to.equal(200);
+      expect(revoked).to.deep.equal([
+        { userId: String(stored._id), reason: "password_reset" },
+      ]);
+    });
+
+    it("makes a changed email address be verified again", async () => {
+      const admin = account({ role: "admin" });
+      const stored = storeAccount();
+      const sent = [];
+      db.replace(OnboardingService, "sendVerification", async (user) => {
+        sent.push(user.email);
+      });
+
+      const res = await update(admin, stored, { email: " New@Clinic.test " });
+
+      expect(res.statusCode).to.equal(200);
+      expect(stored.email).to.equal("new@clinic.test");
+      expect(stored.emailVerified).to.equal(false);
+      expect(sent).to.deep.equal(["new@clinic.test"]);
+    });
+
+    it("refuses an email address that is not one", async () => {
+      const admin = account({ role: "admin" });
+      const stored = storeAccount();
+
+      const res = await update(admin, stored, { email: "not-an-address" });
+
+      expect(res.statusCode).to.equal(400);
+      expect(stored.email).to.equal("someone@clinic.test");
+    });
+  });
+
+  describe("resendVerification", () => {
+    it("sends one email per account per cooldown and keeps the current link", async () => {
+      const stored = storeAccount({ emailVerified: false });
+      const sent = [];
+      db.replace(
+        OnboardingService,
+        "sendVerification",
+        async (user, options) => {
+          sent.push(options);
+        },
+      );
+      const resend = async () => {
+        const res = mockResponse();
+        await UserController.resendVerification(
+          mockRequest({ body: { email: stored.email } }),
+          res,
+        );
+        return res;
+      };
+
+      const results = await Promise.all([resend(), resend(), resend()]);
+
+      expect(results.map((res) => res.statusCode)).to.deep.equal([
+        200, 200, 200,
+      ]);
+      expect(sent).to.deep.equal([{ keepCurrent: true }]);
+      expect(stored.onboardingLinkSentAt).to.be.a("date");
+    });
+  });
+});
@@ -0,0 +1,29 @@
+"use strict";
+
+const { expect } = require("chai");
+const UserSettingsService = require("../../app/Services/UserSettingsService");
+
+describe("UserSettingsService", () => {
+  describe("formatDateTime", () => {
+    it("renders a timestamp in the user's timezone", () => {
+      expect(
+        UserSettingsService.formatDateTime(
+          "2026-07-01T12:30:05Z",
+          "Europe/London",
+        ),
+      ).to.equal("2026-07-01 13:30:05");
+    });
+
+    it("renders nothing for a missing or invalid date instead of throwing", () => {
+      [undefined, null, "", "not a date", new Date(NaN)].forEach((date) => {
+        expect(UserSettingsService.formatDateTime(date, "UTC")).to.equal("");
+      });
+    });
+  });
+
+  describe("formatDate", () => {
+    it("renders nothing for an invalid date", () => {
+      expect(UserSettingsService.formatDate("not a date", "UTC")).to.equal("");
+    });
+  });
+});
@@ -0,0 +1,175 @@
+"use strict";
+
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const express = require("express");
+const mongoose = require("mongoose");
+const db = require("../helpers/db");
+const { mockRequest, mockResponse } = require("../helpers/http");
+const TenantContext = require("../../app/Services/TenantContext");
+const SystemSettingsService = require("../../app/Services/SystemSettingsService");
+const CaseAccessService = require("../../app/Services/CaseAccessService");
+const s3Service = require("../../app/Services/S3Service");
+const upload = require("../../app/Http/Middleware/Upload");
+const fileCtrl = require("../../app/Http/Controllers/v1/FileController");
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+const Case = mongoose.model("Case");
+const File = mongoose.model("File");
+const CaseTimeline = mongoose.model("CaseTimeline");
+const User = mongoose.model("User");
+const AuditLog = mongoose.model("AuditLog");
+
+const ORG_A = "5f00000000000000000000aa";
+const ORG_B = "5f00000000000000000000bb";
+const CASE_ID = "5f0000000000000000000c01";
+const USER_ID = "5f0000000000000000000d01";
+
+describe("Tenant scoping", () => {
+  afterEach(() => db.restore());
+
+  describe("BelongsToOrganisation", () => {
+    it("filters queries by the organisation in context", async () => {
+      const filters = [];
+      db.stub(Case, { findOne: (filter) => filters.push(filter) && null });
+
+      await TenantContext.run(ORG_A, async () => await Case.findById(CASE_ID));
+
+      expect(String(filters[0].organisation)).to.equal(ORG_A);
+    });
+
+    it("leaves queries outside a context unfiltered", async () => {
+      const filters = [];
+      db.stub(Case, { findOne: (filter) => filters.push(filter) && null });
+
+      await Case.findById(CASE_ID);
+
+      expect(filters[0]).to.not.have.property("organisation");
+    });
+
+    it("lets a query opt out with skipTenant", async () => {
+      const filters = [];
+      db.stub(Case, { find: (filter) => filters.push(filter) && [] });
+
+      await TenantContext.run(
+        ORG_A,
+        async () => await Case.find({}).setOptions({ skipTenant: true }),
+      );
+
+      expect(filters[0]).to.not.have.property("organisation");
+    });
+
+    it("stamps new documents with the organisation in context", async () => {
+      const inserted = [];
+      db.stub(CaseTimeline, {
+        insertOne: (doc) => inserted.push(doc) && undefined,
+      });
+
+      await TenantContext.run(ORG_A, () =>
+        new CaseTimeline({
+          case: CASE_ID,
+          eventType: "session",
+          eventDate: new Date(),
+          performedBy: USER_ID,
+        }).save(),
+      );
+
+      expect(String(inserted[0].organisation)).to.equal(ORG_A);
+    });
+  });
+
+  describe("upload middleware", () => {
+    const buildApp = (seen) => {
+      const app = express();
+      // What authenticate does for a signed-in user
+      app.use((req, res, next) => {
+        req.organisationId = ORG_A;
+        TenantContext.run(ORG_A, next, req);
+      });
+      app.post("/upload", upload.single("file"), (req, res) => {
+        seen.handler = TenantContext.getOrganisationId();
+        res.json({ size: req.file.size });
+      });
+      return app;
+    };
+
+    it("keeps the organisation context through multer", async () => {
+      const seen = { settings: [] };
+      db.replace(SystemSettingsService, "get", async (key) => {
+        seen.settings.push(TenantContext.getOrganisationId());
+        if (key === "maxUploadSizeBytes") return 1024;
+        return ["text/plain"];
+      });
+
+      const res = await chai
+        .request(buildApp(seen))
+        .post("/upload")
+        .attach("file", Buffer.from("hello"), {
+          filename: "notes.txt",
+          contentType: "text/plain",
+        });
+
+      expect(res).to.have.status(200);
+      expect(seen.handler).to.equal(ORG_A);
+      // The size limit, and the file filter's type check, read the organisation's settings
+      expect(seen.settings).to.have.length.of.at.least(3);
+      seen.settings.forEach((organisationId) =>
+        expect(organisationId).to.equal(ORG_A),
+      );
+    });
+  });
+
+  describe("FileController.uploadFile", () => {
+    it("saves the file and its timeline entry in the case's organisation", async () => {
+      const inserted = { file: [], timeline: [] };
+      db.stub(Case, {
+        findOne: () => ({
+          _id: mongoose.Types.ObjectId(CASE_ID),
+          organisation: mongoose.Types.ObjectId(ORG_B),
+        }),
+        find: () => [],
+        findOneAndUpdate: () => null,
+      });
+      db.stub(User, {
+        findOne: () => ({
+          _id: mongoose.Types.ObjectId(USER_ID),
+          role: "practitioner",
+        }),
+        find: () => [],
+      });
+      db.stub(File, {
+        insertOne: (doc) => inserted.file.push(doc) && undefined,
+      });
+      db.stub(CaseTimeline, {
+        insertOne: (doc) => inserted.timeline.push(doc) && undefined,
+      });
+      db.stub(AuditLog, { insertOne: () => undefined });
+      db.replace(CaseAccessService, "canAccess", async () => true);
+      db.replace(s3Service, "uploadFile", async () => ({
+        url: "https://bucket/case-files/x.txt",
+        key: "case-files/x.txt",
+      }));
+
+      const req = mockRequest({
+        decoded: { _id: USER_ID },
+        body: { caseId: CASE_ID },
+        file: {
+          originalname: "x.txt",
+          mimetype: "text/plain",
+          size: 5,
+          buffer: Buffer.from("hello"),
+        },
+      });
+      const res = mockResponse();
+
+      // No tenant context, as after a body parser that loses it
+      await fileCtrl.uploadFile(req, res);
+
+      expect(res.statusCode).to.equal(201);
+      expect(String(inserted.file[0].organisation)).to.equal(ORG_B);
+      expect(String(inserted.timeline[0].organisation)).to.equal(ORG_B);
+    });
+  });
+});